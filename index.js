@@ -10,19 +10,36 @@
 export * as tutorDialogueEngine from './services/tutorDialogueEngine.js';
 export * as tutorApiService from './services/tutorApiService.js';
 export * as tutorConfigLoader from './services/tutorConfigLoader.js';
+export * as profileResolver from './services/profileResolver.js';
 
 // AI Services
 export * as aiService from './services/aiService.js';
 export * as aiConfigService from './services/aiConfigService.js';
 export * as unifiedAIProvider from './services/unifiedAIProviderService.js';
 export * as sseStreamParser from './services/sseStreamParser.js';
+export * as mockProvider from './services/mockProviderService.js';
+export * as cassetteService from './services/cassetteService.js';
+export * as providerFallback from './services/providerFallback.js';
+export * as providerHealthService from './services/providerHealthService.js';
 
 // Support Services
 export * as monitoringService from './services/monitoringService.js';
+export * as monitoringStore from './services/monitoringStore.js';
 export * as dialogueLogService from './services/dialogueLogService.js';
 export * as modelResolver from './services/modelResolver.js';
 export * as pricingConfig from './services/pricingConfig.js';
+export * as budgetService from './services/budgetService.js';
 export * as configLoaderBase from './services/configLoaderBase.js';
+export * as configValidator from './services/configValidator.js';
+export * as jsonSchemaValidator from './services/jsonSchemaValidator.js';
+export * as agentOutputSchemas from './services/agentOutputSchemas.js';
+export * as curriculumIndex from './services/curriculumIndex.js';
+export * as tutorContext from './services/tutorContext.js';
+export * as curriculumGraph from './services/curriculumGraph.js';
+export * as knowledgeTracingService from './services/knowledgeTracingService.js';
+export * as spacedRepetitionService from './services/spacedRepetitionService.js';
+export * as suggestionSimilarityService from './services/suggestionSimilarityService.js';
+export * as learnerSettingsService from './services/learnerSettingsService.js';
 
 // Recognition Engine
 export * as writingPadService from './services/writingPadService.js';
@@ -30,16 +47,35 @@ export * as dialecticalEngine from './services/dialecticalEngine.js';
 export * as memoryDynamicsService from './services/memoryDynamicsService.js';
 export * as learnerIntegrationService from './services/learnerIntegrationService.js';
 export * as recognitionGamificationService from './services/recognitionGamificationService.js';
+export * as recognitionStore from './services/recognitionStore.js';
+export * as learnerDataService from './services/learnerDataService.js';
+export * as piiRedactionService from './services/piiRedactionService.js';
 
 // Recognition Pipeline Orchestrator
 export * as recognitionOrchestrator from './services/recognitionOrchestrator.js';
 
+// Evaluation
+export * as learnerSimulationService from './services/learnerSimulationService.js';
+export * as evaluationRunner from './services/evaluationRunner.js';
+export * as judgeService from './services/judgeService.js';
+export * as abTestingService from './services/abTestingService.js';
+
 // Database (for config persistence)
 export * as dbService from './services/dbService.js';
+export * as migrationRunner from './services/migrationRunner.js';
 
 // Database initialization (call before importing other services)
 export { initDb, closeDb, getDb } from './services/dbService.js';
 
+// Schema migrations (host applications can register their own directories)
+export {
+  registerMigrationDirectory,
+  registerMigrations,
+  migrate,
+  rollbackMigrations,
+  getMigrationStatus
+} from './services/dbService.js';
+
 // Re-export commonly used items for convenience
 export {
   runDialogue,
@@ -47,6 +83,7 @@ export {
   getAvailableProfiles,
   analyzeInterventionNeeds,
   setLogDir,
+  getLogDir,
   setQuietMode,
   _fetchProvider,
   isContextOverflowError,
@@ -64,9 +101,22 @@ export {
   loadConfig,
   getActiveProfile,
   resolveModel,
-  listProfiles
+  listProfiles,
+  inspectProfile,
+  diffProfiles,
+  reloadConfig,
+  onConfigReload,
+  watchConfig,
+  unwatchConfig,
+  withConfigSnapshot
 } from './services/tutorConfigLoader.js';
 
+export {
+  validateConfig,
+  assertValidConfig,
+  formatConfigErrors
+} from './services/configValidator.js';
+
 export {
   processDialogueResult,
   processWritingEvent,
@@ -84,6 +134,110 @@ export {
   getMilestoneDefinitions
 } from './services/recognitionGamificationService.js';
 
+export {
+  getRecognitionStore,
+  setRecognitionStore,
+  createMemoryRecognitionStore,
+  createSqliteRecognitionStore
+} from './services/recognitionStore.js';
+
+export {
+  exportLearnerData,
+  eraseLearnerData
+} from './services/learnerDataService.js';
+
+export { createRedactor } from './services/piiRedactionService.js';
+
+export {
+  computeSimilarity,
+  registerSimilarityMeasure,
+  setEmbeddingBackend
+} from './services/suggestionSimilarityService.js';
+
+export { applyLearnerSettings } from './services/learnerSettingsService.js';
+
+export {
+  createSimulatedLearner,
+  runClosedLoopSession
+} from './services/learnerSimulationService.js';
+
+export {
+  runEvaluation,
+  getBatchComparison,
+  formatComparisonTable
+} from './services/evaluationRunner.js';
+
+export {
+  judgeDialogue,
+  judgeDialogueById,
+  judgeEvaluationBatch,
+  compareProfiles
+} from './services/judgeService.js';
+
+export {
+  assignLearner,
+  getProfileForLearner,
+  getExperimentOutcomes
+} from './services/abTestingService.js';
+
 export { parseSSEStream } from './services/sseStreamParser.js';
 
+export {
+  enqueueMockResponses,
+  setMockHandler,
+  loadMockFixtures,
+  resetMockProvider
+} from './services/mockProviderService.js';
+
+export {
+  startCassette,
+  stopCassette,
+  withCassette
+} from './services/cassetteService.js';
+
+export {
+  getSpendReport,
+  getAuditTrail as getBudgetAuditTrail
+} from './services/budgetService.js';
+
+export {
+  getProviderHealth,
+  listProviderHealth,
+  resetProviderHealth
+} from './services/providerHealthService.js';
+
+export {
+  AGENT_OUTPUT_SCHEMAS,
+  validateAgentOutput
+} from './services/agentOutputSchemas.js';
+
+export {
+  parseCurriculumIndex,
+  buildCurriculumIndex,
+  verifySuggestionTargets
+} from './services/curriculumIndex.js';
+
+export {
+  createLearnerContext,
+  createCurriculum,
+  createSimulations,
+  renderLearnerContext,
+  renderCurriculum,
+  renderSimulations,
+  checkPrerequisites
+} from './services/tutorContext.js';
+
+export { buildCurriculumGraph } from './services/curriculumGraph.js';
+
+export {
+  recordLearnerEvents,
+  getConceptMastery,
+  getMasterySummary
+} from './services/knowledgeTracingService.js';
+
+export {
+  recordQuizOutcome,
+  getDueReviews
+} from './services/spacedRepetitionService.js';
+
 export { callStream } from './services/unifiedAIProviderService.js';
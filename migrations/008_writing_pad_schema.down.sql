@@ -0,0 +1,5 @@
+-- Migration 008 (down)
+
+DROP TABLE IF EXISTS learner_recognition_events;
+DROP TABLE IF EXISTS recognition_moments;
+DROP TABLE IF EXISTS writing_pads;
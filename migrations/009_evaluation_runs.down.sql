@@ -0,0 +1,3 @@
+-- Migration 009 (down)
+
+DROP TABLE IF EXISTS evaluation_runs;
@@ -0,0 +1,35 @@
+-- Migration 009: Evaluation Runs
+-- One row per profile × scenario × sample executed by evaluationRunner.
+-- Links back to dialogue logs via dialogue_id.
+
+CREATE TABLE IF NOT EXISTS evaluation_runs (
+  id TEXT PRIMARY KEY,
+  batch_id TEXT NOT NULL,                  -- Groups all runs from one runEvaluation() call
+  mode TEXT NOT NULL,                      -- comparison | recognition_comparison | factorial_2x2 | custom
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  profile_name TEXT NOT NULL,
+  scenario_name TEXT NOT NULL,
+  sample_index INTEGER NOT NULL,
+  factors TEXT,                            -- JSON: factorial cell labels, e.g. { architecture, recognition }
+
+  -- Outcome
+  dialogue_id TEXT,                        -- Matches logs/tutor-dialogues/<dialogue_id>.json
+  success BOOLEAN DEFAULT TRUE,
+  error TEXT,
+  converged BOOLEAN DEFAULT FALSE,
+  rounds INTEGER DEFAULT 0,
+
+  -- Usage
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  api_calls INTEGER DEFAULT 0,
+  total_cost REAL DEFAULT 0.0,
+  latency_ms INTEGER DEFAULT 0,
+
+  suggestions TEXT                         -- JSON array returned to the learner
+);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_runs_batch ON evaluation_runs(batch_id);
+CREATE INDEX IF NOT EXISTS idx_evaluation_runs_cell ON evaluation_runs(profile_name, scenario_name);
+CREATE INDEX IF NOT EXISTS idx_evaluation_runs_dialogue ON evaluation_runs(dialogue_id);
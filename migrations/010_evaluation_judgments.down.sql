@@ -0,0 +1,3 @@
+-- Migration 010 (down)
+
+DROP TABLE IF EXISTS evaluation_judgments;
@@ -0,0 +1,34 @@
+-- Migration 010: Evaluation Judgments
+-- Rubric scores assigned by an LLM judge (judgeService) to a tutor dialogue.
+-- Dimension scores are 1-5, or NULL when the judge marks a dimension N/A.
+
+CREATE TABLE IF NOT EXISTS evaluation_judgments (
+  id TEXT PRIMARY KEY,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  dialogue_id TEXT,                        -- Judged dialogue (logs/tutor-dialogues/<dialogue_id>.json)
+  evaluation_run_id TEXT,                  -- Optional link to evaluation_runs.id
+  profile_name TEXT,
+  scenario_name TEXT,
+
+  -- Judge provenance
+  rubric TEXT NOT NULL,                    -- e.g. 'recognition'
+  judge_provider TEXT,
+  judge_model TEXT,
+  prompt_version TEXT,                     -- <!-- version --> of the judge prompt
+  prompt_hash TEXT,                        -- Content hash of the judge prompt
+
+  -- Scores
+  mutual_recognition INTEGER,
+  dialectical_responsiveness INTEGER,
+  memory_integration INTEGER,
+  transformative_potential INTEGER,
+  recognition_score REAL,                  -- Mean of non-N/A dimensions
+  weighted_score REAL,                     -- Rubric-weighted mean of non-N/A dimensions
+
+  judgment TEXT NOT NULL                   -- JSON: full validated judge output
+);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_judgments_dialogue ON evaluation_judgments(dialogue_id);
+CREATE INDEX IF NOT EXISTS idx_evaluation_judgments_profile ON evaluation_judgments(profile_name);
+CREATE INDEX IF NOT EXISTS idx_evaluation_judgments_run ON evaluation_judgments(evaluation_run_id);
@@ -0,0 +1,3 @@
+-- Migration 011 (down)
+
+DROP TABLE IF EXISTS ab_assignments;
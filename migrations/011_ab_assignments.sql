@@ -0,0 +1,17 @@
+-- Migration 011: A/B Assignments
+-- Sticky per-learner arm assignment for evaluation.ab_testing.
+-- Once written, an assignment is never changed by config edits, so learners
+-- stay in their arm even if treatment_percentage is adjusted mid-experiment.
+
+CREATE TABLE IF NOT EXISTS ab_assignments (
+  experiment_id TEXT NOT NULL,
+  learner_id TEXT NOT NULL,
+  arm TEXT CHECK(arm IN ('control', 'treatment')) NOT NULL,
+  profile_name TEXT NOT NULL,              -- Profile the learner was routed to at assignment time
+  bucket INTEGER NOT NULL,                 -- 0-99, from hash(experiment_id:learner_id)
+  assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (experiment_id, learner_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ab_assignments_arm ON ab_assignments(experiment_id, arm);
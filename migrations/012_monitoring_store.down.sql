@@ -0,0 +1,5 @@
+-- Migration 012 (down)
+
+DROP TABLE IF EXISTS monitoring_daily_rollups;
+DROP TABLE IF EXISTS monitoring_alerts;
+DROP TABLE IF EXISTS monitoring_sessions;
@@ -0,0 +1,58 @@
+-- Migration 012: Monitoring Store
+-- Persistent backend for monitoringService (SQLite store).
+-- Sessions older than the retention window are rolled up into
+-- monitoring_daily_rollups (one row per day × profile × model) and deleted.
+
+CREATE TABLE IF NOT EXISTS monitoring_sessions (
+  session_id TEXT PRIMARY KEY,
+  user_id TEXT,
+  profile_name TEXT,
+  model_id TEXT,
+  status TEXT CHECK(status IN ('active', 'completed')) NOT NULL,
+  start_time TEXT NOT NULL,                -- ISO 8601
+  last_activity TEXT,
+  end_time TEXT,
+
+  rounds INTEGER DEFAULT 0,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  total_latency_ms INTEGER DEFAULT 0,
+  message_count INTEGER DEFAULT 0,
+  estimated_cost REAL DEFAULT 0,
+  errors INTEGER DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_sessions_start ON monitoring_sessions(start_time);
+CREATE INDEX IF NOT EXISTS idx_monitoring_sessions_status ON monitoring_sessions(status);
+CREATE INDEX IF NOT EXISTS idx_monitoring_sessions_profile ON monitoring_sessions(profile_name, model_id);
+
+CREATE TABLE IF NOT EXISTS monitoring_alerts (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  session_id TEXT,
+  message TEXT,
+  value REAL,
+  threshold REAL,
+  timestamp TEXT NOT NULL,                 -- ISO 8601
+  acknowledged INTEGER DEFAULT 0,
+  acknowledged_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_timestamp ON monitoring_alerts(timestamp DESC);
+
+CREATE TABLE IF NOT EXISTS monitoring_daily_rollups (
+  day TEXT NOT NULL,                       -- YYYY-MM-DD (UTC, from session start_time)
+  profile_name TEXT NOT NULL,
+  model_id TEXT NOT NULL,
+  sessions INTEGER DEFAULT 0,
+  rounds INTEGER DEFAULT 0,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  total_latency_ms INTEGER DEFAULT 0,
+  message_count INTEGER DEFAULT 0,
+  estimated_cost REAL DEFAULT 0,
+  errors INTEGER DEFAULT 0,
+
+  PRIMARY KEY (day, profile_name, model_id)
+);
@@ -0,0 +1,4 @@
+-- Migration 013 (down)
+
+DROP TABLE IF EXISTS budget_audit;
+DROP TABLE IF EXISTS budget_spend;
@@ -0,0 +1,44 @@
+-- Migration 013: Budgets
+-- Spend ledger and throttling audit trail for budgetService.
+-- Every provider call made while budgets are enabled appends a row to
+-- budget_spend; caps are checked against the UTC-day sums before each call.
+-- Any non-allow decision (downgrade, disable_superego, refuse) is written
+-- to budget_audit.
+
+CREATE TABLE IF NOT EXISTS budget_spend (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at TEXT NOT NULL,                -- ISO 8601
+  day TEXT NOT NULL,                       -- YYYY-MM-DD (UTC)
+  learner_id TEXT,
+  profile_name TEXT,
+  agent_role TEXT,
+  provider TEXT,
+  model TEXT,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  cost REAL DEFAULT 0,
+  cost_source TEXT CHECK(cost_source IN ('reported', 'estimated', 'unpriced')) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_spend_day ON budget_spend(day);
+CREATE INDEX IF NOT EXISTS idx_budget_spend_learner ON budget_spend(day, learner_id);
+CREATE INDEX IF NOT EXISTS idx_budget_spend_profile ON budget_spend(day, profile_name);
+
+CREATE TABLE IF NOT EXISTS budget_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at TEXT NOT NULL,
+  scope TEXT CHECK(scope IN ('global', 'profile', 'learner')) NOT NULL,
+  scope_id TEXT,                           -- profile name or learner ID (NULL for global)
+  action TEXT CHECK(action IN ('downgrade', 'disable_superego', 'refuse')) NOT NULL,
+  stage TEXT NOT NULL,                     -- 'dialogue' (pre-run check) or 'call'
+  limit_usd REAL NOT NULL,
+  spent_usd REAL NOT NULL,
+  learner_id TEXT,
+  profile_name TEXT,
+  agent_role TEXT,
+  original_model TEXT,
+  effective_model TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_audit_created ON budget_audit(created_at);
+CREATE INDEX IF NOT EXISTS idx_budget_audit_scope ON budget_audit(scope, scope_id);
@@ -0,0 +1,3 @@
+-- Migration 014 (down)
+
+DROP TABLE IF EXISTS learner_concept_mastery;
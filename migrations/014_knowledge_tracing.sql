@@ -0,0 +1,19 @@
+-- Migration 014: Knowledge Tracing
+-- Per-learner, per-concept mastery estimates for knowledgeTracingService.
+-- Each quiz/activity outcome is a Bayesian knowledge tracing observation:
+-- p_mastery is the posterior P(known) after the latest observation.
+
+CREATE TABLE IF NOT EXISTS learner_concept_mastery (
+  learner_id TEXT NOT NULL,
+  concept_id TEXT NOT NULL,
+  p_mastery REAL NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  correct INTEGER NOT NULL DEFAULT 0,
+  last_correct INTEGER,                    -- 1/0, outcome of the latest observation
+  last_event_type TEXT,                    -- activity_submit, quiz_answer, quiz_complete
+  first_observed_at TEXT NOT NULL,         -- ISO 8601
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (learner_id, concept_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_concept_mastery_learner ON learner_concept_mastery(learner_id, updated_at);
@@ -0,0 +1,3 @@
+-- Migration 015 (down)
+
+DROP TABLE IF EXISTS learner_review_items;
@@ -0,0 +1,22 @@
+-- Migration 015: Spaced Repetition Review Schedule
+-- Per-learner, per-concept review items for spacedRepetitionService (SM-2).
+-- Quiz outcomes update the ease factor and interval; items whose due_at has
+-- passed are listed as due reviews in the learner context.
+
+CREATE TABLE IF NOT EXISTS learner_review_items (
+  learner_id TEXT NOT NULL,
+  concept_id TEXT NOT NULL,
+  writing_pad_id TEXT,                     -- Pad of the learner event that last reviewed it, if any
+  lecture_id TEXT,                         -- Lecture/quiz the concept was last reviewed in
+  ease_factor REAL NOT NULL,
+  interval_days REAL NOT NULL,
+  repetitions INTEGER NOT NULL DEFAULT 0,  -- Consecutive successful reviews
+  lapses INTEGER NOT NULL DEFAULT 0,       -- Failed reviews (each resets repetitions)
+  last_quality INTEGER,                    -- SM-2 quality 0-5 of the latest review
+  last_reviewed_at TEXT NOT NULL,          -- ISO 8601
+  due_at TEXT NOT NULL,                    -- ISO 8601
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (learner_id, concept_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_items_due ON learner_review_items(learner_id, due_at);
@@ -0,0 +1,6 @@
+-- Migration 016 (down)
+
+DROP TABLE IF EXISTS ai_interactions;
+DROP TABLE IF EXISTS ai_prompt_templates;
+DROP TABLE IF EXISTS ai_user_settings;
+DROP TABLE IF EXISTS ai_providers;
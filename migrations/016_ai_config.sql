@@ -0,0 +1,71 @@
+-- Migration 016: AI Configuration Tables
+-- Provider configurations, per-user AI preferences, prompt templates and the
+-- interaction log owned by aiConfigService (previously created inline at import).
+
+-- AI provider configurations (admin-managed)
+CREATE TABLE IF NOT EXISTS ai_providers (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  enabled INTEGER DEFAULT 1,
+  apiKeyEnvVar TEXT,
+  baseUrl TEXT,
+  defaultModel TEXT,
+  supportedModels TEXT,
+  maxTokens INTEGER DEFAULT 2048,
+  createdAt TEXT DEFAULT (datetime('now'))
+);
+
+-- User-level AI preferences
+CREATE TABLE IF NOT EXISTS ai_user_settings (
+  userId TEXT PRIMARY KEY,
+  hintVerbosity TEXT DEFAULT 'balanced' CHECK(hintVerbosity IN ('minimal', 'balanced', 'detailed')),
+  feedbackStyle TEXT DEFAULT 'encouraging' CHECK(feedbackStyle IN ('encouraging', 'direct', 'socratic')),
+  preferredProvider TEXT,
+  temperature REAL DEFAULT 0.7,
+  showExplanations INTEGER DEFAULT 1,
+  enableStreaming INTEGER DEFAULT 1,
+  enableHints INTEGER DEFAULT 1,
+  enableWritingFeedback INTEGER DEFAULT 1,
+  -- Reading feature settings (all opt-in except metrics); added to older
+  -- databases by the ai_user_settings_reading_columns migration (017)
+  enableReadingCompanion INTEGER DEFAULT 0,
+  enableReflectionPrompts INTEGER DEFAULT 0,
+  enableInlineExplanations INTEGER DEFAULT 0,
+  enableReadingMetrics INTEGER DEFAULT 1,
+  updatedAt TEXT DEFAULT (datetime('now'))
+);
+
+-- Prompt templates (versionable)
+CREATE TABLE IF NOT EXISTS ai_prompt_templates (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL CHECK(category IN ('hint', 'feedback', 'quiz', 'concept', 'moderation', 'chat', 'socratic', 'code_review')),
+  template TEXT NOT NULL,
+  variables TEXT,
+  version INTEGER DEFAULT 1,
+  isActive INTEGER DEFAULT 1,
+  createdBy TEXT,
+  createdAt TEXT DEFAULT (datetime('now')),
+  updatedAt TEXT DEFAULT (datetime('now'))
+);
+
+-- AI interaction logs (transparency)
+CREATE TABLE IF NOT EXISTS ai_interactions (
+  id TEXT PRIMARY KEY,
+  userId TEXT,
+  provider TEXT,
+  model TEXT,
+  promptCategory TEXT,
+  inputTokens INTEGER,
+  outputTokens INTEGER,
+  latencyMs INTEGER,
+  success INTEGER DEFAULT 1,
+  errorMessage TEXT,
+  context TEXT,
+  timestamp TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_interactions_user ON ai_interactions(userId);
+CREATE INDEX IF NOT EXISTS idx_ai_interactions_timestamp ON ai_interactions(timestamp);
+CREATE INDEX IF NOT EXISTS idx_ai_interactions_category ON ai_interactions(promptCategory);
+CREATE INDEX IF NOT EXISTS idx_ai_prompt_templates_category ON ai_prompt_templates(category);
@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+vi.mock('../tutorConfigLoader.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, getEvaluationConfig: vi.fn() };
+});
+
+vi.mock('../tutorDialogueEngine.js', () => ({
+  runDialogue: vi.fn(),
+  isTranscriptMode: vi.fn(() => false),
+  isExpandMode: vi.fn(() => false),
+}));
+
+const configLoader = await import('../tutorConfigLoader.js');
+const { runDialogue } = await import('../tutorDialogueEngine.js');
+const { generateSuggestions } = await import('../tutorApiService.js');
+const {
+  hashToBucket,
+  assignLearner,
+  getProfileForLearner,
+  listAssignments,
+  getExperimentOutcomes,
+} = await import('../abTestingService.js');
+
+function setAbConfig(overrides = {}) {
+  configLoader.getEvaluationConfig.mockReturnValue({
+    ab_testing: {
+      enabled: true,
+      experiment_id: 'exp-1',
+      treatment_percentage: 50,
+      control_profile: 'single_agent',
+      treatment_profile: 'recognition',
+      ...overrides,
+    },
+  });
+}
+
+function insertInteraction(userId, { success = 1, inputTokens = 100, outputTokens = 50 } = {}) {
+  testDb.prepare(`
+    INSERT INTO ai_interactions (id, userId, provider, model, promptCategory, inputTokens, outputTokens, latencyMs, success, timestamp)
+    VALUES (?, ?, 'openrouter', 'stub', 'chat', ?, ?, 200, ?, datetime('now', '+1 minute'))
+  `).run(`int-${Math.random()}`, userId, inputTokens, outputTokens, success);
+}
+
+function insertEvent(learnerId, eventType) {
+  testDb.prepare(`
+    INSERT INTO learner_recognition_events (id, learner_id, writing_pad_id, event_type, created_at)
+    VALUES (?, ?, 'pad-1', ?, datetime('now', '+1 minute'))
+  `).run(`evt-${Math.random()}`, learnerId, eventType);
+}
+
+describe('abTestingService', () => {
+  beforeEach(() => {
+    testDb = createTestDb();
+    applyMigrationFile(testDb, '008_writing_pad_schema.sql');
+    applyMigrationFile(testDb, '011_ab_assignments.sql');
+    vi.clearAllMocks();
+    setAbConfig();
+  });
+
+  describe('assignment', () => {
+    it('buckets deterministically per experiment', () => {
+      expect(hashToBucket('learner-1', 'exp-1')).toBe(hashToBucket('learner-1', 'exp-1'));
+      const buckets = new Set(Array.from({ length: 50 }, (_, i) => hashToBucket(`learner-${i}`, 'exp-1')));
+      expect(buckets.size).toBeGreaterThan(20);
+      for (const b of buckets) expect(b).toBeGreaterThanOrEqual(0);
+    });
+
+    it('respects treatment_percentage at the extremes', () => {
+      setAbConfig({ treatment_percentage: 100 });
+      expect(assignLearner('a')).toMatchObject({ arm: 'treatment', profileName: 'recognition', isNew: true });
+      setAbConfig({ experiment_id: 'exp-2', treatment_percentage: 0 });
+      expect(assignLearner('a')).toMatchObject({ arm: 'control', profileName: 'single_agent' });
+    });
+
+    it('keeps assignments sticky after the config changes', () => {
+      setAbConfig({ treatment_percentage: 100 });
+      assignLearner('learner-sticky');
+
+      setAbConfig({ treatment_percentage: 0, treatment_profile: 'other' });
+      const again = assignLearner('learner-sticky');
+      expect(again).toMatchObject({ arm: 'treatment', profileName: 'recognition', isNew: false });
+      expect(listAssignments()).toHaveLength(1);
+    });
+
+    it('returns null when disabled', () => {
+      setAbConfig({ enabled: false });
+      expect(getProfileForLearner('learner-1')).toBeNull();
+      expect(listAssignments({ experimentId: 'exp-1' })).toHaveLength(0);
+    });
+  });
+
+  describe('getExperimentOutcomes', () => {
+    it('reports per-arm interaction and recognition metrics', () => {
+      testDb.exec(`
+        CREATE TABLE ai_interactions (
+          id TEXT PRIMARY KEY, userId TEXT, provider TEXT, model TEXT, promptCategory TEXT,
+          inputTokens INTEGER, outputTokens INTEGER, latencyMs INTEGER, success INTEGER DEFAULT 1,
+          errorMessage TEXT, context TEXT, timestamp TEXT DEFAULT (datetime('now'))
+        );
+      `);
+      setAbConfig({ treatment_percentage: 100 });
+      assignLearner('t-1');
+      assignLearner('t-2');
+      setAbConfig({ treatment_percentage: 0 });
+      assignLearner('c-1');
+
+      insertInteraction('t-1');
+      insertInteraction('t-1', { success: 0 });
+      insertInteraction('c-1');
+      insertInteraction('unassigned');
+      insertEvent('t-1', 'breakthrough');
+      insertEvent('t-2', 'breakthrough');
+      insertEvent('c-1', 'resistance');
+
+      const { arms } = getExperimentOutcomes('exp-1');
+      expect(arms.treatment).toMatchObject({
+        learners: 2,
+        interactions: 2,
+        successRate: 0.5,
+        inputTokens: 200,
+        breakthroughs: 2,
+        learnersWithBreakthrough: 2,
+        breakthroughsPerLearner: 1,
+      });
+      expect(arms.control).toMatchObject({ learners: 1, interactions: 1, resistance: 1, breakthroughs: 0 });
+    });
+
+    it('tolerates a missing ai_interactions table', () => {
+      assignLearner('learner-1');
+      const { arms } = getExperimentOutcomes();
+      expect(arms.control.learners + arms.treatment.learners).toBe(1);
+      expect(arms.control.interactions + arms.treatment.interactions).toBe(0);
+    });
+  });
+
+  describe('generateSuggestions integration', () => {
+    beforeEach(() => {
+      runDialogue.mockResolvedValue({ suggestions: [], rounds: 0, metrics: {} });
+    });
+
+    it('selects the assigned profile when none is passed', async () => {
+      setAbConfig({ treatment_percentage: 100 });
+      const result = await generateSuggestions({ learnerContext: '' }, { learnerId: 'learner-1' });
+
+      expect(runDialogue.mock.calls[0][1].profileName).toBe('recognition');
+      expect(result.metadata.abTest).toEqual({ experimentId: 'exp-1', arm: 'treatment' });
+    });
+
+    it('leaves explicit profiles untouched', async () => {
+      await generateSuggestions({ learnerContext: '' }, { learnerId: 'learner-1', profileName: 'budget' });
+
+      expect(runDialogue.mock.calls[0][1].profileName).toBe('budget');
+      expect(listAssignments()).toHaveLength(0);
+    });
+  });
+});
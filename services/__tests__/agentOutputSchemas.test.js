@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const { validateAgentOutput, filterValidSuggestions, buildRepairPrompt, getNativeResponseSchema } = await import(
+  '../agentOutputSchemas.js'
+);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schemas-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const context = {
+  learnerContext: 'New learner',
+  curriculumContext: 'Lectures:\n  1. **Intro** (479-lecture-1)',
+  simulationsContext: '',
+};
+
+const suggestion = {
+  type: 'lecture',
+  priority: 'high',
+  title: 'Start: Intro',
+  message: 'Begin with the introductory lecture.',
+  actionType: 'navigate',
+  actionTarget: '479-lecture-1',
+  reasoning: 'New learner',
+};
+
+const lastUserMessage = (call) => call.messages.filter((m) => m.role === 'user').at(-1).content;
+
+describe('agentOutputSchemas', () => {
+  beforeEach(() => {
+    resetMockProvider();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('validates suggestions against the documented output format', () => {
+    expect(validateAgentOutput('ego_suggestions', [suggestion])).toEqual({ valid: true, errors: [] });
+    const { actionTarget: _target, ...untargeted } = suggestion;
+    expect(validateAgentOutput('ego_suggestions', [{ ...untargeted, actionType: 'none' }]).valid).toBe(true);
+
+    const { errors } = validateAgentOutput('ego_suggestions', [
+      { ...suggestion, priority: 'urgent', reasoning: 42 },
+      { ...suggestion, actionTarget: '' },
+    ]);
+    expect(errors).toEqual([
+      { path: '$[0].priority', message: 'must be one of "high", "medium", "low"' },
+      { path: '$[0].reasoning', message: 'expected string, got integer' },
+      { path: '$[1].actionTarget', message: 'is required when actionType is "navigate"' },
+    ]);
+
+    expect(validateAgentOutput('ego_suggestions', []).errors).toEqual([{ path: '$', message: 'must have at least 1 items' }]);
+    expect(validateAgentOutput('pre_analysis', null).errors).toEqual([{ path: '$', message: 'response is not valid JSON' }]);
+    expect(filterValidSuggestions([suggestion, { title: 'partial' }])).toEqual([suggestion]);
+  });
+
+  it('validates superego verdicts and pre-analysis output', () => {
+    expect(validateAgentOutput('superego_verdict', { approved: 'yes', interventionType: 'none', feedback: 'ok' }).errors).toEqual([
+      { path: '$.approved', message: 'expected boolean, got string' },
+    ]);
+    expect(validateAgentOutput('superego_verdict', { approved: false, interventionType: 'revise', feedback: 'x', confidence: 1.5 }).errors).toEqual([
+      { path: '$.confidence', message: 'must be <= 1' },
+    ]);
+    expect(validateAgentOutput('pre_analysis', { reinterpretations: [{ signal: 'retries' }], overallCaution: '' }).errors).toEqual([
+      { path: '$.reinterpretations[0].alternativeReading', message: 'is required' },
+    ]);
+    expect(() => validateAgentOutput('judge', {})).toThrow('Unknown agent output schema: judge');
+  });
+
+  it('builds re-ask prompts that keep the original prompt and quote the errors', () => {
+    const prompt = buildRepairPrompt('superego_verdict', 'Review this.', [{ path: '$.approved', message: 'is required' }]);
+    expect(prompt).toBe(
+      'Review this.\n\n## Your Previous Response Was Invalid\n- $.approved: is required\n\nReturn the corrected JSON object only — no markdown fences, no explanation.',
+    );
+  });
+
+  it('wraps array schemas in an object for native structured output', () => {
+    const native = getNativeResponseSchema('ego_suggestions');
+    expect(native.schema).toMatchObject({ type: 'object', required: ['items'], properties: { items: { type: 'array' } } });
+    expect(getNativeResponseSchema('superego_verdict').schema.type).toBe('object');
+  });
+
+  it('re-asks the ego with its validation errors and records the repair in the trace', async () => {
+    enqueueMockResponses({ json: [{ type: 'lecture', title: 'Intro' }], match: { model: 'mock-ego' } });
+
+    const result = await engine.runDialogue(context, { profileName: 'mock', isNewUser: true, trace: true });
+
+    const egoCalls = getMockCalls().filter((c) => c.model === 'mock-ego');
+    expect(egoCalls).toHaveLength(2);
+    expect(lastUserMessage(egoCalls[1])).toContain('## Your Previous Response Was Invalid\n- $[0].priority: is required');
+    expect(egoCalls[0].responseFormat).toMatchObject({ type: 'json_schema', json_schema: { name: 'ego_suggestions', strict: false } });
+
+    expect(result.suggestions[0]).toMatchObject({ actionTarget: '479-lecture-1' });
+    const egoEntry = result.dialogueTrace.find((e) => e.agent === 'ego' && e.action === 'generate');
+    expect(egoEntry.schemaRepair).toMatchObject({ repaired: true, remainingErrors: [] });
+    expect(egoEntry.schemaRepair.errors).toContainEqual({ path: '$[0].message', message: 'is required' });
+  });
+
+  it('parses suggestions wrapped for native structured output', async () => {
+    enqueueMockResponses({ json: { items: [suggestion] }, match: { model: 'mock-ego' } });
+
+    const result = await engine.runDialogue(context, { profileName: 'mock', isNewUser: true });
+
+    expect(result.suggestions).toEqual([suggestion]);
+    expect(getMockCalls().filter((c) => c.model === 'mock-ego')).toHaveLength(1);
+  });
+
+  it('auto-approves when the superego verdict is still unusable after the re-ask', async () => {
+    enqueueMockResponses({ json: { approved: 'yes', feedback: 'fine' }, match: { model: 'mock-superego' }, times: 2 });
+
+    const result = await engine.runDialogue(context, { profileName: 'mock', isNewUser: true, trace: true });
+
+    expect(getMockCalls().filter((c) => c.model === 'mock-superego')).toHaveLength(2);
+    expect(result.finalReview).toMatchObject({ approved: true, parseFailure: true });
+    expect(result.finalReview.schemaRepair.remainingErrors).toContainEqual({ path: '$.approved', message: 'expected boolean, got string' });
+  });
+
+  it('only requests native structured output from providers that declare it', async () => {
+    const agent = {
+      provider: 'mock',
+      providerConfig: { isConfigured: true, base_url: 'mock://local' },
+      model: 'mock-ego',
+      hyperparameters: { temperature: 0 },
+    };
+    const responseSchema = getNativeResponseSchema('superego_verdict');
+
+    await engine.callAI(agent, 'sys', 'user', 'superego', { responseSchema });
+    await engine.callAI({ ...agent, providerConfig: { ...agent.providerConfig, structured_output: 'json_object' } }, 'sys', 'user', 'superego', {
+      responseSchema,
+    });
+
+    expect(getMockCalls().map((c) => c.responseFormat)).toEqual([null, { type: 'json_object' }]);
+  });
+});
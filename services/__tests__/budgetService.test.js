@@ -0,0 +1,257 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+vi.mock('../tutorConfigLoader.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, getBudgetConfig: vi.fn(() => ({ enabled: false })) };
+});
+
+const configLoader = await import('../tutorConfigLoader.js');
+const engine = await import('../tutorDialogueEngine.js');
+const { call, callStream, embed } = await import('../unifiedAIProviderService.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const budget = await import('../budgetService.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const mockAgent = {
+  provider: 'mock',
+  providerConfig: { isConfigured: true, base_url: 'mock://local' },
+  model: 'mock-tutor',
+  hyperparameters: { temperature: 0, max_tokens: 200 },
+};
+
+const context = {
+  learnerContext: 'New learner',
+  curriculumContext: 'Lectures:\n  1. **Intro** (479-lecture-1)',
+  simulationsContext: '',
+};
+
+function setBudgets(budgets) {
+  configLoader.getBudgetConfig.mockReturnValue({ enabled: true, downgrade_model: 'mock.learner', ...budgets });
+}
+
+function spend(cost, { learnerId = null, profileName = null } = {}) {
+  budget.recordSpend({ learnerId, profileName, provider: 'mock', model: 'mock-ego', cost });
+}
+
+describe('budgetService', () => {
+  beforeEach(() => {
+    testDb = createTestDb();
+    applyMigrationFile(testDb, '013_budgets.sql');
+    resetMockProvider();
+    configLoader.getBudgetConfig.mockReturnValue({ enabled: false });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('does nothing when budgets are disabled', async () => {
+    await engine.callAI(mockAgent, 'sys', 'user', 'ego');
+
+    expect(budget.evaluateBudget({ learnerId: 'l-1' }).action).toBe('allow');
+    expect(testDb.prepare('SELECT COUNT(*) AS n FROM budget_spend').get().n).toBe(0);
+  });
+
+  it('records reported, estimated and unpriced spend per learner and profile', () => {
+    setBudgets({});
+    spend(0.25, { learnerId: 'l-1', profileName: 'mock' });
+    budget.recordSpend({ learnerId: 'l-2', provider: 'openrouter', model: 'anthropic/claude-haiku-4.5', inputTokens: 1_000_000, outputTokens: 0 });
+    budget.recordSpend({ learnerId: 'l-2', provider: 'mock', model: 'mock-ego', inputTokens: 500 });
+
+    expect(budget.getDailySpend({ learnerId: 'l-1' })).toBeCloseTo(0.25);
+    expect(budget.getDailySpend({ profileName: 'mock' })).toBeCloseTo(0.25);
+
+    const report = budget.getSpendReport();
+    expect(report).toMatchObject({ calls: 3, unpricedCalls: 1 });
+    expect(report.total).toBeCloseTo(1.05);
+    expect(report.byLearner.map((r) => r.id)).toEqual(['l-2', 'l-1']);
+  });
+
+  it('picks the strictest action among breached caps', () => {
+    setBudgets({
+      global: { daily_usd: 10, on_breach: 'refuse' },
+      per_learner: { daily_usd: 0.1, on_breach: 'downgrade' },
+      per_profile: { mock: { daily_usd: 0.2, on_breach: 'disable_superego' } },
+      learners: { vip: { daily_usd: 5 } },
+    });
+    spend(0.3, { learnerId: 'l-1', profileName: 'mock' });
+    spend(0.3, { learnerId: 'vip', profileName: 'other' });
+
+    expect(budget.evaluateBudget({ learnerId: 'l-1' })).toMatchObject({ action: 'downgrade', breach: { scope: 'learner', limit: 0.1 } });
+    expect(budget.evaluateBudget({ learnerId: 'l-1', profileName: 'mock' })).toMatchObject({ action: 'disable_superego', breaches: [{}, {}] });
+    expect(budget.evaluateBudget({ learnerId: 'vip', profileName: 'other' }).action).toBe('allow');
+
+    spend(10);
+    expect(budget.evaluateBudget({ learnerId: 'vip' })).toMatchObject({ action: 'refuse', breach: { scope: 'global' } });
+  });
+
+  it('rejects unknown breach actions', () => {
+    setBudgets({ global: { daily_usd: 1, on_breach: 'panic' } });
+    expect(() => budget.getBudgetConfig()).toThrow('Unknown budget on_breach action: panic');
+  });
+
+  it('refuses a dialogue over its learner cap and audits the decision', async () => {
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'refuse' } });
+    spend(0.5, { learnerId: 'l-1' });
+
+    await expect(engine.runDialogue(context, { profileName: 'mock', learnerId: 'l-1' })).rejects.toMatchObject({
+      code: 'BUDGET_EXCEEDED',
+      budget: { scope: 'learner', scopeId: 'l-1', limit: 0.1 },
+    });
+    expect(getMockCalls()).toHaveLength(0);
+    expect(budget.getAuditTrail()).toEqual([
+      expect.objectContaining({ scope: 'learner', action: 'refuse', stage: 'dialogue', learnerId: 'l-1', spentUsd: 0.5 }),
+    ]);
+  });
+
+  it('downgrades both agents and records their spend', async () => {
+    setBudgets({ per_profile: { mock: { daily_usd: 0.1, on_breach: 'downgrade' } } });
+    spend(0.2, { profileName: 'mock' });
+    enqueueMockResponses([
+      {
+        json: [{ type: 'lecture', priority: 'high', title: 'Intro', message: 'Start here', actionType: 'navigate', actionTarget: '479-lecture-1', reasoning: 'New learner' }],
+        cost: 0.01,
+      },
+      { json: { approved: true, interventionType: 'none', feedback: 'fine' }, cost: 0.02 },
+    ]);
+
+    await engine.runDialogue(context, { profileName: 'mock', learnerId: 'l-1' });
+
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-learner', 'mock-learner']);
+    expect(budget.getAuditTrail()).toEqual([
+      expect.objectContaining({ action: 'downgrade', stage: 'dialogue', originalModel: 'ego', effectiveModel: 'mock.learner' }),
+    ]);
+    expect(budget.getDailySpend({ learnerId: 'l-1', profileName: 'mock' })).toBeCloseTo(0.03);
+  });
+
+  it('drops the superego under disable_superego and refuses direct superego calls', async () => {
+    setBudgets({ per_profile: { mock: { daily_usd: 0.1, on_breach: 'disable_superego' } } });
+    spend(0.2, { profileName: 'mock' });
+
+    const result = await engine.runDialogue(context, { profileName: 'mock', learnerId: 'l-1' });
+
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-ego']);
+    expect(result.suggestions.length).toBeGreaterThan(0);
+
+    // The dialogue's budget scope stays active for later calls
+    await expect(engine.callAI(mockAgent, 'sys', 'user', 'superego')).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(budget.getAuditTrail({ action: 'disable_superego' }).map((a) => a.stage)).toEqual(['call', 'dialogue']);
+  });
+
+  it('caps and records the active profile when the caller passes no profileName', async () => {
+    vi.stubEnv('TUTOR_PROFILE', 'mock');
+    setBudgets({ per_profile: { mock: { daily_usd: 0.1, on_breach: 'disable_superego' } } });
+
+    await engine.runDialogue(context, { learnerId: 'l-1' });
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-ego', 'mock-superego']);
+    expect(testDb.prepare('SELECT DISTINCT profile_name FROM budget_spend').all()).toEqual([{ profile_name: 'mock' }]);
+
+    spend(0.2, { profileName: 'mock' });
+    resetMockProvider();
+    await engine.runDialogue(context, { learnerId: 'l-1' });
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-ego']);
+    expect(budget.getAuditTrail({ profileName: 'mock' })).toEqual([expect.objectContaining({ stage: 'dialogue', action: 'disable_superego' })]);
+  });
+
+  it('applies learner caps to unified call() by userId', async () => {
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'downgrade' } });
+    enqueueMockResponses(['full price', 'cheap']);
+    const request = { provider: 'mock', model: 'mock-tutor', systemPrompt: 'sys', messages: [{ role: 'user', content: 'hi' }], userId: 'l-1' };
+
+    await call(request);
+    spend(0.2, { learnerId: 'l-1' });
+    const downgraded = await call(request);
+
+    expect(downgraded.content).toBe('cheap');
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-tutor', 'mock-learner']);
+    expect(budget.getSpendReport().calls).toBe(3);
+
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'refuse' } });
+    await expect(call(request)).rejects.toThrow(/Budget exceeded for learner 'l-1'/);
+  });
+
+  it('applies learner caps to callStream() and records streamed spend', async () => {
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'downgrade' } });
+    enqueueMockResponses({ text: 'streamed', inputTokens: 40, outputTokens: 8 });
+    spend(0.2, { learnerId: 'l-1' });
+    const request = { provider: 'mock', model: 'mock-tutor', systemPrompt: 'sys', messages: [{ role: 'user', content: 'hi' }], userId: 'l-1' };
+
+    const chunks = [];
+    for await (const chunk of callStream(request)) chunks.push(chunk);
+
+    expect(chunks.at(-1)).toMatchObject({ type: 'done', content: 'streamed', model: 'mock-learner' });
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-learner']);
+    expect(testDb.prepare("SELECT agent_role, model, input_tokens FROM budget_spend WHERE model = 'mock-learner'").all())
+      .toEqual([{ agent_role: 'direct', model: 'mock-learner', input_tokens: 40 }]);
+
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'refuse' } });
+    await expect(callStream(request).next()).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(getMockCalls()).toHaveLength(1);
+  });
+
+  it('applies learner caps to embed() without downgrading the embedding model', async () => {
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'downgrade' } });
+    spend(0.2, { learnerId: 'l-1' });
+    const request = { provider: 'mock', input: ['recognition comes next'], userId: 'l-1' };
+
+    expect(await embed(request)).toHaveLength(1);
+    expect(getMockCalls()).toEqual([expect.objectContaining({ model: 'mock-embedding', embedding: true })]);
+    expect(budget.getAuditTrail()).toEqual([]);
+    expect(testDb.prepare("SELECT learner_id, agent_role, model FROM budget_spend WHERE agent_role = 'embedding'").all())
+      .toEqual([{ learner_id: 'l-1', agent_role: 'embedding', model: 'mock-embedding' }]);
+
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'refuse' } });
+    await expect(embed(request)).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(getMockCalls()).toHaveLength(1);
+  });
+
+  it('keeps overlapping dialogues on their own learner caps', async () => {
+    setBudgets({ per_learner: { daily_usd: 0.1, on_breach: 'downgrade' } });
+    spend(0.2, { learnerId: 'over' });
+
+    await Promise.all([
+      engine.runDialogue(context, { profileName: 'mock', learnerId: 'over' }),
+      engine.runDialogue(context, { profileName: 'mock', learnerId: 'under' }),
+    ]);
+
+    expect(getMockCalls().map((c) => c.model).sort()).toEqual(['mock-ego', 'mock-learner', 'mock-learner', 'mock-superego']);
+    expect(testDb.prepare('SELECT learner_id, model FROM budget_spend WHERE agent_role IS NOT NULL ORDER BY learner_id, model').all())
+      .toEqual([
+        { learner_id: 'over', model: 'mock-learner' },
+        { learner_id: 'over', model: 'mock-learner' },
+        { learner_id: 'under', model: 'mock-ego' },
+        { learner_id: 'under', model: 'mock-superego' },
+      ]);
+  });
+});
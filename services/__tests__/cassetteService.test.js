@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { call, callStream, embed } = await import('../unifiedAIProviderService.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const {
+  computeRequestKey,
+  interceptCall,
+  startCassette,
+  stopCassette,
+  withCassette,
+  getCassetteStatus,
+} = await import('../cassetteService.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const mockAgent = {
+  provider: 'mock',
+  providerConfig: { isConfigured: true, base_url: 'mock://local' },
+  model: 'mock-tutor',
+  hyperparameters: { temperature: 0, max_tokens: 200 },
+};
+
+const context = {
+  learnerContext: 'New learner',
+  curriculumContext: 'Lectures:\n  1. **Intro** (479-lecture-1)',
+  simulationsContext: '',
+};
+
+let cassetteFile;
+let fileIndex = 0;
+
+describe('cassetteService', () => {
+  beforeEach(() => {
+    resetMockProvider();
+    cassetteFile = path.join(tmpDir, `cassette-${fileIndex++}.json`);
+  });
+
+  afterEach(() => {
+    stopCassette();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('keys requests by provider, model, prompt and hyperparameters', () => {
+    const base = { kind: 'engine', provider: 'mock', model: 'm', systemPrompt: 's', messages: [{ role: 'user', content: 'u' }] };
+    const a = computeRequestKey({ ...base, hyperparameters: { temperature: 0, top_p: undefined } });
+    const b = computeRequestKey({ ...base, hyperparameters: { temperature: 0 } });
+    const c = computeRequestKey({ ...base, hyperparameters: { temperature: 0.5 } });
+    const d = computeRequestKey({ ...base, model: 'other', hyperparameters: { temperature: 0 } });
+
+    expect(a.key).toBe(b.key);
+    expect(c.key).not.toBe(a.key);
+    expect(d.key).not.toBe(a.key);
+    expect(d.promptHash).toBe(a.promptHash);
+  });
+
+  it('records a dialogue and replays it strictly without provider calls', async () => {
+    const { result: recorded, cassette } = await withCassette(cassetteFile, { mode: 'record' }, () =>
+      engine.runDialogue(context, { profileName: 'mock', isNewUser: true }),
+    );
+    expect(cassette.recorded).toBe(2);
+
+    const saved = JSON.parse(fs.readFileSync(cassetteFile, 'utf-8'));
+    expect(saved.interactions.map((i) => i.model)).toEqual(['mock-ego', 'mock-superego']);
+    expect(saved.interactions[0].request.messages[0].role).toBe('system');
+
+    resetMockProvider();
+    const { result: replayed, cassette: replayStatus } = await withCassette(cassetteFile, { mode: 'replay', strict: true }, () =>
+      engine.runDialogue(context, { profileName: 'mock', isNewUser: true }),
+    );
+
+    expect(getMockCalls()).toHaveLength(0);
+    expect(replayStatus).toMatchObject({ replayed: 2, unmatched: [] });
+    expect(replayed.suggestions).toEqual(recorded.suggestions);
+  });
+
+  it('replays identical requests in recording order', async () => {
+    enqueueMockResponses(['first', 'second']);
+    startCassette(cassetteFile, { mode: 'record' });
+    await engine.callAI(mockAgent, 'sys', 'same', 'ego');
+    await engine.callAI(mockAgent, 'sys', 'same', 'ego');
+    stopCassette();
+
+    startCassette(cassetteFile, { mode: 'replay', strict: true });
+    expect((await engine.callAI(mockAgent, 'sys', 'same', 'ego')).text).toBe('first');
+    expect((await engine.callAI(mockAgent, 'sys', 'same', 'ego')).text).toBe('second');
+    await expect(engine.callAI(mockAgent, 'sys', 'same', 'ego')).rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+  });
+
+  it('goes live on unmatched requests when not strict and reports them', async () => {
+    startCassette(cassetteFile, { mode: 'record' });
+    await engine.callAI(mockAgent, 'sys', 'recorded', 'ego');
+    stopCassette();
+
+    resetMockProvider();
+    enqueueMockResponses('live answer');
+    startCassette(cassetteFile, { mode: 'replay' });
+    const result = await engine.callAI(mockAgent, 'sys', 'changed prompt', 'ego');
+
+    expect(result.text).toBe('live answer');
+    expect(getCassetteStatus().unmatched).toEqual([
+      expect.objectContaining({ kind: 'engine', provider: 'mock', model: 'mock-tutor' }),
+    ]);
+  });
+
+  it('records and replays provider errors', async () => {
+    enqueueMockResponses({ error: 'overloaded', status: 503 });
+    startCassette(cassetteFile, { mode: 'record' });
+    await expect(engine.callAI(mockAgent, 'sys', 'user', 'ego')).rejects.toThrow('overloaded');
+    stopCassette();
+
+    startCassette(cassetteFile, { mode: 'replay', strict: true });
+    await expect(engine.callAI(mockAgent, 'sys', 'user', 'ego')).rejects.toThrow('Mock provider error: 503 - overloaded');
+  });
+
+  it('replays streamed tokens through onToken', async () => {
+    enqueueMockResponses({ chunks: ['to', 'ken', 's'] });
+    startCassette(cassetteFile, { mode: 'record' });
+    await engine.callAI(mockAgent, 'sys', 'user', 'ego', { onToken: () => {} });
+    stopCassette();
+
+    const tokens = [];
+    startCassette(cassetteFile, { mode: 'replay', strict: true });
+    const result = await engine.callAI(mockAgent, 'sys', 'user', 'ego', { onToken: (t) => tokens.push(t) });
+    expect(tokens).toEqual(['to', 'ken', 's']);
+    expect(result.text).toBe('tokens');
+  });
+
+  it('wraps unified call() and callStream()', async () => {
+    const request = { provider: 'mock', systemPrompt: 'sys', messages: [{ role: 'user', content: 'hi' }] };
+    enqueueMockResponses(['called', { chunks: ['str', 'eam'] }]);
+
+    startCassette(cassetteFile, { mode: 'record' });
+    await call(request);
+    for await (const chunk of callStream(request)) void chunk;
+    stopCassette();
+
+    resetMockProvider();
+    startCassette(cassetteFile, { mode: 'replay', strict: true });
+    expect((await call(request)).content).toBe('called');
+    const chunks = [];
+    for await (const chunk of callStream(request)) chunks.push(chunk);
+    expect(chunks.at(-1)).toMatchObject({ type: 'done', content: 'stream' });
+    expect(getMockCalls()).toHaveLength(0);
+  });
+
+  it('records and replays embed()', async () => {
+    const request = { provider: 'mock', input: ['recognition comes next', 'we turn to recognition'] };
+
+    startCassette(cassetteFile, { mode: 'record' });
+    const recorded = await embed(request);
+    stopCassette();
+
+    resetMockProvider();
+    startCassette(cassetteFile, { mode: 'replay', strict: true });
+    expect(await embed(request)).toEqual(recorded);
+    expect(getMockCalls()).toHaveLength(0);
+    await expect(embed({ ...request, input: ['something else'] })).rejects.toThrow();
+  });
+
+  it('returns the live outcome of a call whose cassette stopped while it was in flight', async () => {
+    const request = { kind: 'unified', provider: 'mock', model: 'mock-tutor', systemPrompt: 'sys', messages: [] };
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+
+    startCassette(cassetteFile, { mode: 'record' });
+    const pending = interceptCall(request, async () => {
+      await gate;
+      return { content: 'late' };
+    });
+    const failing = interceptCall(request, async () => {
+      await gate;
+      throw new Error('provider down');
+    });
+    stopCassette();
+    release();
+
+    expect(await pending).toEqual({ content: 'late' });
+    await expect(failing).rejects.toThrow('provider down');
+    expect(fs.existsSync(cassetteFile)).toBe(false);
+  });
+
+  it('records an abandoned stream as incomplete and does not replay it as finished', async () => {
+    const request = { provider: 'mock', systemPrompt: 'sys', messages: [{ role: 'user', content: 'hi' }] };
+    enqueueMockResponses({ chunks: ['str', 'eam'] });
+
+    startCassette(cassetteFile, { mode: 'record' });
+    for await (const chunk of callStream(request)) {
+      void chunk;
+      break;
+    }
+    stopCassette();
+
+    const [interaction] = JSON.parse(fs.readFileSync(cassetteFile, 'utf-8')).interactions;
+    expect(interaction).toMatchObject({ kind: 'stream', incomplete: true });
+    expect(interaction.response).toHaveLength(1);
+    expect(interaction).not.toHaveProperty('error');
+
+    startCassette(cassetteFile, { mode: 'replay', strict: true });
+    const chunks = [];
+    await expect((async () => {
+      for await (const chunk of callStream(request)) chunks.push(chunk);
+    })()).rejects.toMatchObject({ code: 'CASSETTE_INCOMPLETE' });
+    expect(chunks).toHaveLength(1);
+  });
+
+  it('rejects unknown modes and missing replay cassettes', () => {
+    expect(() => startCassette(cassetteFile, { mode: 'rewind' })).toThrow('Unknown cassette mode');
+    expect(() => startCassette(path.join(tmpDir, 'missing.json'))).toThrow('Cassette not found');
+  });
+});
@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const configLoader = await import('../tutorConfigLoader.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider, setMockHandler } = await import('../mockProviderService.js');
+const { getModelPricing } = await import('../pricingConfig.js');
+
+engine.setQuietMode(true);
+
+const CONFIG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config');
+const MOCK_SUPEREGO = 'provider: mock\n      model: superego\n';
+
+let configDir;
+
+function editConfigFile(name, from, to) {
+  const file = path.join(configDir, name);
+  const text = fs.readFileSync(file, 'utf8');
+  expect(text).toContain(from);
+  fs.writeFileSync(file, text.replace(from, to), 'utf8');
+}
+
+const editTutorAgents = (from, to) => editConfigFile('tutor-agents.yaml', from, to);
+
+const suggestion = {
+  type: 'lecture',
+  priority: 'high',
+  title: 'Revisit the dialectic',
+  message: 'Pick up where you left off.',
+  actionType: 'none',
+  reasoning: 'Unfinished last session',
+};
+
+describe('config hot reload', () => {
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-reload-'));
+    for (const file of ['tutor-agents.yaml', 'providers.yaml']) {
+      fs.copyFileSync(path.join(CONFIG_DIR, file), path.join(configDir, file));
+    }
+    vi.stubEnv('MACHINESPIRITS_CONFIG_DIR', configDir);
+    configLoader.loadConfig(true);
+    resetMockProvider();
+  });
+
+  afterEach(() => {
+    configLoader.unwatchConfig();
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    fs.rmSync(configDir, { recursive: true, force: true });
+    configLoader.loadConfig(true);
+  });
+
+  it('swaps in a valid edit, notifies subscribers and rejects an invalid one', () => {
+    const events = [];
+    const unsubscribe = configLoader.onConfigReload((event) => events.push(event));
+    const version = configLoader.getConfigVersion();
+
+    editTutorAgents(MOCK_SUPEREGO, 'provider: mock\n      model: judge\n');
+    expect(configLoader.reloadConfig()).toMatchObject({ reloaded: true, version: version + 1, changedProfiles: ['mock'], errors: [] });
+    expect(events).toEqual([{ version: version + 1, changedProfiles: ['mock'], changedSections: [] }]);
+    expect(configLoader.getActiveProfile('mock').superego.model).toBe('judge');
+
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    editTutorAgents('provider: mock\n      model: judge\n', 'provider: mock\n      modle: judge\n');
+    const rejected = configLoader.reloadConfig();
+    expect(rejected).toMatchObject({ reloaded: false, version: version + 1 });
+    expect(rejected.errors).toContainEqual(expect.objectContaining({ code: 'UNKNOWN_KEY', path: 'profiles.mock.superego.modle' }));
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Config reload rejected'));
+    expect(events).toHaveLength(1);
+
+    unsubscribe();
+    editTutorAgents('provider: mock\n      modle: judge\n', MOCK_SUPEREGO);
+    expect(configLoader.reloadConfig().reloaded).toBe(true);
+    expect(events).toHaveLength(1);
+  });
+
+  it('keeps an in-flight dialogue on the configuration it started with', async () => {
+    let swapped = false;
+    setMockHandler(({ model }) => {
+      if (model === 'mock-ego' && !swapped) {
+        swapped = true;
+        editTutorAgents(MOCK_SUPEREGO, 'provider: mock\n      model: judge\n');
+        expect(configLoader.reloadConfig().reloaded).toBe(true);
+      }
+      return undefined;
+    });
+    enqueueMockResponses([
+      { json: [suggestion], match: { model: 'mock-ego' }, times: 2 },
+      { json: { approved: true, interventionType: 'none', feedback: 'Fine' }, match: { model: 'mock-superego' } },
+      { json: { approved: true, interventionType: 'none', feedback: 'Fine' }, match: { model: 'mock-judge' } },
+    ]);
+    const context = { learnerContext: 'Sessions: 3 sessions', curriculumContext: '', simulationsContext: '' };
+
+    await engine.runDialogue(context, { profileName: 'mock' });
+    expect(configLoader.getActiveProfile('mock').superego.model).toBe('judge');
+    await engine.runDialogue(context, { profileName: 'mock' });
+
+    expect(getMockCalls().map((call) => call.model)).toEqual(['mock-ego', 'mock-superego', 'mock-ego', 'mock-judge']);
+  });
+
+  it('pins nested and async work to one snapshot', async () => {
+    const seen = await configLoader.withConfigSnapshot(async () => {
+      const before = configLoader.getActiveProfile('mock').description;
+      editTutorAgents('Scripted mock provider', 'Edited mock provider');
+      configLoader.reloadConfig();
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return [before, configLoader.withConfigSnapshot(() => configLoader.getActiveProfile('mock').description)];
+    });
+
+    expect(seen[1]).toBe(seen[0]);
+    expect(configLoader.getActiveProfile('mock').description).toMatch(/^Edited mock provider/);
+  });
+
+  it('serves the document it validated, even if the file changes mid-reload', () => {
+    configLoader.watchConfig({ debounceMs: 60_000 });
+    const readFileSync = fs.readFileSync;
+    const file = path.join(configDir, 'tutor-agents.yaml');
+    editTutorAgents('Scripted mock provider', 'Validated mock provider');
+    vi.spyOn(fs, 'readFileSync').mockImplementation((target, ...args) => {
+      const text = readFileSync(target, ...args);
+      // Break the file right after the first read
+      if (target === file) fs.writeFileSync(file, text.replace('active_profile: budget', 'active_profile: no_such_profile'), 'utf8');
+      return text;
+    });
+
+    expect(configLoader.reloadConfig().reloaded).toBe(true);
+    vi.mocked(fs.readFileSync).mockRestore();
+    expect(configLoader.loadConfig().active_profile).toBe('budget');
+    expect(configLoader.getActiveProfile('mock').description).toMatch(/^Validated mock provider/);
+  });
+
+  it('prices pinned work from its snapshot and reloads prices only once validated', async () => {
+    configLoader.watchConfig({ debounceMs: 60_000 });
+    const pinned = await configLoader.withConfigSnapshot(async () => {
+      editConfigFile('providers.yaml', 'haiku: { input: 0.80, output: 4.00, cached_input: 0.08, tier: budget }', 'haiku: { input: 1.00, output: 5.00, tier: budget }');
+      configLoader.reloadConfig();
+      return getModelPricing('anthropic.haiku');
+    });
+    expect(pinned.input).toBe(0.8);
+    expect(getModelPricing('anthropic.haiku').input).toBe(1);
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    editConfigFile('providers.yaml', 'haiku: { input: 1.00, output: 5.00, tier: budget }', 'haiku: { input: 2.00, output: 5.00, tier: pricey }');
+    expect(configLoader.reloadConfig().reloaded).toBe(false);
+    expect(getModelPricing('anthropic.haiku').input).toBe(1);
+  });
+
+  it('reloads on file changes while watching and serves only validated configuration', async () => {
+    const reloaded = new Promise((resolve) => configLoader.onConfigReload(resolve));
+    configLoader.watchConfig({ debounceMs: 20 });
+
+    editTutorAgents('Scripted mock provider', 'Watched mock provider');
+    const event = await Promise.race([
+      reloaded,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('no reload within 3s')), 3000)),
+    ]);
+    expect(event.changedProfiles).toEqual(['mock']);
+    expect(configLoader.getActiveProfile('mock').description).toMatch(/^Watched mock provider/);
+
+    // An invalid edit is never served, even before the watcher's reload runs
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    editTutorAgents('active_profile: budget', 'active_profile: no_such_profile');
+    expect(configLoader.loadConfig().active_profile).toBe('budget');
+    expect(configLoader.loadConfig(true).active_profile).toBe('budget');
+  });
+});
@@ -0,0 +1,151 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { validateConfig, assertValidConfig, formatConfigErrors } from '../configValidator.js';
+
+const PROVIDERS = `providers:
+  openrouter:
+    api_key_env: OPENROUTER_API_KEY
+    base_url: https://openrouter.ai/api/v1/chat/completions
+    models:
+      nemotron: nvidia/nemotron-3-nano-30b-a3b
+      sonnet: anthropic/claude-sonnet-4.6
+`;
+
+const TUTOR_AGENTS = `active_profile: budget
+
+superego_strategies:
+  direct_critique:
+    name: "Direct Critique"
+    prompt_modifier: null
+
+fragments:
+  cheap_ego:
+    ego:
+      provider: openrouter
+      model: nemotron
+      prompt_file: tutor-ego.md
+
+profiles:
+  budget:
+    extends: cheap_ego
+    dialogue:
+      enabled: false
+      max_rounds: 0
+    superego: null
+
+learner_settings:
+  feedback_styles:
+    direct:
+      superego_strategy: direct_critique
+`;
+
+const tempDirs = [];
+
+function writeConfig(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-validator-'));
+  tempDirs.push(dir);
+  for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text, 'utf8');
+  return dir;
+}
+
+const summary = ({ errors }) => errors.map(({ file, line, column, path: at, code }) => ({ file: path.basename(file), line, column, path: at, code }));
+
+describe('configValidator', () => {
+  afterEach(() => {
+    for (const dir of tempDirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('passes the shipped configuration', () => {
+    const result = validateConfig({ clientConfigDir: null });
+    expect(formatConfigErrors(result.errors)).toBe('');
+    expect(result.valid).toBe(true);
+    expect(result.files.map((file) => path.basename(file))).toEqual(['providers.yaml', 'tutor-agents.yaml']);
+    expect(result.config).toMatchObject({ active_profile: 'budget', providers: { mock: expect.any(Object) } });
+  });
+
+  it('reports schema and reference errors at their file positions', () => {
+    const configDir = writeConfig({
+      'providers.yaml': PROVIDERS,
+      'tutor-agents.yaml': TUTOR_AGENTS
+        .replace('active_profile: budget', 'active_profile: budgte')
+        .replace('model: nemotron', 'model: nemotorn')
+        .replace('superego: null', 'superego:\n      provider: anthropc\n      modle: sonnet\n      prompt_file: tutor-superego-missing.md')
+        .replace('superego_strategy: direct_critique', 'superego_strategy: direct_critiqe'),
+    });
+
+    const result = validateConfig({ configDir, clientConfigDir: null });
+    expect(result.valid).toBe(false);
+    expect(summary(result)).toEqual([
+      { file: 'tutor-agents.yaml', line: 23, column: 7, path: 'profiles.budget.superego.modle', code: 'UNKNOWN_KEY' },
+      { file: 'tutor-agents.yaml', line: 12, column: 7, path: 'fragments.cheap_ego.ego.model', code: 'UNKNOWN_MODEL_ALIAS' },
+      { file: 'tutor-agents.yaml', line: 21, column: 5, path: 'profiles.budget.superego', code: 'MISSING_KEY' },
+      { file: 'tutor-agents.yaml', line: 22, column: 7, path: 'profiles.budget.superego.provider', code: 'UNKNOWN_PROVIDER' },
+      { file: 'tutor-agents.yaml', line: 24, column: 7, path: 'profiles.budget.superego.prompt_file', code: 'PROMPT_FILE_NOT_FOUND' },
+      { file: 'tutor-agents.yaml', line: 1, column: 1, path: 'active_profile', code: 'UNKNOWN_PROFILE' },
+      { file: 'tutor-agents.yaml', line: 29, column: 7, path: 'learner_settings.feedback_styles.direct.superego_strategy', code: 'UNKNOWN_SUPEREGO_STRATEGY' },
+    ]);
+    expect(result.errors.map((e) => e.message)).toEqual([
+      'Unknown key "modle" (did you mean "model"?)',
+      'Provider "openrouter" has no model alias "nemotorn" (did you mean "nemotron"?)',
+      'Profile "budget" superego has no model',
+      'Unknown provider "anthropc"',
+      'Prompt file "tutor-superego-missing.md" not found',
+      'Unknown profile "budgte" (did you mean "budget"?)',
+      'Unknown superego strategy "direct_critiqe" (did you mean "direct_critique"?)',
+    ]);
+    expect(formatConfigErrors(result.errors)).toContain('tutor-agents.yaml:23:7 UNKNOWN_KEY Unknown key "modle" (did you mean "model"?)');
+  });
+
+  it('reports a broken extends chain on the profile that has it', () => {
+    const configDir = writeConfig({
+      'providers.yaml': PROVIDERS,
+      'tutor-agents.yaml': TUTOR_AGENTS.replace('extends: cheap_ego', 'extends: [cheap_ego, no_such_fragment]'),
+    });
+
+    expect(validateConfig({ configDir, clientConfigDir: null }).errors).toEqual([
+      expect.objectContaining({
+        line: 17,
+        path: 'profiles.budget.extends',
+        code: 'UNKNOWN_PROFILE_BASE',
+        message: '"budget" extends unknown profile or fragment "no_such_fragment"',
+      }),
+    ]);
+  });
+
+  it('checks the client providers overlay and resolves aliases it adds', () => {
+    const configDir = writeConfig({
+      'providers.yaml': PROVIDERS,
+      'tutor-agents.yaml': TUTOR_AGENTS.replace('model: nemotron', 'model: glm5'),
+    });
+    const clientConfigDir = writeConfig({
+      'providers.yaml': 'providers:\n  openrouter:\n    models:\n      glm5: z-ai/glm-5\n    pricing:\n      glm5: { input: 0.3, tier: cheap }\n',
+    });
+
+    const result = validateConfig({ configDir, clientConfigDir });
+    expect(result.files.map((file) => path.relative(os.tmpdir(), file).split(path.sep)[1])).toEqual(['providers.yaml', 'providers.yaml', 'tutor-agents.yaml']);
+    expect(summary(result)).toEqual([
+      { file: 'providers.yaml', line: 6, column: 7, path: 'providers.openrouter.pricing.glm5', code: 'MISSING_KEY' },
+      { file: 'providers.yaml', line: 6, column: 27, path: 'providers.openrouter.pricing.glm5.tier', code: 'INVALID_VALUE' },
+    ]);
+    expect(result.errors[0].message).toBe('Missing required key "output"');
+    expect(result.errors.every((e) => e.file === path.join(clientConfigDir, 'providers.yaml'))).toBe(true);
+  });
+
+  it('reports YAML syntax errors and throws CONFIG_INVALID from assertValidConfig', () => {
+    const configDir = writeConfig({
+      'providers.yaml': PROVIDERS,
+      'tutor-agents.yaml': TUTOR_AGENTS.replace('max_rounds: 0', 'max_rounds: [0'),
+    });
+
+    expect(validateConfig({ configDir, clientConfigDir: null }).config).toBeNull();
+    expect(summary(validateConfig({ configDir, clientConfigDir: null }))).toEqual([
+      expect.objectContaining({ file: 'tutor-agents.yaml', code: 'YAML_PARSE_ERROR', line: expect.any(Number) }),
+    ]);
+    expect(() => assertValidConfig({ configDir, clientConfigDir: null })).toThrow(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      errors: [expect.objectContaining({ code: 'YAML_PARSE_ERROR' })],
+    }));
+  });
+});
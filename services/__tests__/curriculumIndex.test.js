@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const {
+  parseCurriculumIndex,
+  buildCurriculumIndex,
+  findNearestTarget,
+  verifySuggestionTargets,
+  rejectForUnknownTargets,
+  repairSuggestionTargets,
+} = await import('../curriculumIndex.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'curriculum-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const curriculumContext = `### EPOL 479: Machine Spirits (479)
+Lectures:
+  1. **Welcome to Machine Learning** (479-lecture-1)
+  2. **Technology and Pedagogy** (479-lecture-2)
+
+### EPOL 480: Digital Humanities (480)
+Lectures:
+  1. **Introduction to Digital Humanities** (480-lecture-1)`;
+
+const simulationsContext = `- recognition: Recognition Dynamics (concepts: recognition, self-consciousness)
+- dialectic: Dialectical Movement (concepts: dialectic, contradiction)`;
+
+const suggestion = (actionTarget, extra = {}) => ({
+  type: 'lecture',
+  priority: 'high',
+  title: 'Keep going',
+  message: 'Pick up where you left off.',
+  actionType: 'navigate',
+  actionTarget,
+  reasoning: 'Recent activity',
+  ...extra,
+});
+
+const index = parseCurriculumIndex(curriculumContext, simulationsContext);
+
+describe('curriculumIndex', () => {
+  beforeEach(() => {
+    resetMockProvider();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('parses lectures and simulations from the context strings', () => {
+    expect([...index.lectures.keys()]).toEqual(['479-lecture-1', '479-lecture-2', '480-lecture-1']);
+    expect(index.lectures.get('480-lecture-1')).toEqual({
+      id: '480-lecture-1',
+      title: 'Introduction to Digital Humanities',
+      courseId: '480',
+      courseTitle: 'EPOL 480: Digital Humanities',
+    });
+    expect(index.simulations.get('dialectic')).toEqual({ id: 'dialectic', title: 'Dialectical Movement' });
+
+    const structured = buildCurriculumIndex({
+      courses: [{ id: '479', title: 'Machine Spirits', lectures: [{ id: '479-lecture-1', title: 'Welcome' }] }],
+      simulations: [{ id: 'recognition' }],
+    });
+    expect(structured.lectures.get('479-lecture-1')).toMatchObject({ courseId: '479', courseTitle: 'Machine Spirits' });
+    expect(structured.simulations.has('recognition')).toBe(true);
+  });
+
+  it('flags unknown lecture and simulation targets and skips routes', () => {
+    const verification = verifySuggestionTargets(
+      [
+        suggestion('479-lecture-2'),
+        suggestion('479-lectur-2'),
+        suggestion('alienation', { type: 'simulation', actionType: 'open_modal' }),
+        suggestion('research-lab?tab=journal', { type: 'reflection' }),
+        suggestion(undefined, { actionType: 'none' }),
+      ],
+      index,
+    );
+
+    expect(verification.valid).toBe(false);
+    expect(verification.checked).toBe(3);
+    expect(verification.issues).toEqual([
+      { index: 1, actionTarget: '479-lectur-2', kind: 'lecture', nearest: expect.objectContaining({ id: '479-lecture-2', distance: 1 }) },
+      { index: 2, actionTarget: 'alienation', kind: 'simulation', nearest: null },
+    ]);
+
+    // Nothing to check against
+    expect(verifySuggestionTargets([suggestion('101-lecture-1')], parseCurriculumIndex('', ''))).toEqual({ valid: true, checked: 0, issues: [] });
+  });
+
+  it('prefers a quoted lecture title and refuses ambiguous edit-distance matches', () => {
+    const byTitle = findNearestTarget('ml-intro', index.lectures, {
+      suggestion: suggestion('ml-intro', { message: 'Start with Welcome to Machine Learning.' }),
+    });
+    expect(byTitle).toMatchObject({ id: '479-lecture-1', method: 'title' });
+
+    // 479-lecture-3 is one edit from both 479-lecture-1 and 479-lecture-2
+    expect(findNearestTarget('479-lecture-3', index.lectures)).toBeNull();
+    expect(findNearestTarget('101-lecture-9', index.lectures)).toBeNull();
+  });
+
+  it('turns unknown targets into a hard superego rejection', () => {
+    const verification = verifySuggestionTargets([suggestion('479-lectur-2')], index);
+    const verdict = rejectForUnknownTargets({ approved: true, interventionType: 'none', feedback: 'Looks good.' }, verification);
+
+    expect(verdict).toMatchObject({ approved: false, interventionType: 'revise', targetRejection: true });
+    expect(verdict.feedback).toMatch(/^Unknown actionTarget\(s\):\n- Suggestion 1: actionTarget "479-lectur-2" is not a lecture/);
+    expect(verdict.feedback).toContain('Looks good.');
+    expect(verdict.suggestedChanges.revisions[0]).toContain('with "479-lecture-2"');
+
+    const approved = { approved: true, feedback: 'ok' };
+    expect(rejectForUnknownTargets(approved, verifySuggestionTargets([suggestion('479-lecture-1')], index))).toBe(approved);
+  });
+
+  it('repairs targets to their nearest match and strips unresolved ones', () => {
+    const suggestions = [suggestion('479-lectur-2'), suggestion('101-lecture-9')];
+    const { suggestions: repaired, repairs, stripped } = repairSuggestionTargets(suggestions, verifySuggestionTargets(suggestions, index));
+
+    expect(repaired[0].actionTarget).toBe('479-lecture-2');
+    expect(repaired[1]).toMatchObject({ actionType: 'none' });
+    expect(repaired[1]).not.toHaveProperty('actionTarget');
+    expect(repairs).toEqual([{ index: 0, from: '479-lectur-2', to: '479-lecture-2', method: 'edit_distance', distance: 1 }]);
+    expect(stripped).toEqual([{ index: 1, from: '101-lecture-9' }]);
+    expect(suggestions[1].actionTarget).toBe('101-lecture-9');
+  });
+
+  it('rejects hallucinated targets in the dialogue and repairs the final output', async () => {
+    enqueueMockResponses({ json: [suggestion('479-lectur-2')], match: { model: 'mock-ego' }, times: 2 });
+
+    const result = await engine.runDialogue(
+      { learnerContext: 'Returning learner', curriculumContext, simulationsContext },
+      { profileName: 'mock', trace: true },
+    );
+
+    const superegoCall = getMockCalls().find((c) => c.model === 'mock-superego');
+    const superegoPrompt = superegoCall.messages.filter((m) => m.role === 'user').at(-1).content;
+    expect(superegoPrompt).toContain('## Curriculum Verification (automatic)');
+    expect(superegoPrompt).toContain('actionTarget "479-lectur-2" is not a lecture in the curriculum (nearest: 479-lecture-2');
+
+    const review = result.dialogueTrace.find((e) => e.agent === 'superego' && e.action === 'review');
+    expect(review.approved).toBe(false);
+
+    expect(result.suggestions[0].actionTarget).toBe('479-lecture-2');
+    expect(result.targetVerification.repairs).toEqual([expect.objectContaining({ from: '479-lectur-2', to: '479-lecture-2' })]);
+    const entry = result.dialogueTrace.find((e) => e.action === 'verify_targets');
+    expect(entry).toMatchObject({ agent: 'system', output: { checked: 1, stripped: [] } });
+  });
+
+  it('leaves verified targets alone', async () => {
+    const result = await engine.runDialogue(
+      { learnerContext: 'New learner', curriculumContext, simulationsContext },
+      { profileName: 'mock', isNewUser: true, trace: true },
+    );
+
+    expect(result.finalReview.approved).toBe(true);
+    expect(result.suggestions[0].actionTarget).toBe('479-lecture-1');
+    expect(result.targetVerification).toEqual({ checked: 1, issues: [], repairs: [], stripped: [] });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+vi.mock('../tutorApiService.js', () => ({
+  buildContext: vi.fn((learnerContext) => ({ learnerContext, curriculumContext: 'curriculum', simulationsContext: 'sims' })),
+  generateSuggestions: vi.fn(),
+}));
+
+const tutorApiService = await import('../tutorApiService.js');
+const {
+  buildRunPlan,
+  runEvaluation,
+  getBatchRuns,
+  getBatchComparison,
+  listBatches,
+  compareRuns,
+  formatComparisonTable,
+  getScenario,
+} = await import('../evaluationRunner.js');
+
+/** Fake generateSuggestions: profile "fast" converges in 1 round, everything else never converges */
+function fakeGenerate(context, config) {
+  const converged = config.profileName === 'fast';
+  return Promise.resolve({
+    success: true,
+    suggestions: [{ type: 'lecture', actionTarget: '479-lecture-1' }],
+    metadata: {
+      dialogueId: `dialogue-${config.profileName}-${Math.random().toString(36).slice(2, 6)}`,
+      converged,
+      dialogueRounds: converged ? 1 : 3,
+      inputTokens: 100,
+      outputTokens: 50,
+      apiCalls: converged ? 2 : 6,
+      totalCost: converged ? 0.001 : 0.003,
+      latencyMs: 10,
+    },
+  });
+}
+
+describe('evaluationRunner', () => {
+  beforeEach(() => {
+    testDb = applyMigrationFile(createTestDb(), '009_evaluation_runs.sql');
+    vi.clearAllMocks();
+    tutorApiService.generateSuggestions.mockImplementation(fakeGenerate);
+  });
+
+  describe('scenarios and plans', () => {
+    it('defines every scenario referenced by the evaluation block', () => {
+      for (const mode of ['comparison', 'recognition_comparison', 'factorial_2x2']) {
+        const plan = buildRunPlan(mode);
+        for (const cell of plan.cells) {
+          expect(getScenario(cell.scenarioName), `${mode}: ${cell.scenarioName}`).not.toBeNull();
+        }
+      }
+    });
+
+    it('builds factorial cells with factor labels', () => {
+      const plan = buildRunPlan('factorial_2x2', { scenarios: ['resistant_learner'] });
+      expect(plan.samples).toBe(5);
+      expect(plan.cells).toContainEqual({
+        profileName: 'single_recognition',
+        scenarioName: 'resistant_learner',
+        factors: { architecture: 'single_agent', recognition: true },
+      });
+    });
+
+    it('uses the default scenario for plain comparisons', () => {
+      const plan = buildRunPlan('comparison', { profiles: ['budget'], samples: 2 });
+      expect(plan.cells).toEqual([{ profileName: 'budget', scenarioName: 'default_session', factors: null }]);
+      expect(plan.samples).toBe(2);
+    });
+
+    it('rejects unknown modes', () => {
+      expect(() => buildRunPlan('bogus')).toThrow(/Unknown evaluation mode/);
+    });
+  });
+
+  describe('runEvaluation', () => {
+    it('runs profiles × scenarios × samples and persists each run with its dialogueId', async () => {
+      const onRun = vi.fn();
+      const result = await runEvaluation({
+        mode: 'recognition_comparison',
+        profiles: ['fast', 'slow'],
+        scenarios: ['resistant_learner', 'recognition_repair'],
+        samples: 2,
+        onRun,
+      });
+
+      expect(tutorApiService.generateSuggestions).toHaveBeenCalledTimes(8);
+      expect(onRun).toHaveBeenCalledTimes(8);
+
+      const [context, config] = tutorApiService.generateSuggestions.mock.calls[0];
+      expect(context.learnerContext).toContain('Algorithms are just math');
+      expect(config.profileName).toBe('fast');
+
+      const stored = getBatchRuns(result.batchId);
+      expect(stored).toHaveLength(8);
+      expect(stored.every((r) => r.dialogueId?.startsWith('dialogue-'))).toBe(true);
+      expect(listBatches()[0]).toMatchObject({ batchId: result.batchId, runCount: 8 });
+    });
+
+    it('records failed generations without aborting the batch', async () => {
+      tutorApiService.generateSuggestions
+        .mockResolvedValueOnce({ success: false, error: 'boom', suggestions: [], metadata: { latencyMs: 5 } })
+        .mockImplementation(fakeGenerate);
+
+      const result = await runEvaluation({ profiles: ['fast'], samples: 2 });
+      const [row] = getBatchComparison(result.batchId);
+
+      expect(row.samples).toBe(2);
+      expect(row.errors).toBe(1);
+      expect(row.convergence_rate).toBe(1);
+    });
+
+    it('fails fast on undefined scenarios', async () => {
+      await expect(runEvaluation({ profiles: ['fast'], scenarios: ['nope'] })).rejects.toThrow(/nope/);
+      expect(tutorApiService.generateSuggestions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('comparison table', () => {
+    it('aggregates convergence, rounds, tokens and cost per cell', async () => {
+      const result = await runEvaluation({ profiles: ['fast', 'slow'], samples: 3 });
+      const fast = result.comparison.find((r) => r.profileName === 'fast');
+      const slow = result.comparison.find((r) => r.profileName === 'slow');
+
+      expect(fast).toMatchObject({ convergence_rate: 1, rounds_to_convergence: 1, token_usage: 150 });
+      expect(fast.cost).toBeCloseTo(0.001);
+      expect(slow).toMatchObject({ convergence_rate: 0, rounds_to_convergence: null });
+      expect(slow.total_cost).toBeCloseTo(0.009);
+      expect(fast.dialogueIds).toHaveLength(3);
+    });
+
+    it('formats rows as an aligned text table', () => {
+      const rows = compareRuns([
+        { profileName: 'fast', scenarioName: 'default_session', success: true, converged: true, rounds: 1, inputTokens: 10, outputTokens: 5, totalCost: 0.5 },
+      ]);
+      const table = formatComparisonTable(rows).split('\n');
+      expect(table[0]).toMatch(/^profile\s+scenario\s+n\s+err\s+conv_rate\s+rounds\s+tokens\s+cost$/);
+      expect(table[2]).toContain('100%');
+      expect(table[2]).toContain('$0.5000');
+    });
+  });
+});
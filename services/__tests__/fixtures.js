@@ -1,5 +1,8 @@
 import { createRequire } from 'module';
 import { randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
 
 // Use createRequire to bypass vitest module mocking and get the real better-sqlite3
 const require = createRequire(import.meta.url);
@@ -80,6 +83,18 @@ export function createTestDb() {
   return db;
 }
 
+/**
+ * Apply a SQL file from migrations/ to a test database.
+ * @param {Database} db
+ * @param {string} fileName - e.g. '009_evaluation_runs.sql'
+ * @returns {Database} The same database, for chaining
+ */
+export function applyMigrationFile(db, fileName) {
+  const migrationsDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'migrations');
+  db.exec(readFileSync(path.join(migrationsDir, fileName), 'utf-8'));
+  return db;
+}
+
 /**
  * Seed a writing_pads row.
  * @param {Database} db
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+vi.mock('../tutorDialogueEngine.js', () => ({
+  callAI: vi.fn(),
+}));
+
+vi.mock('../dialogueLogService.js', () => ({
+  getDialogueById: vi.fn(),
+}));
+
+const { callAI } = await import('../tutorDialogueEngine.js');
+const { getDialogueById } = await import('../dialogueLogService.js');
+const { saveRun } = await import('../evaluationRunner.js');
+const {
+  normalizeDialogue,
+  renderJudgePrompt,
+  computeRecognitionMetrics,
+  judgeDialogue,
+  judgeDialogueById,
+  judgeEvaluationBatch,
+  getJudgmentsForDialogue,
+  compareProfiles,
+} = await import('../judgeService.js');
+
+const stubJudge = {
+  provider: 'openrouter',
+  providerConfig: { isConfigured: true, apiKey: 'k', base_url: 'https://stub.test' },
+  model: 'stub/judge',
+};
+
+function scores({ mutual = 4, dialectical = 3, memory = null, transformative = 5 } = {}) {
+  return {
+    scores: {
+      mutual_recognition: { score: mutual, reasoning: 'builds on learner metaphor' },
+      dialectical_responsiveness: { score: dialectical, reasoning: 'some tension' },
+      memory_integration: { score: memory, reasoning: 'new learner' },
+      transformative_potential: { score: transformative, reasoning: 'invites discovery' },
+    },
+    overall_reasoning: 'solid',
+  };
+}
+
+function judgeReply(body) {
+  return { text: '```json\n' + JSON.stringify(body) + '\n```', inputTokens: 10, outputTokens: 10 };
+}
+
+const liveResult = {
+  dialogueId: 'dialogue-1700000000000-abc123',
+  profileName: 'recognition',
+  suggestions: [{ type: 'lecture', title: 'Dialectics', message: 'Your dance metaphor...', actionTarget: '479-lecture-3' }],
+  dialogueTrace: [
+    { agent: 'tutor', action: 'context_input', rawContext: 'Learner: "dialectics is like a dance"' },
+    { agent: 'superego', action: 'review', verdict: { approved: false, feedback: 'Engage the metaphor' } },
+  ],
+};
+
+describe('judgeService', () => {
+  beforeEach(() => {
+    testDb = createTestDb();
+    applyMigrationFile(testDb, '009_evaluation_runs.sql');
+    applyMigrationFile(testDb, '010_evaluation_judgments.sql');
+    vi.clearAllMocks();
+  });
+
+  describe('normalizeDialogue and renderJudgePrompt', () => {
+    it('extracts context, final suggestions and superego feedback from a runDialogue result', () => {
+      const normalized = normalizeDialogue(liveResult);
+      expect(normalized.learnerContext).toContain('like a dance');
+      expect(normalized.suggestions).toHaveLength(1);
+      expect(normalized.internal).toEqual([{ approved: false, feedback: 'Engage the metaphor' }]);
+
+      const prompt = renderJudgePrompt(normalized);
+      expect(prompt).toContain('## Learner Context');
+      expect(prompt).toContain('479-lecture-3');
+      expect(prompt).toContain('revision requested: Engage the metaphor');
+      expect(prompt).toContain('"memory_integration"');
+    });
+
+    it('falls back to the last suggestions in log entries', () => {
+      const normalized = normalizeDialogue({
+        entries: [
+          { agent: 'ego', suggestions: [{ title: 'draft' }] },
+          { agent: 'user', action: 'final_output', suggestions: [{ title: 'final' }] },
+        ],
+      }, { learnerContext: 'supplied' });
+      expect(normalized.suggestions).toEqual([{ title: 'final' }]);
+      expect(normalized.learnerContext).toBe('supplied');
+    });
+  });
+
+  describe('computeRecognitionMetrics', () => {
+    it('ignores N/A dimensions in averages', () => {
+      const metrics = computeRecognitionMetrics(scores().scores);
+      expect(metrics.recognitionScore).toBe(4);
+      expect(metrics.weightedScore).toBeCloseTo(4);
+      expect(metrics).toMatchObject({ transformation: true, mutualAcknowledgment: true, memoryUtilization: null });
+    });
+  });
+
+  describe('judgeDialogue', () => {
+    it('validates and stores a judgment', async () => {
+      callAI.mockResolvedValueOnce(judgeReply(scores()));
+
+      const result = await judgeDialogue(liveResult, { agentConfig: stubJudge });
+
+      expect(result.success).toBe(true);
+      expect(callAI).toHaveBeenCalledTimes(1);
+      const [, systemPrompt, , role] = callAI.mock.calls[0];
+      expect(systemPrompt).toContain('Dimension 1: Mutual Recognition');
+      expect(role).toBe('judge');
+
+      const stored = getJudgmentsForDialogue(liveResult.dialogueId);
+      expect(stored).toHaveLength(1);
+      expect(stored[0]).toMatchObject({ profileName: 'recognition', judgeModel: 'stub/judge', recognitionScore: 4 });
+      expect(stored[0].scores.memory_integration.score).toBeNull();
+      expect(stored[0].promptHash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('re-asks once with the validation errors quoted', async () => {
+      callAI
+        .mockResolvedValueOnce(judgeReply(scores({ mutual: 7 })))
+        .mockResolvedValueOnce(judgeReply(scores()));
+
+      const result = await judgeDialogue(liveResult, { agentConfig: stubJudge });
+
+      expect(result.success).toBe(true);
+      expect(callAI).toHaveBeenCalledTimes(2);
+      const reask = callAI.mock.calls[1][2];
+      expect(reask).toContain('$.scores.mutual_recognition.score: must be <= 5');
+    });
+
+    it('returns errors without storing when the judge stays invalid', async () => {
+      callAI.mockResolvedValue({ text: 'I think it was pretty good overall.' });
+
+      const result = await judgeDialogue(liveResult, { agentConfig: stubJudge });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0].message).toMatch(/not valid JSON/);
+      expect(getJudgmentsForDialogue(liveResult.dialogueId)).toHaveLength(0);
+    });
+
+    it('rejects N/A on dimensions that require a score', async () => {
+      const body = scores();
+      body.scores.mutual_recognition.score = null;
+      callAI.mockResolvedValue(judgeReply(body));
+
+      const result = await judgeDialogue(liveResult, { agentConfig: stubJudge, store: false });
+      expect(result.success).toBe(false);
+      expect(result.errors[0].path).toBe('$.scores.mutual_recognition.score');
+    });
+
+    it('judges logged dialogues by ID', async () => {
+      getDialogueById.mockReturnValueOnce(null);
+      const missing = await judgeDialogueById('dialogue-missing');
+      expect(missing.success).toBe(false);
+
+      getDialogueById.mockReturnValueOnce({ entries: liveResult.dialogueTrace, profileName: 'recognition' });
+      callAI.mockResolvedValueOnce(judgeReply(scores()));
+      const found = await judgeDialogueById('dialogue-1', { agentConfig: stubJudge });
+      expect(found.judgment.dialogueId).toBe('dialogue-1');
+    });
+  });
+
+  describe('evaluation batches and profile comparison', () => {
+    it('judges batch runs and compares profiles', async () => {
+      const base = { batchId: 'batch-1', mode: 'recognition_comparison', sampleIndex: 0, success: true, rounds: 1, inputTokens: 0, outputTokens: 0, apiCalls: 1, totalCost: 0, latencyMs: 0, suggestions: [{ title: 's' }] };
+      saveRun({ ...base, profileName: 'baseline', scenarioName: 'resistant_learner', dialogueId: 'd-1' });
+      saveRun({ ...base, profileName: 'recognition', scenarioName: 'resistant_learner', dialogueId: 'd-2' });
+      saveRun({ ...base, profileName: 'recognition', scenarioName: 'resistant_learner', dialogueId: 'd-3', success: false });
+
+      callAI
+        .mockResolvedValueOnce(judgeReply(scores({ mutual: 2, dialectical: 2, transformative: 2 })))
+        .mockResolvedValueOnce(judgeReply(scores({ mutual: 5, dialectical: 4, memory: 4, transformative: 5 })));
+
+      const results = await judgeEvaluationBatch('batch-1', { agentConfig: stubJudge });
+      expect(results).toHaveLength(2);
+      expect(callAI.mock.calls[0][2]).toContain('Algorithms are just math');
+      expect(results[0].judgment.evaluationRunId).toMatch(/^eval-run-/);
+
+      const comparison = compareProfiles();
+      expect(comparison.map((r) => r.profileName)).toEqual(['recognition', 'baseline']);
+      expect(comparison[0]).toMatchObject({ n: 1, transformationRate: 1, memoryUtilizationRate: 1 });
+      expect(comparison[1]).toMatchObject({ recognitionScore: 2, transformationRate: 0, memoryUtilizationRate: null });
+    });
+  });
+});
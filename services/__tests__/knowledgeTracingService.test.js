@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const kt = await import('../knowledgeTracingService.js');
+const learnerIntegrationService = await import('../learnerIntegrationService.js');
+const { buildCurriculumGraph } = await import('../curriculumGraph.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const curriculum = {
+  courses: [
+    {
+      id: '479',
+      title: 'Machine Spirits',
+      lectures: [
+        { id: '479-lecture-1', title: 'Welcome', concepts: ['ml-basics'] },
+        { id: '479-lecture-2', title: 'Technology and Pedagogy', concepts: ['learning-theory', 'edtech'], prerequisites: ['479-lecture-1'] },
+        { id: '479-lecture-3', title: 'Dialectical Learning', concepts: ['dialectic'], prerequisites: ['479-lecture-2'] },
+        { id: '479-lecture-4', title: 'Algorithmic Governance', prerequisites: ['479-lecture-1'] },
+      ],
+    },
+  ],
+};
+const graph = buildCurriculumGraph(curriculum);
+
+const submit = (target, success) => ({ event_type: 'activity_submit', target, context: { metadata: { success } } });
+
+describe('knowledgeTracingService', () => {
+  beforeEach(() => {
+    testDb = createTestDb();
+    applyMigrationFile(testDb, '014_knowledge_tracing.sql');
+    applyMigrationFile(testDb, '015_review_schedule.sql');
+    resetMockProvider();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('applies the BKT update', () => {
+    const params = { pLearn: 0.15, pSlip: 0.1, pGuess: 0.2 };
+    expect(kt.updateMastery(0.2, true, params)).toBeCloseTo(0.6);
+    expect(kt.updateMastery(0.2, false, params)).toBeCloseTo(0.1758, 4);
+  });
+
+  it('turns activity and quiz events into concept observations', () => {
+    expect(kt.observationsFromEvent(submit('479-lecture-2', true), { graph })).toEqual([
+      { conceptId: 'learning-theory', correct: true, eventType: 'activity_submit' },
+      { conceptId: 'edtech', correct: true, eventType: 'activity_submit' },
+    ]);
+    // Without a graph the lecture is its own concept
+    expect(kt.observationsFromEvent({ type: 'quiz_complete', target: '479-lecture-1', score: 0.6 })).toEqual([
+      { conceptId: '479-lecture-1', correct: false, eventType: 'quiz_complete' },
+    ]);
+    expect(
+      kt.observationsFromEvent({
+        type: 'quiz_complete',
+        target: '479-lecture-2',
+        passed: true,
+        answers: [{ conceptId: 'edtech', correct: false }, { conceptId: 'learning-theory', correct: true }],
+      }),
+    ).toEqual([
+      { conceptId: 'edtech', correct: false, eventType: 'quiz_complete' },
+      { conceptId: 'learning-theory', correct: true, eventType: 'quiz_complete' },
+    ]);
+    expect(kt.observationsFromEvent({ type: 'page_view', target: '479-lecture-1' })).toEqual([]);
+    expect(kt.observationsFromEvent({ type: 'activity_submit', target: '479-lecture-1' })).toEqual([]);
+  });
+
+  it('updates mastery from recorded learner events', () => {
+    const record = (options) => learnerIntegrationService.recordLearnerEvent({ learnerId: 'learner-1', writingPadId: 'pad-1', ...options });
+
+    const submitted = record({ eventType: 'breakthrough', triggerEvent: JSON.stringify(submit('479-lecture-1', true)) });
+    expect(submitted.masteryUpdates).toEqual([expect.objectContaining({ conceptId: '479-lecture-1', before: 0.2, attempts: 1 })]);
+    expect(submitted).not.toHaveProperty('reviewUpdates');
+
+    const quiz = record({ eventType: 'demand', quizOutcome: { type: 'quiz_answer', conceptId: 'dialectic', correct: false } });
+    expect(quiz.masteryUpdates).toEqual([expect.objectContaining({ conceptId: 'dialectic', attempts: 1 })]);
+    expect(quiz.reviewUpdates).toEqual([expect.objectContaining({ conceptId: 'dialectic', lapses: 1 })]);
+
+    expect(record({ eventType: 'resistance', triggerEvent: 'page_view' })).not.toHaveProperty('masteryUpdates');
+    expect(kt.getConceptMastery('learner-1').map(({ conceptId, correct }) => ({ conceptId, correct }))).toEqual(
+      expect.arrayContaining([{ conceptId: '479-lecture-1', correct: 1 }, { conceptId: 'dialectic', correct: 0 }]),
+    );
+  });
+
+  it('records the event and reports the failure when mastery cannot be updated', () => {
+    // Migrations 014/015 not applied
+    testDb = createTestDb();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const event = learnerIntegrationService.recordLearnerEvent({
+      learnerId: 'learner-1',
+      writingPadId: 'pad-1',
+      eventType: 'breakthrough',
+      triggerEvent: JSON.stringify(submit('479-lecture-1', true)),
+    });
+
+    expect(event).toMatchObject({ eventType: 'breakthrough', masteryError: expect.stringContaining('no such table') });
+    expect(event.masteryUpdates).toBeUndefined();
+    expect(learnerIntegrationService.getLearnerEvent(event.id)).not.toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Mastery update failed'), expect.any(String));
+    warn.mockRestore();
+  });
+
+  it('summarizes mastery, gaps and lecture readiness', () => {
+    const updates = kt.recordLearnerEvents(
+      'learner-1',
+      [
+        submit('479-lecture-1', true),
+        submit('479-lecture-1', true),
+        submit('479-lecture-1', true),
+        { type: 'quiz_answer', conceptId: 'edtech', correct: false },
+        { type: 'quiz_answer', conceptId: 'edtech', correct: false },
+        { type: 'page_view', target: '479-lecture-3' },
+      ],
+      { graph },
+    );
+    expect(updates).toHaveLength(5);
+    expect(updates[0]).toMatchObject({ conceptId: 'ml-basics', attempts: 1 });
+    expect(updates[0].after).toBeCloseTo(0.6);
+
+    const summary = kt.getMasterySummary('learner-1', { graph });
+    expect(summary.mastered).toEqual(['ml-basics']);
+    expect(summary.gaps).toEqual([expect.objectContaining({ conceptId: 'edtech', attempts: 2, lectures: ['479-lecture-2'] })]);
+    expect(summary.review).toEqual(['479-lecture-2']);
+    expect(summary.ready).toEqual(['479-lecture-4']);
+    expect(summary.blocked).toEqual([{ lectureId: '479-lecture-3', missing: ['479-lecture-2'] }]);
+
+    expect(kt.renderMasterySummary(summary)).toBe(
+      [
+        'Mastered: ml-basics (98%)',
+        'Gaps: edtech (17% after 2 attempts; covered in 479-lecture-2)',
+        'Review first: 479-lecture-2',
+        'Ready for: 479-lecture-4',
+        'Not ready: 479-lecture-3 (needs 479-lecture-2)',
+      ].join('\n'),
+    );
+    expect(kt.getMasterySummary('learner-2')).toBeNull();
+  });
+
+  it('adds knowledge gaps to the intervention analysis', () => {
+    kt.recordLearnerEvents('learner-1', [submit('479-lecture-1', false), submit('479-lecture-1', false)], { graph });
+    const analysis = engine.analyzeInterventionNeeds({ mastery: kt.getMasterySummary('learner-1', { graph }) }, []);
+    expect(analysis.focus).toContain('review');
+    expect(analysis.context).toContain('Knowledge gaps: ml-basics');
+  });
+
+  it('injects the mastery summary into the ego context', async () => {
+    kt.recordLearnerEvents('learner-1', [submit('479-lecture-1', true), submit('479-lecture-1', true), submit('479-lecture-1', true)], {
+      graph,
+    });
+
+    const result = await engine.runDialogue(
+      { learnerContext: { profile: { sessions: 3 } }, curriculumContext: curriculum, simulationsContext: '' },
+      { profileName: 'mock', learnerId: 'learner-1', trace: true },
+    );
+
+    const egoPrompt = getMockCalls()
+      .find((c) => c.model === 'mock-ego')
+      .messages.filter((m) => m.role === 'user')
+      .at(-1).content;
+    expect(egoPrompt).toContain(
+      [
+        '## Knowledge State (from quiz and activity results)',
+        '',
+        'Mastered: ml-basics (98%)',
+        'Ready for: 479-lecture-2, 479-lecture-4',
+        'Not ready: 479-lecture-3 (needs 479-lecture-2)',
+      ].join('\n'),
+    );
+    const entry = result.dialogueTrace.find((e) => e.action === 'knowledge_state');
+    expect(entry.output.mastered).toEqual(['ml-basics']);
+  });
+});
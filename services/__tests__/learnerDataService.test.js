@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { resetMockProvider } = await import('../mockProviderService.js');
+const monitoringService = await import('../monitoringService.js');
+const { createMemoryMonitoringStore } = await import('../monitoringStore.js');
+const writingPadService = await import('../writingPadService.js');
+const learnerIntegrationService = await import('../learnerIntegrationService.js');
+const spacedRepetition = await import('../spacedRepetitionService.js');
+const learnerData = await import('../learnerDataService.js');
+
+engine.setQuietMode(true);
+
+const context = { learnerContext: 'Sessions: 2 sessions', curriculumContext: '', simulationsContext: '' };
+
+function seedLearner(learnerId) {
+  const pad = writingPadService.initializeWritingPad(learnerId);
+  learnerIntegrationService.recordLearnerEvent({
+    learnerId,
+    writingPadId: pad.id,
+    eventType: 'resistance',
+    resistanceInterpretation: 'productive',
+  });
+  spacedRepetition.recordReview({ learnerId, conceptId: 'dialectic', quality: 4 });
+  testDb.prepare("INSERT INTO ai_user_settings (userId, feedbackStyle) VALUES (?, 'direct')").run(learnerId);
+  testDb.prepare("INSERT INTO ai_interactions (id, userId, provider, context) VALUES (?, ?, 'mock', 'asked about Hegel')")
+    .run(`interaction-${learnerId}`, learnerId);
+  testDb.prepare(`
+    INSERT INTO budget_spend (created_at, day, learner_id, profile_name, cost, cost_source)
+    VALUES ('2026-03-01T10:00:00Z', '2026-03-01', ?, 'mock', 0.01, 'estimated')
+  `).run(learnerId);
+  testDb.prepare(`
+    INSERT INTO budget_audit (created_at, scope, scope_id, action, stage, limit_usd, spent_usd, learner_id)
+    VALUES ('2026-03-01T10:00:00Z', 'learner', ?, 'refuse', 'call', 1, 1.2, ?)
+  `).run(learnerId, learnerId);
+  monitoringService.startSession(`session-${learnerId}`, { userId: learnerId, profileName: 'mock' });
+  return pad;
+}
+
+describe('learnerDataService', () => {
+  let logDir;
+
+  beforeEach(async () => {
+    testDb = createTestDb();
+    for (const file of ['008_writing_pad_schema.sql', '013_budgets.sql', '014_knowledge_tracing.sql', '015_review_schedule.sql', '016_ai_config.sql']) {
+      applyMigrationFile(testDb, file);
+    }
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'learner-data-'));
+    engine.setLogDir(logDir);
+    monitoringService.setMonitoringStore(createMemoryMonitoringStore());
+    resetMockProvider();
+
+    seedLearner('learner-1');
+    seedLearner('learner-2');
+    // Overlapping dialogues: each one's log entries must carry its own learner
+    await Promise.all([
+      engine.runDialogue(context, { profileName: 'mock', learnerId: 'learner-1' }),
+      engine.runDialogue(context, { profileName: 'mock', learnerId: 'learner-2' }),
+    ]);
+  });
+
+  afterEach(() => {
+    monitoringService.setMonitoringStore(null);
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  it('exports everything held about a learner as portable JSON', () => {
+    const bundle = learnerData.exportLearnerData('learner-1');
+
+    expect(bundle).toMatchObject({ format: 'tutor-core-learner-export', version: 1, learnerId: 'learner-1', unavailable: [
+      { location: 'ab_assignments', reason: 'table not found' },
+    ] });
+    const { writingPad } = bundle.recognition;
+    expect([writingPad.conscious_state, writingPad.preconscious_state, writingPad.unconscious_state].map((layer) => typeof layer))
+      .toEqual(['object', 'object', 'object']);
+    expect(bundle.recognition.learnerEvents).toEqual([expect.objectContaining({ event_type: 'resistance' })]);
+    expect(bundle.tables.reviewItems).toEqual([expect.objectContaining({ concept_id: 'dialectic' })]);
+    expect(bundle.tables.aiUserSettings).toEqual([expect.objectContaining({ feedbackStyle: 'direct' })]);
+    expect(bundle.tables.aiInteractions).toHaveLength(1);
+    expect(bundle.tables.budgetAudit).toHaveLength(1);
+    expect(bundle.monitoringSessions.map((s) => s.sessionId)).toEqual(['session-learner-1']);
+
+    expect(bundle.logs.dialogues).toHaveLength(1);
+    expect(bundle.logs.dialogues[0].file).toMatch(/^tutor-dialogues\/dialogue-/);
+    expect(bundle.logs.api.length).toBeGreaterThan(0);
+    expect(bundle.logs.api.every(({ entry }) => entry.dialogueId === bundle.logs.dialogues[0].dialogueId && entry.learnerId === 'learner-1')).toBe(true);
+
+    expect(JSON.stringify(bundle)).not.toContain('learner-2');
+    expect(JSON.parse(JSON.stringify(bundle))).toEqual(bundle);
+  });
+
+  it('reports what would be erased in a dry run without changing anything', () => {
+    const report = learnerData.eraseLearnerData('learner-1', { dryRun: true });
+
+    expect(report).toMatchObject({ dryRun: true, pseudonym: null, verification: null });
+    expect(report.actions).toEqual(expect.arrayContaining([
+      { location: 'recognition.writingPads', action: 'deleted', count: 1 },
+      { location: 'budget_spend', action: 'pseudonymized', count: 1 },
+      { location: 'monitoring.sessions', action: 'pseudonymized', count: 1 },
+    ]));
+    expect(learnerData.exportLearnerData('learner-1').recognition.writingPad).not.toBeNull();
+  });
+
+  it('erases the learner everywhere and verifies it', () => {
+    const report = learnerData.eraseLearnerData('learner-1');
+
+    expect(report.pseudonym).toMatch(/^erased-[0-9a-f]{16}$/);
+    expect(report.verification).toEqual({ verified: true, remaining: [], mentions: [] });
+    expect(report.skipped).toEqual([{ location: 'ab_assignments', reason: 'table not found' }]);
+    expect(report.actions).toEqual(expect.arrayContaining([
+      { location: 'recognition.learnerEvents', action: 'deleted', count: 1 },
+      { location: 'learner_review_items', action: 'deleted', count: 1 },
+      { location: 'ai_interactions', action: 'pseudonymized', count: 1 },
+      { location: 'budget_audit', action: 'pseudonymized', count: 1 },
+      expect.objectContaining({ location: expect.stringMatching(/^tutor-dialogues\//), action: 'deleted' }),
+      expect.objectContaining({ location: expect.stringMatching(/^tutor-api\//), action: 'rewritten' }),
+    ]));
+
+    // Accounting rows survive under the pseudonym, without their free text
+    expect(testDb.prepare('SELECT userId, context FROM ai_interactions WHERE id = ?').get('interaction-learner-1'))
+      .toEqual({ userId: report.pseudonym, context: null });
+    expect(testDb.prepare('SELECT scope_id, learner_id FROM budget_audit ORDER BY id').all()[0])
+      .toEqual({ scope_id: report.pseudonym, learner_id: report.pseudonym });
+    expect(monitoringService.getSessionHistory({ userId: report.pseudonym })).toHaveLength(1);
+
+    // Other learners are untouched
+    const other = learnerData.exportLearnerData('learner-2');
+    expect(other.recognition.writingPad).not.toBeNull();
+    expect(other.tables.budgetSpend).toHaveLength(1);
+    expect(other.logs.dialogues).toHaveLength(1);
+    expect(other.logs.api.length).toBeGreaterThan(0);
+  });
+
+  it('flags log files that still mention the learner', () => {
+    fs.writeFileSync(path.join(logDir, 'tutor-api', 'api-2025-01-01.jsonl'), [
+      { rawContext: 'learner-1 struggled' },
+      { learnerId: 'learner-10' },
+      { rawContext: 'see xlearner-1 and learner-1b' },
+    ].map((entry) => JSON.stringify(entry)).join('\n') + '\n');
+
+    const report = learnerData.eraseLearnerData('learner-1');
+    expect(report.verification).toEqual({
+      verified: false,
+      remaining: [],
+      mentions: [{ file: path.join('tutor-api', 'api-2025-01-01.jsonl'), count: 1 }],
+    });
+  });
+
+  it('requires a learner ID', () => {
+    expect(() => learnerData.eraseLearnerData('')).toThrow(expect.objectContaining({ code: 'INVALID_LEARNER_ID' }));
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+const userSettings = {};
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+  getEffectiveSettings: vi.fn((userId) => {
+    if (userId === 'broken') throw new Error('no such table: ai_user_settings');
+    const settings = {
+      hintVerbosity: 'balanced',
+      feedbackStyle: 'encouraging',
+      preferredProvider: null,
+      enableHints: true,
+      enableWritingFeedback: true,
+      ...userSettings[userId],
+    };
+    return { ...settings, userId, effectiveProvider: settings.preferredProvider || 'gemini' };
+  }),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const learnerSettings = await import('../learnerSettingsService.js');
+
+engine.setQuietMode(true);
+
+const suggestion = (type, title) => ({
+  type,
+  priority: 'high',
+  title,
+  message: `${title} next.`,
+  actionType: 'none',
+  reasoning: 'Follows from the last session',
+});
+
+describe('learnerSettingsService', () => {
+  beforeEach(() => {
+    testDb = createTestDb();
+    for (const file of ['008_writing_pad_schema.sql', '014_knowledge_tracing.sql', '015_review_schedule.sql']) {
+      applyMigrationFile(testDb, file);
+    }
+    for (const key of Object.keys(userSettings)) delete userSettings[key];
+    resetMockProvider();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('maps verbosity, feedback style and enable flags', () => {
+    expect(learnerSettings.resolveLearnerSettings({
+      hintVerbosity: 'minimal',
+      feedbackStyle: 'socratic',
+      enableHints: false,
+      enableWritingFeedback: true,
+    }, { profileName: 'mock' })).toEqual({
+      outputSize: 'compact',
+      superegoStrategy: 'socratic_challenge',
+      egoDirective: expect.stringContaining('Socratic feedback'),
+      blockedTypes: ['review', 'practice'],
+      skipped: [],
+    });
+
+    // The defaults change nothing
+    expect(learnerSettings.resolveLearnerSettings({ hintVerbosity: 'balanced', feedbackStyle: 'encouraging' }))
+      .toEqual({ outputSize: 'normal', blockedTypes: [], skipped: [] });
+  });
+
+  it('honours the preferred provider only when it is configured', () => {
+    const options = { learnerId: 'learner-1', profileName: 'mock' };
+    userSettings['learner-1'] = { preferredProvider: 'openai' };
+
+    expect(learnerSettings.applyLearnerSettings(options)._learnerSettings).toEqual({
+      learnerId: 'learner-1',
+      applied: { outputSize: 'normal' },
+      skipped: [{ setting: 'preferredProvider', reason: 'openai is not configured' }],
+    });
+
+    vi.stubEnv('OPENAI_API_KEY', 'test-key');
+    expect(learnerSettings.applyLearnerSettings(options)).toMatchObject({ egoModel: 'openai.mini', superegoModel: 'openai.mini' });
+    expect(learnerSettings.applyLearnerSettings({ ...options, disableSuperego: true }).superegoModel).toBeUndefined();
+    expect(learnerSettings.applyLearnerSettings({ ...options, egoModel: 'mock.ego' }).egoModel).toBe('mock.ego');
+  });
+
+  it('lets explicit options win and can be switched off', () => {
+    userSettings['learner-1'] = { hintVerbosity: 'detailed', feedbackStyle: 'direct' };
+
+    const applied = learnerSettings.applyLearnerSettings({
+      learnerId: 'learner-1',
+      outputSize: 'compact',
+      systemPromptExtension: 'Session directive',
+    });
+    expect(applied).toMatchObject({ outputSize: 'compact', superegoStrategy: 'direct_critique' });
+    expect(applied.systemPromptExtension).toMatch(/^LEARNER PREFERENCE: Direct feedback[\s\S]*\n\nSession directive$/);
+
+    const options = { learnerId: 'learner-1', learnerSettings: false };
+    expect(learnerSettings.applyLearnerSettings(options)).toBe(options);
+    expect(learnerSettings.applyLearnerSettings({ learnerSettings: { hintVerbosity: 'detailed' } }).outputSize).toBe('expanded');
+    expect(learnerSettings.applyLearnerSettings({ learnerId: 'broken' })._learnerSettings).toEqual({
+      learnerId: 'broken',
+      error: 'no such table: ai_user_settings',
+    });
+  });
+
+  it('applies the learner\'s settings in runDialogue and removes switched-off suggestion types', async () => {
+    userSettings['learner-1'] = { hintVerbosity: 'minimal', feedbackStyle: 'socratic', enableHints: false };
+    enqueueMockResponses([
+      { json: [suggestion('review', 'Review the dialectic'), suggestion('lecture', 'Start lecture 4')], match: { model: 'mock-ego' } },
+      { json: { approved: true, interventionType: 'none', feedback: 'Fine' }, match: { model: 'mock-superego' } },
+    ]);
+
+    const result = await engine.runDialogue(
+      { learnerContext: 'Sessions: 3 sessions', curriculumContext: '', simulationsContext: '' },
+      { profileName: 'mock', learnerId: 'learner-1', trace: true },
+    );
+
+    const [egoCall, superegoCall] = getMockCalls().map((call) => JSON.stringify(call));
+    expect(egoCall).toContain('Response Length: COMPACT');
+    expect(egoCall).toContain('LEARNER PREFERENCE: Socratic feedback');
+    expect(egoCall).toContain('do not suggest them: review, practice');
+    expect(superegoCall).toContain('Use Socratic questioning');
+
+    expect(result.suggestions.map((s) => s.type)).toEqual(['lecture']);
+    expect(result.learnerSettings).toEqual({
+      learnerId: 'learner-1',
+      applied: { outputSize: 'compact', superegoStrategy: 'socratic_challenge', blockedTypes: ['review', 'practice'], egoDirective: true },
+      skipped: [],
+      removed: [{ type: 'review', title: 'Review the dialectic' }],
+    });
+    expect(result.dialogueTrace).toContainEqual(expect.objectContaining({ agent: 'system', action: 'gate_suggestion_types' }));
+  });
+});
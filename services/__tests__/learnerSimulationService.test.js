@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Keep the real callAI/_fetchProvider stack but stub the tutor side of the loop
+vi.mock('../tutorDialogueEngine.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, runDialogue: vi.fn() };
+});
+
+import * as dialogueEngine from '../tutorDialogueEngine.js';
+import {
+  createSimulatedLearner,
+  resolveArchitecture,
+  runClosedLoopSession,
+  formatTutorTurn,
+} from '../learnerSimulationService.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Stub provider config routed through the OpenRouter code path */
+const stubAgentConfig = {
+  provider: 'openrouter',
+  providerConfig: { isConfigured: true, apiKey: 'test-key', base_url: 'https://stub.test/v1/chat/completions' },
+  model: 'stub/learner',
+  hyperparameters: {},
+};
+
+function stubResponse(content) {
+  return {
+    ok: true,
+    status: 200,
+    json: async () => ({
+      id: 'gen-stub',
+      choices: [{ message: { content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 20, completion_tokens: 10 },
+    }),
+  };
+}
+
+const suggestions = [
+  { type: 'lecture', title: 'Dialectics', message: 'Try lecture 3.', actionType: 'navigate', actionTarget: '479-lecture-3' },
+  { type: 'simulation', title: 'Recognition', message: 'Explore the simulation.', actionType: 'open_simulation', actionTarget: 'recognition' },
+];
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('learnerSimulationService', () => {
+  let originalFetch;
+  let mockFetch;
+  let logDir;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    mockFetch = vi.fn();
+    globalThis.fetch = mockFetch;
+    logDir = mkdtempSync(join(tmpdir(), 'learner-sim-'));
+    dialogueEngine.setLogDir(logDir);
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    rmSync(logDir, { recursive: true, force: true });
+    vi.clearAllMocks();
+  });
+
+  it('maps profile learner_architecture aliases', () => {
+    expect(resolveArchitecture('psychodynamic')).toBe('ego_superego');
+    expect(resolveArchitecture('unified')).toBe('unified');
+    expect(() => resolveArchitecture('hivemind')).toThrow(/Unknown learner architecture/);
+  });
+
+  it('rejects unknown personas', () => {
+    expect(() => createSimulatedLearner({ agentConfig: stubAgentConfig, persona: 'wizard' })).toThrow(/Unknown learner persona/);
+  });
+
+  it('renders suggestions as the tutor turn', () => {
+    const text = formatTutorTurn(suggestions);
+    expect(text).toContain('1. Dialectics: Try lecture 3. [navigate → 479-lecture-3]');
+    expect(formatTutorTurn([])).toMatch(/nothing to say/);
+  });
+
+  it('unified learner makes one call with the unified prompt and persona', async () => {
+    mockFetch.mockResolvedValueOnce(stubResponse('<think>hmm</think>"Okay, I will open lecture 3."'));
+
+    const learner = createSimulatedLearner({ agentConfig: stubAgentConfig, persona: 'novice', seed: 7 });
+    const turn = await learner.respond(suggestions);
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+    expect(body.messages[0].content).toContain('Respond with ONLY what the learner would actually say');
+    expect(body.messages[0].content).toContain('## Persona');
+    expect(body.messages[1].content).toContain('479-lecture-3');
+
+    expect(turn.utterance).toBe('Okay, I will open lecture 3.');
+    expect(turn.metrics).toMatchObject({ apiCalls: 1, inputTokens: 20, outputTokens: 10 });
+    expect(learner.getHistory()).toHaveLength(1);
+  });
+
+  it('ego/superego learner deliberates before speaking', async () => {
+    mockFetch
+      .mockResolvedValueOnce(stubResponse('I think I get it.'))
+      .mockResolvedValueOnce(stubResponse('We do not get it yet.'))
+      .mockResolvedValueOnce(stubResponse('Can you give me a simpler example?'));
+
+    const learner = createSimulatedLearner({ agentConfig: stubAgentConfig, architecture: 'psychodynamic' });
+    const turn = await learner.respond(suggestions);
+
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+    expect(turn.deliberation.map((d) => d.label)).toEqual(['EGO', 'SUPEREGO']);
+    const synthesisPrompt = JSON.parse(mockFetch.mock.calls[2][1].body).messages[1].content;
+    expect(synthesisPrompt).toContain('- EGO: "I think I get it."');
+    expect(synthesisPrompt).toContain('- SUPEREGO: "We do not get it yet."');
+    expect(turn.utterance).toBe('Can you give me a simpler example?');
+  });
+
+  it('produces learnerIntegrationService-shaped actions deterministically per seed', async () => {
+    const runOnce = async (seed) => {
+      mockFetch.mockResolvedValueOnce(stubResponse('Sounds good.'));
+      const learner = createSimulatedLearner({ agentConfig: stubAgentConfig, persona: 'expert', seed });
+      return (await learner.respond(suggestions)).action;
+    };
+
+    const a = await runOnce(42);
+    const b = await runOnce(42);
+    expect(a).toEqual(b);
+    expect(['navigate', 'simulation', 'idle']).toContain(a.type);
+  });
+
+  it('runs a closed tutor-learner loop feeding replies back to the tutor', async () => {
+    dialogueEngine.runDialogue.mockResolvedValue({
+      suggestions,
+      dialogueId: 'dialogue-stub',
+      converged: true,
+      rounds: 1,
+      metrics: { totalInputTokens: 100, totalOutputTokens: 50, totalCost: 0.01, apiCalls: 2 },
+    });
+    mockFetch
+      .mockResolvedValueOnce(stubResponse('First reply.'))
+      .mockResolvedValueOnce(stubResponse('Second reply.'));
+
+    const session = await runClosedLoopSession({
+      learner: { agentConfig: stubAgentConfig },
+      context: { learnerContext: 'Currently viewing: 479-lecture-2', curriculumContext: '', simulationsContext: '' },
+      turns: 2,
+      tutorOptions: { profileName: 'budget' },
+    });
+
+    expect(session.turns).toHaveLength(2);
+    expect(session.metrics).toMatchObject({ tutorInputTokens: 200, learnerOutputTokens: 20, apiCalls: 6 });
+
+    const [secondContext, secondOptions] = dialogueEngine.runDialogue.mock.calls[1];
+    expect(secondContext.learnerContext).toContain('### Learner Response\n"First reply."');
+    expect(secondOptions.profileName).toBe('budget');
+    expect(secondOptions.messageHistory).toEqual([
+      { role: 'assistant', content: formatTutorTurn(suggestions) },
+      { role: 'user', content: 'First reply.' },
+    ]);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as runner from '../migrationRunner.js';
+import * as dbService from '../dbService.js';
+
+const tables = (db) =>
+  db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .all()
+    .map((r) => r.name);
+
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    return err.code;
+  }
+  return null;
+};
+
+describe('migrationRunner', () => {
+  let tmpDir;
+  let db;
+
+  const writeMigration = (file, sql) => fs.writeFileSync(path.join(tmpDir, file), sql);
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    db = new Database(':memory:');
+    writeMigration('001_notes.sql', 'CREATE TABLE notes (id TEXT PRIMARY KEY);');
+    writeMigration('001_notes.down.sql', 'DROP TABLE notes;');
+    writeMigration('002_tags.sql', 'CREATE TABLE tags (id TEXT PRIMARY KEY);');
+    writeMigration('README.md', 'not a migration');
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('applies pending migrations in order and records them', () => {
+    const migrations = runner.loadMigrationDirectory(tmpDir, 'host');
+    expect(migrations.map((m) => [m.version, m.name, !!m.down])).toEqual([
+      [1, 'notes', true],
+      [2, 'tags', false],
+    ]);
+
+    const dry = runner.migrate(db, migrations, { dryRun: true });
+    expect(dry.pending.map((m) => m.name)).toEqual(['notes', 'tags']);
+    expect(tables(db)).toEqual(['schema_migrations']);
+
+    expect(runner.migrate(db, migrations).applied.map((m) => m.version)).toEqual([1, 2]);
+    expect(tables(db)).toEqual(['notes', 'schema_migrations', 'tags']);
+    expect(runner.migrate(db, migrations).applied).toEqual([]);
+    expect(runner.getMigrationStatus(db, migrations).map((s) => s.status)).toEqual(['applied', 'applied']);
+  });
+
+  it('refuses to run when an applied migration changed', () => {
+    runner.migrate(db, runner.loadMigrationDirectory(tmpDir, 'host'));
+    writeMigration('001_notes.sql', 'CREATE TABLE notes (id TEXT PRIMARY KEY, body TEXT);');
+    writeMigration('003_links.sql', 'CREATE TABLE links (id TEXT PRIMARY KEY);');
+
+    const migrations = runner.loadMigrationDirectory(tmpDir, 'host');
+    expect(runner.getMigrationStatus(db, migrations).map((s) => `${s.name}:${s.status}`)).toEqual([
+      'notes:changed',
+      'tags:applied',
+      'links:pending',
+    ]);
+    expect(codeOf(() => runner.migrate(db, migrations))).toBe('MIGRATION_CHECKSUM_MISMATCH');
+    expect(tables(db)).not.toContain('links');
+  });
+
+  it('rolls back with down migrations and stops at irreversible ones', () => {
+    const migrations = runner.loadMigrationDirectory(tmpDir, 'host');
+    runner.migrate(db, migrations);
+
+    // 002 has no down file, so nothing is reverted
+    expect(codeOf(() => runner.rollback(db, migrations, { steps: 2 }))).toBe('MIGRATION_IRREVERSIBLE');
+    expect(tables(db)).toContain('notes');
+
+    writeMigration('002_tags.down.sql', 'DROP TABLE tags;');
+    const reversible = runner.loadMigrationDirectory(tmpDir, 'host');
+    expect(runner.rollback(db, reversible, { steps: 2, dryRun: true }).reverted.map((m) => m.version)).toEqual([2, 1]);
+    expect(runner.rollback(db, reversible, { steps: 2 }).reverted).toHaveLength(2);
+    expect(tables(db)).toEqual(['schema_migrations']);
+    expect(runner.getMigrationStatus(db, reversible).map((s) => s.status)).toEqual(['pending', 'pending']);
+  });
+
+  it('leaves a failed migration unrecorded', () => {
+    writeMigration('003_broken.sql', 'CREATE TABLE links (id TEXT); CREATE TABLE broken (;');
+    let error;
+    try {
+      runner.migrate(db, runner.loadMigrationDirectory(tmpDir, 'host'));
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).toBe('MIGRATION_FAILED');
+    expect(error.migration).toEqual({ source: 'host', version: 3, name: 'broken' });
+    expect(error.applied.map((m) => m.version)).toEqual([1, 2]);
+    expect(tables(db)).not.toContain('links');
+  });
+
+  it('runs in-code migrations and rejects duplicate versions', () => {
+    const migrations = runner.defineMigrations('host', [
+      { version: 1, name: 'flag', up: (d) => d.exec('CREATE TABLE flags (id TEXT)'), down: (d) => d.exec('DROP TABLE flags') },
+    ]);
+    runner.migrate(db, migrations);
+    expect(tables(db)).toContain('flags');
+    runner.rollback(db, migrations);
+    expect(tables(db)).not.toContain('flags');
+
+    writeMigration('002_tags_again.sql', 'SELECT 1;');
+    expect(codeOf(() => runner.loadMigrationDirectory(tmpDir, 'host'))).toBe('MIGRATION_DUPLICATE');
+  });
+});
+
+describe('dbService migrations', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-service-'));
+  });
+
+  afterEach(() => {
+    dbService.closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('applies core and host migrations to a new database', () => {
+    const hostDir = path.join(tmpDir, 'host-migrations');
+    fs.mkdirSync(hostDir);
+    fs.writeFileSync(path.join(hostDir, '001_courses.sql'), 'CREATE TABLE host_courses (id TEXT PRIMARY KEY);');
+
+    dbService.initDb({ dbPath: path.join(tmpDir, 'test.sqlite'), autoMigrate: false });
+    dbService.registerMigrationDirectory(hostDir, { source: 'lms' });
+    const db = dbService.getDb();
+    expect(tables(db)).toEqual([]);
+
+    const plan = dbService.migrate({ dryRun: true });
+    expect(plan.pending.at(-1)).toEqual({ source: 'lms', version: 1, name: 'courses' });
+    expect(plan.pending.filter((m) => m.source === 'core').map((m) => m.version)).toEqual([8, 9, 10, 11, 12, 13, 14, 15, 16, 17]);
+
+    dbService.migrate();
+    expect(tables(db)).toEqual(expect.arrayContaining(['writing_pads', 'ai_interactions', 'ai_user_settings', 'host_courses']));
+    expect(dbService.getMigrationStatus().every((s) => s.status === 'applied')).toBe(true);
+  });
+
+  it('adds missing reading columns to an existing ai_user_settings table', () => {
+    const dbPath = path.join(tmpDir, 'legacy.sqlite');
+    const legacy = new Database(dbPath);
+    legacy.exec('CREATE TABLE ai_user_settings (userId TEXT PRIMARY KEY, enableHints INTEGER DEFAULT 1)');
+    legacy.close();
+
+    dbService.initDb({ dbPath });
+    const cols = dbService
+      .getDb()
+      .prepare('PRAGMA table_info(ai_user_settings)')
+      .all()
+      .map((c) => c.name);
+    expect(cols).toEqual(['userId', 'enableHints', 'enableReadingCompanion', 'enableReflectionPrompts', 'enableInlineExplanations', 'enableReadingMetrics']);
+  });
+});
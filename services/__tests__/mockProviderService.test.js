@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { call, callStream } = await import('../unifiedAIProviderService.js');
+const { getProviderConfig } = await import('../tutorConfigLoader.js');
+const {
+  enqueueMockResponses,
+  setMockHandler,
+  loadMockFixtures,
+  getMockCalls,
+  resetMockProvider,
+  callMock,
+} = await import('../mockProviderService.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-provider-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const mockAgent = {
+  provider: 'mock',
+  providerConfig: { isConfigured: true, base_url: 'mock://local' },
+  model: 'mock-tutor',
+  hyperparameters: { temperature: 0, max_tokens: 200 },
+};
+
+describe('mockProviderService', () => {
+  beforeEach(() => {
+    resetMockProvider();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('is configured through providers.yaml without an API key', () => {
+    const config = getProviderConfig('mock');
+    expect(config.isConfigured).toBe(true);
+    expect(config.models.ego).toBe('mock-ego');
+  });
+
+  it('keeps only the most recent calls in the call log', async () => {
+    const seen = [];
+    setMockHandler(({ callIndex }) => {
+      seen.push(callIndex);
+      return `reply ${callIndex}`;
+    });
+
+    for (let i = 0; i < 1005; i++) await callMock('mock-tutor', 'sys', [{ role: 'user', content: `question ${i}` }]);
+
+    const calls = getMockCalls();
+    expect(calls).toHaveLength(1000);
+    expect(calls[0].promptText).toContain('question 5');
+    expect(calls.at(-1).promptText).toContain('question 1004');
+    expect(seen.at(-1)).toBe(1004);
+  });
+
+  describe('callAI via _fetchProvider', () => {
+    it('returns scripted responses in order with usage numbers', async () => {
+      enqueueMockResponses([{ text: 'first', inputTokens: 12, outputTokens: 3, cost: 0.01 }, 'second']);
+
+      const first = await engine.callAI(mockAgent, 'system', 'user', 'ego');
+      const second = await engine.callAI(mockAgent, 'system', 'user', 'ego');
+
+      expect(first).toMatchObject({ text: 'first', inputTokens: 12, outputTokens: 3, cost: 0.01, provider: 'mock' });
+      expect(second.text).toBe('second');
+      expect(getMockCalls()).toHaveLength(2);
+    });
+
+    it('answers only matching requests from the queue', async () => {
+      enqueueMockResponses([
+        { text: 'for superego', match: { contains: 'REVIEW' } },
+        { text: 'for anyone', repeat: true },
+      ]);
+
+      expect((await engine.callAI(mockAgent, 'sys', 'draft', 'ego')).text).toBe('for anyone');
+      expect((await engine.callAI(mockAgent, 'sys', 'REVIEW this', 'superego')).text).toBe('for superego');
+      expect((await engine.callAI(mockAgent, 'sys', 'REVIEW again', 'superego')).text).toBe('for anyone');
+    });
+
+    it('streams tokens through the SSE parser', async () => {
+      enqueueMockResponses({ text: 'ignored', chunks: ['Hello', ', ', 'world'], outputTokens: 3 });
+      const tokens = [];
+
+      const result = await engine.callAI(mockAgent, 'sys', 'user', 'ego', { onToken: (t) => tokens.push(t) });
+
+      expect(tokens).toEqual(['Hello', ', ', 'world']);
+      expect(result).toMatchObject({ text: 'Hello, world', outputTokens: 3 });
+    });
+
+    it('retries empty content', async () => {
+      vi.useFakeTimers();
+      try {
+        enqueueMockResponses([{ empty: true }, 'recovered']);
+        const pending = engine.callAI(mockAgent, 'sys', 'user', 'ego');
+        await vi.runAllTimersAsync();
+        const result = await pending;
+        expect(result).toMatchObject({ text: 'recovered', emptyContentRetries: 1 });
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('truncates and retries on context overflow', async () => {
+      enqueueMockResponses([{ contextOverflow: true }, 'fits now']);
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await engine.callAI(mockAgent, 'sys', 'user\n## Available Simulations\n- sim', 'ego');
+
+      expect(result.text).toBe('fits now');
+      expect(getMockCalls()[1].promptText).not.toContain('Available Simulations');
+      warn.mockRestore();
+    });
+
+    it('throws scripted provider errors', async () => {
+      enqueueMockResponses({ error: 'rate limited', status: 429 });
+      await expect(engine.callAI(mockAgent, 'sys', 'user', 'ego')).rejects.toThrow('Mock provider error: 429 - rate limited');
+    });
+
+    it('uses a handler before the queue', async () => {
+      enqueueMockResponses('queued');
+      setMockHandler(({ callIndex }) => (callIndex === 0 ? { json: { ok: true } } : undefined));
+
+      expect(JSON.parse((await engine.callAI(mockAgent, 'sys', 'user', 'ego')).text)).toEqual({ ok: true });
+      expect((await engine.callAI(mockAgent, 'sys', 'user', 'ego')).text).toBe('queued');
+    });
+  });
+
+  describe('unifiedAIProviderService', () => {
+    it('dispatches call() to the mock provider', async () => {
+      enqueueMockResponses({ text: 'unified', inputTokens: 5, outputTokens: 1 });
+      const response = await call({ provider: 'mock', systemPrompt: 'sys', messages: [{ role: 'user', content: 'hi' }] });
+      expect(response).toMatchObject({ content: 'unified', provider: 'mock', usage: { totalTokens: 6 } });
+    });
+
+    it('streams callStream() chunks and surfaces errors', async () => {
+      enqueueMockResponses([{ chunks: ['a', 'b'], inputTokens: 4, outputTokens: 2 }, { contextOverflow: true }]);
+
+      const chunks = [];
+      for await (const chunk of callStream({ provider: 'mock', systemPrompt: 'sys', messages: [{ role: 'user', content: 'hi' }] })) {
+        chunks.push(chunk);
+      }
+      expect(chunks.filter((c) => c.type === 'text_delta').map((c) => c.content)).toEqual(['a', 'b']);
+      expect(chunks.at(-1)).toMatchObject({ type: 'done', content: 'ab', usage: { inputTokens: 4, outputTokens: 2 }, provider: 'mock' });
+
+      const overflow = callStream({ provider: 'mock', systemPrompt: 'sys', messages: [{ role: 'user', content: 'hi' }] });
+      await expect(overflow.next()).rejects.toThrow(/mock streaming error: 400/);
+    });
+  });
+
+  describe('full dialogue', () => {
+    it('runs the ego/superego loop offline with canned defaults', async () => {
+      const result = await engine.runDialogue(
+        { learnerContext: 'New learner', curriculumContext: 'Lectures:\n  1. **Intro** (479-lecture-1)', simulationsContext: '' },
+        { profileName: 'mock', isNewUser: true, trace: true },
+      );
+
+      expect(result.suggestions[0]).toMatchObject({ actionTarget: '479-lecture-1' });
+      expect(result.converged).toBe(true);
+      expect(getMockCalls().map((c) => c.model)).toEqual(['mock-ego', 'mock-superego']);
+    });
+
+    it('loads fixture files', async () => {
+      const fixture = path.join(tmpDir, 'fixtures.yaml');
+      fs.writeFileSync(fixture, 'responses:\n  - text: from fixture\n    match:\n      model: mock-tutor\n');
+      expect(loadMockFixtures(fixture)).toBe(1);
+      expect((await engine.callAI(mockAgent, 'sys', 'user', 'ego')).text).toBe('from fixture');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+const monitoring = await import('../monitoringService.js');
+const { createMemoryMonitoringStore, createSqliteMonitoringStore } = await import('../monitoringStore.js');
+
+function runSession(sessionId, { profileName = 'budget', modelId = 'model-a', events = [{ inputTokens: 100, outputTokens: 50, latencyMs: 1000, round: 1 }] } = {}) {
+  monitoring.startSession(sessionId, { profileName, modelId });
+  for (const event of events) {
+    monitoring.recordEvent(sessionId, { type: 'ego_generate', ...event });
+  }
+  return monitoring.endSession(sessionId);
+}
+
+/** Backdate a stored session so retention treats it as old */
+function backdate(sessionId, isoTime) {
+  testDb.prepare('UPDATE monitoring_sessions SET start_time = ? WHERE session_id = ?').run(isoTime, sessionId);
+}
+
+describe.each([
+  ['memory', () => createMemoryMonitoringStore()],
+  ['sqlite', () => createSqliteMonitoringStore()],
+])('monitoringService with %s store', (storeName, createStore) => {
+  beforeEach(() => {
+    testDb = createTestDb();
+    applyMigrationFile(testDb, '012_monitoring_store.sql');
+    monitoring.setMonitoringStore(createStore());
+    monitoring.clearSessions();
+    monitoring.clearAlerts();
+  });
+
+  it('keeps completed sessions retrievable', () => {
+    runSession('s-1');
+
+    expect(monitoring.getActiveSessions()).toHaveLength(0);
+    const session = monitoring.getSession('s-1');
+    expect(session).toMatchObject({ status: 'completed', profileName: 'budget' });
+    expect(session.metrics).toMatchObject({ inputTokens: 100, outputTokens: 50, messageCount: 1 });
+    expect(monitoring.getSession('missing')).toBeUndefined();
+  });
+
+  it('persists in-flight sessions on every event', () => {
+    monitoring.startSession('live', { profileName: 'budget', modelId: 'model-a' });
+    monitoring.recordEvent('live', { type: 'ego_generate', inputTokens: 10 });
+
+    const [stored] = monitoring.getSessionHistory({ status: 'active' });
+    expect(stored).toMatchObject({ sessionId: 'live', status: 'active' });
+    expect(stored.metrics.inputTokens).toBe(10);
+  });
+
+  it('deduplicates and acknowledges alerts', () => {
+    runSession('s-1', { events: [{ latencyMs: 40000 }, { latencyMs: 45000 }] });
+
+    const alerts = monitoring.getAlerts();
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ type: 'high_latency', sessionId: 's-1', value: 45000 });
+
+    const acked = monitoring.acknowledgeAlert(alerts[0].id);
+    expect(acked.acknowledged).toBe(true);
+    expect(monitoring.getAlerts({ acknowledged: false })).toHaveLength(0);
+    expect(monitoring.acknowledgeAlert('alert-missing')).toBeNull();
+  });
+
+  it('aggregates history by profile, model and day', () => {
+    runSession('s-1', { profileName: 'budget', modelId: 'model-a' });
+    runSession('s-2', { profileName: 'budget', modelId: 'model-a', events: [{ inputTokens: 300, latencyMs: 3000, round: 3, error: 'boom' }] });
+    runSession('s-3', { profileName: 'recognition', modelId: 'model-b' });
+
+    const byProfile = monitoring.getHistoricalMetrics({ groupBy: ['profile'] });
+    expect(byProfile).toHaveLength(2);
+    expect(byProfile.find((r) => r.profileName === 'budget')).toMatchObject({
+      sessions: 2,
+      totalRounds: 4,
+      avgRounds: 2,
+      inputTokens: 400,
+      avgLatencyMs: 2000,
+      errors: 1,
+      errorRate: 0.5,
+    });
+
+    const [today] = monitoring.getHistoricalMetrics({ groupBy: ['day'], modelId: 'model-b' });
+    expect(today).toMatchObject({ day: new Date().toISOString().slice(0, 10), sessions: 1 });
+
+    expect(() => monitoring.getHistoricalMetrics({ groupBy: ['provider'] })).toThrow('Unknown groupBy field');
+  });
+
+  it('rolls up old sessions without changing historical totals', () => {
+    runSession('old-1');
+    runSession('old-2');
+    runSession('recent');
+    monitoring.startSession('still-active', { profileName: 'budget', modelId: 'model-a' });
+
+    const oldStart = '2026-01-15T10:00:00.000Z';
+    if (storeName === 'sqlite') {
+      backdate('old-1', oldStart);
+      backdate('old-2', oldStart);
+    } else {
+      monitoring.getSession('old-1').startTime = oldStart;
+      monitoring.getSession('old-2').startTime = oldStart;
+    }
+
+    const before = monitoring.getHistoricalMetrics({ groupBy: ['profile'] });
+    const result = monitoring.applyRetention({ retentionDays: 30 });
+
+    expect(result.sessionsRolledUp).toBe(2);
+    expect(monitoring.getSession('old-1')).toBeUndefined();
+    expect(monitoring.getSessionHistory()).toHaveLength(2);
+    expect(monitoring.getHistoricalMetrics({ groupBy: ['profile'] })).toEqual(before);
+    expect(monitoring.getHistoricalMetrics({ groupBy: ['day'] })[0]).toMatchObject({ day: '2026-01-15', sessions: 2 });
+  });
+});
+
+describe('monitoringStore', () => {
+  it('caps stored sessions in the memory store, evicting completed ones first', () => {
+    const store = createMemoryMonitoringStore({ maxSessions: 2 });
+    const session = (id, status) => ({ sessionId: id, status, startTime: new Date().toISOString(), metrics: {} });
+
+    store.saveSession(session('a', 'completed'));
+    store.saveSession(session('b', 'active'));
+    store.saveSession(session('c', 'completed'));
+
+    expect(store.getSession('a')).toBeNull();
+    expect(store.getSession('b')).not.toBeNull();
+    expect(store.listSessions()).toHaveLength(2);
+  });
+
+  it('survives a store failure without breaking session tracking', () => {
+    const failing = { ...createMemoryMonitoringStore(), saveSession: () => { throw new Error('disk full'); } };
+    monitoring.setMonitoringStore(failing);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    monitoring.startSession('s-fail', { profileName: 'budget' });
+    expect(monitoring.recordEvent('s-fail', { type: 'ego_generate', inputTokens: 5 }).metrics.inputTokens).toBe(5);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('disk full'));
+
+    warn.mockRestore();
+    monitoring.clearSessions();
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider, setMockHandler } = await import('../mockProviderService.js');
+const { createRedactor, createDialogueRedactor } = await import('../piiRedactionService.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-redaction-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const readLogs = () =>
+  ['tutor-api', 'tutor-dialogues']
+    .flatMap((dir) => fs.readdirSync(path.join(tmpDir, dir)).map((file) => path.join(tmpDir, dir, file)))
+    .map((file) => fs.readFileSync(file, 'utf-8'))
+    .join('\n');
+
+describe('piiRedactionService', () => {
+  beforeEach(() => {
+    resetMockProvider();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('replaces emails, phone numbers, roster names and custom patterns with stable placeholders', () => {
+    const redactor = createRedactor({
+      roster: ['Ada Lovelace', 'Ada'],
+      patterns: [{ name: 'student id', pattern: 'S\\d{7}' }],
+    });
+
+    const text = 'Ada Lovelace (S1234567, ada@example.com, +44 20 7946 0958) asked ada to call (555) 123-4567.';
+    expect(redactor.redact(text)).toBe(
+      '[NAME_1] ([STUDENT_ID_1], [EMAIL_1], [PHONE_1]) asked [NAME_2] to call [PHONE_2].',
+    );
+    expect(redactor.redact('Ada again, ada@example.com')).toBe('[NAME_2] again, [EMAIL_1]');
+    expect(redactor.restore('Well done, [NAME_1]! Reply to [EMAIL_1] or [UNKNOWN_1].')).toBe(
+      'Well done, Ada Lovelace! Reply to ada@example.com or [UNKNOWN_1].',
+    );
+    expect(redactor.summary()).toEqual({ placeholders: 6, counts: { STUDENT_ID: 1, EMAIL: 1, PHONE: 2, NAME: 2 } });
+
+    // Dates, scores, IDs and words containing a roster name are left alone
+    const safe = 'On 2026-03-01 Adam scored 85 90 78 92 in 479-lecture-3 (dialogue-1700000000000).';
+    expect(redactor.redact(safe)).toBe(safe);
+  });
+
+  it('redacts nested values and restores streamed placeholders split across tokens', () => {
+    const redactor = createRedactor({ roster: ['Grace Hopper'] });
+    expect(redactor.redactValue({ history: [{ role: 'user', content: 'I am Grace Hopper' }], rounds: 2 })).toEqual({
+      history: [{ role: 'user', content: 'I am [NAME_1]' }],
+      rounds: 2,
+    });
+
+    const tokens = [];
+    const stream = redactor.createStreamRestorer((token) => tokens.push(token));
+    ['Hi [NA', 'ME_', '1], see [1]', ' and [NAME_'].forEach(stream.push);
+    stream.flush();
+    expect(tokens.join('')).toBe('Hi Grace Hopper, see [1] and [NAME_');
+    expect(tokens).not.toContain('Hi [NA');
+  });
+
+  it('rejects invalid patterns and stays off unless enabled', () => {
+    expect(() => createRedactor({ patterns: [{ name: 'bad', pattern: '(' }] })).toThrow(
+      expect.objectContaining({ code: 'INVALID_REDACTION_PATTERN' }),
+    );
+    expect(createDialogueRedactor()).toBeNull();
+    expect(createDialogueRedactor(false)).toBeNull();
+    expect(createDialogueRedactor({ roster: ['Ada'] }).redact('Ada')).toBe('[NAME_1]');
+  });
+
+  it('keeps PII out of provider requests and logs but restores it in suggestions', async () => {
+    enqueueMockResponses({
+      json: [{
+        type: 'lecture',
+        priority: 'high',
+        title: 'Welcome back',
+        message: 'Welcome back, [NAME_1]! We will email [EMAIL_1] a summary.',
+        actionType: 'none',
+        reasoning: '[NAME_1] asked for a recap',
+      }],
+      match: { model: 'mock-ego' },
+    });
+
+    const result = await engine.runDialogue(
+      {
+        learnerContext: 'Learner: Ada Lovelace <ada@example.com>, phone +44 20 7946 0958. Sessions: 3 sessions',
+        curriculumContext: '',
+        simulationsContext: '',
+      },
+      {
+        profileName: 'mock',
+        redaction: { roster: ['Ada Lovelace'] },
+        conversationMode: 'messages',
+        messageHistory: [{ role: 'user', content: 'Hi, this is Ada Lovelace' }],
+      },
+    );
+
+    const sent = JSON.stringify(getMockCalls().map((c) => c.messages));
+    expect(sent).toContain('Learner: [NAME_1] <[EMAIL_1]>, phone [PHONE_1]');
+    expect(sent).toContain('Hi, this is [NAME_1]');
+    for (const value of ['Ada', 'ada@example.com', '7946']) {
+      expect(sent).not.toContain(value);
+      expect(readLogs()).not.toContain(value);
+    }
+
+    expect(result.suggestions[0].message).toBe('Welcome back, Ada Lovelace! We will email ada@example.com a summary.');
+    expect(result.redaction).toEqual({
+      placeholders: 3,
+      counts: { EMAIL: 1, PHONE: 1, NAME: 1 },
+      mapping: { '[EMAIL_1]': 'ada@example.com', '[PHONE_1]': '+44 20 7946 0958', '[NAME_1]': 'Ada Lovelace' },
+    });
+    expect(readLogs()).toContain('Welcome back, [NAME_1]!');
+  });
+
+  it('keeps overlapping dialogues on their own redactors', async () => {
+    setMockHandler(({ model }) => (model === 'mock-ego'
+      ? { json: [{ type: 'lecture', priority: 'high', title: 'Hi', message: 'Hello [NAME_1]', actionType: 'none', reasoning: 'Greeting' }] }
+      : { json: { approved: true, interventionType: 'none', feedback: 'Fine' } }));
+    const run = (name) => engine.runDialogue(
+      { learnerContext: `Learner: ${name}. Sessions: 3 sessions`, curriculumContext: '', simulationsContext: '' },
+      { profileName: 'mock', redaction: { roster: [name] } },
+    );
+
+    const [ada, grace] = await Promise.all([run('Ada Lovelace'), run('Grace Hopper')]);
+
+    const prompts = getMockCalls().map((c) => c.promptText);
+    expect(prompts.filter((text) => text.includes('Learner: [NAME_1].'))).toHaveLength(4);
+    for (const text of prompts) expect(text).not.toMatch(/Ada|Grace/);
+    expect(ada.suggestions[0].message).toBe('Hello Ada Lovelace');
+    expect(grace.suggestions[0].message).toBe('Hello Grace Hopper');
+    expect(ada.redaction.mapping).toEqual({ '[NAME_1]': 'Ada Lovelace' });
+    expect(grace.redaction.mapping).toEqual({ '[NAME_1]': 'Grace Hopper' });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { registerClientConfigDir } from '../configLoaderBase.js';
+import {
+  getModelPricing,
+  calculateCost,
+  getPricingTable,
+  getUnpricedModels,
+  clearUnpricedModels,
+} from '../pricingConfig.js';
+import * as monitoring from '../monitoringService.js';
+
+describe('pricingConfig', () => {
+  beforeEach(() => {
+    clearUnpricedModels();
+  });
+
+  it('resolves alias references and concrete model IDs to the same price', () => {
+    const byAlias = getModelPricing('openrouter.haiku');
+    expect(byAlias).toMatchObject({ provider: 'openrouter', alias: 'haiku', model: 'anthropic/claude-haiku-4.5', input: 0.8, output: 4 });
+
+    expect(getModelPricing({ provider: 'openrouter', model: 'haiku' })).toEqual(byAlias);
+    expect(getModelPricing('anthropic/claude-haiku-4.5')).toEqual(byAlias);
+    expect(getModelPricing('openrouter.anthropic/claude-haiku-4.5')).toEqual(byAlias);
+  });
+
+  it('scopes concrete IDs to a provider when one is given', () => {
+    expect(getModelPricing('gpt-5.2')).toMatchObject({ provider: 'openai', alias: 'standard' });
+    expect(getModelPricing('claude-sonnet-4-5', { provider: 'anthropic' })).toMatchObject({ alias: 'sonnet', tier: 'mid' });
+    expect(getModelPricing('claude-sonnet-4-5', { provider: 'openrouter' })).toBeNull();
+  });
+
+  it('bills cached input and reasoning tokens at their own rates', () => {
+    const plain = calculateCost('anthropic.sonnet', 1_000_000, 1_000_000);
+    expect(plain).toMatchObject({ inputCost: 3, outputCost: 15, totalCost: 18, tier: 'mid', estimated: false });
+
+    const cached = calculateCost('anthropic.sonnet', 1_000_000, 0, { cachedInputTokens: 500_000 });
+    expect(cached.inputCost).toBeCloseTo(1.5 + 0.15);
+
+    // No reasoning rate declared: reasoning tokens fall back to the output rate
+    expect(calculateCost('openai.mini', 0, 1_000_000, { reasoningTokens: 400_000 }).outputCost).toBeCloseTo(0.6);
+  });
+
+  it('reports models looked up without a price', () => {
+    expect(calculateCost('unknown-model', 100, 100)).toEqual({ cost: 0, totalCost: 0, tier: 'unknown', estimated: true });
+    calculateCost('unknown-model', 100, 100);
+    calculateCost('qwen3-14b', 100, 100, { provider: 'lmstudio' });
+
+    expect(getUnpricedModels()).toEqual([
+      expect.objectContaining({ provider: null, model: 'unknown-model', lookups: 2 }),
+      expect.objectContaining({ provider: 'lmstudio', model: 'qwen3-14b', lookups: 1 }),
+    ]);
+  });
+
+  it('lists the declared pricing table', () => {
+    const table = getPricingTable();
+    expect(table.find((p) => p.provider === 'gemini' && p.alias === 'flash')).toMatchObject({ model: 'gemini-3-flash-preview', tier: 'budget' });
+    expect(table.every((p) => p.provider !== 'mock')).toBe(true);
+  });
+
+  it('prices monitoring sessions by their resolved model ID', () => {
+    monitoring.startSession('priced', { modelId: 'anthropic/claude-haiku-4.5', provider: 'openrouter' });
+    const session = monitoring.recordEvent('priced', { type: 'ego_generate', inputTokens: 1_000_000, outputTokens: 0 });
+    monitoring.recordEvent('priced', { type: 'superego_review', modelId: 'anthropic/claude-sonnet-4.6', inputTokens: 1_000_000 });
+
+    expect(session.metrics.estimatedCost).toBeCloseTo(0.8 + 3);
+    monitoring.endSession('priced');
+    monitoring.clearSessions();
+  });
+
+  describe('client overlay', () => {
+    let clientDir;
+
+    afterEach(() => {
+      registerClientConfigDir(null);
+      fs.rmSync(clientDir, { recursive: true, force: true });
+    });
+
+    it('merges client pricing over core pricing', () => {
+      clientDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+      fs.writeFileSync(
+        path.join(clientDir, 'providers.yaml'),
+        'providers:\n  openrouter:\n    pricing:\n      haiku: { input: 1.0, output: 5.0 }\n      glm5: { input: 0.5, output: 2.0, tier: budget }\n',
+      );
+      registerClientConfigDir(clientDir);
+
+      expect(getModelPricing('openrouter.haiku')).toMatchObject({ input: 1, output: 5 });
+      expect(getModelPricing('z-ai/glm-5')).toMatchObject({ alias: 'glm5', tier: 'budget' });
+      expect(getModelPricing('openrouter.sonnet')).toMatchObject({ input: 3 });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { mergeProfiles, resolveProfiles, diffProfiles } from '../profileResolver.js';
+import * as configLoader from '../tutorConfigLoader.js';
+
+const base = {
+  description: 'Base',
+  dialogue: { enabled: true, max_rounds: 2 },
+  ego: { provider: 'openrouter', model: 'nemotron', hyperparameters: { temperature: 0.6, top_p: 0.9 } },
+  superego: { provider: 'openrouter', model: 'kimi-k2.5' },
+};
+
+describe('profileResolver', () => {
+  it('deep-merges bases left to right, then the profile itself', () => {
+    const { profiles, details, errors } = resolveProfiles(
+      {
+        base,
+        sonnet: {
+          extends: ['base', 'sonnet_superego'],
+          description: 'Sonnet superego',
+          ego: { hyperparameters: { temperature: 0.3, top_p: null } },
+        },
+      },
+      { sonnet_superego: { superego: { model: 'sonnet' }, dialogue: { max_rounds: 3 } } },
+    );
+
+    expect(errors).toEqual([]);
+    expect(profiles.sonnet).toEqual({
+      description: 'Sonnet superego',
+      dialogue: { enabled: true, max_rounds: 3 },
+      ego: { provider: 'openrouter', model: 'nemotron', hyperparameters: { temperature: 0.3 } },
+      superego: { provider: 'openrouter', model: 'sonnet' },
+    });
+    expect(details.sonnet).toMatchObject({
+      extends: ['base', 'sonnet_superego'],
+      lineage: ['base', 'sonnet_superego', 'sonnet'],
+    });
+    expect(details.sonnet.origins).toMatchObject({
+      'ego.model': 'base',
+      'superego.model': 'sonnet_superego',
+      'ego.hyperparameters.temperature': 'sonnet',
+    });
+    expect(details.sonnet.origins).not.toHaveProperty('ego.hyperparameters.top_p');
+
+    // Fragments are not profiles, and the base is left untouched
+    expect(Object.keys(profiles)).toEqual(['base', 'sonnet']);
+    expect(profiles.base.ego.hyperparameters.top_p).toBe(0.9);
+  });
+
+  it('keeps a top-level null and replaces lists', () => {
+    expect(mergeProfiles(base, { superego: null, ego: { prompt_files: ['b.md'] } }, { ego: { prompt_files: ['c.md'] } }))
+      .toMatchObject({ superego: null, ego: { model: 'nemotron', prompt_files: ['c.md'] } });
+  });
+
+  it('reports broken profiles one by one and resolves the rest', () => {
+    const { profiles, errors } = resolveProfiles(
+      {
+        base,
+        loop_a: { extends: 'loop_b' },
+        loop_b: { extends: 'loop_a' },
+        orphan: { extends: 'missing' },
+        clash: { extends: 'base' },
+        child: { extends: 'base', description: 'Child' },
+      },
+      { clash: { description: 'Fragment' } },
+    );
+
+    expect(Object.keys(profiles)).toEqual(['base', 'child']);
+    expect(errors).toEqual([
+      { profile: 'loop_a', code: 'PROFILE_INHERITANCE_CYCLE', message: 'Inheritance cycle: loop_a -> loop_b -> loop_a' },
+      { profile: 'loop_b', code: 'PROFILE_INHERITANCE_CYCLE', message: 'Inheritance cycle: loop_b -> loop_a -> loop_b' },
+      { profile: 'orphan', code: 'UNKNOWN_PROFILE_BASE', message: '"orphan" extends unknown profile or fragment "missing"' },
+      { profile: 'clash', code: 'PROFILE_NAME_CONFLICT', message: '"clash" is both a profile and a fragment' },
+    ]);
+  });
+
+  it('diffs resolved profiles by dotted path', () => {
+    expect(diffProfiles(base, mergeProfiles(base, { superego: null, ego: { hyperparameters: { top_p: null } } }))).toEqual([
+      { path: 'ego.hyperparameters.top_p', a: 0.9, b: undefined },
+      { path: 'superego', a: base.superego, b: null },
+    ]);
+  });
+
+  it('inspects and diffs the profiles in tutor-agents.yaml', () => {
+    const inspected = configLoader.inspectProfile('ablation_recognition_multiagent_sonnet_superego');
+    expect(inspected.lineage).toEqual([
+      'ablation_multiagent_tutor',
+      'ablation_recognition_multiagent_unified',
+      'ablation_recognition_multiagent_sonnet_superego',
+    ]);
+    expect(inspected.origins).toMatchObject({
+      'ego.provider': 'ablation_multiagent_tutor',
+      'superego.model': 'ablation_recognition_multiagent_sonnet_superego',
+    });
+    expect(configLoader.getActiveProfile('ablation_recognition_multiagent_sonnet_superego')).toMatchObject(inspected.profile);
+    expect(configLoader.inspectProfile('no_such_profile')).toBeNull();
+
+    expect(configLoader.diffProfiles('ablation_recognition_multiagent_unified', 'ablation_recognition_multiagent_sonnet_superego')
+      .map(({ path }) => path)).toEqual(['ablation_condition', 'description', 'superego.model']);
+    expect(() => configLoader.diffProfiles('budget', 'no_such_profile')).toThrow(expect.objectContaining({ code: 'PROFILE_NOT_FOUND' }));
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+// Give the mock profile's ego a fallback chain
+vi.mock('../tutorConfigLoader.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getAgentConfig: vi.fn((role, profileName, options) => {
+      const config = actual.getAgentConfig(role, profileName, options);
+      return role === 'ego' && profileName === 'mock' ? { ...config, fallback: ['mock.learner'] } : config;
+    }),
+  };
+});
+
+const engine = await import('../tutorDialogueEngine.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const { classifyError, normalizeFallbackPolicy } = await import('../providerFallback.js');
+const { resetProviderHealth, getProviderHealth } = await import('../providerHealthService.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fallback-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const mockAgent = {
+  provider: 'mock',
+  providerConfig: { isConfigured: true, base_url: 'mock://local' },
+  model: 'mock-ego',
+  hyperparameters: { temperature: 0, max_tokens: 200 },
+};
+
+const onModel = (model, spec) => ({ ...spec, match: { model } });
+
+describe('providerFallback', () => {
+  beforeEach(() => {
+    resetMockProvider();
+    resetProviderHealth();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('hops along the chain on rate limits and server errors', async () => {
+    enqueueMockResponses([
+      onModel('mock-ego', { error: 'slow down', status: 429 }),
+      onModel('mock-superego', { error: 'upstream down', status: 503 }),
+      onModel('mock-learner', { text: 'third time lucky' }),
+    ]);
+
+    const result = await engine.callAI(mockAgent, 'sys', 'user', 'ego', { fallback: ['mock.superego', 'mock.learner'] });
+
+    expect(result.text).toBe('third time lucky');
+    expect(result.fallbackHops).toEqual([
+      expect.objectContaining({ from: 'mock/mock-ego', to: 'mock/mock-superego', reason: 'rate_limit', error: 'Mock provider error: 429 - slow down' }),
+      expect.objectContaining({ from: 'mock/mock-superego', to: 'mock/mock-learner', reason: 'server_error' }),
+    ]);
+  });
+
+  it('does not hop on failures outside the policy', async () => {
+    enqueueMockResponses(onModel('mock-ego', { error: 'bad request', status: 400 }));
+    await expect(engine.callAI(mockAgent, 'sys', 'user', 'ego', { fallback: ['mock.learner'] })).rejects.toThrow('400 - bad request');
+
+    enqueueMockResponses(onModel('mock-ego', { error: 'slow down', status: 429 }));
+    await expect(
+      engine.callAI(mockAgent, 'sys', 'user', 'ego', { fallback: { chain: ['mock.learner'], on: ['server_error'] } }),
+    ).rejects.toThrow('429');
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-ego', 'mock-ego']);
+  });
+
+  it('throws the last error with every hop attached when the chain is exhausted', async () => {
+    enqueueMockResponses({ error: 'overloaded', status: 529, repeat: true });
+
+    const error = await engine.callAI(mockAgent, 'sys', 'user', 'ego', { fallback: ['mock.learner'] }).catch((e) => e);
+
+    expect(error.message).toContain('529');
+    expect(error.fallbackHops).toHaveLength(1);
+  });
+
+  it('hops on empty content, and on parse failures only when opted in', async () => {
+    enqueueMockResponses([
+      onModel('mock-ego', { empty: true, outputTokens: 5 }),
+      onModel('mock-learner', { text: 'not json' }),
+    ]);
+    const validate = (r) => r.text.startsWith('[');
+
+    const defaults = await engine.callAI(mockAgent, 'sys', 'user', 'ego', { fallback: ['mock.learner', 'mock.judge'], validate });
+    expect(defaults.text).toBe('not json');
+    expect(defaults.fallbackHops.map((h) => h.reason)).toEqual(['empty_content']);
+
+    enqueueMockResponses([onModel('mock-ego', { text: 'prose' }), onModel('mock-learner', { text: '[]' })]);
+    const optedIn = await engine.callAI(mockAgent, 'sys', 'user', 'ego', {
+      fallback: { chain: ['mock.learner'], on: ['parse_failure'] },
+      validate,
+    });
+    expect(optedIn.text).toBe('[]');
+    expect(optedIn.fallbackHops.map((h) => h.reason)).toEqual(['parse_failure']);
+  });
+
+  it('skips chain entries whose provider is not configured', async () => {
+    vi.stubEnv('ANTHROPIC_API_KEY', '');
+    enqueueMockResponses([onModel('mock-ego', { error: 'down', status: 502 }), 'recovered']);
+
+    const result = await engine.callAI(mockAgent, 'sys', 'user', 'ego', { fallback: ['anthropic.haiku', 'mock.learner'] });
+
+    expect(result.text).toBe('recovered');
+    expect(result.fallbackHops).toEqual([
+      expect.objectContaining({ to: 'anthropic/claude-haiku-4-5', reason: 'not_configured', skipped: true }),
+      expect.objectContaining({ from: 'mock/mock-ego', to: 'mock/mock-learner', reason: 'server_error' }),
+    ]);
+    vi.unstubAllEnvs();
+  });
+
+  it('records profile chain hops in the dialogue metrics and trace', async () => {
+    enqueueMockResponses(onModel('mock-ego', { error: 'slow down', status: 429 }));
+
+    const result = await engine.runDialogue(
+      { learnerContext: 'New learner', curriculumContext: 'Lectures:\n  1. **Intro** (479-lecture-1)', simulationsContext: '' },
+      { profileName: 'mock', isNewUser: true, trace: true },
+    );
+
+    expect(result.suggestions[0]).toMatchObject({ actionTarget: '479-lecture-1' });
+    expect(getMockCalls().map((c) => c.model)).toEqual(['mock-ego', 'mock-learner', 'mock-superego']);
+    expect(result.metrics.fallbackHops).toEqual([
+      expect.objectContaining({ role: 'ego', from: 'mock/mock-ego', to: 'mock/mock-learner', reason: 'rate_limit' }),
+    ]);
+    const egoEntry = result.dialogueTrace.find((e) => e.agent === 'ego' && e.action === 'generate');
+    expect(egoEntry.metrics.fallbackHops).toHaveLength(1);
+  });
+
+  it('hops when a local server refuses the connection and counts it against its health', async () => {
+    enqueueMockResponses(onModel('mock-learner', { text: 'served by the fallback' }));
+    const localAgent = {
+      provider: 'lmstudio',
+      providerConfig: { isConfigured: true, base_url: 'http://127.0.0.1:9/v1/chat/completions' },
+      model: 'local-model',
+      hyperparameters: { temperature: 0, max_tokens: 200 },
+    };
+
+    const result = await engine.callAI(localAgent, 'sys', 'user', 'ego', { fallback: ['mock.learner'] });
+
+    expect(result.text).toBe('served by the fallback');
+    expect(result.fallbackHops).toEqual([
+      expect.objectContaining({ from: 'lmstudio/local-model', to: 'mock/mock-learner', reason: 'network', error: expect.stringContaining('Local LLM fetch failed') }),
+    ]);
+    expect(getProviderHealth('lmstudio', 'local-model')).toMatchObject({ totalFailures: 1, consecutiveFailures: 1 });
+  });
+
+  it('classifies timeouts and network failures', () => {
+    expect(classifyError(Object.assign(new Error('aborted'), { name: 'TimeoutError' }))).toBe('timeout');
+    expect(classifyError(new Error('Request timed out after 30000ms'))).toBe('timeout');
+    expect(classifyError(Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } }))).toBe('network');
+    expect(classifyError(new Error('Local LLM fetch failed', { cause: new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } }) }))).toBe('network');
+    expect(classifyError(Object.assign(new Error('Budget exceeded'), { code: 'BUDGET_EXCEEDED' }))).toBeNull();
+  });
+
+  it('rejects unknown triggers', () => {
+    expect(normalizeFallbackPolicy(null)).toBeNull();
+    expect(normalizeFallbackPolicy(['mock.learner'])).toMatchObject({ on: expect.arrayContaining(['rate_limit', 'empty_content']) });
+    expect(() => normalizeFallbackPolicy({ chain: ['mock.learner'], on: ['cosmic_rays'] })).toThrow('Unknown fallback trigger(s): cosmic_rays');
+  });
+});
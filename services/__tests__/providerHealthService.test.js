@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+const testDb = createTestDb();
+applyMigrationFile(testDb, '016_ai_config.sql');
+// A database seeded before groq was retired
+testDb.prepare("INSERT INTO ai_providers (id, name, enabled, apiKeyEnvVar) VALUES ('groq', 'Groq', 0, 'GROQ_API_KEY')").run();
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => testDb),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn((name) => (name === 'claude' || name === 'openai' ? 'test-key' : null)),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const health = await import('../providerHealthService.js');
+const { callWithFallback } = await import('../providerFallback.js');
+const { embed, getAvailableProvider } = await import('../unifiedAIProviderService.js');
+const configLoader = await import('../tutorConfigLoader.js');
+const aiConfig = await vi.importActual('../aiConfigService.js');
+
+const serverError = () => Object.assign(new Error('Anthropic API error: 503 - overloaded'), { status: 503 });
+const networkError = () => new Error('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+const fail = (provider, model = null, error = serverError()) => health.recordCallOutcome({ provider, model, ok: false, error });
+const succeed = (provider, model = null, latencyMs = 100) => health.recordCallOutcome({ provider, model, ok: true, latencyMs });
+
+describe('providerHealthService', () => {
+  beforeEach(() => {
+    health.resetProviderHealth();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+  });
+
+  it('opens the circuit after consecutive failures', () => {
+    for (let i = 0; i < 4; i++) fail('anthropic');
+    expect(health.getCircuitState('anthropic')).toBe('closed');
+
+    fail('anthropic');
+    expect(health.getCircuitState('anthropic')).toBe('open');
+    expect(health.isAvailable('anthropic')).toBe(false);
+    expect(health.isAvailable('anthropic', 'claude-haiku-4-5')).toBe(false);
+    expect(health.getProviderHealth('anthropic')).toMatchObject({
+      consecutiveFailures: 5,
+      successRate: 0,
+      lastError: 'Anthropic API error: 503 - overloaded',
+      circuit: { state: 'open', opens: 1 },
+    });
+  });
+
+  it('keeps one failing model from opening the whole provider', () => {
+    for (let i = 0; i < 5; i++) fail('anthropic', 'claude-haiku-4-5');
+
+    expect(health.getCircuitState('anthropic', 'claude-haiku-4-5')).toBe('open');
+    expect(health.isAvailable('anthropic', 'claude-haiku-4-5')).toBe(false);
+    expect(health.isAvailable('anthropic', 'claude-sonnet-4-5')).toBe(true);
+    expect(health.getProviderHealth('anthropic')).toMatchObject({ consecutiveFailures: 5, circuit: { state: 'closed' } });
+
+    // Provider-wide failures (auth, network) open the provider whichever model saw them
+    for (let i = 0; i < 4; i++) fail('anthropic', 'claude-sonnet-4-5', new Error('Anthropic API error: 401 - bad key'));
+    expect(health.getCircuitState('anthropic')).toBe('closed');
+    fail('anthropic', 'claude-opus-4-6', networkError());
+    expect(health.getCircuitState('anthropic')).toBe('open');
+    expect(health.isAvailable('anthropic', 'claude-opus-4-6')).toBe(false);
+  });
+
+  it('opens the circuit when the window failure rate crosses the threshold', () => {
+    for (let i = 0; i < 9; i++) {
+      if (i % 2 === 0) fail('openai');
+      else succeed('openai');
+    }
+    expect(health.getCircuitState('openai')).toBe('closed');
+
+    fail('openai');
+    expect(health.getCircuitState('openai')).toBe('open');
+    expect(health.getProviderHealth('openai').successRate).toBeCloseTo(0.4);
+  });
+
+  it('ignores request errors that say nothing about provider health', () => {
+    const badRequest = Object.assign(new Error('OpenAI API error: 400 - invalid'), { status: 400 });
+    for (let i = 0; i < 10; i++) fail('openai', null, badRequest);
+    expect(health.getProviderHealth('openai')).toBeNull();
+
+    // Auth failures do count
+    fail('openai', null, new Error('OpenAI API error: 401 - bad key'));
+    expect(health.getProviderHealth('openai').totalFailures).toBe(1);
+  });
+
+  it('half-opens after the cooldown and closes or reopens on the trial call', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    for (let i = 0; i < 5; i++) fail('gemini');
+
+    vi.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    expect(health.getCircuitState('gemini')).toBe('half_open');
+    expect(health.isAvailable('gemini')).toBe(true);
+
+    fail('gemini');
+    expect(health.getCircuitState('gemini')).toBe('open');
+    expect(health.getProviderHealth('gemini').circuit.opens).toBe(2);
+
+    vi.setSystemTime(new Date('2026-01-01T00:02:00Z'));
+    succeed('gemini');
+    expect(health.getCircuitState('gemini')).toBe('closed');
+    expect(health.getProviderHealth('gemini').consecutiveFailures).toBe(0);
+  });
+
+  it('fails fast without calling the provider while the circuit is open', async () => {
+    for (let i = 0; i < 5; i++) fail('openrouter', 'nvidia/nemotron');
+    const fn = vi.fn(async () => 'ok');
+
+    const error = await health.trackCall('openrouter', 'nvidia/nemotron', fn).catch((e) => e);
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(error).toMatchObject({ code: 'CIRCUIT_OPEN', status: 503 });
+    expect(error.message).toContain('Circuit open for openrouter/nvidia/nemotron: 5/5 recent calls failed');
+    await expect(health.trackCall('openrouter', 'z-ai/glm-5', fn)).resolves.toBe('ok');
+  });
+
+  it('lets a single trial call through a half-open circuit', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    for (let i = 0; i < 5; i++) fail('openai', 'gpt-5-mini');
+    vi.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+
+    let finishTrial;
+    const trial = health.trackCall('openai', 'gpt-5-mini', () => new Promise((resolve) => { finishTrial = resolve; }));
+    expect(health.getCircuitState('openai', 'gpt-5-mini')).toBe('half_open');
+    expect(health.isAvailable('openai', 'gpt-5-mini')).toBe(false);
+    const fn = vi.fn(async () => 'ok');
+    await expect(health.trackCall('openai', 'gpt-5-mini', fn)).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+      message: 'Circuit half-open for openai/gpt-5-mini: a trial call is already in flight',
+    });
+    expect(fn).not.toHaveBeenCalled();
+
+    finishTrial('recovered');
+    await expect(trial).resolves.toBe('recovered');
+    expect(health.getCircuitState('openai', 'gpt-5-mini')).toBe('closed');
+    await expect(health.trackCall('openai', 'gpt-5-mini', fn)).resolves.toBe('ok');
+
+    // A trial that ends in a request error frees the slot for the next one
+    for (let i = 0; i < 5; i++) fail('openai', 'gpt-5-mini');
+    vi.setSystemTime(new Date('2026-01-01T00:03:00Z'));
+    const badRequest = Object.assign(new Error('OpenAI API error: 400 - invalid'), { status: 400 });
+    await expect(health.trackCall('openai', 'gpt-5-mini', async () => { throw badRequest; })).rejects.toBe(badRequest);
+    expect(health.isAvailable('openai', 'gpt-5-mini')).toBe(true);
+  });
+
+  it('times out hanging embedding requests and records the failure', async () => {
+    vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    })));
+
+    await expect(embed({ provider: 'local', input: ['hello'], timeoutMs: 20 })).rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(health.getProviderHealth('local', 'local-embedding-model')).toMatchObject({ totalCalls: 1, totalFailures: 1 });
+  });
+
+  it('reports latency percentiles over successful calls', async () => {
+    for (let ms = 10; ms <= 1000; ms += 10) succeed('lmstudio', 'qwen3', ms);
+
+    const snapshot = health.getProviderHealth('lmstudio', 'qwen3');
+    expect(snapshot.windowCalls).toBe(50);
+    expect(snapshot.latency).toEqual({ p50: 750, p95: 980, p99: 1000 });
+    expect(health.listProviderHealth().map((h) => h.model)).toEqual([null, 'qwen3']);
+
+    await health.trackCall('lmstudio', 'qwen3', async () => 'ok');
+    expect(health.getProviderHealth('lmstudio').totalCalls).toBe(101);
+  });
+
+  it('skips open providers when choosing an available provider', () => {
+    expect(getAvailableProvider()).toBe('anthropic');
+    for (let i = 0; i < 5; i++) fail('anthropic');
+    expect(getAvailableProvider()).toBe('openai');
+  });
+
+  it('skips open circuits in fallback chains', async () => {
+    for (let i = 0; i < 5; i++) fail('mock', 'mock-ego', networkError());
+
+    const primary = { provider: 'mock', model: 'mock-ego', hyperparameters: {} };
+    const callFn = vi.fn(async (config) => ({ text: `from ${config.model}` }));
+    const policy = { chain: ['mock.superego', 'mock.learner'], on: ['server_error'] };
+
+    const result = await callWithFallback(primary, policy, callFn);
+
+    // The last chain entry is always tried, open or not
+    expect(result.text).toBe('from mock-learner');
+    expect(callFn).toHaveBeenCalledTimes(1);
+    expect(result.fallbackHops).toEqual([
+      expect.objectContaining({ to: 'mock/mock-superego', reason: 'circuit_open', skipped: true }),
+      expect.objectContaining({ from: 'mock/mock-ego', to: 'mock/mock-learner', reason: 'circuit_open' }),
+    ]);
+  });
+
+  it('reports health when resolving profile agents and model references', () => {
+    for (let i = 0; i < 5; i++) fail('mock', 'mock-ego');
+
+    expect(configLoader.getAgentConfig('ego', 'mock').health).toEqual({ available: false, circuit: 'open' });
+    expect(configLoader.getAgentConfig('superego', 'mock').health).toEqual({ available: true, circuit: 'closed' });
+    expect(configLoader.resolveModel('mock.ego').health.available).toBe(false);
+    expect(configLoader.getModelAgentConfig('mock.learner').health.available).toBe(true);
+  });
+
+  it('pings providers at their providers.yaml endpoints and attaches runtime health', async () => {
+    vi.stubEnv('OPENROUTER_API_KEY', 'or-key');
+    vi.stubEnv('ANTHROPIC_API_KEY', 'ant-key');
+    const fetchMock = vi.fn(async () => new Response('{}', { status: 200 }));
+    vi.stubGlobal('fetch', fetchMock);
+    succeed('openrouter', 'nvidia/nemotron-3-nano-30b-a3b', 120);
+
+    const openrouter = await aiConfig.checkProviderHealth('openrouter');
+    expect(openrouter).toMatchObject({ status: 'healthy', model: 'nvidia/nemotron-3-nano-30b-a3b', runtime: { totalCalls: 1 } });
+    expect(fetchMock).toHaveBeenLastCalledWith('https://openrouter.ai/api/v1/models', expect.objectContaining({
+      headers: { Authorization: 'Bearer or-key' },
+    }));
+
+    fetchMock.mockResolvedValueOnce(new Response('{}', { status: 401 }));
+    expect(await aiConfig.checkProviderHealth('anthropic')).toMatchObject({ status: 'error', message: 'HTTP 401', runtime: null });
+    expect(fetchMock).toHaveBeenLastCalledWith('https://api.anthropic.com/v1/models', expect.objectContaining({
+      headers: expect.objectContaining({ 'x-api-key': 'ant-key' }),
+    }));
+
+    expect(await aiConfig.checkProviderHealth('groq')).toEqual({ status: 'error', message: 'Provider not found', runtime: null });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('health-checks every provider getProviders() lists, honouring its enabled flag', async () => {
+    vi.stubEnv('ANTHROPIC_API_KEY', 'ant-key');
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('{}', { status: 200 })));
+    succeed('anthropic', null, 80);
+
+    const listed = aiConfig.getProviders().map((p) => p.id);
+    expect(listed).toContain('claude');
+    expect(listed).not.toContain('groq');
+    for (const id of listed) {
+      expect((await aiConfig.checkProviderHealth(id)).message).not.toBe('Provider not found');
+    }
+    expect(await aiConfig.checkProviderHealth('claude')).toMatchObject({ status: 'healthy', runtime: { provider: 'anthropic', totalCalls: 1 } });
+
+    aiConfig.updateProvider('claude', { enabled: 0 });
+    try {
+      expect(await aiConfig.checkProviderHealth('anthropic')).toMatchObject({ status: 'disabled' });
+      expect(await aiConfig.checkProviderHealth('claude')).toMatchObject({ status: 'disabled' });
+    } finally {
+      aiConfig.updateProvider('claude', { enabled: 1 });
+    }
+  });
+});
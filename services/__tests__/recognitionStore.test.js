@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { createTestDb } from './fixtures.js';
+
+// The memory store must never reach the database
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    throw new Error('getDb should not be called');
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const recognitionStore = await import('../recognitionStore.js');
+const writingPadService = await import('../writingPadService.js');
+const learnerIntegrationService = await import('../learnerIntegrationService.js');
+const gamification = await import('../recognitionGamificationService.js');
+
+const stores = [
+  ['memory', () => recognitionStore.createMemoryRecognitionStore()],
+  ['sqlite', () => recognitionStore.createSqliteRecognitionStore({ db: createTestDb() })],
+];
+
+const moment = (id, overrides = {}) => ({
+  id,
+  writing_pad_id: 'pad-1',
+  thesis_position: 'thesis',
+  antithesis_position: 'antithesis',
+  persistence_layer: 'conscious',
+  ...overrides,
+});
+
+describe.each(stores)('%s recognition store', (_name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  it('stores and updates writing pads', () => {
+    store.insertWritingPad({ id: 'pad-1', learner_id: 'learner-1', conscious_state: '{"a":1}' });
+    expect(() => store.insertWritingPad({ id: 'pad-2', learner_id: 'learner-1' })).toThrow();
+
+    store.updateWritingPad('learner-1', { unconscious_state: '{"b":2}' }, { incrementMoments: 1 });
+    expect(store.getWritingPadByLearner('learner-1')).toMatchObject({
+      id: 'pad-1',
+      conscious_state: '{"a":1}',
+      preconscious_state: '{}',
+      unconscious_state: '{"b":2}',
+      total_recognition_moments: 1,
+      pedagogical_attunement: 0.5,
+    });
+    expect(store.getWritingPadByLearner('learner-2')).toBeNull();
+    expect(() => store.updateWritingPad('learner-1', { learner_id: 'x' })).toThrow('Cannot update writing_pads.learner_id');
+  });
+
+  it('filters, orders and pages recognition moments', () => {
+    store.insertWritingPad({ id: 'pad-1', learner_id: 'learner-1' });
+    store.insertRecognitionMoment(moment('m1', { created_at: '2026-01-01 10:00:00', session_id: 's1', recognition_type: 'existential' }));
+    store.insertRecognitionMoment(moment('m2', { created_at: '2026-01-02 10:00:00', session_id: 's2', transformative: 1 }));
+    store.insertRecognitionMoment(moment('m3', { created_at: '2026-01-03 10:00:00', mutual_acknowledgment: 1 }));
+    store.consolidateRecognitionMoment('m2');
+
+    const ids = (rows) => rows.map((r) => r.id);
+    expect(ids(store.listRecognitionMoments('pad-1'))).toEqual(['m3', 'm2', 'm1']);
+    expect(ids(store.listRecognitionMoments('pad-1', { order: 'asc', limit: 1, offset: 1 }))).toEqual(['m2']);
+    expect(ids(store.listRecognitionMoments('pad-1', { hasSession: true, order: 'asc' }))).toEqual(['m1', 'm2']);
+    expect(ids(store.listRecognitionMoments('pad-1', { sessionId: 's1' }))).toEqual(['m1']);
+    expect(ids(store.listRecognitionMoments('pad-1', { transformativeOnly: true }))).toEqual(['m2']);
+    expect(ids(store.listRecognitionMoments('pad-1', { mutualAcknowledgment: true }))).toEqual(['m3']);
+    expect(ids(store.listRecognitionMoments('pad-1', { recognitionType: 'existential' }))).toEqual(['m1']);
+    expect(ids(store.listRecognitionMoments('pad-1', { consolidated: true, orderBy: 'consolidated_at' }))).toEqual(['m2']);
+    expect(store.getRecognitionMoment('m2')).toMatchObject({ persistence_layer: 'unconscious', struggle_depth: 0, transformative: 1 });
+    expect(store.getRecognitionMoment('m2').consolidated_at).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    expect(store.getRecognitionMoment('missing')).toBeNull();
+  });
+
+  it('filters and counts learner events', () => {
+    const event = (id, overrides) => ({ id, learner_id: 'learner-1', writing_pad_id: 'pad-1', ...overrides });
+    store.insertLearnerEvent(event('e1', { event_type: 'resistance', resistance_interpretation: 'productive', created_at: '2026-01-01 10:00:00' }));
+    store.insertLearnerEvent(event('e2', { event_type: 'breakthrough', recognition_achieved: true, session_id: 's1', created_at: '2026-01-02 10:00:00' }));
+    store.insertLearnerEvent(event('e3', { event_type: 'resistance', created_at: '2026-01-03 10:00:00' }));
+
+    const ids = (rows) => rows.map((r) => r.id);
+    expect(ids(store.listLearnerEvents('learner-1'))).toEqual(['e3', 'e2', 'e1']);
+    expect(ids(store.listLearnerEvents('learner-1', { eventType: 'resistance', order: 'asc' }))).toEqual(['e1', 'e3']);
+    expect(ids(store.listLearnerEvents('learner-1', { since: '2026-01-01 10:00:00', limit: 1 }))).toEqual(['e3']);
+    expect(ids(store.listLearnerEvents('learner-1', { hasSession: true }))).toEqual(['e2']);
+    expect(ids(store.listLearnerEvents('learner-1', { resistanceInterpretation: 'productive' }))).toEqual(['e1']);
+    expect(store.countLearnerEvents('learner-1', { eventType: 'resistance' })).toBe(2);
+    expect(store.countLearnerEvents('learner-2')).toBe(0);
+    expect(store.getLearnerEvent('e2').recognition_achieved).toBe(1);
+  });
+
+  it('deletes a learner\'s pad, moments and events', () => {
+    store.insertWritingPad({ id: 'pad-1', learner_id: 'learner-1' });
+    store.insertWritingPad({ id: 'pad-2', learner_id: 'learner-2' });
+    store.insertRecognitionMoment(moment('m1'));
+    store.insertRecognitionMoment(moment('m2', { writing_pad_id: 'pad-2' }));
+    store.insertLearnerEvent({ id: 'e1', learner_id: 'learner-1', writing_pad_id: 'pad-1', event_type: 'demand' });
+    store.insertLearnerEvent({ id: 'e2', learner_id: 'learner-2', writing_pad_id: 'pad-2', event_type: 'demand' });
+
+    expect(store.deleteLearnerData('learner-1')).toEqual({ writingPads: 1, recognitionMoments: 1, learnerEvents: 1 });
+    expect(store.getWritingPadByLearner('learner-1')).toBeNull();
+    expect(store.getRecognitionMoment('m1')).toBeNull();
+    expect(store.countLearnerEvents('learner-1')).toBe(0);
+    expect(store.getRecognitionMoment('m2')).not.toBeNull();
+    expect(store.countLearnerEvents('learner-2')).toBe(1);
+    expect(store.deleteLearnerData('learner-1')).toEqual({ writingPads: 0, recognitionMoments: 0, learnerEvents: 0 });
+  });
+});
+
+describe('recognition services on the memory store', () => {
+  beforeEach(() => {
+    recognitionStore.setRecognitionStore(recognitionStore.createMemoryRecognitionStore());
+  });
+
+  afterAll(() => {
+    recognitionStore.setRecognitionStore(null);
+  });
+
+  it('runs the writing pad, learner event and gamification flows without a database', () => {
+    const pad = writingPadService.initializeWritingPad('learner-1');
+    writingPadService.updateConscious('learner-1', { workingThoughts: ['thinking'] });
+
+    const created = writingPadService.createRecognitionMoment({
+      writingPadId: pad.id,
+      sessionId: 'session-1',
+      ghostDemand: { voice: 'Slow down', principle: 'rigor' },
+      learnerNeed: { need: 'momentum', intensity: 0.6 },
+      synthesis: { synthesis: 'dialectical_synthesis', transformative: true },
+      parameters: { superegoCompliance: 0.7, recognitionSeeking: 0.6 },
+    });
+    writingPadService.settleToUnconscious('learner-1', { ...created, synthesis_resolution: 'Both moved' });
+
+    const event = learnerIntegrationService.recordLearnerEvent({
+      learnerId: 'learner-1',
+      writingPadId: pad.id,
+      sessionId: 'session-1',
+      eventType: 'resistance',
+      resistanceInterpretation: 'productive',
+    });
+    expect(learnerIntegrationService.getLearnerEvents('learner-1')).toEqual([event]);
+
+    // Quiz events are recorded, but review scheduling (SQLite only) is skipped
+    const quiz = learnerIntegrationService.recordLearnerEvent({
+      learnerId: 'learner-1',
+      writingPadId: pad.id,
+      eventType: 'breakthrough',
+      quizOutcome: { type: 'quiz_answer', conceptId: 'dialectic', correct: true },
+    });
+    expect(quiz).not.toHaveProperty('reviewUpdates');
+    expect(learnerIntegrationService.getLearnerEvents('learner-1')).toHaveLength(2);
+
+    const updated = writingPadService.getWritingPad('learner-1');
+    expect(updated.conscious.workingThoughts).toEqual(['thinking']);
+    expect(updated.metrics.totalRecognitionMoments).toBe(1);
+    expect(updated.unconscious.permanentTraces).toHaveLength(1);
+    expect(writingPadService.getRecognitionMoments(pad.id)).toEqual([
+      expect.objectContaining({ id: created.id, transformative: true, persistence_layer: 'unconscious' }),
+    ]);
+
+    const milestones = Object.fromEntries(gamification.checkRecognitionMilestones('learner-1').map((m) => [m.key, m.achieved]));
+    expect(milestones).toMatchObject({ productive_resistance: true, memory_consolidation: true, synthesis_achieved: true, first_negation: false });
+    expect(gamification.computeRecognitionFlow('learner-1')).toMatchObject({ momentCount: 1, resistanceProductivity: 1 });
+    expect(gamification.getDialecticalContinuity('learner-1')).toMatchObject({ sessionsWithRecognition: 1, currentContinuity: 1 });
+  });
+});
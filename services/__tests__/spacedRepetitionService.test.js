@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestDb, applyMigrationFile } from './fixtures.js';
+
+let testDb;
+
+vi.mock('../dbService.js', () => ({
+  getDb: vi.fn(() => {
+    if (!testDb) throw new Error('testDb not initialized - beforeEach has not run yet');
+    return testDb;
+  }),
+  initDb: vi.fn(),
+  closeDb: vi.fn(),
+  _setDbForTesting: vi.fn(),
+}));
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const sr = await import('../spacedRepetitionService.js');
+const learnerIntegrationService = await import('../learnerIntegrationService.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spaced-repetition-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date('2026-03-01T12:00:00Z');
+const daysAfter = (days) => new Date(start.getTime() + days * DAY_MS);
+
+describe('spacedRepetitionService', () => {
+  beforeEach(() => {
+    testDb = createTestDb();
+    applyMigrationFile(testDb, '008_writing_pad_schema.sql');
+    applyMigrationFile(testDb, '014_knowledge_tracing.sql');
+    applyMigrationFile(testDb, '015_review_schedule.sql');
+    resetMockProvider();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('applies the SM-2 schedule', () => {
+    const first = sr.scheduleReview(null, 4);
+    expect(first).toEqual({ easeFactor: 2.5, intervalDays: 1, repetitions: 1, lapses: 0 });
+    const second = sr.scheduleReview(first, 5);
+    expect(second).toMatchObject({ intervalDays: 6, repetitions: 2 });
+    expect(second.easeFactor).toBeCloseTo(2.6);
+    expect(sr.scheduleReview(second, 4)).toMatchObject({ intervalDays: 16, repetitions: 3 });
+
+    const lapse = sr.scheduleReview(second, 1);
+    expect(lapse).toMatchObject({ intervalDays: 1, repetitions: 0, lapses: 1 });
+    expect(lapse.easeFactor).toBeCloseTo(2.06);
+    expect(sr.scheduleReview({ ...lapse, easeFactor: 1.3 }, 0).easeFactor).toBe(1.3);
+  });
+
+  it('maps quiz outcomes to quality', () => {
+    expect(sr.qualityFromOutcome({ quality: 3, score: 1 })).toBe(3);
+    expect(sr.qualityFromOutcome({ score: 0.8, correct: true })).toBe(4);
+    expect(sr.qualityFromOutcome({ correct: false })).toBe(1);
+    expect(sr.qualityFromOutcome({})).toBeNull();
+  });
+
+  it('reschedules quiz concepts and lists the reviews that are due', () => {
+    sr.recordQuizOutcome('learner-1', { type: 'quiz_complete', target: '479-lecture-1', score: 1 }, { reviewedAt: start });
+    sr.recordQuizOutcome(
+      'learner-1',
+      { type: 'quiz_complete', target: '479-lecture-2', answers: [{ conceptId: 'edtech', correct: false }] },
+      { reviewedAt: start },
+    );
+    expect(sr.recordQuizOutcome('learner-1', { type: 'page_view', target: '479-lecture-3' })).toEqual([]);
+
+    expect(sr.getDueReviews('learner-1', { now: start })).toEqual([]);
+    const due = sr.getDueReviews('learner-1', { now: daysAfter(3) });
+    expect(due.map((d) => [d.conceptId, d.overdueDays, d.lapses])).toEqual([
+      ['479-lecture-1', 2, 0],
+      ['edtech', 2, 1],
+    ]);
+    expect(sr.renderDueReviews(due)).toBe(
+      ['### Due for Review', '- 479-lecture-1: overdue by 2 days', '- edtech (479-lecture-2): overdue by 2 days, forgotten 1x'].join('\n'),
+    );
+
+    // A second successful review pushes the next one out to six days
+    const [item] = sr.recordQuizOutcome('learner-1', { type: 'quiz_answer', conceptId: '479-lecture-1', correct: true }, { reviewedAt: daysAfter(3) });
+    expect(item).toMatchObject({ repetitions: 2, intervalDays: 6, dueAt: daysAfter(9).toISOString() });
+  });
+
+  it('updates intervals from quiz outcomes recorded as learner events', () => {
+    const event = learnerIntegrationService.recordLearnerEvent({
+      learnerId: 'learner-1',
+      writingPadId: 'pad-1',
+      eventType: 'breakthrough',
+      triggerEvent: JSON.stringify({ type: 'quiz_complete', quizId: '479-lecture-3', passed: true }),
+      evidence: 'Passed quiz after 2 failed attempts',
+      recognitionAchieved: true,
+    });
+    expect(event.reviewUpdates).toEqual([expect.objectContaining({ conceptId: '479-lecture-3', writingPadId: 'pad-1', repetitions: 1 })]);
+
+    const demand = learnerIntegrationService.recordLearnerEvent({
+      learnerId: 'learner-1',
+      writingPadId: 'pad-1',
+      eventType: 'demand',
+      demandCategory: 'validation',
+      quizOutcome: { type: 'quiz_answer', conceptId: 'dialectic', correct: false },
+    });
+    expect(demand.reviewUpdates[0]).toMatchObject({ conceptId: 'dialectic', lapses: 1 });
+  });
+
+  it('records a quiz outcome event on a database without the mastery and review tables', () => {
+    // Migrations 014/015 not applied
+    testDb = createTestDb();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const event = learnerIntegrationService.recordLearnerEvent({
+      learnerId: 'learner-1',
+      writingPadId: 'pad-1',
+      eventType: 'breakthrough',
+      triggerEvent: JSON.stringify({ type: 'quiz_complete', quizId: '479-lecture-3', passed: true }),
+    });
+
+    expect(event).toMatchObject({
+      eventType: 'breakthrough',
+      masteryError: expect.stringContaining('no such table'),
+      reviewError: expect.stringContaining('no such table'),
+    });
+    expect(learnerIntegrationService.getLearnerEvents('learner-1').map((e) => e.id)).toEqual([event.id]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Review scheduling failed'), expect.any(String));
+    warn.mockRestore();
+  });
+
+  it('injects due reviews into the learner context', async () => {
+    sr.recordQuizOutcome('learner-1', { type: 'quiz_answer', conceptId: 'dialectic', correct: false }, {
+      reviewedAt: new Date(Date.now() - 2 * DAY_MS),
+    });
+
+    const result = await engine.runDialogue(
+      { learnerContext: 'Sessions: 4 sessions', curriculumContext: '', simulationsContext: '' },
+      { profileName: 'mock', learnerId: 'learner-1', trace: true },
+    );
+
+    const egoPrompt = getMockCalls()
+      .find((c) => c.model === 'mock-ego')
+      .messages.filter((m) => m.role === 'user')
+      .at(-1).content;
+    expect(egoPrompt).toContain('Sessions: 4 sessions\n\n### Due for Review\n- dialectic: overdue by 1 day, forgotten 1x');
+    const entry = result.dialogueTrace.find((e) => e.action === 'due_reviews');
+    expect(entry.output).toEqual([expect.objectContaining({ conceptId: 'dialectic' })]);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { enqueueMockResponses, resetMockProvider } = await import('../mockProviderService.js');
+const similarity = await import('../suggestionSimilarityService.js');
+
+engine.setQuietMode(true);
+
+const suggestion = (overrides = {}) => ({
+  type: 'lecture',
+  priority: 'high',
+  title: 'Revisit the master-slave dialectic',
+  message: 'You paused on recognition last time; the next lecture picks it up from there.',
+  actionType: 'navigate',
+  actionTarget: '479-lecture-3',
+  reasoning: 'Recognition came up twice without resolution',
+  ...overrides,
+});
+
+describe('suggestionSimilarityService', () => {
+  afterEach(() => {
+    similarity.setEmbeddingBackend(null);
+    resetMockProvider();
+  });
+
+  it('scores a one-word insertion as near-identical where the character measure does not', async () => {
+    const previous = [suggestion()];
+    const current = [suggestion({ message: 'Carefully: you paused on recognition last time; the next lecture picks it up from there.' })];
+
+    const character = await similarity.computeSimilarity(previous, current, { measure: 'character' });
+    const field = await similarity.computeSimilarity(previous, current, { measure: 'field' });
+    const token = await similarity.computeSimilarity(previous, current, { measure: 'token' });
+    const lexical = await similarity.computeSimilarity(previous, current, { measure: 'lexical' });
+
+    expect(character.score).toBeLessThan(0.5);
+    expect(field).toEqual({ measure: 'field', score: expect.any(Number) });
+    expect(field.score).toBeGreaterThan(0.9);
+    expect(token.score).toBeGreaterThan(0.9);
+    expect(lexical.score).toBeGreaterThan(0.9);
+  });
+
+  it('compares fields by weight and pairs suggestions regardless of order', async () => {
+    const a = suggestion();
+    const b = suggestion({ type: 'simulation', title: 'Try the recognition simulation', actionTarget: 'sim-recognition' });
+
+    expect((await similarity.computeSimilarity([a, b], [b, a], { measure: 'field' })).score).toBe(1);
+    expect((await similarity.computeSimilarity([a, b], [a], { measure: 'field' })).score).toBe(0.5);
+    expect((await similarity.computeSimilarity([], [], { measure: 'field' })).score).toBe(1);
+
+    // Only actionTarget differs: the score drops by exactly its share of the weights
+    const retargeted = await similarity.computeSimilarity([a], [suggestion({ actionTarget: '479-lecture-4' })], {
+      measure: 'field',
+      weights: { type: 1, actionTarget: 1, title: 1, message: 1 },
+    });
+    expect(retargeted.score).toBe(0.75);
+  });
+
+  it('uses an embedding backend, redacting texts first, and falls back without one', async () => {
+    const sent = [];
+    similarity.setEmbeddingBackend(async (texts) => {
+      sent.push(...texts);
+      return texts.map((text) => (text.includes('recognition') ? [1, 0] : [0, 1]));
+    });
+
+    const previous = [suggestion({ message: 'Ada, recognition comes next.' })];
+    const current = [suggestion({ message: 'Ada, we turn to recognition now.' })];
+    const result = await similarity.computeSimilarity(previous, current, {
+      measure: 'embedding',
+      redact: (text) => text.replace('Ada', '[NAME_1]'),
+    });
+    expect(result).toEqual({ measure: 'embedding', score: 1 });
+    expect(sent.join(' ')).not.toContain('Ada');
+
+    similarity.setEmbeddingBackend(null);
+    const fallback = await similarity.computeSimilarity(previous, current, { measure: 'embedding' });
+    expect(fallback).toMatchObject({ measure: 'field', fallbackFrom: 'embedding', error: 'No embedding backend configured' });
+    expect(fallback.score).toBeGreaterThan(0);
+  });
+
+  it('accepts registered measures and rejects unknown ones', async () => {
+    similarity.registerSimilarityMeasure('count', (previous, current) =>
+      Math.min(previous.length, current.length) / Math.max(previous.length, current.length));
+
+    expect(similarity.listSimilarityMeasures()).toEqual(expect.arrayContaining(['character', 'token', 'lexical', 'field', 'embedding', 'count']));
+    expect(await similarity.computeSimilarity([1, 2], [1], { measure: 'count' })).toEqual({ measure: 'count', score: 0.5 });
+    await expect(similarity.computeSimilarity([], [], { measure: 'missing' })).rejects.toMatchObject({ code: 'UNKNOWN_SIMILARITY_MEASURE' });
+  });
+
+  it('reads the measure from the profile and logs the score for each revision round', async () => {
+    expect(similarity.getSimilarityConfig('mock')).toMatchObject({ measure: 'field', textMeasure: 'token' });
+
+    const draft = suggestion();
+    const revision = suggestion({ message: 'Carefully: you paused on recognition last time; the next lecture picks it up from there.' });
+    enqueueMockResponses([
+      { json: [draft], match: { model: 'mock-ego' } },
+      { json: { approved: false, interventionType: 'revise', feedback: 'Soften the opening' }, match: { model: 'mock-superego' } },
+      { json: [revision], match: { model: 'mock-ego' } },
+    ]);
+
+    const result = await engine.runDialogue(
+      { learnerContext: 'Sessions: 3 sessions', curriculumContext: '', simulationsContext: '' },
+      { profileName: 'mock', trace: true },
+    );
+
+    expect(result).toMatchObject({ converged: true, convergenceReason: 'threshold', convergenceMeasure: 'field', rounds: 1 });
+    expect(result.metrics.similarity).toEqual([
+      { round: 1, measure: 'field', score: result.convergenceSimilarity, threshold: 0.7, converged: true },
+    ]);
+    expect(result.dialogueTrace).toContainEqual(expect.objectContaining({ round: 1, agent: 'system', action: 'similarity' }));
+  });
+});
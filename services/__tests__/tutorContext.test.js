@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// aiConfigService reads provider settings from SQLite and logs interactions there
+vi.mock('../aiConfigService.js', () => ({
+  getApiKey: vi.fn(() => null),
+  getDefaultModel: vi.fn(() => 'default-model'),
+  getDefaultProviderId: vi.fn(() => 'openrouter'),
+  logInteraction: vi.fn(),
+}));
+
+const engine = await import('../tutorDialogueEngine.js');
+const { enqueueMockResponses, getMockCalls, resetMockProvider } = await import('../mockProviderService.js');
+const tutorContext = await import('../tutorContext.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tutor-context-'));
+engine.setLogDir(tmpDir);
+engine.setQuietMode(true);
+
+const curriculumData = {
+  courses: [
+    {
+      id: '479',
+      title: 'EPOL 479: Machine Spirits',
+      description: 'Exploring AI, Philosophy, and Digital Culture',
+      tags: ['ai', 'philosophy'],
+      lectures: [
+        { id: '479-lecture-1', title: 'Welcome to Machine Learning', topics: ['Introduction to ML concepts'] },
+        { id: '479-lecture-2', title: 'Technology and Pedagogy', prerequisites: ['479-lecture-1'] },
+        { id: '479-lecture-3', title: 'Dialectical Learning', prerequisites: ['479-lecture-2'] },
+      ],
+    },
+  ],
+};
+
+const learnerData = {
+  profile: { sessions: 6, activitiesCompleted: 9, strugglesCount: 0, currentPage: { id: '479-lecture-1', title: 'Welcome to Machine Learning' } },
+  progress: { completedLectures: ['479-lecture-1'], quizScores: { '479-lecture-1': 0.8 } },
+  recentEvents: [{ type: 'quiz_completed', target: '479-lecture-1', description: 'Finished 479-lecture-1 quiz (8/10)' }],
+  chatHistory: [{ role: 'learner', content: 'Is the dialectic a kind of argument?' }],
+};
+
+const simulationsData = [{ id: 'dialectic', title: 'Dialectical Movement', concepts: ['dialectic', 'contradiction'] }];
+
+const lastUserMessage = (call) => call.messages.filter((m) => m.role === 'user').at(-1).content;
+
+describe('tutorContext', () => {
+  beforeEach(() => {
+    resetMockProvider();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('renders typed context to the prompt format', () => {
+    const learner = tutorContext.createLearnerContext(learnerData);
+    expect(tutorContext.renderLearnerContext(learner)).toBe(`### Learner Profile
+Sessions: 6 sessions
+Activities completed: 9
+Currently viewing: 479-lecture-1 (Welcome to Machine Learning)
+Struggle signals: 0
+
+### Progress
+Completed lectures: 479-lecture-1
+Quiz scores: 479-lecture-1 80%
+
+### Recent Activity
+- Finished 479-lecture-1 quiz (8/10)
+
+### Recent Chat History
+- Learner: "Is the dialectic a kind of argument?"`);
+
+    expect(tutorContext.renderCurriculum(tutorContext.createCurriculum(curriculumData))).toBe(`### EPOL 479: Machine Spirits (479)
+*Exploring AI, Philosophy, and Digital Culture*
+Tags: ai, philosophy
+
+Lectures:
+  1. **Welcome to Machine Learning** (479-lecture-1)
+      Topics: Introduction to ML concepts
+  2. **Technology and Pedagogy** (479-lecture-2)
+      Prerequisites: 479-lecture-1
+  3. **Dialectical Learning** (479-lecture-3)
+      Prerequisites: 479-lecture-2`);
+
+    expect(tutorContext.renderSimulations(tutorContext.createSimulations(simulationsData))).toBe(
+      '- dialectic: Dialectical Movement (concepts: dialectic, contradiction)',
+    );
+    expect(tutorContext.summarizeLearner(learner)).toEqual({
+      currentPage: '479-lecture-1 (Welcome to Machine Learning)',
+      sessions: 6,
+      strugglesCount: 0,
+      activitiesCompleted: 9,
+    });
+  });
+
+  it('keeps only recent events in the condensed summary', () => {
+    const recentEvents = Array.from({ length: 8 }, (_, i) => ({ description: `Event ${i + 1}` }));
+    const summary = tutorContext.renderLearnerSummary(tutorContext.createLearnerContext({ recentEvents }));
+    expect(summary).not.toContain('Event 3');
+    expect(summary).toContain('- Event 4\n- Event 5');
+  });
+
+  it('rejects malformed context objects', () => {
+    const codeOf = (fn) => {
+      try {
+        fn();
+      } catch (err) {
+        return `${err.code}: ${err.message}`;
+      }
+      return null;
+    };
+
+    expect(codeOf(() => tutorContext.createCurriculum({ courses: [{ id: '1', lectures: [{ id: 'a' }, { id: 'a' }] }] }))).toBe(
+      'INVALID_CONTEXT: Invalid context: duplicate lecture id "a"',
+    );
+    expect(codeOf(() => tutorContext.createCurriculum({ courses: [{ id: '1', lectures: [{ id: 'a', prerequisites: ['b'] }] }] }))).toBe(
+      'INVALID_CONTEXT: Invalid context: lecture "a" has unknown prerequisite "b"',
+    );
+    expect(
+      codeOf(() => tutorContext.createCurriculum({ courses: [{ id: '1', lectures: [{ id: 'a', prerequisites: ['b'] }, { id: 'b', prerequisites: ['a'] }] }] })),
+    ).toBe('INVALID_CONTEXT: Invalid context: Curriculum prerequisites form a cycle: a → b → a');
+    expect(codeOf(() => tutorContext.createLearnerContext({ chatHistory: [{ role: 'user', content: 'hi' }] }))).toBe(
+      'INVALID_CONTEXT: Invalid context: chatHistory[0].role must be "learner" or "tutor"',
+    );
+  });
+
+  it('checks prerequisites transitively', () => {
+    const curriculum = tutorContext.createCurriculum(curriculumData);
+    expect(tutorContext.getPrerequisites(curriculum, '479-lecture-3')).toEqual(['479-lecture-2', '479-lecture-1']);
+    expect(tutorContext.checkPrerequisites(curriculum, '479-lecture-3', ['479-lecture-1'])).toEqual({ met: false, missing: ['479-lecture-2'] });
+    expect(tutorContext.checkPrerequisites(curriculum, '479-lecture-2', ['479-lecture-1']).met).toBe(true);
+
+    const learner = tutorContext.createLearnerContext(learnerData);
+    const suggestions = [{ actionType: 'navigate', actionTarget: '479-lecture-2' }, { actionType: 'navigate', actionTarget: '479-lecture-3' }];
+    expect(tutorContext.checkSuggestionPrerequisites(suggestions, curriculum, learner)).toEqual([
+      { index: 1, actionTarget: '479-lecture-3', missing: ['479-lecture-2'] },
+    ]);
+  });
+
+  it('passes strings through unchanged', () => {
+    const resolved = tutorContext.resolveDialogueContext({ learnerContext: 'New learner', curriculumContext: 'c', simulationsContext: 's' });
+    expect(resolved).toEqual({
+      learnerContext: 'New learner',
+      curriculumContext: 'c',
+      simulationsContext: 's',
+      learner: null,
+      curriculum: null,
+      simulations: null,
+    });
+  });
+
+  it('runs a dialogue from typed context and flags unmet prerequisites to the superego', async () => {
+    enqueueMockResponses({
+      json: [{
+        type: 'lecture',
+        priority: 'high',
+        title: 'Next: Dialectical Learning',
+        message: 'You seem ready for the dialectic.',
+        actionType: 'navigate',
+        actionTarget: '479-lecture-3',
+        reasoning: 'Asked about the dialectic in chat',
+      }],
+      match: { model: 'mock-ego' },
+    });
+
+    const result = await engine.runDialogue(
+      { learnerContext: learnerData, curriculumContext: curriculumData, simulationsContext: simulationsData },
+      { profileName: 'mock', trace: true },
+    );
+
+    const egoPrompt = lastUserMessage(getMockCalls().find((c) => c.model === 'mock-ego'));
+    expect(egoPrompt).toContain('Currently viewing: 479-lecture-1 (Welcome to Machine Learning)');
+    expect(egoPrompt).toContain('  3. **Dialectical Learning** (479-lecture-3)\n      Prerequisites: 479-lecture-2');
+    expect(egoPrompt).toContain('- dialectic: Dialectical Movement');
+
+    const superegoPrompt = lastUserMessage(getMockCalls().find((c) => c.model === 'mock-superego'));
+    expect(superegoPrompt).toContain('## Prerequisite Check (automatic)');
+    expect(superegoPrompt).toContain('- Suggestion 1: 479-lecture-3 requires 479-lecture-2 (not completed)');
+
+    const contextEntry = result.dialogueTrace.find((e) => e.action === 'context_input');
+    expect(contextEntry.contextData).toMatchObject({ sessions: 6, currentPage: '479-lecture-1 (Welcome to Machine Learning)' });
+    const review = result.dialogueTrace.find((e) => e.agent === 'superego' && e.action === 'review');
+    expect(review.prerequisiteIssues).toEqual([{ index: 0, actionTarget: '479-lecture-3', missing: ['479-lecture-2'] }]);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Hosts without a native SQLite build: any attempt to open the database fails
+vi.mock('../dbService.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getDb: vi.fn(() => {
+    throw new Error('better-sqlite3 is not available');
+  }),
+}));
+
+describe('tutor-core entry point', () => {
+  it('imports without opening the database', async () => {
+    const core = await import('../../index.js');
+    const { getDb } = await import('../dbService.js');
+
+    expect(core.aiConfigService.getDefaultProviderId).toBeTypeOf('function');
+    expect(core.tutorDialogueEngine.runDialogue).toBeTypeOf('function');
+    expect(getDb).not.toHaveBeenCalled();
+
+    // The database is only needed once a database-backed function is used
+    expect(() => core.aiConfigService.getProviders()).toThrow('better-sqlite3 is not available');
+  });
+});
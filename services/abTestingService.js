@@ -0,0 +1,282 @@
+/**
+ * A/B Testing Service
+ *
+ * Implements the `evaluation.ab_testing` block of tutor-agents.yaml:
+ *
+ *   ab_testing:
+ *     enabled: true
+ *     experiment_id: profile_ab
+ *     treatment_percentage: 50
+ *     control_profile: single_agent
+ *     treatment_profile: default
+ *
+ * Learners are bucketed by a hash of experiment_id + learnerId, so assignment
+ * is deterministic. The first assignment is persisted to ab_assignments and
+ * reused thereafter (sticky), even if treatment_percentage or the profiles
+ * change later in the experiment.
+ *
+ * Outcomes join assignments with ai_interactions (by userId) and
+ * learner_recognition_events (by learner_id), counting only activity after
+ * the learner was assigned.
+ */
+
+import { createHash } from 'crypto';
+import * as configLoader from './tutorConfigLoader.js';
+import { getDb } from './dbService.js';
+
+const DEFAULT_EXPERIMENT_ID = 'profile_ab';
+
+const ARMS = ['control', 'treatment'];
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Get the A/B testing configuration with defaults applied
+ * @returns {Object} { enabled, experimentId, treatmentPercentage, controlProfile, treatmentProfile }
+ */
+export function getAbTestingConfig() {
+  const abConfig = configLoader.getEvaluationConfig()?.ab_testing || {};
+  const percentage = Number(abConfig.treatment_percentage ?? 50);
+
+  return {
+    enabled: abConfig.enabled === true,
+    experimentId: abConfig.experiment_id || DEFAULT_EXPERIMENT_ID,
+    treatmentPercentage: Math.min(100, Math.max(0, Number.isFinite(percentage) ? percentage : 50)),
+    controlProfile: abConfig.control_profile || null,
+    treatmentProfile: abConfig.treatment_profile || null,
+  };
+}
+
+/**
+ * Check whether A/B assignment is active
+ * @returns {boolean}
+ */
+export function isAbTestingEnabled() {
+  return getAbTestingConfig().enabled;
+}
+
+// ============================================================================
+// Assignment
+// ============================================================================
+
+/**
+ * Map a learner to a stable bucket in [0, 100)
+ * @param {string} learnerId - Learner identifier
+ * @param {string} experimentId - Experiment identifier (acts as salt)
+ * @returns {number} Bucket 0-99
+ */
+export function hashToBucket(learnerId, experimentId = DEFAULT_EXPERIMENT_ID) {
+  const digest = createHash('sha256').update(`${experimentId}:${learnerId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+/**
+ * Get the stored assignment for a learner, if any
+ * @param {string} learnerId - Learner identifier
+ * @param {string} experimentId - Experiment identifier (defaults to configured)
+ * @returns {Object|null} Assignment
+ */
+export function getAssignment(learnerId, experimentId = null) {
+  const experiment = experimentId || getAbTestingConfig().experimentId;
+  const row = getDb()
+    .prepare('SELECT * FROM ab_assignments WHERE experiment_id = ? AND learner_id = ?')
+    .get(experiment, learnerId);
+  return row ? rowToAssignment(row) : null;
+}
+
+/**
+ * Assign a learner to an arm (sticky)
+ *
+ * Returns the existing assignment when one is stored; otherwise buckets the
+ * learner and persists the new assignment. Returns null when A/B testing is
+ * disabled or no learnerId is supplied.
+ *
+ * @param {string} learnerId - Learner identifier
+ * @returns {Object|null} { experimentId, learnerId, arm, profileName, bucket, assignedAt, isNew }
+ */
+export function assignLearner(learnerId) {
+  const config = getAbTestingConfig();
+  if (!config.enabled || !learnerId) return null;
+
+  const existing = getAssignment(learnerId, config.experimentId);
+  if (existing) return { ...existing, isNew: false };
+
+  const bucket = hashToBucket(learnerId, config.experimentId);
+  const arm = bucket < config.treatmentPercentage ? 'treatment' : 'control';
+  const profileName = arm === 'treatment' ? config.treatmentProfile : config.controlProfile;
+
+  if (!profileName) {
+    console.warn(`[ABTesting] No ${arm}_profile configured for experiment ${config.experimentId}`);
+    return null;
+  }
+
+  // INSERT OR IGNORE: a concurrent request may have assigned this learner first
+  const result = getDb().prepare(`
+    INSERT OR IGNORE INTO ab_assignments (experiment_id, learner_id, arm, profile_name, bucket)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(config.experimentId, learnerId, arm, profileName, bucket);
+
+  return { ...getAssignment(learnerId, config.experimentId), isNew: result.changes > 0 };
+}
+
+/**
+ * Resolve the profile a learner should be served under the active experiment
+ * @param {string} learnerId - Learner identifier
+ * @returns {string|null} Profile name, or null when not assigned
+ */
+export function getProfileForLearner(learnerId) {
+  return assignLearner(learnerId)?.profileName || null;
+}
+
+/**
+ * List assignments for an experiment
+ * @param {Object} options - { experimentId, arm }
+ * @returns {Array} Assignments
+ */
+export function listAssignments(options = {}) {
+  const { experimentId = null, arm = null } = options;
+  const experiment = experimentId || getAbTestingConfig().experimentId;
+
+  let query = 'SELECT * FROM ab_assignments WHERE experiment_id = ?';
+  const params = [experiment];
+  if (arm) {
+    query += ' AND arm = ?';
+    params.push(arm);
+  }
+  query += ' ORDER BY assigned_at, learner_id';
+
+  return getDb().prepare(query).all(...params).map(rowToAssignment);
+}
+
+function rowToAssignment(row) {
+  return {
+    experimentId: row.experiment_id,
+    learnerId: row.learner_id,
+    arm: row.arm,
+    profileName: row.profile_name,
+    bucket: row.bucket,
+    assignedAt: row.assigned_at,
+  };
+}
+
+// ============================================================================
+// Outcomes
+// ============================================================================
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+/**
+ * Report per-arm outcome metrics for an experiment
+ *
+ * ai_interactions is owned by aiConfigService and may not exist in hosts
+ * that never load it; interaction metrics are zero in that case.
+ *
+ * @param {string} experimentId - Experiment identifier (defaults to configured)
+ * @returns {Object} { experimentId, arms: { control, treatment } }
+ */
+export function getExperimentOutcomes(experimentId = null) {
+  const experiment = experimentId || getAbTestingConfig().experimentId;
+  const db = getDb();
+
+  const arms = {};
+  for (const arm of ARMS) {
+    arms[arm] = {
+      arm,
+      profiles: [],
+      learners: 0,
+      interactions: 0,
+      interactionsPerLearner: 0,
+      successRate: null,
+      avgLatencyMs: null,
+      inputTokens: 0,
+      outputTokens: 0,
+      breakthroughs: 0,
+      resistance: 0,
+      demands: 0,
+      breakthroughsPerLearner: 0,
+      learnersWithBreakthrough: 0,
+    };
+  }
+
+  const assignmentRows = db.prepare(`
+    SELECT arm, profile_name, COUNT(*) as learners
+    FROM ab_assignments
+    WHERE experiment_id = ?
+    GROUP BY arm, profile_name
+  `).all(experiment);
+
+  for (const row of assignmentRows) {
+    arms[row.arm].learners += row.learners;
+    arms[row.arm].profiles.push(row.profile_name);
+  }
+
+  if (tableExists(db, 'ai_interactions')) {
+    const interactionRows = db.prepare(`
+      SELECT a.arm,
+        COUNT(i.id) as interactions,
+        SUM(CASE WHEN i.success = 1 THEN 1 ELSE 0 END) as successes,
+        AVG(i.latencyMs) as avgLatencyMs,
+        COALESCE(SUM(i.inputTokens), 0) as inputTokens,
+        COALESCE(SUM(i.outputTokens), 0) as outputTokens
+      FROM ab_assignments a
+      JOIN ai_interactions i ON i.userId = a.learner_id AND i.timestamp >= a.assigned_at
+      WHERE a.experiment_id = ?
+      GROUP BY a.arm
+    `).all(experiment);
+
+    for (const row of interactionRows) {
+      Object.assign(arms[row.arm], {
+        interactions: row.interactions,
+        successRate: row.interactions > 0 ? row.successes / row.interactions : null,
+        avgLatencyMs: row.avgLatencyMs,
+        inputTokens: row.inputTokens,
+        outputTokens: row.outputTokens,
+      });
+    }
+  }
+
+  const eventRows = db.prepare(`
+    SELECT a.arm,
+      SUM(CASE WHEN e.event_type = 'breakthrough' THEN 1 ELSE 0 END) as breakthroughs,
+      SUM(CASE WHEN e.event_type = 'resistance' THEN 1 ELSE 0 END) as resistance,
+      SUM(CASE WHEN e.event_type = 'demand' THEN 1 ELSE 0 END) as demands,
+      COUNT(DISTINCT CASE WHEN e.event_type = 'breakthrough' THEN e.learner_id END) as learnersWithBreakthrough
+    FROM ab_assignments a
+    JOIN learner_recognition_events e ON e.learner_id = a.learner_id AND e.created_at >= a.assigned_at
+    WHERE a.experiment_id = ?
+    GROUP BY a.arm
+  `).all(experiment);
+
+  for (const row of eventRows) {
+    Object.assign(arms[row.arm], {
+      breakthroughs: row.breakthroughs,
+      resistance: row.resistance,
+      demands: row.demands,
+      learnersWithBreakthrough: row.learnersWithBreakthrough,
+    });
+  }
+
+  for (const stats of Object.values(arms)) {
+    if (stats.learners > 0) {
+      stats.interactionsPerLearner = stats.interactions / stats.learners;
+      stats.breakthroughsPerLearner = stats.breakthroughs / stats.learners;
+    }
+  }
+
+  return { experimentId: experiment, arms };
+}
+
+export default {
+  getAbTestingConfig,
+  isAbTestingEnabled,
+  hashToBucket,
+  getAssignment,
+  assignLearner,
+  getProfileForLearner,
+  listAssignments,
+  getExperimentOutcomes,
+};
@@ -0,0 +1,197 @@
+/**
+ * Agent Output Schemas
+ *
+ * JSON Schemas for the structured outputs the dialogue engine parses:
+ *
+ * - ego_suggestions   ego suggestion arrays (tutor-ego.md <output_format>)
+ * - superego_verdict  superego review verdicts (tutor-superego.md <output_format>)
+ * - pre_analysis      superego signal reinterpretation, run before the ego
+ *
+ * tutorDialogueEngine validates every parse against these and re-asks once
+ * with the validation errors quoted back to the model. Providers that declare
+ * `structured_output` in providers.yaml also receive the schema as a native
+ * structured-output request (see getNativeResponseSchema).
+ */
+
+import { validate, formatErrors } from './jsonSchemaValidator.js';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+export const SUGGESTION_SCHEMA = {
+  type: 'object',
+  required: ['type', 'priority', 'title', 'message', 'actionType', 'reasoning'],
+  properties: {
+    type: nonEmptyString,
+    priority: { enum: ['high', 'medium', 'low'] },
+    title: nonEmptyString,
+    message: nonEmptyString,
+    actionType: { enum: ['navigate', 'open_modal', 'none'] },
+    actionTarget: { type: 'string' },
+    reasoning: { type: 'string' },
+  },
+};
+
+export const EGO_SUGGESTIONS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: SUGGESTION_SCHEMA,
+};
+
+export const SUPEREGO_VERDICT_SCHEMA = {
+  type: 'object',
+  required: ['approved', 'interventionType', 'feedback'],
+  properties: {
+    approved: { type: 'boolean' },
+    interventionType: { enum: ['none', 'enhance', 'reframe', 'revise', 'reject', 'reinterpret', 'critique'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    feedback: { type: 'string' },
+    suggestedChanges: { type: 'object' },
+    learnerInsight: { type: 'string' },
+    pedagogicalPrinciple: { type: 'string' },
+  },
+};
+
+export const PRE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['reinterpretations', 'overallCaution'],
+  properties: {
+    reinterpretations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['signal', 'alternativeReading'],
+        properties: {
+          signal: nonEmptyString,
+          egoLikely: { type: 'string' },
+          alternativeReading: nonEmptyString,
+          implication: { type: 'string' },
+        },
+      },
+    },
+    overallCaution: { type: 'string' },
+  },
+};
+
+export const AGENT_OUTPUT_SCHEMAS = {
+  ego_suggestions: EGO_SUGGESTIONS_SCHEMA,
+  superego_verdict: SUPEREGO_VERDICT_SCHEMA,
+  pre_analysis: PRE_ANALYSIS_SCHEMA,
+};
+
+// What each output should be, in re-ask prompts
+const EXPECTED_OUTPUT = {
+  ego_suggestions: 'JSON array of suggestions',
+  superego_verdict: 'JSON object',
+  pre_analysis: 'JSON object',
+};
+
+const NOT_JSON_ERRORS = [{ path: '$', message: 'response is not valid JSON' }];
+
+function getSchema(name) {
+  const schema = AGENT_OUTPUT_SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`Unknown agent output schema: ${name} (expected ${Object.keys(AGENT_OUTPUT_SCHEMAS).join(', ')})`);
+  }
+  return schema;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validate a parsed agent output
+ *
+ * Beyond the schema, suggestions need an actionTarget unless their
+ * actionType is "none" (the conditional requirement in tutor-ego.md).
+ *
+ * @param {string} name - Schema name (ego_suggestions, superego_verdict, pre_analysis)
+ * @param {*} value - Parsed output, or null when the response held no JSON
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateAgentOutput(name, value) {
+  const schema = getSchema(name);
+  if (value === null || value === undefined) {
+    return { valid: false, errors: NOT_JSON_ERRORS };
+  }
+
+  const { errors } = validate(value, schema);
+  if (name === 'ego_suggestions' && Array.isArray(value)) {
+    value.forEach((suggestion, i) => {
+      if (suggestion?.actionType && suggestion.actionType !== 'none' && !suggestion.actionTarget) {
+        errors.push({ path: `$[${i}].actionTarget`, message: `is required when actionType is "${suggestion.actionType}"` });
+      }
+    });
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Keep the suggestions that validate on their own
+ * @param {Array} suggestions - Parsed ego suggestions
+ * @returns {Array} Valid suggestions, in order
+ */
+export function filterValidSuggestions(suggestions) {
+  if (!Array.isArray(suggestions)) return [];
+  return suggestions.filter((s) => validateAgentOutput('ego_suggestions', [s]).valid);
+}
+
+// ============================================================================
+// Repair
+// ============================================================================
+
+/**
+ * Build a re-ask prompt quoting the validation errors back to the model
+ *
+ * The original prompt is kept in full: a context-free "fix your JSON" retry
+ * produces generic, hallucinated output.
+ *
+ * @param {string} name - Schema name
+ * @param {string} userPrompt - The prompt that produced the invalid response
+ * @param {Array} errors - Errors from validateAgentOutput()
+ * @returns {string}
+ */
+export function buildRepairPrompt(name, userPrompt, errors) {
+  getSchema(name);
+  return `${userPrompt}
+
+## Your Previous Response Was Invalid
+${formatErrors(errors)}
+
+Return the corrected ${EXPECTED_OUTPUT[name]} only — no markdown fences, no explanation.`;
+}
+
+// ============================================================================
+// Native Structured Output
+// ============================================================================
+
+/**
+ * Get the schema to send as a native structured-output request
+ *
+ * Array outputs are wrapped as { items: [...] } because OpenAI-compatible
+ * json_schema modes require an object root. The engine's JSON array
+ * extraction finds the inner array, so callers parse either shape.
+ *
+ * @param {string} name - Schema name
+ * @returns {{ name: string, schema: Object }}
+ */
+export function getNativeResponseSchema(name) {
+  const schema = getSchema(name);
+  if (schema.type !== 'array') return { name, schema };
+  return {
+    name,
+    schema: { type: 'object', required: ['items'], properties: { items: schema } },
+  };
+}
+
+export default {
+  AGENT_OUTPUT_SCHEMAS,
+  SUGGESTION_SCHEMA,
+  EGO_SUGGESTIONS_SCHEMA,
+  SUPEREGO_VERDICT_SCHEMA,
+  PRE_ANALYSIS_SCHEMA,
+  validateAgentOutput,
+  filterValidSuggestions,
+  buildRepairPrompt,
+  getNativeResponseSchema,
+};
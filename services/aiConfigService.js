@@ -1,79 +1,31 @@
 import crypto from 'crypto';
 import { getDb } from './dbService.js';
+import { getProviderHealth } from './providerHealthService.js';
+import * as configLoader from './tutorConfigLoader.js';
 
-// Get shared database connection
-const db = getDb();
-
-// Create AI-related tables
-db.exec(`
-    -- AI provider configurations (admin-managed)
-    CREATE TABLE IF NOT EXISTS ai_providers (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        enabled INTEGER DEFAULT 1,
-        apiKeyEnvVar TEXT,
-        baseUrl TEXT,
-        defaultModel TEXT,
-        supportedModels TEXT,
-        maxTokens INTEGER DEFAULT 2048,
-        createdAt TEXT DEFAULT (datetime('now'))
-    );
-
-    -- User-level AI preferences
-    CREATE TABLE IF NOT EXISTS ai_user_settings (
-        userId TEXT PRIMARY KEY,
-        hintVerbosity TEXT DEFAULT 'balanced' CHECK(hintVerbosity IN ('minimal', 'balanced', 'detailed')),
-        feedbackStyle TEXT DEFAULT 'encouraging' CHECK(feedbackStyle IN ('encouraging', 'direct', 'socratic')),
-        preferredProvider TEXT,
-        temperature REAL DEFAULT 0.7,
-        showExplanations INTEGER DEFAULT 1,
-        enableStreaming INTEGER DEFAULT 1,
-        enableHints INTEGER DEFAULT 1,
-        enableWritingFeedback INTEGER DEFAULT 1,
-        -- Reading feature settings (all opt-in except metrics)
-        enableReadingCompanion INTEGER DEFAULT 0,
-        enableReflectionPrompts INTEGER DEFAULT 0,
-        enableInlineExplanations INTEGER DEFAULT 0,
-        enableReadingMetrics INTEGER DEFAULT 1,
-        updatedAt TEXT DEFAULT (datetime('now'))
-    );
-
-    -- Prompt templates (versionable)
-    CREATE TABLE IF NOT EXISTS ai_prompt_templates (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        category TEXT NOT NULL CHECK(category IN ('hint', 'feedback', 'quiz', 'concept', 'moderation', 'chat', 'socratic', 'code_review')),
-        template TEXT NOT NULL,
-        variables TEXT,
-        version INTEGER DEFAULT 1,
-        isActive INTEGER DEFAULT 1,
-        createdBy TEXT,
-        createdAt TEXT DEFAULT (datetime('now')),
-        updatedAt TEXT DEFAULT (datetime('now'))
-    );
-
-    -- AI interaction logs (transparency)
-    CREATE TABLE IF NOT EXISTS ai_interactions (
-        id TEXT PRIMARY KEY,
-        userId TEXT,
-        provider TEXT,
-        model TEXT,
-        promptCategory TEXT,
-        inputTokens INTEGER,
-        outputTokens INTEGER,
-        latencyMs INTEGER,
-        success INTEGER DEFAULT 1,
-        errorMessage TEXT,
-        context TEXT,
-        timestamp TEXT DEFAULT (datetime('now'))
-    );
-
-    -- Create indexes for performance
-    CREATE INDEX IF NOT EXISTS idx_ai_interactions_user ON ai_interactions(userId);
-    CREATE INDEX IF NOT EXISTS idx_ai_interactions_timestamp ON ai_interactions(timestamp);
-    CREATE INDEX IF NOT EXISTS idx_ai_interactions_category ON ai_interactions(promptCategory);
-    CREATE INDEX IF NOT EXISTS idx_ai_prompt_templates_category ON ai_prompt_templates(category);
-`);
+// Shared database connection, opened (and seeded) on first use so that
+// importing this module does not load the native SQLite module
+let db = null;
+
+// Tables are created by migration 016 (016_ai_config.sql) when dbService opens the database
+
+// ai_providers IDs that differ from their providers.yaml ID. Health checks and
+// the runtime health registry use the providers.yaml ID; either is accepted.
+const CONFIG_PROVIDER_IDS = { claude: 'anthropic' };
+
+// Once-seeded providers with no providers.yaml entry (nothing can call them),
+// removed from existing databases so every listed provider can be health-checked
+const RETIRED_PROVIDER_IDS = ['groq'];
+
+/**
+ * Map an ai_providers ID to its providers.yaml ID (e.g. 'claude' -> 'anthropic')
+ * @param {string} providerId - ai_providers or providers.yaml ID
+ * @returns {string} providers.yaml ID
+ */
+export const toConfigProviderId = (providerId) => CONFIG_PROVIDER_IDS[providerId] || providerId;
+
+const toSettingsProviderId = (configId) =>
+    Object.keys(CONFIG_PROVIDER_IDS).find((id) => CONFIG_PROVIDER_IDS[id] === configId) || configId;
 
 // Seed default providers
 const seedDefaultProviders = () => {
@@ -108,16 +60,6 @@ const seedDefaultProviders = () => {
             supportedModels: JSON.stringify(['claude-sonnet-4-20250514', 'claude-opus-4-20250514', 'claude-3-5-sonnet-20241022']),
             maxTokens: 4096
         },
-        {
-            id: 'groq',
-            name: 'Groq',
-            enabled: 0,
-            apiKeyEnvVar: 'GROQ_API_KEY',
-            baseUrl: 'https://api.groq.com/openai/v1',
-            defaultModel: 'llama-3.3-70b-versatile',
-            supportedModels: JSON.stringify(['llama-3.3-70b-versatile', 'llama-3.1-8b-instant', 'mixtral-8x7b-32768']),
-            maxTokens: 8192
-        },
         {
             id: 'openrouter',
             name: 'OpenRouter',
@@ -145,6 +87,11 @@ const seedDefaultProviders = () => {
     for (const provider of providers) {
         insertProvider.run(provider);
     }
+
+    const deleteProvider = db.prepare('DELETE FROM ai_providers WHERE id = ?');
+    for (const id of RETIRED_PROVIDER_IDS) {
+        deleteProvider.run(id);
+    }
 };
 
 // Seed default prompt templates
@@ -328,38 +275,23 @@ Respond as JSON:
     }
 };
 
-// Run migrations for new columns
-const runMigrations = () => {
-    // Add reading feature columns if they don't exist
-    const cols = db.prepare(`PRAGMA table_info(ai_user_settings)`).all().map(c => c.name);
-
-    if (!cols.includes('enableReadingCompanion')) {
-        db.exec(`ALTER TABLE ai_user_settings ADD COLUMN enableReadingCompanion INTEGER DEFAULT 0`);
-    }
-    if (!cols.includes('enableReflectionPrompts')) {
-        db.exec(`ALTER TABLE ai_user_settings ADD COLUMN enableReflectionPrompts INTEGER DEFAULT 0`);
-    }
-    if (!cols.includes('enableInlineExplanations')) {
-        db.exec(`ALTER TABLE ai_user_settings ADD COLUMN enableInlineExplanations INTEGER DEFAULT 0`);
-    }
-    if (!cols.includes('enableReadingMetrics')) {
-        db.exec(`ALTER TABLE ai_user_settings ADD COLUMN enableReadingMetrics INTEGER DEFAULT 1`);
+const getConfigDb = () => {
+    if (!db) {
+        db = getDb();
+        try {
+            seedDefaultProviders();
+            seedDefaultPromptTemplates();
+        } catch (e) {
+            console.error('AI config seeding error:', e.message);
+        }
     }
+    return db;
 };
 
-// Run seeding and migrations
-try {
-    seedDefaultProviders();
-    seedDefaultPromptTemplates();
-    runMigrations();
-} catch (e) {
-    console.error('AI config seeding error:', e.message);
-}
-
 // ============ Provider Management ============
 
 export const getProviders = () => {
-    const providers = db.prepare('SELECT * FROM ai_providers ORDER BY name').all();
+    const providers = getConfigDb().prepare('SELECT * FROM ai_providers ORDER BY name').all();
     return providers.map(p => ({
         ...p,
         enabled: Boolean(p.enabled),
@@ -373,7 +305,7 @@ export const getEnabledProviders = () => {
 };
 
 export const getProvider = (id) => {
-    const provider = db.prepare('SELECT * FROM ai_providers WHERE id = ?').get(id);
+    const provider = getConfigDb().prepare('SELECT * FROM ai_providers WHERE id = ?').get(id);
     if (!provider) return null;
     return {
         ...provider,
@@ -390,7 +322,7 @@ export const updateProvider = (id, updates) => {
     if (fields.length === 0) return getProvider(id);
 
     const setClause = fields.map(f => `${f} = @${f}`).join(', ');
-    const stmt = db.prepare(`UPDATE ai_providers SET ${setClause} WHERE id = @id`);
+    const stmt = getConfigDb().prepare(`UPDATE ai_providers SET ${setClause} WHERE id = @id`);
     stmt.run({ id, ...updates });
 
     return getProvider(id);
@@ -415,7 +347,7 @@ const DEFAULT_SETTINGS = {
 };
 
 export const getUserSettings = (userId) => {
-    const settings = db.prepare('SELECT * FROM ai_user_settings WHERE userId = ?').get(userId);
+    const settings = getConfigDb().prepare('SELECT * FROM ai_user_settings WHERE userId = ?').get(userId);
 
     if (!settings) {
         return { ...DEFAULT_SETTINGS, userId };
@@ -444,7 +376,7 @@ export const updateUserSettings = (userId, updates) => {
     const existing = getUserSettings(userId);
     const merged = { ...existing, ...updates, userId, updatedAt: new Date().toISOString() };
 
-    const stmt = db.prepare(`
+    const stmt = getConfigDb().prepare(`
         INSERT INTO ai_user_settings (
             userId, hintVerbosity, feedbackStyle, preferredProvider, temperature,
             showExplanations, enableStreaming, enableHints, enableWritingFeedback,
@@ -514,13 +446,13 @@ export const getEffectiveSettings = (userId) => {
 
 export const getPromptTemplates = (category = null) => {
     if (category) {
-        return db.prepare('SELECT * FROM ai_prompt_templates WHERE category = ? AND isActive = 1 ORDER BY name').all(category);
+        return getConfigDb().prepare('SELECT * FROM ai_prompt_templates WHERE category = ? AND isActive = 1 ORDER BY name').all(category);
     }
-    return db.prepare('SELECT * FROM ai_prompt_templates WHERE isActive = 1 ORDER BY category, name').all();
+    return getConfigDb().prepare('SELECT * FROM ai_prompt_templates WHERE isActive = 1 ORDER BY category, name').all();
 };
 
 export const getPromptTemplate = (id) => {
-    const template = db.prepare('SELECT * FROM ai_prompt_templates WHERE id = ?').get(id);
+    const template = getConfigDb().prepare('SELECT * FROM ai_prompt_templates WHERE id = ?').get(id);
     if (!template) return null;
     return {
         ...template,
@@ -532,7 +464,7 @@ export const getPromptTemplate = (id) => {
 export const createPromptTemplate = ({ name, category, template, variables = [], createdBy = null }) => {
     const id = `${category}-${crypto.randomBytes(4).toString('hex')}`;
 
-    db.prepare(`
+    getConfigDb().prepare(`
         INSERT INTO ai_prompt_templates (id, name, category, template, variables, createdBy)
         VALUES (@id, @name, @category, @template, @variables, @createdBy)
     `).run({
@@ -562,7 +494,7 @@ export const updatePromptTemplate = (id, updates) => {
         version += 1;
     }
 
-    const stmt = db.prepare(`
+    const stmt = getConfigDb().prepare(`
         UPDATE ai_prompt_templates
         SET name = @name, template = @template, variables = @variables, isActive = @isActive, version = @version, updatedAt = @updatedAt
         WHERE id = @id
@@ -619,7 +551,7 @@ export const logInteraction = ({
 }) => {
     const id = crypto.randomBytes(8).toString('hex');
 
-    db.prepare(`
+    getConfigDb().prepare(`
         INSERT INTO ai_interactions (id, userId, provider, model, promptCategory, inputTokens, outputTokens, latencyMs, success, errorMessage, context)
         VALUES (@id, @userId, @provider, @model, @promptCategory, @inputTokens, @outputTokens, @latencyMs, @success, @errorMessage, @context)
     `).run({
@@ -640,7 +572,7 @@ export const logInteraction = ({
 };
 
 export const getUserInteractions = (userId, limit = 50, offset = 0) => {
-    return db.prepare(`
+    return getConfigDb().prepare(`
         SELECT * FROM ai_interactions
         WHERE userId = ?
         ORDER BY timestamp DESC
@@ -654,7 +586,7 @@ export const getInteractionStats = (userId = null, days = 30) => {
     const sinceStr = since.toISOString();
 
     if (userId) {
-        return db.prepare(`
+        return getConfigDb().prepare(`
             SELECT
                 provider,
                 promptCategory,
@@ -670,7 +602,7 @@ export const getInteractionStats = (userId = null, days = 30) => {
     }
 
     // Admin: all users
-    return db.prepare(`
+    return getConfigDb().prepare(`
         SELECT
             provider,
             promptCategory,
@@ -713,9 +645,6 @@ export const getDefaultModel = (providerId = null) => {
         case 'claude':
             if (process.env.ANTHROPIC_MODEL) return process.env.ANTHROPIC_MODEL;
             break;
-        case 'groq':
-            if (process.env.GROQ_MODEL) return process.env.GROQ_MODEL;
-            break;
     }
 
     // Fall back to provider's defaultModel from database
@@ -747,57 +676,66 @@ export const getAIConfig = (providerId = null) => {
 
 // ============ Provider Health Check ============
 
+const PING_TIMEOUT_MS = 10000;
+
+/**
+ * Ping a provider and attach its runtime health (rolling success rate,
+ * latency percentiles, circuit state) from providerHealthService
+ *
+ * @param {string} providerId - Provider ID from providers.yaml (e.g. 'anthropic', 'openrouter')
+ *   or from getProviders() (e.g. 'claude')
+ */
 export const checkProviderHealth = async (providerId) => {
-    const provider = getProvider(providerId);
-    if (!provider) return { status: 'error', message: 'Provider not found' };
-    if (!provider.hasApiKey) return { status: 'error', message: 'API key not configured' };
-    if (!provider.enabled) return { status: 'disabled', message: 'Provider is disabled' };
+    const configId = toConfigProviderId(providerId);
+    const runtime = getProviderHealth(configId);
+    const result = await pingProvider(configId);
+    return { ...result, runtime };
+};
+
+/**
+ * Model-listing request for a provider, built from its providers.yaml entry
+ * (base_url and API key) so the ping hits the same host as real calls
+ */
+const buildPingRequest = (providerId, config) => {
+    const bearer = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+    switch (providerId) {
+        case 'anthropic':
+            return {
+                url: config.base_url.replace(/\/messages\/?$/, '/models'),
+                headers: { 'x-api-key': config.apiKey, 'anthropic-version': '2023-06-01' },
+            };
+        case 'gemini':
+            return { url: `${config.base_url}?key=${encodeURIComponent(config.apiKey)}`, headers: {} };
+        case 'mock':
+            return null;
+        default:
+            // OpenAI-compatible: openai, openrouter, local, lmstudio
+            return { url: config.base_url.replace(/\/chat\/completions\/?$/, '/models'), headers: bearer };
+    }
+};
+
+const pingProvider = async (providerId) => {
+    let config;
+    try {
+        config = configLoader.getProviderConfig(providerId);
+    } catch {
+        return { status: 'error', message: 'Provider not found' };
+    }
+    if (!config.isConfigured) return { status: 'error', message: 'API key not configured' };
+    if (getProvider(toSettingsProviderId(providerId))?.enabled === false) return { status: 'disabled', message: 'Provider is disabled' };
 
     const startTime = Date.now();
+    const request = buildPingRequest(providerId, config);
+    if (!request) return { status: 'healthy', latencyMs: 0, model: config.default_model || null };
 
     try {
-        // Simple ping test based on provider
-        switch (providerId) {
-            case 'gemini': {
-                const res = await fetch(`https://generativelanguage.googleapis.com/v1/models?key=${process.env.GEMINI_API_KEY}`);
-                if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                break;
-            }
-            case 'openai': {
-                const res = await fetch('https://api.openai.com/v1/models', {
-                    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }
-                });
-                if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                break;
-            }
-            case 'claude': {
-                // Claude doesn't have a simple health check endpoint, so we'll just verify the key format
-                const key = process.env.ANTHROPIC_API_KEY;
-                if (!key || !key.startsWith('sk-ant-')) throw new Error('Invalid API key format');
-                break;
-            }
-            case 'groq': {
-                const res = await fetch('https://api.groq.com/openai/v1/models', {
-                    headers: { Authorization: `Bearer ${process.env.GROQ_API_KEY}` }
-                });
-                if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                break;
-            }
-            case 'openrouter': {
-                const res = await fetch('https://openrouter.ai/api/v1/models', {
-                    headers: { Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}` }
-                });
-                if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                break;
-            }
-            default:
-                return { status: 'unknown', message: 'Unknown provider' };
-        }
+        const res = await fetch(request.url, { headers: request.headers, signal: AbortSignal.timeout(PING_TIMEOUT_MS) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
         return {
             status: 'healthy',
             latencyMs: Date.now() - startTime,
-            model: provider.defaultModel
+            model: config.default_model || null
         };
     } catch (error) {
         return {
@@ -814,6 +752,7 @@ export default {
     getEnabledProviders,
     getProvider,
     updateProvider,
+    toConfigProviderId,
     checkProviderHealth,
 
     // Centralized config getters (use these!)
@@ -0,0 +1,476 @@
+/**
+ * Budget Service
+ *
+ * Enforces daily spend caps before provider calls. pricingConfig and
+ * monitoringService only observe spend after the fact; this service keeps a
+ * ledger of every call's cost and checks it against the `budgets` block of
+ * tutor-agents.yaml before the next call is made:
+ *
+ *   budgets:
+ *     enabled: true
+ *     downgrade_model: openrouter.nemotron
+ *     global:      { daily_usd: 25, on_breach: refuse }
+ *     per_learner: { daily_usd: 0.5, on_breach: downgrade }
+ *     per_profile:
+ *       recognition: { daily_usd: 10, on_breach: disable_superego }
+ *     learners:
+ *       learner-42: { daily_usd: 2 }
+ *
+ * Caps are USD per UTC day. When several caps are breached the strictest
+ * action wins (refuse > disable_superego > downgrade).
+ *
+ * Checks happen at two stages:
+ * - dialogue: runDialogue applies the decision to its options once, up front
+ *   (refuse throws, disable_superego drops the superego, downgrade overrides
+ *   the ego/superego models)
+ * - call: every callAI / unified call() re-checks, so a cap crossed
+ *   mid-dialogue still takes effect (superego calls are refused under
+ *   disable_superego)
+ *
+ * Every throttling decision is written to budget_audit. Refusals throw an
+ * Error with code 'BUDGET_EXCEEDED'.
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import { calculateCost } from './pricingConfig.js';
+import { getDb } from './dbService.js';
+
+// Breach actions, least to most severe
+const BREACH_ACTIONS = ['downgrade', 'disable_superego', 'refuse'];
+
+const DEFAULT_ON_BREACH = 'refuse';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+function normalizeCap(cap, fallbackAction = DEFAULT_ON_BREACH) {
+  if (!cap || cap.daily_usd == null) return null;
+  const onBreach = cap.on_breach || fallbackAction;
+  if (!BREACH_ACTIONS.includes(onBreach)) {
+    throw new Error(`Unknown budget on_breach action: ${onBreach} (expected ${BREACH_ACTIONS.join(', ')})`);
+  }
+  return { dailyUsd: Number(cap.daily_usd), onBreach };
+}
+
+function normalizeCapMap(caps = {}, fallbackAction) {
+  const result = {};
+  for (const [id, cap] of Object.entries(caps || {})) {
+    const normalized = normalizeCap(cap, fallbackAction);
+    if (normalized) result[id] = normalized;
+  }
+  return result;
+}
+
+/**
+ * Get the budget configuration with defaults applied
+ * @returns {Object} { enabled, downgradeModel, global, perLearner, perProfile, learners }
+ */
+export function getBudgetConfig() {
+  let budgets;
+  try {
+    budgets = configLoader.getBudgetConfig() || {};
+  } catch {
+    budgets = {};
+  }
+
+  const perLearner = normalizeCap(budgets.per_learner);
+  return {
+    enabled: budgets.enabled === true,
+    downgradeModel: budgets.downgrade_model || null,
+    global: normalizeCap(budgets.global),
+    perLearner,
+    perProfile: normalizeCapMap(budgets.per_profile),
+    // Learner overrides inherit on_breach from per_learner
+    learners: normalizeCapMap(budgets.learners, perLearner?.onBreach),
+  };
+}
+
+/**
+ * Check whether budget enforcement is enabled
+ * @returns {boolean}
+ */
+export function isBudgetEnabled() {
+  return getBudgetConfig().enabled;
+}
+
+// ============================================================================
+// Spend Ledger
+// ============================================================================
+
+function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Record the cost of a provider call
+ *
+ * Uses the provider-reported cost when present, otherwise estimates from
+ * pricingConfig. Calls to unpriced models are recorded at zero cost.
+ *
+ * @param {Object} entry
+ * @param {string} [entry.learnerId]
+ * @param {string} [entry.profileName]
+ * @param {string} [entry.agentRole]
+ * @param {string} entry.provider
+ * @param {string} entry.model - Concrete model ID
+ * @param {number} [entry.inputTokens]
+ * @param {number} [entry.outputTokens]
+ * @param {number} [entry.cost] - Provider-reported cost in USD
+ * @returns {Object|null} Recorded entry, or null when budgets are disabled
+ */
+export function recordSpend(entry) {
+  if (!isBudgetEnabled()) return null;
+
+  const { learnerId = null, profileName = null, agentRole = null, provider, model, inputTokens = 0, outputTokens = 0 } = entry;
+
+  let cost = 0;
+  let costSource = 'unpriced';
+  if (typeof entry.cost === 'number') {
+    cost = entry.cost;
+    costSource = 'reported';
+  } else {
+    const estimate = calculateCost(model, inputTokens, outputTokens, { provider });
+    if (!estimate.estimated) {
+      cost = estimate.totalCost;
+      costSource = 'estimated';
+    }
+  }
+
+  const now = new Date();
+  const record = {
+    createdAt: now.toISOString(),
+    day: today(now),
+    learnerId,
+    profileName,
+    agentRole,
+    provider,
+    model,
+    inputTokens,
+    outputTokens,
+    cost,
+    costSource,
+  };
+
+  getDb().prepare(`
+    INSERT INTO budget_spend
+      (created_at, day, learner_id, profile_name, agent_role, provider, model, input_tokens, output_tokens, cost, cost_source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    record.createdAt, record.day, learnerId, profileName, agentRole, provider, model,
+    inputTokens, outputTokens, cost, costSource,
+  );
+
+  return record;
+}
+
+/**
+ * Get total spend for a UTC day, optionally filtered by learner and/or profile
+ * @param {Object} [filters] - { day, learnerId, profileName }
+ * @returns {number} USD
+ */
+export function getDailySpend({ day = today(), learnerId = null, profileName = null } = {}) {
+  const conditions = ['day = ?'];
+  const params = [day];
+  if (learnerId) {
+    conditions.push('learner_id = ?');
+    params.push(learnerId);
+  }
+  if (profileName) {
+    conditions.push('profile_name = ?');
+    params.push(profileName);
+  }
+  const row = getDb().prepare(`SELECT COALESCE(SUM(cost), 0) AS total FROM budget_spend WHERE ${conditions.join(' AND ')}`).get(...params);
+  return row.total;
+}
+
+/**
+ * Get a day's spend broken down by learner and profile
+ * @param {Object} [options] - { day }
+ * @returns {Object} { day, total, calls, unpricedCalls, byLearner, byProfile }
+ */
+export function getSpendReport({ day = today() } = {}) {
+  const db = getDb();
+  const totals = db.prepare(`
+    SELECT COALESCE(SUM(cost), 0) AS total, COUNT(*) AS calls,
+           COALESCE(SUM(CASE WHEN cost_source = 'unpriced' THEN 1 ELSE 0 END), 0) AS unpriced
+    FROM budget_spend WHERE day = ?
+  `).get(day);
+
+  const breakdown = (column) => db.prepare(`
+    SELECT ${column} AS id, SUM(cost) AS spent, COUNT(*) AS calls
+    FROM budget_spend WHERE day = ? AND ${column} IS NOT NULL
+    GROUP BY ${column} ORDER BY spent DESC
+  `).all(day);
+
+  return {
+    day,
+    total: totals.total,
+    calls: totals.calls,
+    unpricedCalls: totals.unpriced,
+    byLearner: breakdown('learner_id'),
+    byProfile: breakdown('profile_name'),
+  };
+}
+
+// ============================================================================
+// Decisions
+// ============================================================================
+
+/**
+ * Evaluate all applicable caps without side effects
+ *
+ * @param {Object} scope - { learnerId, profileName }
+ * @returns {Object} { action: 'allow'|'downgrade'|'disable_superego'|'refuse', breach, breaches }
+ *   where breach is the cap that determined the action
+ */
+export function evaluateBudget({ learnerId = null, profileName = null } = {}) {
+  const config = getBudgetConfig();
+  if (!config.enabled) return { action: 'allow', breach: null, breaches: [] };
+
+  const caps = [];
+  if (config.global) caps.push({ scope: 'global', scopeId: null, cap: config.global, filters: {} });
+  if (profileName && config.perProfile[profileName]) {
+    caps.push({ scope: 'profile', scopeId: profileName, cap: config.perProfile[profileName], filters: { profileName } });
+  }
+  const learnerCap = learnerId ? config.learners[learnerId] || config.perLearner : null;
+  if (learnerCap) caps.push({ scope: 'learner', scopeId: learnerId, cap: learnerCap, filters: { learnerId } });
+
+  const breaches = [];
+  for (const { scope, scopeId, cap, filters } of caps) {
+    const spent = getDailySpend(filters);
+    if (spent >= cap.dailyUsd) {
+      breaches.push({ scope, scopeId, limit: cap.dailyUsd, spent, action: cap.onBreach });
+    }
+  }
+
+  if (breaches.length === 0) return { action: 'allow', breach: null, breaches };
+
+  const breach = breaches.reduce((worst, b) =>
+    BREACH_ACTIONS.indexOf(b.action) > BREACH_ACTIONS.indexOf(worst.action) ? b : worst,
+  );
+  return { action: breach.action, breach, breaches };
+}
+
+function writeAudit(decision, details) {
+  const { breach } = decision;
+  getDb().prepare(`
+    INSERT INTO budget_audit
+      (created_at, scope, scope_id, action, stage, limit_usd, spent_usd, learner_id, profile_name, agent_role, original_model, effective_model)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    new Date().toISOString(), breach.scope, breach.scopeId, decision.action, details.stage,
+    breach.limit, breach.spent, details.learnerId || null, details.profileName || null,
+    details.agentRole || null, details.originalModel || null, details.effectiveModel || null,
+  );
+}
+
+function budgetError(decision, details) {
+  const { breach } = decision;
+  const target = breach.scopeId ? `${breach.scope} '${breach.scopeId}'` : breach.scope;
+  const err = new Error(
+    `Budget exceeded for ${target}: $${breach.spent.toFixed(4)} spent of $${breach.limit.toFixed(2)} daily cap` +
+      (details.agentRole ? ` (${details.agentRole} call refused)` : ''),
+  );
+  err.code = 'BUDGET_EXCEEDED';
+  err.budget = { scope: breach.scope, scopeId: breach.scopeId, limit: breach.limit, spent: breach.spent, action: decision.action };
+  return err;
+}
+
+function resolveDowngrade() {
+  const { downgradeModel } = getBudgetConfig();
+  if (!downgradeModel) {
+    throw new Error('budgets.downgrade_model must be set when on_breach is downgrade');
+  }
+  const resolved = configLoader.resolveModel(downgradeModel);
+  return { ref: downgradeModel, provider: resolved.provider, model: resolved.model };
+}
+
+const isSuperegoRole = (agentRole) => typeof agentRole === 'string' && agentRole.startsWith('superego');
+
+/**
+ * Name of the profile a dialogue runs, for per_profile caps and spend
+ *
+ * Callers usually leave profileName unset and run active_profile (or
+ * TUTOR_PROFILE), so the requested name alone would skip per_profile caps.
+ *
+ * @param {string|null} profileName - Profile requested by the caller
+ * @returns {string|null} Effective profile name
+ */
+export function resolveBudgetProfile(profileName = null) {
+  return configLoader.getActiveProfile(profileName)?.name || null;
+}
+
+/**
+ * Apply the budget decision to runDialogue options (dialogue stage)
+ *
+ * The effective profile name is passed on as `_budgetProfileName`, for the
+ * dialogue's call-stage checks and spend records.
+ *
+ * @param {Object} options - runDialogue options
+ * @returns {Object} Options, possibly with disableSuperego or model overrides applied
+ * @throws {Error} code 'BUDGET_EXCEEDED' when the decision is refuse
+ */
+export function applyDialogueBudget(options = {}) {
+  if (!isBudgetEnabled()) return options;
+
+  const { learnerId = null } = options;
+  const profileName = resolveBudgetProfile(options.profileName);
+  options = { ...options, _budgetProfileName: profileName };
+  const decision = evaluateBudget({ learnerId, profileName });
+  if (decision.action === 'allow') return options;
+
+  const details = { stage: 'dialogue', learnerId, profileName };
+
+  if (decision.action === 'refuse') {
+    writeAudit(decision, details);
+    throw budgetError(decision, details);
+  }
+
+  if (decision.action === 'disable_superego') {
+    writeAudit(decision, details);
+    return { ...options, disableSuperego: true };
+  }
+
+  // downgrade: override ego, and superego only if it would run anyway
+  // (a superegoModel override on an ego-only profile would switch the superego on)
+  const downgrade = resolveDowngrade();
+  const profile = configLoader.getActiveProfile(options.profileName);
+  const superegoActive = !options.disableSuperego &&
+    (!!options.superegoModel || (profile?.dialogue?.enabled === true && profile?.superego != null));
+
+  writeAudit(decision, { ...details, originalModel: options.egoModel || profile?.ego?.model || null, effectiveModel: downgrade.ref });
+  return {
+    ...options,
+    egoModel: downgrade.ref,
+    ...(superegoActive && { superegoModel: downgrade.ref }),
+  };
+}
+
+/**
+ * Check the budget before a single callAI call (call stage)
+ *
+ * @param {Object} agentConfig - callAI agent config
+ * @param {string} agentRole - e.g. 'ego', 'superego', 'judge'
+ * @param {Object} scope - { learnerId, profileName }
+ * @returns {Object} Agent config to use (the downgrade model's when downgraded)
+ * @throws {Error} code 'BUDGET_EXCEEDED' when the call is refused
+ */
+export function enforceCallBudget(agentConfig, agentRole, { learnerId = null, profileName = null } = {}) {
+  const decision = evaluateBudget({ learnerId, profileName });
+  if (decision.action === 'allow') return agentConfig;
+
+  const details = { stage: 'call', learnerId, profileName, agentRole, originalModel: agentConfig.model };
+
+  if (decision.action === 'refuse' || (decision.action === 'disable_superego' && isSuperegoRole(agentRole))) {
+    writeAudit(decision, details);
+    throw budgetError(decision, details);
+  }
+
+  if (decision.action === 'downgrade') {
+    const downgrade = resolveDowngrade();
+    if (agentConfig.provider === downgrade.provider && agentConfig.model === downgrade.model) return agentConfig;
+
+    writeAudit(decision, { ...details, effectiveModel: downgrade.model });
+    return configLoader.getModelAgentConfig(downgrade.ref, agentConfig.hyperparameters);
+  }
+
+  return agentConfig;
+}
+
+/**
+ * Check the budget before a unifiedAIProviderService call (call stage)
+ *
+ * @param {Object} request - { provider, model, learnerId, downgradable }
+ *   downgradable: false for calls the downgrade model cannot serve (embeddings),
+ *   which then go ahead unchanged under a downgrade breach
+ * @returns {Object} { provider, model } to use
+ * @throws {Error} code 'BUDGET_EXCEEDED' when the call is refused
+ */
+export function enforceUnifiedBudget({ provider, model, learnerId = null, downgradable = true }) {
+  const decision = evaluateBudget({ learnerId });
+  if (decision.action === 'allow') return { provider, model };
+
+  const details = { stage: 'call', learnerId, agentRole: 'unified', originalModel: model };
+
+  // Unified calls have no superego to drop; disable_superego caps only limit dialogues
+  if (decision.action === 'disable_superego') return { provider, model };
+
+  if (decision.action === 'refuse') {
+    writeAudit(decision, details);
+    throw budgetError(decision, details);
+  }
+
+  if (!downgradable) return { provider, model };
+  const downgrade = resolveDowngrade();
+  if (provider === downgrade.provider && model === downgrade.model) return { provider, model };
+
+  writeAudit(decision, { ...details, effectiveModel: downgrade.model });
+  return { provider: downgrade.provider, model: downgrade.model };
+}
+
+// ============================================================================
+// Audit Trail
+// ============================================================================
+
+/**
+ * List throttling decisions, newest first
+ * @param {Object} [filters] - { since, scope, learnerId, profileName, action, limit }
+ * @returns {Array} Audit entries
+ */
+export function getAuditTrail({ since = null, scope = null, learnerId = null, profileName = null, action = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(since);
+  }
+  if (scope) {
+    conditions.push('scope = ?');
+    params.push(scope);
+  }
+  if (learnerId) {
+    conditions.push('learner_id = ?');
+    params.push(learnerId);
+  }
+  if (profileName) {
+    conditions.push('profile_name = ?');
+    params.push(profileName);
+  }
+  if (action) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const rows = getDb().prepare(`SELECT * FROM budget_audit ${where} ORDER BY id DESC LIMIT ?`).all(...params, limit);
+  return rows.map((row) => ({
+    id: row.id,
+    createdAt: row.created_at,
+    scope: row.scope,
+    scopeId: row.scope_id,
+    action: row.action,
+    stage: row.stage,
+    limitUsd: row.limit_usd,
+    spentUsd: row.spent_usd,
+    learnerId: row.learner_id,
+    profileName: row.profile_name,
+    agentRole: row.agent_role,
+    originalModel: row.original_model,
+    effectiveModel: row.effective_model,
+  }));
+}
+
+export default {
+  getBudgetConfig,
+  isBudgetEnabled,
+  recordSpend,
+  getDailySpend,
+  getSpendReport,
+  evaluateBudget,
+  resolveBudgetProfile,
+  applyDialogueBudget,
+  enforceCallBudget,
+  enforceUnifiedBudget,
+  getAuditTrail,
+};
@@ -0,0 +1,415 @@
+/**
+ * Cassette Service
+ *
+ * Record-and-replay layer for provider calls, so regression runs can be
+ * reproduced without hitting live models.
+ *
+ * Wraps four call sites:
+ * - tutorDialogueEngine._fetchProvider   (kind: 'engine')
+ * - unifiedAIProviderService.call        (kind: 'unified')
+ * - unifiedAIProviderService.callStream  (kind: 'stream')
+ * - unifiedAIProviderService.embed       (kind: 'embed')
+ *
+ * Each interaction is keyed by kind, provider, model, a hash of the prompt
+ * (system prompt + messages) and the canonicalized hyperparameters.
+ * Identical requests are replayed in recording order, so retries and repeated
+ * rounds stay aligned with the captured session.
+ *
+ * Modes:
+ * - record: every call goes live; request/response pairs are written to the
+ *           cassette file after each call
+ * - replay: calls are answered from the cassette; unmatched requests go live
+ *           (and are reported) unless strict mode is on, in which case they throw
+ *
+ * Cassettes are pretty-printed JSON with the full request stored alongside
+ * each response, so a re-recorded cassette can be diffed against the original
+ * to see exactly which prompts an engine or prompt change affected.
+ *
+ * Programmatic: startCassette(file, { mode, strict }) / stopCassette()
+ * Environment:  TUTOR_CASSETTE=path TUTOR_CASSETTE_MODE=record|replay TUTOR_CASSETTE_STRICT=true
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const CASSETTE_VERSION = 1;
+
+const CASSETTE_MODES = ['record', 'replay'];
+
+// Active cassette session (null when off)
+let session = null;
+
+// Env-configured cassette is started lazily on first use
+let envChecked = false;
+
+// ============================================================================
+// Request Keys
+// ============================================================================
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Canonicalize hyperparameters: drop undefined/null values and sort keys
+ */
+function canonicalHyperparameters(hyperparameters = {}) {
+  const result = {};
+  for (const key of Object.keys(hyperparameters).sort()) {
+    const value = hyperparameters[key];
+    if (value !== undefined && value !== null && typeof value !== 'function') {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Hash the prompt content of a request
+ * @param {string} systemPrompt - System prompt (may be empty)
+ * @param {Array} messages - Message array as sent to the provider
+ * @returns {string} Hex SHA-256
+ */
+export function hashPrompt(systemPrompt, messages) {
+  return sha256(JSON.stringify({ system: systemPrompt || '', messages: messages || [] }));
+}
+
+/**
+ * Compute the cassette key for a request
+ * @param {Object} request - { kind, provider, model, systemPrompt, messages, hyperparameters }
+ * @returns {{ key: string, promptHash: string, hyperparameters: Object }}
+ */
+export function computeRequestKey({ kind, provider, model, systemPrompt, messages, hyperparameters }) {
+  const promptHash = hashPrompt(systemPrompt, messages);
+  const canonical = canonicalHyperparameters(hyperparameters);
+  const key = sha256(JSON.stringify([kind, provider || '', model || '', promptHash, canonical])).slice(0, 24);
+  return { key, promptHash, hyperparameters: canonical };
+}
+
+// ============================================================================
+// Session Lifecycle
+// ============================================================================
+
+function readCassette(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (data.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${data.version} in ${filePath} (expected ${CASSETTE_VERSION})`);
+  }
+  return data;
+}
+
+function writeCassette(active) {
+  fs.mkdirSync(path.dirname(active.filePath), { recursive: true });
+  const data = {
+    version: CASSETTE_VERSION,
+    recordedAt: active.startedAt,
+    interactions: active.interactions,
+  };
+  fs.writeFileSync(active.filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Start a cassette session
+ *
+ * @param {string} filePath - Cassette file (JSON)
+ * @param {Object} options
+ * @param {string} options.mode - 'record' or 'replay' (default 'replay')
+ * @param {boolean} options.strict - In replay, throw on unmatched requests (default false)
+ * @returns {Object} Session status
+ */
+export function startCassette(filePath, options = {}) {
+  const { mode = 'replay', strict = false } = options;
+
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode: ${mode} (expected ${CASSETTE_MODES.join(' or ')})`);
+  }
+  if (session) {
+    throw new Error(`Cassette already active: ${session.filePath}. Call stopCassette() first.`);
+  }
+
+  const resolved = path.resolve(filePath);
+  let interactions = [];
+  if (mode === 'replay') {
+    const data = readCassette(resolved);
+    if (!data) throw new Error(`Cassette not found: ${resolved}`);
+    interactions = data.interactions || [];
+  }
+
+  session = {
+    filePath: resolved,
+    mode,
+    strict: mode === 'replay' && strict,
+    startedAt: new Date().toISOString(),
+    interactions,
+    cursors: new Map(),
+    recorded: 0,
+    replayed: 0,
+    unmatched: [],
+  };
+
+  return getCassetteStatus();
+}
+
+/**
+ * Stop the active cassette session
+ * @returns {Object|null} Final status ({ mode, filePath, recorded, replayed, unmatched }) or null if none active
+ */
+export function stopCassette() {
+  if (!session) return null;
+  const status = getCassetteStatus();
+  session = null;
+  return status;
+}
+
+/**
+ * Run fn with a cassette active, stopping it afterwards
+ * @param {string} filePath - Cassette file
+ * @param {Object} options - startCassette options
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<{ result: *, cassette: Object }>}
+ */
+export async function withCassette(filePath, options, fn) {
+  startCassette(filePath, options);
+  try {
+    const result = await fn();
+    return { result, cassette: getCassetteStatus() };
+  } finally {
+    stopCassette();
+  }
+}
+
+/**
+ * Get the active session status
+ * @returns {Object|null}
+ */
+export function getCassetteStatus() {
+  ensureEnvSession();
+  if (!session) return null;
+  return {
+    filePath: session.filePath,
+    mode: session.mode,
+    strict: session.strict,
+    interactions: session.interactions.length,
+    recorded: session.recorded,
+    replayed: session.replayed,
+    unmatched: session.unmatched.map((u) => ({ ...u })),
+  };
+}
+
+/**
+ * Check whether a cassette session is active
+ * @returns {boolean}
+ */
+export function isCassetteActive() {
+  ensureEnvSession();
+  return session !== null;
+}
+
+function ensureEnvSession() {
+  if (envChecked) return;
+  envChecked = true;
+  const filePath = process.env.TUTOR_CASSETTE;
+  if (filePath && !session) {
+    startCassette(filePath, {
+      mode: process.env.TUTOR_CASSETTE_MODE || 'replay',
+      strict: process.env.TUTOR_CASSETTE_STRICT === 'true',
+    });
+  }
+}
+
+// ============================================================================
+// Interception
+// ============================================================================
+
+function findRecorded(key) {
+  const cursor = session.cursors.get(key) || 0;
+  let seen = 0;
+  for (const interaction of session.interactions) {
+    if (interaction.key !== key) continue;
+    if (seen === cursor) {
+      session.cursors.set(key, cursor + 1);
+      return interaction;
+    }
+    seen++;
+  }
+  return null;
+}
+
+function missError(request, keyInfo) {
+  const sameModel = session.interactions.filter(
+    (i) => i.kind === request.kind && i.provider === request.provider && i.model === request.model,
+  ).length;
+  const err = new Error(
+    `Cassette miss (strict): no recorded ${request.kind} response for ${request.provider}/${request.model} ` +
+      `prompt ${keyInfo.promptHash.slice(0, 12)} in ${session.filePath} ` +
+      `(${sameModel} recorded for this provider/model)`,
+  );
+  err.code = 'CASSETTE_MISS';
+  err.cassetteKey = keyInfo.key;
+  return err;
+}
+
+function replayError(recorded) {
+  const err = new Error(recorded.error.message);
+  if (recorded.error.code) err.code = recorded.error.code;
+  return err;
+}
+
+function incompleteError(recorded) {
+  const err = new Error(
+    `Cassette recorded an incomplete ${recorded.kind} stream for ${recorded.provider}/${recorded.model} ` +
+      `(the consumer stopped reading after ${recorded.response.length} chunks)`,
+  );
+  err.code = 'CASSETTE_INCOMPLETE';
+  return err;
+}
+
+function replayMatch(request, keyInfo) {
+  const recorded = findRecorded(keyInfo.key);
+  if (recorded) {
+    session.replayed++;
+    return recorded;
+  }
+  session.unmatched.push({ kind: request.kind, provider: request.provider, model: request.model, promptHash: keyInfo.promptHash });
+  if (session.strict) throw missError(request, keyInfo);
+  return null;
+}
+
+function newInteraction(request, keyInfo) {
+  return {
+    key: keyInfo.key,
+    kind: request.kind,
+    provider: request.provider,
+    model: request.model,
+    promptHash: keyInfo.promptHash,
+    hyperparameters: keyInfo.hyperparameters,
+    request: { systemPrompt: request.systemPrompt || '', messages: request.messages || [] },
+  };
+}
+
+/**
+ * Store an interaction in the session it started in; a call still in flight
+ * when that session stopped is not recorded
+ */
+function saveInteraction(active, interaction) {
+  if (session !== active) return;
+  active.interactions.push(interaction);
+  active.recorded++;
+  writeCassette(active);
+}
+
+/**
+ * Intercept a provider call
+ *
+ * In record mode, runs liveFn and stores the outcome (result or error).
+ * In replay mode, returns the recorded outcome, replaying streamed tokens
+ * through onToken; unmatched requests throw in strict mode or go live.
+ *
+ * @param {Object} request - { kind, provider, model, systemPrompt, messages, hyperparameters, onToken }
+ * @param {Function} liveFn - (onToken) => Promise<result> performing the real call
+ * @returns {Promise<*>} Provider result
+ */
+export async function interceptCall(request, liveFn) {
+  if (!isCassetteActive()) return liveFn(request.onToken);
+
+  const keyInfo = computeRequestKey(request);
+
+  if (session.mode === 'replay') {
+    const recorded = replayMatch(request, keyInfo);
+    if (!recorded) return liveFn(request.onToken);
+    if (recorded.error) throw replayError(recorded);
+    if (request.onToken) {
+      const tokens = recorded.tokens || [recorded.response?.text ?? recorded.response?.content ?? ''];
+      for (const token of tokens) request.onToken(token);
+    }
+    return structuredClone(recorded.response);
+  }
+
+  const active = session;
+  const interaction = newInteraction(request, keyInfo);
+  const tokens = [];
+  const onToken = request.onToken
+    ? (token) => {
+        tokens.push(token);
+        request.onToken(token);
+      }
+    : null;
+
+  try {
+    const result = await liveFn(onToken);
+    interaction.response = result;
+    if (onToken) interaction.tokens = tokens;
+    return result;
+  } catch (error) {
+    interaction.error = { message: error.message, ...(error.code && { code: error.code }) };
+    throw error;
+  } finally {
+    saveInteraction(active, interaction);
+  }
+}
+
+/**
+ * Intercept a streaming call (async generator of chunks)
+ *
+ * Recording passes chunks through as they arrive and stores the full
+ * sequence; replay yields the recorded chunks. A stream the consumer stopped
+ * reading early is stored as incomplete, and replaying it past the recorded
+ * chunks throws CASSETTE_INCOMPLETE rather than ending as if it had finished.
+ *
+ * @param {Object} request - { kind, provider, model, systemPrompt, messages, hyperparameters }
+ * @param {Function} liveFn - () => AsyncGenerator performing the real stream
+ * @yields {Object} Stream chunks
+ */
+export async function* interceptStream(request, liveFn) {
+  if (!isCassetteActive()) {
+    yield* liveFn();
+    return;
+  }
+
+  const keyInfo = computeRequestKey(request);
+
+  if (session.mode === 'replay') {
+    const recorded = replayMatch(request, keyInfo);
+    if (!recorded) {
+      yield* liveFn();
+      return;
+    }
+    for (const chunk of recorded.response || []) yield structuredClone(chunk);
+    if (recorded.error) throw replayError(recorded);
+    if (recorded.incomplete) throw incompleteError(recorded);
+    return;
+  }
+
+  const active = session;
+  const interaction = newInteraction(request, keyInfo);
+  const chunks = [];
+  let finished = false;
+  try {
+    for await (const chunk of liveFn()) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+    finished = true;
+  } catch (error) {
+    interaction.error = { message: error.message, ...(error.code && { code: error.code }) };
+    throw error;
+  } finally {
+    interaction.response = chunks;
+    if (!finished && !interaction.error) interaction.incomplete = true;
+    saveInteraction(active, interaction);
+  }
+}
+
+export default {
+  hashPrompt,
+  computeRequestKey,
+  startCassette,
+  stopCassette,
+  withCassette,
+  getCassetteStatus,
+  isCassetteActive,
+  interceptCall,
+  interceptStream,
+};
@@ -22,10 +22,12 @@ const ROOT_DIR = path.resolve(__dirname, '..');
 const CONFIG_DIR = path.join(ROOT_DIR, 'config');
 const PROMPTS_DIR = path.join(ROOT_DIR, 'prompts');
 const PROMPTS_DIR_OVERRIDE_ENV = 'MACHINESPIRITS_PROMPTS_DIR';
+const CONFIG_DIR_OVERRIDE_ENV = 'MACHINESPIRITS_CONFIG_DIR';
 
 // Shared providers cache (since providers.yaml is used by both loaders)
 let sharedProvidersCache = null;
 let sharedProvidersMtime = null;
+let sharedProvidersPath = null;
 
 // Client config overlay (registered by consuming repos like eval-repo)
 let clientConfigDir = null;
@@ -41,7 +43,7 @@ let clientProvidersMtime = null;
  * @param {Object} client - Client provider overrides
  * @returns {Object} Merged providers
  */
-function deepMergeProviders(core, client) {
+export function deepMergeProviders(core, client) {
   const merged = { ...core };
   for (const [providerName, clientProvider] of Object.entries(client)) {
     const coreProvider = merged[providerName];
@@ -49,11 +51,12 @@ function deepMergeProviders(core, client) {
       // New provider from client — add as-is
       merged[providerName] = clientProvider;
     } else {
-      // Merge: client fields override core, models merged additively
+      // Merge: client fields override core, models and pricing merged additively
       merged[providerName] = {
         ...coreProvider,
         ...clientProvider,
         models: { ...coreProvider.models, ...clientProvider.models },
+        pricing: { ...coreProvider.pricing, ...clientProvider.pricing },
       };
     }
   }
@@ -76,6 +79,24 @@ export function registerClientConfigDir(dirPath) {
   clientProvidersMtime = null;
 }
 
+/**
+ * Get the directory tutor-agents.yaml and providers.yaml are read from
+ * (MACHINESPIRITS_CONFIG_DIR when set, otherwise the bundled config/)
+ * @returns {string} Absolute directory path
+ */
+export function getConfigDir() {
+  const overrideDir = process.env[CONFIG_DIR_OVERRIDE_ENV];
+  return overrideDir ? path.resolve(overrideDir) : CONFIG_DIR;
+}
+
+/**
+ * Get the registered client config directory
+ * @returns {string|null} Directory passed to registerClientConfigDir(), or null
+ */
+export function getClientConfigDir() {
+  return clientConfigDir;
+}
+
 /**
  * Load providers from shared providers.yaml, with optional client overlay.
  *
@@ -86,7 +107,7 @@ export function registerClientConfigDir(dirPath) {
  * @returns {Object} Providers configuration
  */
 export function loadProviders(forceReload = false) {
-  const coreProvidersPath = path.join(CONFIG_DIR, 'providers.yaml');
+  const coreProvidersPath = path.join(getConfigDir(), 'providers.yaml');
 
   try {
     const coreStats = fs.statSync(coreProvidersPath);
@@ -101,7 +122,7 @@ export function loadProviders(forceReload = false) {
       }
     }
 
-    const coreChanged = sharedProvidersMtime !== coreStats.mtimeMs;
+    const coreChanged = sharedProvidersMtime !== coreStats.mtimeMs || sharedProvidersPath !== coreProvidersPath;
     const clientChanged = clientStats && clientProvidersMtime !== clientStats.mtimeMs;
 
     if (!forceReload && sharedProvidersCache && !coreChanged && !clientChanged) {
@@ -113,6 +134,7 @@ export function loadProviders(forceReload = false) {
     const coreParsed = yaml.parse(coreContent);
     let providers = coreParsed?.providers || {};
     sharedProvidersMtime = coreStats.mtimeMs;
+    sharedProvidersPath = coreProvidersPath;
 
     // Merge client overlay if available
     if (clientStats) {
@@ -169,7 +191,9 @@ export function createConfigLoader(configFileName, getDefaultConfig) {
   // Per-loader cache
   let configCache = null;
   let configMtime = null;
+  let configFile = null;
   let providersMtime = null;
+  let sharedProviders = null;
 
   /**
    * Load the configuration with mtime-based caching
@@ -177,8 +201,8 @@ export function createConfigLoader(configFileName, getDefaultConfig) {
    * @returns {Object} Configuration object
    */
   function loadConfig(forceReload = false) {
-    const configPath = path.join(CONFIG_DIR, configFileName);
-    const providersPath = path.join(CONFIG_DIR, 'providers.yaml');
+    const configPath = path.join(getConfigDir(), configFileName);
+    const providersPath = path.join(getConfigDir(), 'providers.yaml');
 
     // Check if files have changed
     try {
@@ -191,13 +215,16 @@ export function createConfigLoader(configFileName, getDefaultConfig) {
       }
 
       const providersChanged = providersStats && providersMtime !== providersStats.mtimeMs;
-      const configChanged = configMtime !== configStats.mtimeMs;
+      const configChanged = configMtime !== configStats.mtimeMs || configFile !== configPath;
+      // The client overlay can change the merged providers without touching providers.yaml
+      const overlayChanged = loadProviders() !== sharedProviders;
 
-      if (!forceReload && configCache && !configChanged && !providersChanged) {
+      if (!forceReload && configCache && !configChanged && !providersChanged && !overlayChanged) {
         return configCache;
       }
 
       configMtime = configStats.mtimeMs;
+      configFile = configPath;
       if (providersStats) providersMtime = providersStats.mtimeMs;
     } catch (err) {
       console.warn(`Config file ${configFileName} not found, using defaults:`, err.message);
@@ -209,7 +236,7 @@ export function createConfigLoader(configFileName, getDefaultConfig) {
       configCache = yaml.parse(content);
 
       // Merge shared providers (providers.yaml takes precedence)
-      const sharedProviders = loadProviders(forceReload);
+      sharedProviders = loadProviders(forceReload);
       if (sharedProviders) {
         configCache.providers = { ...configCache.providers, ...sharedProviders };
       }
@@ -237,7 +264,9 @@ export function createConfigLoader(configFileName, getDefaultConfig) {
   function clearCache() {
     configCache = null;
     configMtime = null;
+    configFile = null;
     providersMtime = null;
+    sharedProviders = null;
   }
 
   return {
@@ -247,6 +276,36 @@ export function createConfigLoader(configFileName, getDefaultConfig) {
   };
 }
 
+function getPromptSearchDirs() {
+  const dirs = [];
+  const overrideDir = process.env[PROMPTS_DIR_OVERRIDE_ENV];
+  if (overrideDir) dirs.push(path.resolve(overrideDir));
+  dirs.push(PROMPTS_DIR);
+  return [...new Set(dirs)];
+}
+
+function resolvePromptPath(filename) {
+  const searchDirs = getPromptSearchDirs();
+  for (const dir of searchDirs) {
+    const candidate = path.join(dir, filename);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return path.join(searchDirs[0], filename);
+}
+
+/**
+ * Find a prompt file in the prompt search path
+ * (MACHINESPIRITS_PROMPTS_DIR first, then the bundled prompts/)
+ * @param {string} filename - Prompt filename
+ * @returns {string|null} Absolute path, or null when no directory has it
+ */
+export function findPromptFile(filename) {
+  const promptPath = resolvePromptPath(filename);
+  return fs.existsSync(promptPath) ? promptPath : null;
+}
+
 /**
  * Create a prompt loader with mtime-based caching
  * @param {string} defaultPromptFn - Function that returns default prompt for a filename
@@ -256,25 +315,6 @@ export function createPromptLoader(defaultPromptFn = null) {
   // Per-loader prompt cache
   const promptCache = new Map();
 
-  function getPromptSearchDirs() {
-    const dirs = [];
-    const overrideDir = process.env[PROMPTS_DIR_OVERRIDE_ENV];
-    if (overrideDir) dirs.push(path.resolve(overrideDir));
-    dirs.push(PROMPTS_DIR);
-    return [...new Set(dirs)];
-  }
-
-  function resolvePromptPath(filename) {
-    const searchDirs = getPromptSearchDirs();
-    for (const dir of searchDirs) {
-      const candidate = path.join(dir, filename);
-      if (fs.existsSync(candidate)) {
-        return candidate;
-      }
-    }
-    return path.join(searchDirs[0], filename);
-  }
-
   /**
    * Load a prompt file with mtime-based caching
    * @param {string} filename - Prompt filename
@@ -406,6 +446,10 @@ export { CONFIG_DIR, PROMPTS_DIR, ROOT_DIR };
 export default {
   loadProviders,
   registerClientConfigDir,
+  getConfigDir,
+  getClientConfigDir,
+  deepMergeProviders,
+  findPromptFile,
   resolveProviderConfig,
   createConfigLoader,
   createPromptLoader,
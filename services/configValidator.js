@@ -0,0 +1,557 @@
+/**
+ * Config Validator
+ *
+ * Checks tutor-agents.yaml and providers.yaml, plus the client providers.yaml
+ * registered with registerClientConfigDir(), before a dialogue ever reads them.
+ * The loaders fall back to defaults on a bad file and only fail at dialogue
+ * time on a bad reference; this reports both up front:
+ *
+ * - schema: unknown keys (with the nearest known key), wrong types, bad values
+ * - references: profile extends chains, active_profile, providers, model
+ *   aliases, prompt files and superego_strategies names
+ *
+ * Each error carries the file, line and column it points at:
+ *
+ *   { file, line, column, path: 'profiles.budget.ego.modle', code: 'UNKNOWN_KEY',
+ *     message: 'Unknown key "modle" (did you mean "model"?)' }
+ *
+ * Values a profile inherits are reported where they are written, in the base
+ * profile or fragment. Call validateConfig() from tests and assertValidConfig()
+ * at startup.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseDocument, LineCounter, isMap, isSeq } from 'yaml';
+import { getConfigDir, getClientConfigDir, deepMergeProviders, findPromptFile } from './configLoaderBase.js';
+import { resolveProfiles } from './profileResolver.js';
+import { validate } from './jsonSchemaValidator.js';
+// Namespace import: providerFallback imports tutorConfigLoader, which imports this module
+import * as providerFallback from './providerFallback.js';
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const looseObject = { type: 'object' };
+
+const AGENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    provider: nonEmptyString,
+    model: nonEmptyString,
+    staging: { enum: ['front', 'back'] },
+    prompt_file: nonEmptyString,
+    hyperparameters: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        max_tokens: { type: 'integer', minimum: 1 },
+        top_p: { type: 'number', minimum: 0, maximum: 1 },
+      },
+    },
+    fallback: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        chain: { type: 'array', items: nonEmptyString },
+        on: { type: 'array', items: nonEmptyString },
+      },
+    },
+  },
+};
+
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    extends: { type: ['string', 'array'], items: nonEmptyString },
+    description: { type: 'string' },
+    recognition_mode: { type: 'boolean' },
+    memory_enabled: { type: 'boolean' },
+    ablation_condition: { type: 'integer' },
+    learner_architecture: { type: 'string' },
+    dialogue: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        max_rounds: { type: 'integer', minimum: 0 },
+        convergence_threshold: { type: 'number', minimum: 0, maximum: 1 },
+        skip_pre_analysis: { type: 'boolean' },
+        similarity: looseObject,
+      },
+    },
+    ego: AGENT_SCHEMA,
+    superego: { ...AGENT_SCHEMA, type: ['object', 'null'] },
+    intervention_thresholds: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        low_intensity_skip_dialogue: { type: 'boolean' },
+        high_intensity_extra_rounds: { type: 'boolean' },
+        struggle_signal_threshold: { type: 'integer', minimum: 0 },
+        rapid_nav_window_ms: { type: 'integer', minimum: 0 },
+        retry_frustration_count: { type: 'integer', minimum: 0 },
+      },
+    },
+    intervention_strategies: { type: 'object', additionalProperties: { type: 'boolean' } },
+  },
+};
+
+export const TUTOR_AGENTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    active_profile: nonEmptyString,
+    superego_strategies: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          style: { type: 'string' },
+          prompt_modifier: { type: ['string', 'null'] },
+        },
+      },
+    },
+    fragments: { type: 'object', additionalProperties: PROFILE_SCHEMA },
+    profiles: { type: 'object', additionalProperties: PROFILE_SCHEMA },
+    providers: looseObject,
+    logging: looseObject,
+    pii_redaction: looseObject,
+    similarity: looseObject,
+    learner_settings: looseObject,
+    knowledge_tracing: looseObject,
+    spaced_repetition: looseObject,
+    curriculum_verification: looseObject,
+    provider_health: looseObject,
+    budgets: looseObject,
+    evaluation: looseObject,
+  },
+};
+
+export const PROVIDERS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    providers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          api_key_env: nonEmptyString,
+          base_url: nonEmptyString,
+          default_model: nonEmptyString,
+          format: { enum: ['openai'] },
+          context_length: { type: 'integer', minimum: 1 },
+          structured_output: { enum: ['json_schema', 'json_object'] },
+          fixture_file: nonEmptyString,
+          models: { type: 'object', additionalProperties: nonEmptyString },
+          pricing: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['input', 'output'],
+              properties: {
+                input: { type: 'number', minimum: 0 },
+                output: { type: 'number', minimum: 0 },
+                cached_input: { type: 'number', minimum: 0 },
+                reasoning: { type: 'number', minimum: 0 },
+                tier: { enum: ['free', 'budget', 'mid', 'premium'] },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// ============================================================================
+// Sources and Positions
+// ============================================================================
+
+/**
+ * Read and parse a YAML file, keeping the document for positions
+ * @private
+ */
+function readSource(file, errors) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    errors.push({ file, line: null, column: null, path: '', code: 'CONFIG_FILE_UNREADABLE', message: error.message });
+    return null;
+  }
+
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(text, { lineCounter });
+  if (doc.errors.length > 0) {
+    for (const error of doc.errors) {
+      const [start] = error.linePos || [];
+      errors.push({
+        file,
+        line: start?.line ?? null,
+        column: start?.col ?? null,
+        path: '',
+        code: 'YAML_PARSE_ERROR',
+        message: error.message.split('\n')[0],
+      });
+    }
+    return null;
+  }
+  return { file, doc, lineCounter, value: doc.toJS() ?? {} };
+}
+
+function formatPath(segments) {
+  return segments.reduce((out, seg) => (typeof seg === 'number' ? `${out}[${seg}]` : out ? `${out}.${seg}` : seg), '');
+}
+
+/**
+ * Find the line and column of the deepest node along a path (the key, for
+ * map entries, so an error on a block value points at the line naming it)
+ * @private
+ */
+function locate(source, segments) {
+  let node = source.doc.contents;
+  let offset = node?.range?.[0] ?? 0;
+  for (const seg of segments) {
+    if (isMap(node)) {
+      const pair = node.items.find((item) => String(item.key?.value ?? item.key) === String(seg));
+      if (!pair) break;
+      offset = pair.key?.range?.[0] ?? offset;
+      node = pair.value;
+    } else if (isSeq(node) && typeof seg === 'number' && node.items[seg]) {
+      node = node.items[seg];
+      offset = node.range?.[0] ?? offset;
+    } else {
+      break;
+    }
+  }
+  const { line, col } = source.lineCounter.linePos(offset);
+  return { line, column: col };
+}
+
+function diagnostic(source, segments, code, message) {
+  return { file: source.file, ...locate(source, segments), path: formatPath(segments), code, message };
+}
+
+/**
+ * Map validator paths ('$.profiles.budget.ego' or '$.chain[0]') back to key
+ * segments; keys may contain dots (kimi-k2.5), so paths are read off the data
+ * @private
+ */
+function indexPaths(value, pathString, segments, index) {
+  index.set(pathString, segments);
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => indexPaths(item, `${pathString}[${i}]`, [...segments, i], index));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) indexPaths(child, `${pathString}.${key}`, [...segments, key], index);
+  }
+  return index;
+}
+
+function toSegments(index, pathString) {
+  if (index.has(pathString)) return { segments: index.get(pathString), missing: null };
+  const match = pathString.match(/^(.*)\.([^.[\]]+)$/);
+  if (match && index.has(match[1])) return { segments: index.get(match[1]), missing: match[2] };
+  return { segments: [], missing: null };
+}
+
+// ============================================================================
+// Schema Checks
+// ============================================================================
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function didYouMean(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(String(name), String(candidate));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best !== null && bestDistance <= Math.max(2, Math.floor(String(name).length / 3)) ? ` (did you mean "${best}"?)` : '';
+}
+
+/**
+ * Find the schema node at a path, for the list of keys it allows
+ * @private
+ */
+function schemaAt(schema, segments) {
+  let node = schema;
+  for (const seg of segments) {
+    if (!node) return null;
+    if (typeof seg === 'number') node = node.items;
+    else node = node.properties?.[seg] ?? (typeof node.additionalProperties === 'object' ? node.additionalProperties : null);
+  }
+  return node;
+}
+
+function checkSchema(source, schema, errors) {
+  const index = indexPaths(source.value, '$', [], new Map());
+  for (const { path: pathString, message } of validate(source.value, schema).errors) {
+    const { segments, missing } = toSegments(index, pathString);
+    if (message === 'is not allowed') {
+      const key = segments[segments.length - 1];
+      const allowed = Object.keys(schemaAt(schema, segments.slice(0, -1))?.properties || {});
+      errors.push(diagnostic(source, segments, 'UNKNOWN_KEY', `Unknown key "${key}"${didYouMean(key, allowed)}`));
+    } else if (missing) {
+      errors.push(diagnostic(source, segments, 'MISSING_KEY', `Missing required key "${missing}"`));
+    } else {
+      errors.push(diagnostic(source, segments, 'INVALID_VALUE', `${formatPath(segments) || 'Document'} ${message}`));
+    }
+  }
+}
+
+// ============================================================================
+// Reference Checks
+// ============================================================================
+
+/**
+ * Check a provider/model pair against the merged providers
+ * @private
+ * @returns {Object|null} { code, message } when it does not resolve
+ */
+function checkModel(providers, providerName, model) {
+  const provider = providers[providerName];
+  if (!provider) {
+    return { code: 'UNKNOWN_PROVIDER', message: `Unknown provider "${providerName}"${didYouMean(providerName, Object.keys(providers))}` };
+  }
+  const models = provider.models || {};
+  if (model && Object.keys(models).length > 0 && !Object.hasOwn(models, model) && !Object.values(models).includes(model)) {
+    return {
+      code: 'UNKNOWN_MODEL_ALIAS',
+      message: `Provider "${providerName}" has no model alias "${model}"${didYouMean(model, Object.keys(models))}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Check a "provider.model" reference
+ * @private
+ */
+function checkModelRef(providers, ref) {
+  const dot = typeof ref === 'string' ? ref.indexOf('.') : -1;
+  if (dot <= 0 || dot === ref.length - 1) {
+    return { code: 'INVALID_MODEL_REF', message: `Invalid model reference ${JSON.stringify(ref)}; use "provider.model"` };
+  }
+  return checkModel(providers, ref.slice(0, dot), ref.slice(dot + 1));
+}
+
+function checkProfiles(source, providers, errors) {
+  const config = source.value;
+  const { profiles, details, errors: resolutionErrors } = resolveProfiles(config.profiles, config.fragments);
+
+  for (const { profile, code, message } of resolutionErrors) {
+    const hasExtends = config.profiles?.[profile]?.extends !== undefined;
+    errors.push(diagnostic(source, ['profiles', profile, ...(hasExtends ? ['extends'] : [])], code, message));
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    const origins = details[name].origins;
+    // A resolved value is reported where it is written
+    const at = (leaf) => {
+      const origin = origins[leaf] || name;
+      const section = Object.hasOwn(config.profiles || {}, origin) ? 'profiles' : 'fragments';
+      return [section, origin, ...leaf.split('.')];
+    };
+
+    if (!profile.ego) {
+      errors.push(diagnostic(source, ['profiles', name], 'MISSING_KEY', `Profile "${name}" has no ego`));
+    }
+
+    for (const role of ['ego', 'superego']) {
+      const agent = profile[role];
+      if (!agent || typeof agent !== 'object') continue;
+
+      for (const key of ['provider', 'model', 'prompt_file']) {
+        if (!agent[key]) {
+          errors.push(diagnostic(source, ['profiles', name, role], 'MISSING_KEY', `Profile "${name}" ${role} has no ${key}`));
+        }
+      }
+      if (agent.provider) {
+        const problem = checkModel(providers, agent.provider, agent.model);
+        if (problem) {
+          const leaf = problem.code === 'UNKNOWN_PROVIDER' ? `${role}.provider` : `${role}.model`;
+          errors.push(diagnostic(source, at(leaf), problem.code, problem.message));
+        }
+      }
+      if (typeof agent.prompt_file === 'string' && agent.prompt_file && !findPromptFile(agent.prompt_file)) {
+        errors.push(diagnostic(source, at(`${role}.prompt_file`), 'PROMPT_FILE_NOT_FOUND', `Prompt file "${agent.prompt_file}" not found`));
+      }
+      (Array.isArray(agent.fallback?.chain) ? agent.fallback.chain : []).forEach((ref, i) => {
+        const problem = checkModelRef(providers, ref);
+        if (problem) errors.push(diagnostic(source, [...at(`${role}.fallback.chain`), i], problem.code, problem.message));
+      });
+      (Array.isArray(agent.fallback?.on) ? agent.fallback.on : []).forEach((trigger, i) => {
+        if (!providerFallback.FALLBACK_TRIGGERS.includes(trigger)) {
+          const message = `Unknown fallback trigger ${JSON.stringify(trigger)}${didYouMean(trigger, providerFallback.FALLBACK_TRIGGERS)}`;
+          errors.push(diagnostic(source, [...at(`${role}.fallback.on`), i], 'INVALID_VALUE', message));
+        }
+      });
+    }
+  }
+
+  const profileNames = Object.keys(config.profiles || {});
+  const unknownProfile = (segments, value) => {
+    if (typeof value === 'string' && !profileNames.includes(value)) {
+      errors.push(diagnostic(source, segments, 'UNKNOWN_PROFILE', `Unknown profile "${value}"${didYouMean(value, profileNames)}`));
+    }
+  };
+  unknownProfile(['active_profile'], config.active_profile);
+  for (const name of Object.keys(config.budgets?.per_profile || {})) unknownProfile(['budgets', 'per_profile', name], name);
+}
+
+function checkReferences(source, providers, errors) {
+  const config = source.value;
+  const strategies = Object.keys(config.superego_strategies || {});
+
+  for (const [style, entry] of Object.entries(config.learner_settings?.feedback_styles || {})) {
+    const strategy = entry?.superego_strategy;
+    if (strategy != null && !strategies.includes(strategy)) {
+      errors.push(diagnostic(
+        source,
+        ['learner_settings', 'feedback_styles', style, 'superego_strategy'],
+        'UNKNOWN_SUPEREGO_STRATEGY',
+        `Unknown superego strategy "${strategy}"${didYouMean(strategy, strategies)}`,
+      ));
+    }
+  }
+
+  const modelRefs = [
+    ...Object.entries(config.learner_settings?.provider_models || {}).map(([key, ref]) => [['learner_settings', 'provider_models', key], ref]),
+    ...(config.budgets?.downgrade_model ? [[['budgets', 'downgrade_model'], config.budgets.downgrade_model]] : []),
+  ];
+  for (const [segments, ref] of modelRefs) {
+    const problem = checkModelRef(providers, ref);
+    if (problem) errors.push(diagnostic(source, segments, problem.code, problem.message));
+  }
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validate tutor-agents.yaml, providers.yaml and the client providers.yaml
+ *
+ * @param {Object} [options]
+ * @param {string} [options.configDir] - Directory holding tutor-agents.yaml and providers.yaml
+ *   (defaults to the one the loaders read, see getConfigDir)
+ * @param {string|null} [options.clientConfigDir] - Client overlay directory (defaults to the
+ *   one registered with registerClientConfigDir; its providers.yaml is optional)
+ * @returns {Object} { valid, errors: [{ file, line, column, path, code, message }], files, config }
+ *   where config is the document the loaders would build from the files read
+ *   (tutor-agents.yaml with the merged providers), or null when invalid
+ */
+export function validateConfig({ configDir = getConfigDir(), clientConfigDir = getClientConfigDir() } = {}) {
+  const errors = [];
+  const files = [];
+
+  const providerSources = [];
+  const providerFiles = [path.join(configDir, 'providers.yaml')];
+  if (clientConfigDir && fs.existsSync(path.join(clientConfigDir, 'providers.yaml'))) {
+    providerFiles.push(path.join(clientConfigDir, 'providers.yaml'));
+  }
+  for (const file of providerFiles) {
+    files.push(file);
+    const source = readSource(file, errors);
+    if (!source) continue;
+    checkSchema(source, PROVIDERS_SCHEMA, errors);
+    providerSources.push(source);
+  }
+
+  const tutorAgentsFile = path.join(configDir, 'tutor-agents.yaml');
+  files.push(tutorAgentsFile);
+  const source = readSource(tutorAgentsFile, errors);
+  let config = null;
+  if (source) {
+    checkSchema(source, TUTOR_AGENTS_SCHEMA, errors);
+
+    // Same precedence as the loaders: providers.yaml over tutor-agents.yaml, client over core
+    const shared = providerSources.reduce((merged, s) => deepMergeProviders(merged, s.value.providers || {}), {});
+    const providers = { ...(source.value.providers || {}), ...shared };
+    checkProfiles(source, providers, errors);
+    checkReferences(source, providers, errors);
+    config = { ...source.value, providers };
+  }
+
+  // A value written once in a fragment is only reported once
+  const seen = new Set();
+  const unique = errors.filter((e) => {
+    const key = `${e.file}:${e.line}:${e.column}:${e.code}:${e.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const valid = unique.length === 0;
+  return { valid, errors: unique, files, config: valid ? config : null };
+}
+
+/**
+ * Format errors as "file:line:column CODE message" lines
+ * @param {Array} errors - Errors from validateConfig()
+ * @returns {string}
+ */
+export function formatConfigErrors(errors) {
+  return errors
+    .map((e) => {
+      const file = path.relative(process.cwd(), e.file) || e.file;
+      const position = e.line ? `:${e.line}:${e.column}` : '';
+      return `${file}${position} ${e.code} ${e.message}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Validate the configuration and throw when it has errors (for startup)
+ *
+ * @param {Object} [options] - See validateConfig
+ * @returns {Object} validateConfig() result, when valid
+ * @throws {Error} CONFIG_INVALID, with the errors on `err.errors`
+ */
+export function assertValidConfig(options = {}) {
+  const result = validateConfig(options);
+  if (!result.valid) {
+    const err = new Error(`Invalid configuration (${result.errors.length} error${result.errors.length === 1 ? '' : 's'}):\n${formatConfigErrors(result.errors)}`);
+    err.code = 'CONFIG_INVALID';
+    err.errors = result.errors;
+    throw err;
+  }
+  return result;
+}
+
+export default {
+  validateConfig,
+  assertValidConfig,
+  formatConfigErrors,
+  PROFILE_SCHEMA,
+  TUTOR_AGENTS_SCHEMA,
+  PROVIDERS_SCHEMA,
+};
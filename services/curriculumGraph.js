@@ -0,0 +1,115 @@
+/**
+ * Curriculum Prerequisite Graph
+ *
+ * Lecture-level prerequisite graph over a curriculum object (see
+ * tutorContext.createCurriculum), plus the concept → lecture mapping that
+ * knowledge tracing uses to turn per-concept mastery into lecture readiness.
+ *
+ * A lecture's concepts are its `concepts` list; lectures without one are
+ * treated as a single concept named after the lecture ID.
+ *
+ * Cycles throw an Error with code 'CURRICULUM_CYCLE'.
+ */
+
+// ============================================================================
+// Construction
+// ============================================================================
+
+/**
+ * Build the prerequisite graph
+ *
+ * @param {Object} curriculum - { courses: [{ id, lectures: [{ id, title, concepts, prerequisites }] }] }
+ * @returns {Object} { lectures: Map<id, { id, title, courseId, concepts, prerequisites, dependents }>,
+ *   order: string[] (prerequisites before dependents), conceptLectures: Map<conceptId, lectureId[]> }
+ */
+export function buildCurriculumGraph(curriculum) {
+  const lectures = new Map();
+  const conceptLectures = new Map();
+
+  for (const course of curriculum?.courses || []) {
+    for (const lecture of course.lectures || []) {
+      const concepts = lecture.concepts?.length ? [...lecture.concepts] : [lecture.id];
+      lectures.set(lecture.id, {
+        id: lecture.id,
+        title: lecture.title || lecture.id,
+        courseId: course.id ?? null,
+        concepts,
+        prerequisites: [...(lecture.prerequisites || [])].filter((id) => id !== lecture.id),
+        dependents: [],
+      });
+      for (const concept of concepts) {
+        if (!conceptLectures.has(concept)) conceptLectures.set(concept, []);
+        conceptLectures.get(concept).push(lecture.id);
+      }
+    }
+  }
+
+  for (const lecture of lectures.values()) {
+    for (const id of lecture.prerequisites) lectures.get(id)?.dependents.push(lecture.id);
+  }
+
+  return { lectures, order: topologicalOrder(lectures), conceptLectures };
+}
+
+function topologicalOrder(lectures) {
+  const order = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+
+  const visit = (id, path) => {
+    if (state.get(id) === 'done' || !lectures.has(id)) return;
+    if (state.get(id) === 'visiting') {
+      const cycle = [...path.slice(path.indexOf(id)), id];
+      const err = new Error(`Curriculum prerequisites form a cycle: ${cycle.join(' → ')}`);
+      err.code = 'CURRICULUM_CYCLE';
+      throw err;
+    }
+    state.set(id, 'visiting');
+    for (const prerequisite of lectures.get(id).prerequisites) visit(prerequisite, [...path, id]);
+    state.set(id, 'done');
+    order.push(id);
+  };
+
+  for (const id of lectures.keys()) visit(id, []);
+  return order;
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * List a lecture's prerequisites, including indirect ones
+ * @param {Object} graph - From buildCurriculumGraph()
+ * @param {string} lectureId
+ * @returns {string[]} Prerequisite IDs, nearest first
+ */
+export function getPrerequisites(graph, lectureId) {
+  const result = [];
+  const visited = new Set([lectureId]);
+  const queue = [...(graph.lectures.get(lectureId)?.prerequisites || [])];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (visited.has(id)) continue;
+    visited.add(id);
+    result.push(id);
+    queue.push(...(graph.lectures.get(id)?.prerequisites || []));
+  }
+  return result;
+}
+
+/**
+ * Get the concepts a lecture covers
+ * @param {Object} graph - From buildCurriculumGraph()
+ * @param {string} lectureId
+ * @returns {string[]} Concept IDs ([lectureId] for unknown lectures)
+ */
+export function getLectureConcepts(graph, lectureId) {
+  return graph?.lectures.get(lectureId)?.concepts || [lectureId];
+}
+
+export default {
+  buildCurriculumGraph,
+  getPrerequisites,
+  getLectureConcepts,
+};
@@ -0,0 +1,313 @@
+/**
+ * Curriculum Index and actionTarget Verification
+ *
+ * The ego prompt requires every actionTarget to be an exact ID from the
+ * curriculum context, but models still invent IDs ("101-lecture-1",
+ * "python-basics"). This module indexes the lectures and simulations a
+ * dialogue was given and checks suggestion targets against them:
+ *
+ * - parseCurriculumIndex() reads the markdown curriculum/simulations context
+ *   ("1. **Title** (479-lecture-1)", "- recognition: Recognition Dynamics");
+ *   buildCurriculumIndex() accepts the same data as structured objects
+ * - verifySuggestionTargets() flags unknown lecture/simulation targets, each
+ *   with its nearest known ID
+ * - rejectForUnknownTargets() turns the flags into a hard superego rejection
+ * - repairSuggestionTargets() rewrites targets still unknown in the final output
+ *
+ * Targets that are app routes ("research-lab?tab=journal") are not checked,
+ * and a kind with no indexed entries is never flagged.
+ *
+ * Configured by `curriculum_verification` in tutor-agents.yaml.
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  repair: true,
+  maxDistance: 3,
+  stripUnresolved: true,
+};
+
+const LECTURE_ID_PATTERN = /-lecture-\d+$/;
+
+const LECTURE_TYPES = ['lecture', 'review'];
+
+// Shorter titles ("Intro") are too generic to identify a lecture from prose
+const MIN_TITLE_MATCH_LENGTH = 8;
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Get the verification configuration with defaults applied
+ * @returns {Object} { enabled, repair, maxDistance, stripUnresolved }
+ */
+export function getVerificationConfig() {
+  let config;
+  try {
+    config = configLoader.getCurriculumVerificationConfig() || {};
+  } catch {
+    config = {};
+  }
+
+  return {
+    enabled: config.enabled ?? DEFAULT_CONFIG.enabled,
+    repair: config.repair ?? DEFAULT_CONFIG.repair,
+    maxDistance: config.max_distance ?? DEFAULT_CONFIG.maxDistance,
+    stripUnresolved: config.strip_unresolved ?? DEFAULT_CONFIG.stripUnresolved,
+  };
+}
+
+// ============================================================================
+// Index
+// ============================================================================
+
+function emptyIndex() {
+  return { lectures: new Map(), simulations: new Map() };
+}
+
+/**
+ * Parse a curriculum index from the markdown context strings
+ *
+ * @param {string} curriculumContext - Course sections with "**Title** (lecture-id)" entries
+ * @param {string} [simulationsContext] - "- id: Title (concepts: ...)" lines
+ * @returns {{ lectures: Map, simulations: Map }} Entries keyed by ID: { id, title, courseId, courseTitle }
+ */
+export function parseCurriculumIndex(curriculumContext, simulationsContext = '') {
+  const index = emptyIndex();
+  let course = null;
+
+  for (const line of (curriculumContext || '').split('\n')) {
+    const heading = line.match(/^#{2,4}\s+(.+?)\s*\(([^()\s]+)\)\s*$/);
+    if (heading) {
+      course = { id: heading[2], title: heading[1] };
+      continue;
+    }
+    for (const [, title, id] of line.matchAll(/\*\*(.+?)\*\*\s*\(([^()\s]+)\)/g)) {
+      index.lectures.set(id, { id, title, courseId: course?.id || null, courseTitle: course?.title || null });
+    }
+  }
+
+  for (const line of (simulationsContext || '').split('\n')) {
+    const match = line.match(/^\s*[-*]\s*([\w-]+):\s*(.+?)(?:\s*\(concepts?:[^)]*\))?\s*$/);
+    if (match) index.simulations.set(match[1], { id: match[1], title: match[2] });
+  }
+
+  return index;
+}
+
+/**
+ * Build a curriculum index from structured data
+ *
+ * @param {Object} curriculum - { courses: [{ id, title, lectures: [{ id, title }] }],
+ *   lectures: [{ id, title, courseId }], simulations: [{ id, title }] } (all optional)
+ * @returns {{ lectures: Map, simulations: Map }}
+ */
+export function buildCurriculumIndex(curriculum = {}) {
+  const index = emptyIndex();
+
+  for (const course of curriculum.courses || []) {
+    for (const lecture of course.lectures || []) {
+      index.lectures.set(lecture.id, { id: lecture.id, title: lecture.title || null, courseId: course.id ?? null, courseTitle: course.title ?? null });
+    }
+  }
+  for (const lecture of curriculum.lectures || []) {
+    index.lectures.set(lecture.id, { id: lecture.id, title: lecture.title || null, courseId: lecture.courseId ?? null, courseTitle: null });
+  }
+  for (const simulation of curriculum.simulations || []) {
+    index.simulations.set(simulation.id, { id: simulation.id, title: simulation.title || null });
+  }
+
+  return index;
+}
+
+// ============================================================================
+// Nearest Match
+// ============================================================================
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the known entry an unknown target most likely meant
+ *
+ * A curriculum title quoted in the suggestion's title or message wins; otherwise
+ * the closest ID by edit distance, if it is within maxDistance and unambiguous.
+ *
+ * @param {string} target - Unknown actionTarget
+ * @param {Map} entries - Index entries of the target's kind
+ * @param {Object} [options] - { suggestion, maxDistance }
+ * @returns {Object|null} { id, title, method: 'title' | 'edit_distance', distance }
+ */
+export function findNearestTarget(target, entries, { suggestion = null, maxDistance = DEFAULT_CONFIG.maxDistance } = {}) {
+  const prose = `${suggestion?.title || ''} ${suggestion?.message || ''}`.toLowerCase();
+  const titled = [...entries.values()].filter(
+    (e) => e.title && e.title.length >= MIN_TITLE_MATCH_LENGTH && prose.includes(e.title.toLowerCase()),
+  );
+  if (titled.length === 1) {
+    return { id: titled[0].id, title: titled[0].title, method: 'title', distance: editDistance(target, titled[0].id) };
+  }
+
+  let best = null;
+  let tied = false;
+  for (const entry of entries.values()) {
+    const distance = editDistance(target, entry.id);
+    if (!best || distance < best.distance) {
+      best = { id: entry.id, title: entry.title, method: 'edit_distance', distance };
+      tied = false;
+    } else if (distance === best.distance) {
+      tied = true;
+    }
+  }
+  return best && !tied && best.distance <= maxDistance ? best : null;
+}
+
+// ============================================================================
+// Verification
+// ============================================================================
+
+/**
+ * Decide which index a suggestion's target belongs to
+ * @returns {string|null} 'lecture', 'simulation', or null when the target is not checked
+ */
+function targetKind(suggestion) {
+  const target = suggestion.actionTarget;
+  if (LECTURE_ID_PATTERN.test(target)) return 'lecture';
+  if (/[?/#]/.test(target)) return null;
+  if (suggestion.type === 'simulation' || suggestion.actionType === 'open_modal') return 'simulation';
+  if (LECTURE_TYPES.includes(suggestion.type)) return 'lecture';
+  return null;
+}
+
+/**
+ * Check suggestion actionTargets against a curriculum index
+ *
+ * @param {Array} suggestions - Ego suggestions
+ * @param {Object} index - From parseCurriculumIndex() or buildCurriculumIndex()
+ * @param {Object} [options] - { maxDistance }
+ * @returns {{ valid: boolean, checked: number, issues: Array }} One issue per unknown
+ *   target: { index, actionTarget, kind, nearest }
+ */
+export function verifySuggestionTargets(suggestions, index, { maxDistance = DEFAULT_CONFIG.maxDistance } = {}) {
+  const issues = [];
+  let checked = 0;
+
+  (suggestions || []).forEach((suggestion, i) => {
+    if (!suggestion?.actionTarget || suggestion.actionType === 'none') return;
+    const kind = targetKind(suggestion);
+    const entries = kind === 'lecture' ? index.lectures : kind === 'simulation' ? index.simulations : null;
+    if (!entries || entries.size === 0) return;
+
+    checked++;
+    if (entries.has(suggestion.actionTarget)) return;
+    issues.push({
+      index: i,
+      actionTarget: suggestion.actionTarget,
+      kind,
+      nearest: findNearestTarget(suggestion.actionTarget, entries, { suggestion, maxDistance }),
+    });
+  });
+
+  return { valid: issues.length === 0, checked, issues };
+}
+
+/**
+ * Describe unknown targets as bullet lines (for superego prompts and feedback)
+ * @param {Object} verification - From verifySuggestionTargets()
+ * @returns {string}
+ */
+export function formatTargetIssues(verification) {
+  return verification.issues
+    .map((issue) => {
+      const nearest = issue.nearest
+        ? `nearest: ${issue.nearest.id}${issue.nearest.title ? ` "${issue.nearest.title}"` : ''}`
+        : 'no close match';
+      return `- Suggestion ${issue.index + 1}: actionTarget "${issue.actionTarget}" is not a ${issue.kind} in the curriculum (${nearest})`;
+    })
+    .join('\n');
+}
+
+/**
+ * Force a superego verdict to reject suggestions with unknown targets
+ *
+ * @param {Object} superegoResult - superegoReview() result
+ * @param {Object} verification - From verifySuggestionTargets()
+ * @returns {Object} The verdict unchanged when every target is known, otherwise
+ *   rejected with the unknown targets leading the feedback and revisions
+ */
+export function rejectForUnknownTargets(superegoResult, verification) {
+  if (verification.valid) return superegoResult;
+
+  const revisions = verification.issues.map((issue) =>
+    issue.nearest
+      ? `Replace actionTarget "${issue.actionTarget}" with "${issue.nearest.id}" or another exact ID from the curriculum`
+      : `Replace actionTarget "${issue.actionTarget}" with an exact ID from the curriculum`,
+  );
+
+  return {
+    ...superegoResult,
+    approved: false,
+    interventionType: superegoResult.approved ? 'revise' : superegoResult.interventionType,
+    feedback: `Unknown actionTarget(s):\n${formatTargetIssues(verification)}\n\n${superegoResult.feedback || ''}`.trim(),
+    suggestedChanges: {
+      ...(superegoResult.suggestedChanges || {}),
+      revisions: [...revisions, ...(superegoResult.suggestedChanges?.revisions || [])],
+    },
+    targetRejection: true,
+  };
+}
+
+// ============================================================================
+// Repair
+// ============================================================================
+
+/**
+ * Rewrite unknown targets to their nearest match (or drop them)
+ *
+ * @param {Array} suggestions - Ego suggestions
+ * @param {Object} verification - From verifySuggestionTargets() for these suggestions
+ * @param {Object} [options] - { stripUnresolved }
+ * @returns {{ suggestions: Array, repairs: Array, stripped: Array }} repairs:
+ *   { index, from, to, method, distance }; stripped: { index, from }
+ */
+export function repairSuggestionTargets(suggestions, verification, { stripUnresolved = DEFAULT_CONFIG.stripUnresolved } = {}) {
+  const repaired = suggestions.map((s) => ({ ...s }));
+  const repairs = [];
+  const stripped = [];
+
+  for (const issue of verification.issues) {
+    const suggestion = repaired[issue.index];
+    if (issue.nearest) {
+      suggestion.actionTarget = issue.nearest.id;
+      repairs.push({ index: issue.index, from: issue.actionTarget, to: issue.nearest.id, method: issue.nearest.method, distance: issue.nearest.distance });
+    } else if (stripUnresolved) {
+      delete suggestion.actionTarget;
+      suggestion.actionType = 'none';
+      stripped.push({ index: issue.index, from: issue.actionTarget });
+    }
+  }
+
+  return { suggestions: repaired, repairs, stripped };
+}
+
+export default {
+  getVerificationConfig,
+  parseCurriculumIndex,
+  buildCurriculumIndex,
+  findNearestTarget,
+  verifySuggestionTargets,
+  formatTargetIssues,
+  rejectForUnknownTargets,
+  repairSuggestionTargets,
+};
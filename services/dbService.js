@@ -1,16 +1,50 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
-import Database from 'better-sqlite3';
-import { mkdirSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { mkdirSync } from 'fs';
+import * as migrationRunner from './migrationRunner.js';
+
+// better-sqlite3 is a native module; load it on first getDb() so hosts that
+// use the memory stores (e.g. recognitionStore) can import tutor-core without it
+const require = createRequire(import.meta.url);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT_DIR = path.resolve(__dirname, '..');
 
 let configuredPath = null;
+let autoMigrate = true;
 let db = null;
 let migrationsRun = false;
 
+const CORE_MIGRATIONS_DIR = path.join(ROOT_DIR, 'migrations');
+
+// Core migrations that inspect the schema, so cannot be plain SQL files
+const CORE_CODE_MIGRATIONS = [
+  {
+    // Databases created before the reading settings existed lack these columns
+    version: 17,
+    name: 'ai_user_settings_reading_columns',
+    up(database) {
+      const cols = database.prepare('PRAGMA table_info(ai_user_settings)').all().map((c) => c.name);
+      const columns = {
+        enableReadingCompanion: 'INTEGER DEFAULT 0',
+        enableReflectionPrompts: 'INTEGER DEFAULT 0',
+        enableInlineExplanations: 'INTEGER DEFAULT 0',
+        enableReadingMetrics: 'INTEGER DEFAULT 1',
+      };
+      for (const [name, type] of Object.entries(columns)) {
+        if (!cols.includes(name)) database.exec(`ALTER TABLE ai_user_settings ADD COLUMN ${name} ${type}`);
+      }
+    },
+    // The columns are part of 016's table on newer databases, so leave them in place
+    down() {},
+  },
+];
+
+// Host-registered migration sources, run after the core migrations in registration order
+const hostSources = [];
+
 /**
  * Configure the database path before first use.
  *
@@ -19,6 +53,8 @@ let migrationsRun = false;
  *
  * @param {object} options
  * @param {string} options.dbPath - Absolute path to the SQLite database file
+ * @param {boolean} [options.autoMigrate=true] - Apply pending migrations when the
+ *   database is opened; set false to review them first with migrate({ dryRun: true })
  * @throws {Error} If database is already initialized
  */
 export function initDb(options = {}) {
@@ -26,12 +62,14 @@ export function initDb(options = {}) {
     throw new Error('Database already initialized. Call initDb() before first getDb().');
   }
   configuredPath = options.dbPath || null;
+  autoMigrate = options.autoMigrate ?? true;
 }
 
 /**
  * Get the shared database instance.
  *
- * On first call, creates the database connection and runs all migrations.
+ * On first call, creates the database connection and applies pending
+ * migrations (unless initDb was called with autoMigrate: false).
  * Subsequent calls return the same instance.
  *
  * @returns {Database} better-sqlite3 database instance
@@ -42,40 +80,121 @@ export const getDb = () => {
       || process.env.AUTH_DB_PATH
       || path.join(ROOT_DIR, 'data', 'lms.sqlite');
     mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    const Database = require('better-sqlite3');
     db = new Database(resolvedPath);
     db.pragma('foreign_keys = ON');
-    runMigrations(db);
+    if (autoMigrate) runMigrations(db);
   }
   return db;
 };
 
+// ============================================================================
+// Migrations
+// ============================================================================
+
+/**
+ * List all known migrations in run order: core SQL files, core in-code
+ * migrations, then host sources in registration order.
+ * @returns {Array}
+ */
+export function getMigrations() {
+  const core = [
+    ...migrationRunner.loadMigrationDirectory(CORE_MIGRATIONS_DIR, 'core'),
+    ...migrationRunner.defineMigrations('core', CORE_CODE_MIGRATIONS),
+  ].sort((a, b) => a.version - b.version);
+
+  const host = hostSources.flatMap(({ source, dir, migrations }) =>
+    dir ? migrationRunner.loadMigrationDirectory(dir, source) : migrationRunner.defineMigrations(source, migrations));
+  return [...core, ...host];
+}
+
+function registerSource(entry) {
+  if (entry.source === 'core' || hostSources.some((s) => s.source === entry.source)) {
+    const err = new Error(`Migration source "${entry.source}" is already registered`);
+    err.code = 'MIGRATION_DUPLICATE';
+    throw err;
+  }
+  hostSources.push(entry);
+  // Hosts usually register after tutor-core has opened the database
+  if (db && migrationsRun) runMigrations(db, { force: true });
+}
+
+/**
+ * Register a host application's migration directory.
+ *
+ * Files follow the core layout (NNN_name.sql plus optional NNN_name.down.sql)
+ * and are tracked in schema_migrations under their own source name, so host
+ * version numbers never clash with core ones. If the database is already open
+ * and auto-migrated, pending host migrations are applied immediately.
+ *
+ * @param {string} dir - Absolute path to the directory
+ * @param {object} [options]
+ * @param {string} [options.source] - Source name (defaults to the directory name)
+ */
+export function registerMigrationDirectory(dir, options = {}) {
+  registerSource({ source: options.source || path.basename(dir), dir });
+}
+
 /**
- * Run writing pad schema migrations (idempotent).
- * Uses CREATE TABLE IF NOT EXISTS so safe to call multiple times.
+ * Register in-code migrations ({ version, name, up(db), down?(db) }) under a source name.
+ *
+ * @param {string} source
+ * @param {Array} migrations
+ */
+export function registerMigrations(source, migrations) {
+  registerSource({ source, migrations });
+}
+
+/**
+ * Apply pending migrations.
+ * @param {object} [options] - { dryRun, verifyChecksums } (see migrationRunner.migrate)
+ * @returns {Object} { applied, pending, dryRun }
+ */
+export function migrate(options = {}) {
+  const result = migrationRunner.migrate(db || getDb(), getMigrations(), options);
+  if (!options.dryRun) migrationsRun = true;
+  return result;
+}
+
+/**
+ * Revert the most recently applied migrations.
+ * @param {object} [options] - { steps, source, dryRun } (see migrationRunner.rollback)
+ * @returns {Object} { reverted, dryRun }
+ */
+export function rollbackMigrations(options = {}) {
+  return migrationRunner.rollback(getDb(), getMigrations(), options);
+}
+
+/**
+ * Report applied, pending, changed and missing migrations.
+ * @returns {Array} See migrationRunner.getMigrationStatus
+ */
+export function getMigrationStatus() {
+  return migrationRunner.getMigrationStatus(getDb(), getMigrations());
+}
+
+/**
+ * Apply pending migrations when the database is opened (or a host source is
+ * registered). Failures are logged rather than thrown so a bad migration does
+ * not take down every service importing dbService; call migrate() to get the error.
  *
  * @param {Database} database - The database to run migrations on
+ * @param {object} [options] - { force } re-run after the first pass
  */
-function runMigrations(database) {
-  if (migrationsRun) return;
+function runMigrations(database, { force = false } = {}) {
+  if (migrationsRun && !force) return;
 
-  const migrationPath = path.join(ROOT_DIR, 'migrations', '008_writing_pad_schema.sql');
   try {
-    const migration = readFileSync(migrationPath, 'utf-8');
-    database.exec(migration);
-    migrationsRun = true;
+    migrationRunner.migrate(database, getMigrations());
   } catch (error) {
-    // Migration file might not exist in test environments — that's fine
-    // if the schema was created another way (e.g., in-memory test DBs)
-    if (error.code !== 'ENOENT') {
-      console.error('[dbService] Failed to run migrations:', error.message);
-    }
-    migrationsRun = true;
+    console.error(`[dbService] ${error.message}`);
   }
+  migrationsRun = true;
 }
 
 /**
- * Close the database connection and reset state.
- * Primarily for testing — allows re-initialization.
+ * Close the database connection and reset state, including registered
+ * migration sources. Primarily for testing — allows re-initialization.
  */
 export function closeDb() {
   if (db) {
@@ -83,7 +202,9 @@ export function closeDb() {
     db = null;
   }
   configuredPath = null;
+  autoMigrate = true;
   migrationsRun = false;
+  hostSources.length = 0;
 }
 
 /**
@@ -97,4 +218,15 @@ export function _setDbForTesting(database) {
   migrationsRun = true; // Assume test DB has schema already
 }
 
-export default { getDb, initDb, closeDb, _setDbForTesting };
+export default {
+  getDb,
+  initDb,
+  closeDb,
+  getMigrations,
+  registerMigrationDirectory,
+  registerMigrations,
+  migrate,
+  rollbackMigrations,
+  getMigrationStatus,
+  _setDbForTesting,
+};
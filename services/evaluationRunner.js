@@ -0,0 +1,414 @@
+/**
+ * Evaluation Runner
+ *
+ * Executes the comparison designs declared in the `evaluation` block of
+ * tutor-agents.yaml against the scenarios in evaluation-scenarios.yaml.
+ *
+ * Supported designs:
+ * - comparison:             profiles_to_compare × scenarios × samples_per_profile
+ * - recognition_comparison: profiles_to_compare × scenarios × samples_per_combination
+ * - factorial_2x2:          profiles (with factor labels) × scenarios × samples_per_cell
+ *
+ * Every run goes through tutorApiService.generateSuggestions and is persisted
+ * to the evaluation_runs table with its dialogueId, so results can be joined
+ * back to the dialogue logs and compared per profile × scenario cell.
+ */
+
+import { randomBytes } from 'crypto';
+import { createConfigLoader } from './configLoaderBase.js';
+import * as configLoader from './tutorConfigLoader.js';
+import * as tutorApiService from './tutorApiService.js';
+import { getDb } from './dbService.js';
+
+// Scenario used when a design does not name any scenarios
+const DEFAULT_SCENARIO = 'default_session';
+
+const EVALUATION_MODES = ['comparison', 'recognition_comparison', 'factorial_2x2'];
+
+// ============================================================================
+// Scenario Loading
+// ============================================================================
+
+const scenarioLoader = createConfigLoader('evaluation-scenarios.yaml', () => ({ scenarios: {} }));
+
+/**
+ * Load all scenario definitions
+ * @param {boolean} forceReload - Force reload from disk
+ * @returns {Object} Map of scenario name -> definition
+ */
+export function loadScenarios(forceReload = false) {
+  return scenarioLoader.loadConfig(forceReload).scenarios || {};
+}
+
+/**
+ * Get a single scenario definition
+ * @param {string} name - Scenario identifier (e.g. 'resistant_learner')
+ * @returns {Object|null} Scenario with its id, or null if not defined
+ */
+export function getScenario(name) {
+  const scenario = loadScenarios()[name];
+  return scenario ? { id: name, ...scenario } : null;
+}
+
+/**
+ * List available scenarios
+ * @returns {Array} Array of { id, name, description }
+ */
+export function listScenarios() {
+  return Object.entries(loadScenarios()).map(([id, scenario]) => ({
+    id,
+    name: scenario.name || id,
+    description: scenario.description || '',
+  }));
+}
+
+// ============================================================================
+// Run Planning
+// ============================================================================
+
+/**
+ * Build the profile × scenario × sample plan for an evaluation design
+ *
+ * @param {string} mode - comparison | recognition_comparison | factorial_2x2
+ * @param {Object} overrides - Optional { profiles, scenarios, samples } to narrow the design
+ * @returns {Object} { mode, cells: [{ profileName, scenarioName, factors }], samples }
+ */
+export function buildRunPlan(mode, overrides = {}) {
+  if (!EVALUATION_MODES.includes(mode)) {
+    throw new Error(`Unknown evaluation mode "${mode}". Available: ${EVALUATION_MODES.join(', ')}`);
+  }
+
+  const design = configLoader.getEvaluationConfig()[mode];
+  if (!design) {
+    throw new Error(`evaluation.${mode} is not configured in tutor-agents.yaml`);
+  }
+
+  let profiles;
+  let factorsByProfile = {};
+  let samples;
+
+  if (mode === 'factorial_2x2') {
+    factorsByProfile = design.profiles || {};
+    profiles = Object.keys(factorsByProfile);
+    samples = design.samples_per_cell;
+  } else {
+    profiles = design.profiles_to_compare || [];
+    samples = mode === 'comparison' ? design.samples_per_profile : design.samples_per_combination;
+  }
+
+  profiles = overrides.profiles || profiles;
+  const scenarios = overrides.scenarios || design.scenarios || [DEFAULT_SCENARIO];
+  samples = overrides.samples ?? samples ?? 1;
+
+  const cells = [];
+  for (const profileName of profiles) {
+    for (const scenarioName of scenarios) {
+      cells.push({ profileName, scenarioName, factors: factorsByProfile[profileName] || null });
+    }
+  }
+
+  return { mode, cells, samples };
+}
+
+// ============================================================================
+// Execution
+// ============================================================================
+
+/**
+ * Run an evaluation design end to end
+ *
+ * @param {Object} options
+ * @param {string} options.mode - Evaluation design (default 'comparison')
+ * @param {string[]} options.profiles - Override profile list
+ * @param {string[]} options.scenarios - Override scenario list
+ * @param {number} options.samples - Override samples per cell
+ * @param {Object} options.generateOptions - Extra config passed to generateSuggestions
+ * @param {Function} options.onRun - Called with each persisted run (progress reporting)
+ * @returns {Promise<Object>} { batchId, mode, runs, comparison }
+ */
+export async function runEvaluation(options = {}) {
+  const {
+    mode = 'comparison',
+    profiles,
+    scenarios,
+    samples,
+    generateOptions = {},
+    onRun = null,
+  } = options;
+
+  const plan = buildRunPlan(mode, { profiles, scenarios, samples });
+  const batchId = `eval-${Date.now()}-${randomBytes(4).toString('hex')}`;
+
+  // Fail fast on unknown scenarios before spending any tokens
+  const missing = [...new Set(plan.cells.map((c) => c.scenarioName))].filter((name) => !getScenario(name));
+  if (missing.length) {
+    throw new Error(`Scenarios not defined in evaluation-scenarios.yaml: ${missing.join(', ')}`);
+  }
+
+  const runs = [];
+  for (const cell of plan.cells) {
+    const scenario = getScenario(cell.scenarioName);
+    for (let sampleIndex = 0; sampleIndex < plan.samples; sampleIndex++) {
+      const run = await runSingle({ batchId, mode, cell, scenario, sampleIndex, generateOptions });
+      runs.push(run);
+      if (onRun) onRun(run);
+    }
+  }
+
+  return {
+    batchId,
+    mode,
+    runs,
+    comparison: compareRuns(runs),
+  };
+}
+
+/**
+ * Execute and persist one sample of one cell
+ */
+async function runSingle({ batchId, mode, cell, scenario, sampleIndex, generateOptions }) {
+  const context = tutorApiService.buildContext(scenario.learner_context);
+  context.isNewUser = scenario.is_new_user ?? false;
+
+  const result = await tutorApiService.generateSuggestions(context, {
+    ...generateOptions,
+    profileName: cell.profileName,
+    learnerId: scenario.learner_id || generateOptions.learnerId || null,
+    trace: false,
+  });
+
+  const metadata = result.metadata || {};
+  return saveRun({
+    batchId,
+    mode,
+    profileName: cell.profileName,
+    scenarioName: cell.scenarioName,
+    sampleIndex,
+    factors: cell.factors,
+    dialogueId: metadata.dialogueId || null,
+    success: result.success,
+    error: result.error || null,
+    converged: metadata.converged || false,
+    rounds: metadata.dialogueRounds || 0,
+    inputTokens: metadata.inputTokens || 0,
+    outputTokens: metadata.outputTokens || 0,
+    apiCalls: metadata.apiCalls || 0,
+    totalCost: metadata.totalCost || 0,
+    latencyMs: metadata.latencyMs || 0,
+    suggestions: result.suggestions || [],
+  });
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+/**
+ * Persist an evaluation run
+ * @param {Object} run - Run fields (camelCase)
+ * @returns {Object} The stored run
+ */
+export function saveRun(run) {
+  const id = `eval-run-${Date.now()}-${randomBytes(4).toString('hex')}`;
+
+  const stmt = getDb().prepare(`
+    INSERT INTO evaluation_runs (
+      id, batch_id, mode, profile_name, scenario_name, sample_index, factors,
+      dialogue_id, success, error, converged, rounds,
+      input_tokens, output_tokens, api_calls, total_cost, latency_ms, suggestions
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  stmt.run(
+    id,
+    run.batchId,
+    run.mode,
+    run.profileName,
+    run.scenarioName,
+    run.sampleIndex,
+    run.factors ? JSON.stringify(run.factors) : null,
+    run.dialogueId,
+    run.success ? 1 : 0,
+    run.error,
+    run.converged ? 1 : 0,
+    run.rounds,
+    run.inputTokens,
+    run.outputTokens,
+    run.apiCalls,
+    run.totalCost,
+    run.latencyMs,
+    JSON.stringify(run.suggestions || []),
+  );
+
+  return getRun(id);
+}
+
+function rowToRun(row) {
+  return {
+    id: row.id,
+    batchId: row.batch_id,
+    mode: row.mode,
+    createdAt: row.created_at,
+    profileName: row.profile_name,
+    scenarioName: row.scenario_name,
+    sampleIndex: row.sample_index,
+    factors: row.factors ? JSON.parse(row.factors) : null,
+    dialogueId: row.dialogue_id,
+    success: row.success === 1,
+    error: row.error,
+    converged: row.converged === 1,
+    rounds: row.rounds,
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    apiCalls: row.api_calls,
+    totalCost: row.total_cost,
+    latencyMs: row.latency_ms,
+    suggestions: JSON.parse(row.suggestions || '[]'),
+  };
+}
+
+/**
+ * Get an evaluation run by ID
+ */
+export function getRun(runId) {
+  const row = getDb().prepare('SELECT * FROM evaluation_runs WHERE id = ?').get(runId);
+  return row ? rowToRun(row) : null;
+}
+
+/**
+ * Get all runs for an evaluation batch
+ * @param {string} batchId - Batch ID returned by runEvaluation
+ * @returns {Object[]} Runs in execution order
+ */
+export function getBatchRuns(batchId) {
+  const rows = getDb()
+    .prepare('SELECT * FROM evaluation_runs WHERE batch_id = ? ORDER BY rowid')
+    .all(batchId);
+  return rows.map(rowToRun);
+}
+
+/**
+ * List evaluation batches, most recent first
+ * @param {Object} options - { limit }
+ * @returns {Object[]} { batchId, mode, runCount, startedAt }
+ */
+export function listBatches(options = {}) {
+  const { limit = 20 } = options;
+  return getDb()
+    .prepare(`
+      SELECT batch_id, mode, COUNT(*) AS run_count, MIN(created_at) AS started_at
+      FROM evaluation_runs
+      GROUP BY batch_id
+      ORDER BY started_at DESC
+      LIMIT ?
+    `)
+    .all(limit)
+    .map((row) => ({
+      batchId: row.batch_id,
+      mode: row.mode,
+      runCount: row.run_count,
+      startedAt: row.started_at,
+    }));
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Aggregate runs into one row per profile × scenario cell
+ *
+ * Metrics:
+ * - convergence_rate:      converged runs / successful runs
+ * - rounds_to_convergence: mean rounds among converged runs (null if none converged)
+ * - token_usage:           mean input + output tokens per successful run
+ * - cost:                  mean cost per successful run
+ *
+ * @param {Object[]} runs - Runs from runEvaluation or getBatchRuns
+ * @returns {Object[]} Comparison rows
+ */
+export function compareRuns(runs) {
+  const cells = new Map();
+
+  for (const run of runs) {
+    const key = `${run.profileName}\u0000${run.scenarioName}`;
+    if (!cells.has(key)) {
+      cells.set(key, {
+        profileName: run.profileName,
+        scenarioName: run.scenarioName,
+        factors: run.factors || null,
+        runs: [],
+      });
+    }
+    cells.get(key).runs.push(run);
+  }
+
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+  return [...cells.values()].map(({ profileName, scenarioName, factors, runs: cellRuns }) => {
+    const successful = cellRuns.filter((r) => r.success);
+    const converged = successful.filter((r) => r.converged);
+
+    return {
+      profileName,
+      scenarioName,
+      factors,
+      samples: cellRuns.length,
+      errors: cellRuns.length - successful.length,
+      convergence_rate: successful.length ? converged.length / successful.length : 0,
+      rounds_to_convergence: mean(converged.map((r) => r.rounds)),
+      token_usage: mean(successful.map((r) => r.inputTokens + r.outputTokens)) ?? 0,
+      cost: mean(successful.map((r) => r.totalCost)) ?? 0,
+      total_cost: successful.reduce((sum, r) => sum + r.totalCost, 0),
+      dialogueIds: cellRuns.map((r) => r.dialogueId).filter(Boolean),
+    };
+  });
+}
+
+/**
+ * Comparison rows for a stored batch
+ * @param {string} batchId - Batch ID
+ * @returns {Object[]} Comparison rows
+ */
+export function getBatchComparison(batchId) {
+  return compareRuns(getBatchRuns(batchId));
+}
+
+/**
+ * Render comparison rows as a plain-text table for CLI output
+ * @param {Object[]} rows - Rows from compareRuns
+ * @returns {string} Table
+ */
+export function formatComparisonTable(rows) {
+  const header = ['profile', 'scenario', 'n', 'err', 'conv_rate', 'rounds', 'tokens', 'cost'];
+  const body = rows.map((r) => [
+    r.profileName,
+    r.scenarioName,
+    String(r.samples),
+    String(r.errors),
+    `${(r.convergence_rate * 100).toFixed(0)}%`,
+    r.rounds_to_convergence == null ? '-' : r.rounds_to_convergence.toFixed(2),
+    Math.round(r.token_usage).toString(),
+    `$${r.cost.toFixed(4)}`,
+  ]);
+
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map((row) => row[i].length)));
+  const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [formatRow(header), widths.map((w) => '-'.repeat(w)).join('  '), ...body.map(formatRow)].join('\n');
+}
+
+export default {
+  loadScenarios,
+  getScenario,
+  listScenarios,
+  buildRunPlan,
+  runEvaluation,
+  saveRun,
+  getRun,
+  getBatchRuns,
+  listBatches,
+  compareRuns,
+  getBatchComparison,
+  formatComparisonTable,
+};
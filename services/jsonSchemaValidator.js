@@ -0,0 +1,123 @@
+/**
+ * JSON Schema Validator
+ *
+ * Minimal validator for the JSON Schema subset used by tutor-core's own
+ * schemas (judge scores, agent outputs). Avoids pulling a full validator
+ * into a package whose consumers embed it in LMS backends.
+ *
+ * Supported keywords: type (string or array), enum, const, required,
+ * properties, additionalProperties (boolean or schema), items, minItems,
+ * maxItems, minimum, maximum, minLength, pattern.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {string} path - JSON pointer-ish path for error messages (default '$')
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validate(value, schema, path = '$') {
+  const errors = [];
+  validateNode(value, schema, path, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema) return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        validateNode(child, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Format validation errors as bullet lines (for logs and re-ask prompts)
+ * @param {Array} errors - Errors from validate()
+ * @returns {string} One "- path: message" line per error
+ */
+export function formatErrors(errors) {
+  return errors.map((e) => `- ${e.path}: ${e.message}`).join('\n');
+}
+
+export default {
+  validate,
+  formatErrors,
+};
@@ -0,0 +1,499 @@
+/**
+ * Judge Service
+ *
+ * LLM-as-judge scoring of tutor dialogues against the recognition rubric in
+ * prompts/eval-judge-recognition.md.
+ *
+ * Flow:
+ * 1. Normalize a dialogue (dialogueLogService.getDialogueById output, a live
+ *    runDialogue result, or an evaluation run) into learner context + suggestions
+ * 2. Render the judge prompt and call the configured judge model via callAI
+ * 3. Validate per-dimension scores against JUDGMENT_SCHEMA (one re-ask on failure)
+ * 4. Store the judgment in evaluation_judgments for cross-profile comparison
+ *
+ * The judge model is configured under evaluation.judge in tutor-agents.yaml and
+ * can be overridden per call with any "provider.alias" reference.
+ */
+
+import { randomBytes } from 'crypto';
+import { jsonrepair } from 'jsonrepair';
+import * as configLoader from './tutorConfigLoader.js';
+import * as dialogueEngine from './tutorDialogueEngine.js';
+import * as dialogueLogService from './dialogueLogService.js';
+import * as evaluationRunner from './evaluationRunner.js';
+import { validate, formatErrors } from './jsonSchemaValidator.js';
+import { getDb } from './dbService.js';
+
+// ============================================================================
+// Rubric
+// ============================================================================
+
+/**
+ * Recognition dimensions and weights (from the Scoring Guidelines section
+ * of eval-judge-recognition.md)
+ */
+export const RECOGNITION_DIMENSIONS = {
+  mutual_recognition: { weight: 0.10, allowNA: false },
+  dialectical_responsiveness: { weight: 0.10, allowNA: false },
+  memory_integration: { weight: 0.05, allowNA: true },
+  transformative_potential: { weight: 0.10, allowNA: false },
+};
+
+function dimensionSchema({ allowNA }) {
+  return {
+    type: 'object',
+    required: ['score', 'reasoning'],
+    properties: {
+      score: allowNA ? { type: ['integer', 'null'], minimum: 1, maximum: 5 } : { type: 'integer', minimum: 1, maximum: 5 },
+      reasoning: { type: 'string', minLength: 1 },
+    },
+  };
+}
+
+export const JUDGMENT_SCHEMA = {
+  type: 'object',
+  required: ['scores'],
+  properties: {
+    scores: {
+      type: 'object',
+      required: Object.keys(RECOGNITION_DIMENSIONS),
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.entries(RECOGNITION_DIMENSIONS).map(([name, dim]) => [name, dimensionSchema(dim)])
+      ),
+    },
+    overall_reasoning: { type: 'string' },
+  },
+};
+
+const DEFAULT_JUDGE_CONFIG = {
+  model: 'openrouter.haiku',
+  prompt_file: 'eval-judge-recognition.md',
+  hyperparameters: { temperature: 0.0, max_tokens: 1500 },
+};
+
+/**
+ * Get the judge configuration (evaluation.judge merged over defaults)
+ * @returns {Object} { model, prompt_file, hyperparameters }
+ */
+export function getJudgeConfig() {
+  const configured = configLoader.getEvaluationConfig().judge || {};
+  return {
+    ...DEFAULT_JUDGE_CONFIG,
+    ...configured,
+    hyperparameters: { ...DEFAULT_JUDGE_CONFIG.hyperparameters, ...configured.hyperparameters },
+  };
+}
+
+// ============================================================================
+// Dialogue Normalization and Prompt Rendering
+// ============================================================================
+
+/**
+ * Normalize the different dialogue shapes into what the judge needs
+ *
+ * Accepts:
+ * - dialogueLogService.getDialogueById output ({ dialogueId, entries, profileName })
+ * - runDialogue / generateSuggestions result ({ dialogueId, suggestions, dialogueTrace })
+ * - evaluationRunner run ({ dialogueId, suggestions, profileName, scenarioName })
+ *
+ * @param {Object} dialogue - Dialogue in any supported shape
+ * @param {Object} options - { learnerContext } to supply context missing from the dialogue
+ * @returns {Object} { dialogueId, profileName, learnerContext, suggestions, internal }
+ */
+export function normalizeDialogue(dialogue, options = {}) {
+  const entries = dialogue.entries || dialogue.dialogueTrace || [];
+
+  const contextEntry = entries.find((e) => e.rawContext);
+  const learnerContext = options.learnerContext ?? contextEntry?.rawContext ?? '';
+
+  let suggestions = dialogue.suggestions;
+  if (!suggestions?.length) {
+    const withSuggestions = entries.filter((e) => Array.isArray(e.suggestions) && e.suggestions.length);
+    suggestions = withSuggestions.length ? withSuggestions[withSuggestions.length - 1].suggestions : [];
+  }
+
+  // Superego feedback is useful context but the judge scores what reached the learner
+  const internal = entries
+    .filter((e) => e.agent === 'superego' && (e.verdict || e.feedback))
+    .map((e) => ({
+      approved: e.verdict?.approved ?? e.approved,
+      feedback: e.verdict?.feedback ?? e.feedback,
+    }));
+
+  return {
+    dialogueId: dialogue.dialogueId || null,
+    profileName: dialogue.profileName || dialogue.metadata?.profileName || null,
+    learnerContext,
+    suggestions,
+    internal,
+  };
+}
+
+/**
+ * Render the user prompt sent to the judge
+ * @param {Object} normalized - Output of normalizeDialogue
+ * @returns {string} Prompt text
+ */
+export function renderJudgePrompt(normalized) {
+  const parts = [];
+
+  parts.push('## Learner Context');
+  parts.push(normalized.learnerContext || '(no learner context recorded)');
+  parts.push('');
+  parts.push('## Tutor Suggestions Shown to the Learner');
+  parts.push(JSON.stringify(normalized.suggestions, null, 2));
+
+  if (normalized.internal.length) {
+    parts.push('');
+    parts.push('## Internal Superego Review (not shown to the learner)');
+    for (const review of normalized.internal) {
+      parts.push(`- ${review.approved ? 'approved' : 'revision requested'}: ${review.feedback || ''}`);
+    }
+  }
+
+  parts.push('');
+  parts.push('## Task');
+  parts.push('Score the tutor suggestions on each recognition dimension using the guide above.');
+  parts.push('Use integers 1-5. memory_integration may be null (N/A) for new learners or when no history was provided.');
+  parts.push('');
+  parts.push('Respond with ONLY a JSON object in this shape:');
+  parts.push('```json');
+  parts.push(JSON.stringify({
+    scores: Object.fromEntries(
+      Object.keys(RECOGNITION_DIMENSIONS).map((name) => [name, { score: 4, reasoning: '...' }])
+    ),
+    overall_reasoning: '...',
+  }, null, 2));
+  parts.push('```');
+
+  return parts.join('\n');
+}
+
+/**
+ * Parse the judge's JSON response, tolerating code fences and minor syntax damage
+ * @returns {Object|null} Parsed object or null
+ */
+function parseJudgeResponse(text) {
+  if (!text) return null;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  if (!candidate) return null;
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    try {
+      return JSON.parse(jsonrepair(candidate));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Derive aggregate metrics from validated scores
+ * (Recognition Metrics section of eval-judge-recognition.md)
+ */
+export function computeRecognitionMetrics(scores) {
+  const scored = Object.entries(RECOGNITION_DIMENSIONS)
+    .map(([name, dim]) => ({ name, weight: dim.weight, score: scores[name]?.score }))
+    .filter((d) => typeof d.score === 'number');
+
+  const recognitionScore = scored.length
+    ? scored.reduce((sum, d) => sum + d.score, 0) / scored.length
+    : null;
+  const totalWeight = scored.reduce((sum, d) => sum + d.weight, 0);
+  const weightedScore = totalWeight
+    ? scored.reduce((sum, d) => sum + d.score * d.weight, 0) / totalWeight
+    : null;
+
+  const memory = scores.memory_integration?.score;
+
+  return {
+    recognitionScore,
+    weightedScore,
+    transformation: scores.transformative_potential.score >= 4,
+    memoryUtilization: typeof memory === 'number' ? memory >= 3 : null,
+    mutualAcknowledgment: scores.mutual_recognition.score >= 4,
+  };
+}
+
+// ============================================================================
+// Judging
+// ============================================================================
+
+/**
+ * Score a dialogue with the LLM judge
+ *
+ * @param {Object} dialogue - Any shape accepted by normalizeDialogue
+ * @param {Object} options
+ * @param {string} options.judgeModel - Override judge model reference
+ * @param {Object} options.agentConfig - Pre-built agent config (overrides judgeModel)
+ * @param {string} options.learnerContext - Learner context if the dialogue lacks one
+ * @param {string} options.scenarioName - Scenario label stored with the judgment
+ * @param {string} options.evaluationRunId - evaluation_runs.id to link to
+ * @param {boolean} options.store - Persist the judgment (default true)
+ * @returns {Promise<Object>} { success, judgment?, errors?, rawResponse? }
+ */
+export async function judgeDialogue(dialogue, options = {}) {
+  const {
+    judgeModel = null,
+    agentConfig = null,
+    learnerContext,
+    scenarioName = null,
+    evaluationRunId = null,
+    store = true,
+  } = options;
+
+  const judgeConfig = getJudgeConfig();
+  const judgeAgent = agentConfig
+    ? { hyperparameters: judgeConfig.hyperparameters, ...agentConfig }
+    : configLoader.getModelAgentConfig(judgeModel || judgeConfig.model, judgeConfig.hyperparameters);
+
+  const normalized = normalizeDialogue(dialogue, { learnerContext });
+  const systemPrompt = configLoader.loadPrompt(judgeConfig.prompt_file);
+  const userPrompt = renderJudgePrompt(normalized);
+
+  let response = await dialogueEngine.callAI(judgeAgent, systemPrompt, userPrompt, 'judge');
+  let parsed = parseJudgeResponse(response.text);
+  let result = parsed ? validate(parsed, JUDGMENT_SCHEMA) : { valid: false, errors: [{ path: '$', message: 'response is not valid JSON' }] };
+
+  // One targeted re-ask quoting the validation errors back to the judge
+  if (!result.valid) {
+    const reask = `${userPrompt}\n\n## Your Previous Response Was Invalid\n${formatErrors(result.errors)}\n\nReturn the corrected JSON object only.`;
+    response = await dialogueEngine.callAI(judgeAgent, systemPrompt, reask, 'judge-retry');
+    parsed = parseJudgeResponse(response.text);
+    result = parsed ? validate(parsed, JUDGMENT_SCHEMA) : { valid: false, errors: [{ path: '$', message: 'response is not valid JSON' }] };
+  }
+
+  if (!result.valid) {
+    console.warn(`[Judge] Invalid judgment for ${normalized.dialogueId || 'dialogue'}:\n${formatErrors(result.errors)}`);
+    return { success: false, errors: result.errors, rawResponse: response.text };
+  }
+
+  const promptMeta = configLoader.getPromptMetadata(judgeConfig.prompt_file);
+  const judgment = {
+    dialogueId: normalized.dialogueId,
+    evaluationRunId,
+    profileName: normalized.profileName,
+    scenarioName: scenarioName || dialogue.scenarioName || null,
+    rubric: 'recognition',
+    judgeProvider: judgeAgent.provider,
+    judgeModel: judgeAgent.model,
+    promptVersion: promptMeta.version,
+    promptHash: promptMeta.contentHash,
+    scores: parsed.scores,
+    overallReasoning: parsed.overall_reasoning || null,
+    ...computeRecognitionMetrics(parsed.scores),
+  };
+
+  return {
+    success: true,
+    judgment: store ? saveJudgment(judgment) : judgment,
+  };
+}
+
+/**
+ * Judge a dialogue from the logs by ID
+ * @param {string} dialogueId - Dialogue ID
+ * @param {Object} options - Same as judgeDialogue
+ * @returns {Promise<Object>} judgeDialogue result
+ */
+export async function judgeDialogueById(dialogueId, options = {}) {
+  const dialogue = dialogueLogService.getDialogueById(dialogueId);
+  if (!dialogue) {
+    return { success: false, errors: [{ path: '$', message: `dialogue ${dialogueId} not found in logs` }] };
+  }
+  return judgeDialogue({ ...dialogue, dialogueId }, options);
+}
+
+/**
+ * Judge every successful run of an evaluation batch
+ *
+ * Uses the stored suggestions and the scenario's learner context, so batches
+ * can be judged even when dialogue logging was disabled.
+ *
+ * @param {string} batchId - Batch ID from evaluationRunner.runEvaluation
+ * @param {Object} options - Same as judgeDialogue (plus onJudgment callback)
+ * @returns {Promise<Object[]>} judgeDialogue results in run order
+ */
+export async function judgeEvaluationBatch(batchId, options = {}) {
+  const { onJudgment = null, ...judgeOptions } = options;
+  const results = [];
+
+  for (const run of evaluationRunner.getBatchRuns(batchId)) {
+    if (!run.success) continue;
+    const scenario = evaluationRunner.getScenario(run.scenarioName);
+    const result = await judgeDialogue(run, {
+      ...judgeOptions,
+      learnerContext: scenario?.learner_context || '',
+      scenarioName: run.scenarioName,
+      evaluationRunId: run.id,
+    });
+    results.push(result);
+    if (onJudgment) onJudgment(result, run);
+  }
+
+  return results;
+}
+
+// ============================================================================
+// Persistence and Comparison
+// ============================================================================
+
+/**
+ * Persist a validated judgment
+ * @param {Object} judgment - Judgment fields (camelCase)
+ * @returns {Object} Stored judgment
+ */
+export function saveJudgment(judgment) {
+  const id = `judgment-${Date.now()}-${randomBytes(4).toString('hex')}`;
+  const { scores } = judgment;
+
+  getDb().prepare(`
+    INSERT INTO evaluation_judgments (
+      id, dialogue_id, evaluation_run_id, profile_name, scenario_name,
+      rubric, judge_provider, judge_model, prompt_version, prompt_hash,
+      mutual_recognition, dialectical_responsiveness, memory_integration, transformative_potential,
+      recognition_score, weighted_score, judgment
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    judgment.dialogueId,
+    judgment.evaluationRunId,
+    judgment.profileName,
+    judgment.scenarioName,
+    judgment.rubric,
+    judgment.judgeProvider,
+    judgment.judgeModel,
+    judgment.promptVersion,
+    judgment.promptHash,
+    scores.mutual_recognition.score,
+    scores.dialectical_responsiveness.score,
+    scores.memory_integration.score,
+    scores.transformative_potential.score,
+    judgment.recognitionScore,
+    judgment.weightedScore,
+    JSON.stringify({ scores, overall_reasoning: judgment.overallReasoning }),
+  );
+
+  return getJudgment(id);
+}
+
+function rowToJudgment(row) {
+  const stored = JSON.parse(row.judgment);
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    dialogueId: row.dialogue_id,
+    evaluationRunId: row.evaluation_run_id,
+    profileName: row.profile_name,
+    scenarioName: row.scenario_name,
+    rubric: row.rubric,
+    judgeProvider: row.judge_provider,
+    judgeModel: row.judge_model,
+    promptVersion: row.prompt_version,
+    promptHash: row.prompt_hash,
+    scores: stored.scores,
+    overallReasoning: stored.overall_reasoning,
+    recognitionScore: row.recognition_score,
+    weightedScore: row.weighted_score,
+  };
+}
+
+/**
+ * Get a judgment by ID
+ */
+export function getJudgment(judgmentId) {
+  const row = getDb().prepare('SELECT * FROM evaluation_judgments WHERE id = ?').get(judgmentId);
+  return row ? rowToJudgment(row) : null;
+}
+
+/**
+ * Get all judgments for a dialogue (most recent first)
+ */
+export function getJudgmentsForDialogue(dialogueId) {
+  return getDb()
+    .prepare('SELECT * FROM evaluation_judgments WHERE dialogue_id = ? ORDER BY created_at DESC, rowid DESC')
+    .all(dialogueId)
+    .map(rowToJudgment);
+}
+
+/**
+ * Compare stored judgments across profiles
+ *
+ * @param {Object} options
+ * @param {string[]} options.profiles - Restrict to these profiles
+ * @param {string} options.scenarioName - Restrict to one scenario
+ * @param {string} options.judgeModel - Restrict to one judge model (judges differ in calibration)
+ * @returns {Object[]} One row per profile with mean dimension scores and recognition metrics
+ */
+export function compareProfiles(options = {}) {
+  const { profiles = null, scenarioName = null, judgeModel = null } = options;
+
+  let query = `
+    SELECT profile_name,
+      COUNT(*) AS n,
+      AVG(mutual_recognition) AS mutual_recognition,
+      AVG(dialectical_responsiveness) AS dialectical_responsiveness,
+      AVG(memory_integration) AS memory_integration,
+      AVG(transformative_potential) AS transformative_potential,
+      AVG(recognition_score) AS recognition_score,
+      AVG(weighted_score) AS weighted_score,
+      AVG(CASE WHEN transformative_potential >= 4 THEN 1.0 ELSE 0.0 END) AS transformation_rate,
+      AVG(CASE WHEN mutual_recognition >= 4 THEN 1.0 ELSE 0.0 END) AS mutual_acknowledgment_rate,
+      AVG(CASE WHEN memory_integration IS NULL THEN NULL WHEN memory_integration >= 3 THEN 1.0 ELSE 0.0 END) AS memory_utilization_rate
+    FROM evaluation_judgments
+    WHERE rubric = 'recognition'
+  `;
+  const params = [];
+
+  if (profiles?.length) {
+    query += ` AND profile_name IN (${profiles.map(() => '?').join(', ')})`;
+    params.push(...profiles);
+  }
+  if (scenarioName) {
+    query += ' AND scenario_name = ?';
+    params.push(scenarioName);
+  }
+  if (judgeModel) {
+    query += ' AND judge_model = ?';
+    params.push(judgeModel);
+  }
+
+  query += ' GROUP BY profile_name ORDER BY recognition_score DESC';
+
+  return getDb().prepare(query).all(...params).map((row) => ({
+    profileName: row.profile_name,
+    n: row.n,
+    dimensions: {
+      mutual_recognition: row.mutual_recognition,
+      dialectical_responsiveness: row.dialectical_responsiveness,
+      memory_integration: row.memory_integration,
+      transformative_potential: row.transformative_potential,
+    },
+    recognitionScore: row.recognition_score,
+    weightedScore: row.weighted_score,
+    transformationRate: row.transformation_rate,
+    mutualAcknowledgmentRate: row.mutual_acknowledgment_rate,
+    memoryUtilizationRate: row.memory_utilization_rate,
+  }));
+}
+
+export default {
+  RECOGNITION_DIMENSIONS,
+  JUDGMENT_SCHEMA,
+  getJudgeConfig,
+  normalizeDialogue,
+  renderJudgePrompt,
+  computeRecognitionMetrics,
+  judgeDialogue,
+  judgeDialogueById,
+  judgeEvaluationBatch,
+  saveJudgment,
+  getJudgment,
+  getJudgmentsForDialogue,
+  compareProfiles,
+};
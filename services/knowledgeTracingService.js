@@ -0,0 +1,366 @@
+/**
+ * Knowledge Tracing Service
+ *
+ * Models what each learner knows, per concept, with Bayesian knowledge
+ * tracing (BKT). Quiz and activity outcomes are observations:
+ *
+ *   P(known | correct)   = P(L)(1 - slip) / [P(L)(1 - slip) + (1 - P(L)) guess]
+ *   P(known | incorrect) = P(L) slip / [P(L) slip + (1 - P(L))(1 - guess)]
+ *   P(L') = P(known | obs) + (1 - P(known | obs)) learn
+ *
+ * Observations come from learner events (recordLearnerEvents):
+ * - activity_submit   { target | lectureId, success | score, concepts? }
+ * - quiz_answer       { conceptId | concepts | target, correct }
+ * - quiz_complete     { target | quizId, passed | score, answers?: [{ conceptId, correct }] }
+ * Concepts default to the target lecture's concepts in the curriculum graph
+ * (see curriculumGraph), or the lecture ID itself.
+ *
+ * getMasterySummary() turns the estimates into mastered concepts, gaps, and
+ * lectures the learner is ready (or not ready) for; runDialogue renders it
+ * into the ego context when a learnerId is given.
+ *
+ * Configured by `knowledge_tracing` in tutor-agents.yaml. Estimates are
+ * stored in learner_concept_mastery (migration 014).
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import { getDb } from './dbService.js';
+import { getLectureConcepts, getPrerequisites } from './curriculumGraph.js';
+
+const DEFAULT_PARAMS = { pInit: 0.2, pLearn: 0.15, pSlip: 0.1, pGuess: 0.2 };
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  masteryThreshold: 0.95,
+  gapThreshold: 0.4,
+  minAttempts: 2,
+  passScore: 0.7,
+};
+
+export const KNOWLEDGE_EVENT_TYPES = ['activity_submit', 'quiz_answer', 'quiz_complete'];
+
+// Lectures listed per category in the summary
+const SUMMARY_LECTURE_LIMIT = 3;
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+function normalizeParams(params = {}, base = DEFAULT_PARAMS) {
+  return {
+    pInit: params.p_init ?? base.pInit,
+    pLearn: params.p_learn ?? base.pLearn,
+    pSlip: params.p_slip ?? base.pSlip,
+    pGuess: params.p_guess ?? base.pGuess,
+  };
+}
+
+/**
+ * Get the knowledge tracing configuration with defaults applied
+ * @returns {Object} { enabled, masteryThreshold, gapThreshold, minAttempts, passScore, defaultParams, concepts }
+ */
+export function getKnowledgeTracingConfig() {
+  let config;
+  try {
+    config = configLoader.getKnowledgeTracingConfig() || {};
+  } catch {
+    config = {};
+  }
+
+  const defaultParams = normalizeParams(config.default_params);
+  const concepts = {};
+  for (const [conceptId, params] of Object.entries(config.concepts || {})) {
+    concepts[conceptId] = normalizeParams(params, defaultParams);
+  }
+
+  return {
+    enabled: config.enabled ?? DEFAULT_CONFIG.enabled,
+    masteryThreshold: config.mastery_threshold ?? DEFAULT_CONFIG.masteryThreshold,
+    gapThreshold: config.gap_threshold ?? DEFAULT_CONFIG.gapThreshold,
+    minAttempts: config.min_attempts ?? DEFAULT_CONFIG.minAttempts,
+    passScore: config.pass_score ?? DEFAULT_CONFIG.passScore,
+    defaultParams,
+    concepts,
+  };
+}
+
+function paramsFor(conceptId, config) {
+  return config.concepts[conceptId] || config.defaultParams;
+}
+
+// ============================================================================
+// Bayesian Knowledge Tracing
+// ============================================================================
+
+/**
+ * Apply one BKT observation
+ *
+ * @param {number} pKnown - Current P(known)
+ * @param {boolean} correct - Observed outcome
+ * @param {Object} params - { pLearn, pSlip, pGuess }
+ * @returns {number} P(known) after the observation and the learning transition
+ */
+export function updateMastery(pKnown, correct, params) {
+  const { pLearn, pSlip, pGuess } = params;
+  const posterior = correct
+    ? (pKnown * (1 - pSlip)) / (pKnown * (1 - pSlip) + (1 - pKnown) * pGuess)
+    : (pKnown * pSlip) / (pKnown * pSlip + (1 - pKnown) * (1 - pGuess));
+  return posterior + (1 - posterior) * pLearn;
+}
+
+// ============================================================================
+// Observations
+// ============================================================================
+
+function eventOutcome(event, passScore) {
+  const metadata = event.context?.metadata || event.metadata || {};
+  const explicit = event.correct ?? event.passed ?? event.success ?? metadata.correct ?? metadata.passed ?? metadata.success;
+  if (typeof explicit === 'boolean') return explicit;
+
+  const score = event.score ?? metadata.score;
+  if (typeof score === 'number') return score >= passScore;
+  return null;
+}
+
+function eventConcepts(event, graph) {
+  const metadata = event.context?.metadata || event.metadata || {};
+  const concepts = event.concepts || event.conceptId || metadata.concepts || metadata.conceptId;
+  if (concepts) return Array.isArray(concepts) ? concepts : [concepts];
+
+  const lectureId = event.lectureId || metadata.lectureId || event.target || event.quizId;
+  return lectureId ? getLectureConcepts(graph, lectureId) : [];
+}
+
+/**
+ * Turn a learner event into concept observations
+ *
+ * @param {Object} event - Learner event (type or event_type; see module doc)
+ * @param {Object} [options] - { graph, passScore }
+ * @returns {Array} [{ conceptId, correct, eventType }] (empty for other event types
+ *   or events without an outcome)
+ */
+export function observationsFromEvent(event, { graph = null, passScore = DEFAULT_CONFIG.passScore } = {}) {
+  const eventType = event?.event_type || event?.type;
+  if (!KNOWLEDGE_EVENT_TYPES.includes(eventType)) return [];
+
+  // Per-question answers are more informative than the quiz outcome
+  if (Array.isArray(event.answers) && event.answers.length > 0) {
+    return event.answers
+      .filter((a) => a.conceptId && typeof a.correct === 'boolean')
+      .map((a) => ({ conceptId: a.conceptId, correct: a.correct, eventType }));
+  }
+
+  const correct = eventOutcome(event, passScore);
+  if (correct === null) return [];
+  return eventConcepts(event, graph).map((conceptId) => ({ conceptId, correct, eventType }));
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+function rowToMastery(row) {
+  return {
+    learnerId: row.learner_id,
+    conceptId: row.concept_id,
+    pMastery: row.p_mastery,
+    attempts: row.attempts,
+    correct: row.correct,
+    lastCorrect: row.last_correct === null ? null : row.last_correct === 1,
+    lastEventType: row.last_event_type,
+    firstObservedAt: row.first_observed_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Record one observation for a learner's concept
+ *
+ * @param {Object} observation
+ * @param {string} observation.learnerId
+ * @param {string} observation.conceptId
+ * @param {boolean} observation.correct
+ * @param {string} [observation.eventType]
+ * @returns {Object} { conceptId, before, after, attempts }
+ */
+export function recordObservation({ learnerId, conceptId, correct, eventType = null }) {
+  const config = getKnowledgeTracingConfig();
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const row = db.prepare('SELECT * FROM learner_concept_mastery WHERE learner_id = ? AND concept_id = ?').get(learnerId, conceptId);
+  const params = paramsFor(conceptId, config);
+  const before = row ? row.p_mastery : params.pInit;
+  const after = updateMastery(before, correct, params);
+
+  db.prepare(`
+    INSERT INTO learner_concept_mastery (
+      learner_id, concept_id, p_mastery, attempts, correct, last_correct, last_event_type, first_observed_at, updated_at
+    ) VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?)
+    ON CONFLICT(learner_id, concept_id) DO UPDATE SET
+      p_mastery = excluded.p_mastery,
+      attempts = attempts + 1,
+      correct = correct + excluded.correct,
+      last_correct = excluded.last_correct,
+      last_event_type = excluded.last_event_type,
+      updated_at = excluded.updated_at
+  `).run(learnerId, conceptId, after, correct ? 1 : 0, correct ? 1 : 0, eventType, now, now);
+
+  return { conceptId, before, after, attempts: (row?.attempts || 0) + 1 };
+}
+
+/**
+ * Feed learner events into knowledge tracing
+ *
+ * Events that are not activity_submit/quiz events, or carry no outcome, are skipped.
+ *
+ * @param {string} learnerId
+ * @param {Array} events - Learner events, oldest first
+ * @param {Object} [options] - { graph } (from curriculumGraph.buildCurriculumGraph)
+ * @returns {Array} Applied updates: [{ conceptId, before, after, attempts }]
+ */
+export function recordLearnerEvents(learnerId, events, { graph = null } = {}) {
+  const config = getKnowledgeTracingConfig();
+  if (!config.enabled) return [];
+
+  const updates = [];
+  getDb().transaction(() => {
+    for (const event of events || []) {
+      for (const observation of observationsFromEvent(event, { graph, passScore: config.passScore })) {
+        updates.push(recordObservation({ learnerId, ...observation }));
+      }
+    }
+  })();
+  return updates;
+}
+
+/**
+ * Get a learner's concept mastery estimates
+ * @param {string} learnerId
+ * @returns {Array} [{ conceptId, pMastery, attempts, correct, lastCorrect, ... }], most recent first
+ */
+export function getConceptMastery(learnerId) {
+  const rows = getDb()
+    .prepare('SELECT * FROM learner_concept_mastery WHERE learner_id = ? ORDER BY updated_at DESC, concept_id')
+    .all(learnerId);
+  return rows.map(rowToMastery);
+}
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+function conceptStatus(entry, config) {
+  if (entry.pMastery >= config.masteryThreshold) return 'mastered';
+  if (entry.attempts >= config.minAttempts && entry.pMastery < config.gapThreshold) return 'gap';
+  return 'learning';
+}
+
+/**
+ * Summarize a learner's knowledge state
+ *
+ * Without a graph, only concept statuses are reported. With one, lectures are
+ * classified too: review (covers a gap), ready (prerequisites mastered, not yet
+ * mastered itself) and blocked (prerequisites not mastered yet).
+ *
+ * @param {string} learnerId
+ * @param {Object} [options] - { graph } (from curriculumGraph.buildCurriculumGraph)
+ * @returns {Object|null} { concepts, mastered, gaps, review, ready, blocked }, or null when
+ *   nothing has been observed for the learner
+ */
+export function getMasterySummary(learnerId, { graph = null } = {}) {
+  const config = getKnowledgeTracingConfig();
+  const entries = getConceptMastery(learnerId);
+  if (entries.length === 0) return null;
+
+  const byConcept = new Map();
+  const concepts = entries.map((entry) => {
+    const concept = {
+      conceptId: entry.conceptId,
+      pMastery: entry.pMastery,
+      attempts: entry.attempts,
+      status: conceptStatus(entry, config),
+      lectures: graph?.conceptLectures.get(entry.conceptId) || [],
+    };
+    byConcept.set(entry.conceptId, concept);
+    return concept;
+  });
+
+  const summary = {
+    concepts,
+    mastered: concepts.filter((c) => c.status === 'mastered').map((c) => c.conceptId),
+    gaps: concepts.filter((c) => c.status === 'gap'),
+    review: [],
+    ready: [],
+    blocked: [],
+  };
+  if (!graph) return summary;
+
+  const lectureMastered = (id) => graph.lectures.get(id).concepts.every((c) => byConcept.get(c)?.status === 'mastered');
+
+  for (const lectureId of graph.order) {
+    const lecture = graph.lectures.get(lectureId);
+    if (lecture.concepts.some((c) => byConcept.get(c)?.status === 'gap')) {
+      summary.review.push(lectureId);
+      continue;
+    }
+    if (lectureMastered(lectureId)) continue;
+
+    const missing = getPrerequisites(graph, lectureId).filter((id) => !lectureMastered(id));
+    if (missing.length === 0) {
+      // Only lectures that build on something the learner has shown knowledge of
+      if (lecture.prerequisites.length > 0 || lecture.concepts.some((c) => byConcept.has(c))) summary.ready.push(lectureId);
+    } else if (lecture.prerequisites.some((id) => lectureMastered(id) || summary.review.includes(id) || summary.ready.includes(id))) {
+      summary.blocked.push({ lectureId, missing });
+    }
+  }
+
+  summary.review = summary.review.slice(0, SUMMARY_LECTURE_LIMIT);
+  summary.ready = summary.ready.slice(0, SUMMARY_LECTURE_LIMIT);
+  summary.blocked = summary.blocked.slice(0, SUMMARY_LECTURE_LIMIT);
+  return summary;
+}
+
+/**
+ * Render a mastery summary for the ego context
+ * @param {Object} summary - From getMasterySummary()
+ * @returns {string|null}
+ */
+export function renderMasterySummary(summary) {
+  if (!summary) return null;
+
+  const percent = (p) => `${Math.round(p * 100)}%`;
+  const lines = [];
+  const mastered = summary.concepts.filter((c) => c.status === 'mastered');
+  const learning = summary.concepts.filter((c) => c.status === 'learning');
+
+  if (mastered.length > 0) lines.push(`Mastered: ${mastered.map((c) => `${c.conceptId} (${percent(c.pMastery)})`).join(', ')}`);
+  if (learning.length > 0) {
+    lines.push(`Still learning: ${learning.map((c) => `${c.conceptId} (${percent(c.pMastery)}, ${c.attempts} attempts)`).join(', ')}`);
+  }
+  if (summary.gaps.length > 0) {
+    const gaps = summary.gaps.map((c) => {
+      const where = c.lectures.length > 0 ? `; covered in ${c.lectures.join(', ')}` : '';
+      return `${c.conceptId} (${percent(c.pMastery)} after ${c.attempts} attempts${where})`;
+    });
+    lines.push(`Gaps: ${gaps.join(', ')}`);
+  }
+  if (summary.review.length > 0) lines.push(`Review first: ${summary.review.join(', ')}`);
+  if (summary.ready.length > 0) lines.push(`Ready for: ${summary.ready.join(', ')}`);
+  if (summary.blocked.length > 0) {
+    lines.push(`Not ready: ${summary.blocked.map((b) => `${b.lectureId} (needs ${b.missing.join(', ')})`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  KNOWLEDGE_EVENT_TYPES,
+  getKnowledgeTracingConfig,
+  updateMastery,
+  observationsFromEvent,
+  recordObservation,
+  recordLearnerEvents,
+  getConceptMastery,
+  getMasterySummary,
+  renderMasterySummary,
+};
@@ -0,0 +1,389 @@
+/**
+ * Learner Data Service
+ *
+ * Export and erasure of everything tutor-core holds about one learner, for
+ * data access and erasure requests:
+ *
+ * - Recognition data through the active recognition store: the writing pad
+ *   (with its conscious/preconscious/unconscious layers), recognition moments
+ *   and learner events
+ * - Learner-keyed tables: concept mastery, review schedule, A/B assignments,
+ *   AI user settings, AI interactions, budget spend and budget audit
+ * - Monitoring sessions recorded under the learner's user ID
+ * - Log files under the engine's log directory: the learner's dialogue logs
+ *   (tutor-dialogues), their API log entries (tutor-api) and debug logs
+ *   (tutor-debug), attributed by the learnerId the engine records in them
+ *
+ * Erasure deletes records that only describe the learner, and pseudonymizes
+ * records kept for accounting (AI interactions, budget ledgers, monitoring
+ * sessions): the learner ID is replaced with a random `erased-<hex>` pseudonym
+ * and free-text context is cleared. Every location is then checked again; the
+ * verification lists anything still attributed to the learner, plus log files
+ * that still mention the learner ID (e.g. logs written before learner IDs
+ * were recorded), which need manual review.
+ */
+
+import { randomBytes } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getDb } from './dbService.js';
+import { getRecognitionStore } from './recognitionStore.js';
+import * as monitoringService from './monitoringService.js';
+import { getLogDir } from './tutorDialogueEngine.js';
+
+export const EXPORT_FORMAT = 'tutor-core-learner-export';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Learner-keyed tables outside the recognition store. `match` and `set` are
+ * SQL fragments using @id (the learner ID) and @pseudonym.
+ */
+export const LEARNER_TABLES = [
+  { key: 'conceptMastery', table: 'learner_concept_mastery', match: 'learner_id = @id', erase: 'delete' },
+  { key: 'reviewItems', table: 'learner_review_items', match: 'learner_id = @id', erase: 'delete' },
+  { key: 'abAssignments', table: 'ab_assignments', match: 'learner_id = @id', erase: 'delete' },
+  { key: 'aiUserSettings', table: 'ai_user_settings', match: 'userId = @id', erase: 'delete' },
+  {
+    key: 'aiInteractions',
+    table: 'ai_interactions',
+    match: 'userId = @id',
+    erase: 'pseudonymize',
+    set: 'userId = @pseudonym, context = NULL, errorMessage = NULL',
+  },
+  { key: 'budgetSpend', table: 'budget_spend', match: 'learner_id = @id', erase: 'pseudonymize', set: 'learner_id = @pseudonym' },
+  {
+    key: 'budgetAudit',
+    table: 'budget_audit',
+    match: "learner_id = @id OR (scope = 'learner' AND scope_id = @id)",
+    erase: 'pseudonymize',
+    set: `learner_id = CASE WHEN learner_id = @id THEN @pseudonym ELSE learner_id END,
+      scope_id = CASE WHEN scope = 'learner' AND scope_id = @id THEN @pseudonym ELSE scope_id END`,
+  },
+];
+
+const LOG_DIRS = {
+  dialogues: 'tutor-dialogues',
+  api: 'tutor-api',
+  debug: 'tutor-debug',
+};
+
+const PAD_LAYERS = ['conscious_state', 'preconscious_state', 'unconscious_state'];
+const MOMENT_JSON_COLUMNS = ['learner_context', 'dialogue_trace', 'ghost_demand', 'learner_need', 'parameters'];
+const EVENT_JSON_COLUMNS = ['trigger_event', 'context_snapshot'];
+
+function requireLearnerId(learnerId) {
+  if (!learnerId || typeof learnerId !== 'string') {
+    const err = new Error('learnerId is required');
+    err.code = 'INVALID_LEARNER_ID';
+    throw err;
+  }
+}
+
+function parseJsonColumns(row, columns) {
+  const parsed = { ...row };
+  for (const column of columns) {
+    if (typeof parsed[column] !== 'string') continue;
+    try {
+      parsed[column] = JSON.parse(parsed[column]);
+    } catch {
+      // Free text (e.g. a plain trigger description) stays as stored
+    }
+  }
+  return parsed;
+}
+
+// ============================================================================
+// Locating Learner Data
+// ============================================================================
+
+function openDb() {
+  try {
+    return { db: getDb(), reason: null };
+  } catch (error) {
+    return { db: null, reason: `database unavailable: ${error.message}` };
+  }
+}
+
+function tableExists(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+function readDir(dir, extension) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter((file) => file.endsWith(extension)).sort().map((file) => path.join(dir, file));
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the learner's entries in the log directory
+ * @returns {Object} { dialogues: [{ file, dialogueId, content }], api: [{ file, lines, kept, entries }], debug: [{ file, content }] }
+ */
+function findLogs(learnerId, logDir) {
+  const dialogues = [];
+  for (const file of readDir(path.join(logDir, LOG_DIRS.dialogues), '.json')) {
+    const content = readJsonFile(file);
+    if (content?.learnerId !== learnerId) continue;
+    dialogues.push({ file, dialogueId: content.dialogueId || path.basename(file, '.json'), content });
+  }
+  const dialogueIds = new Set(dialogues.map((d) => d.dialogueId));
+
+  const api = [];
+  for (const file of readDir(path.join(logDir, LOG_DIRS.api), '.jsonl')) {
+    const kept = [];
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Malformed lines are kept as they are
+      }
+      if (entry && (entry.learnerId === learnerId || dialogueIds.has(entry.dialogueId))) {
+        entries.push(entry);
+        if (entry.dialogueId) dialogueIds.add(entry.dialogueId);
+      } else {
+        kept.push(line);
+      }
+    }
+    if (entries.length > 0) api.push({ file, kept, entries });
+  }
+
+  const debug = [];
+  for (const dialogueId of dialogueIds) {
+    const file = path.join(logDir, LOG_DIRS.debug, `${dialogueId}.json`);
+    if (fs.existsSync(file)) debug.push({ file, content: readJsonFile(file) });
+  }
+
+  return { dialogues, api, debug };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Log files that mention the learner ID as a whole token (so "learner-1" does
+ * not match "learner-10"), with the number of matching lines
+ */
+function findLogMentions(learnerId, logDir) {
+  const pattern = new RegExp(`(?<![\\w-])${escapeRegExp(learnerId)}(?![\\w-])`);
+  const mentions = [];
+  for (const dir of Object.values(LOG_DIRS)) {
+    for (const file of [...readDir(path.join(logDir, dir), '.json'), ...readDir(path.join(logDir, dir), '.jsonl')]) {
+      const count = fs.readFileSync(file, 'utf-8').split('\n').filter((line) => pattern.test(line)).length;
+      if (count > 0) mentions.push({ file: path.relative(logDir, file), count });
+    }
+  }
+  return mentions;
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Export everything held about a learner as a single JSON-serializable bundle
+ *
+ * @param {string} learnerId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeLogs=true] - Include dialogue, API and debug log entries
+ * @param {string} [options.logDir] - Log root (defaults to the engine's, see setLogDir)
+ * @returns {Object} { format, version, learnerId, exportedAt, recognition, tables, monitoringSessions, logs, unavailable }
+ */
+export function exportLearnerData(learnerId, { includeLogs = true, logDir = getLogDir() } = {}) {
+  requireLearnerId(learnerId);
+  const unavailable = [];
+
+  const store = getRecognitionStore();
+  const pad = store.getWritingPadByLearner(learnerId);
+  const recognition = {
+    writingPad: pad ? parseJsonColumns(pad, PAD_LAYERS) : null,
+    recognitionMoments: pad
+      ? store.listRecognitionMoments(pad.id, { order: 'asc' }).map((row) => parseJsonColumns(row, MOMENT_JSON_COLUMNS))
+      : [],
+    learnerEvents: store.listLearnerEvents(learnerId, { order: 'asc' }).map((row) => parseJsonColumns(row, EVENT_JSON_COLUMNS)),
+  };
+
+  const tables = {};
+  const { db, reason } = openDb();
+  for (const spec of LEARNER_TABLES) {
+    if (!db || !tableExists(db, spec.table)) {
+      unavailable.push({ location: spec.table, reason: reason || 'table not found' });
+      tables[spec.key] = [];
+      continue;
+    }
+    tables[spec.key] = db.prepare(`SELECT * FROM ${spec.table} WHERE ${spec.match}`).all({ id: learnerId });
+  }
+
+  const logs = { dialogues: [], api: [], debug: [] };
+  if (includeLogs) {
+    const found = findLogs(learnerId, logDir);
+    logs.dialogues = found.dialogues.map(({ file, dialogueId, content }) => ({ file: path.relative(logDir, file), dialogueId, content }));
+    logs.api = found.api.flatMap(({ file, entries }) => entries.map((entry) => ({ file: path.relative(logDir, file), entry })));
+    logs.debug = found.debug.map(({ file, content }) => ({ file: path.relative(logDir, file), content }));
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    learnerId,
+    exportedAt: new Date().toISOString(),
+    recognition,
+    tables,
+    monitoringSessions: monitoringService.getSessionHistory({ userId: learnerId }),
+    logs,
+    unavailable,
+  };
+}
+
+// ============================================================================
+// Erasure
+// ============================================================================
+
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Check every location again after erasure
+ * @returns {Object} { verified, remaining: [{ location, count }], mentions: [{ file, count }] }
+ */
+function verifyErasure(learnerId, logDir, includeLogs) {
+  const remaining = [];
+  const check = (location, count) => {
+    if (count > 0) remaining.push({ location, count });
+  };
+
+  const store = getRecognitionStore();
+  check('recognition.writingPads', store.getWritingPadByLearner(learnerId) ? 1 : 0);
+  check('recognition.learnerEvents', store.countLearnerEvents(learnerId));
+
+  const { db } = openDb();
+  for (const spec of LEARNER_TABLES) {
+    if (!db || !tableExists(db, spec.table)) continue;
+    check(spec.table, db.prepare(`SELECT COUNT(*) AS count FROM ${spec.table} WHERE ${spec.match}`).get({ id: learnerId }).count);
+  }
+  check('monitoring.sessions', monitoringService.getSessionHistory({ userId: learnerId }).length);
+
+  let mentions = [];
+  if (includeLogs) {
+    const logs = findLogs(learnerId, logDir);
+    check(`logs/${LOG_DIRS.dialogues}`, logs.dialogues.length);
+    check(`logs/${LOG_DIRS.api}`, logs.api.reduce((sum, f) => sum + f.entries.length, 0));
+    check(`logs/${LOG_DIRS.debug}`, logs.debug.length);
+    mentions = findLogMentions(learnerId, logDir);
+  }
+
+  return { verified: remaining.length === 0 && mentions.length === 0, remaining, mentions };
+}
+
+/**
+ * Erase a learner's data everywhere tutor-core stores it
+ *
+ * @param {string} learnerId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeLogs=true] - Also erase log files and log entries
+ * @param {string} [options.logDir] - Log root (defaults to the engine's, see setLogDir)
+ * @param {boolean} [options.dryRun=false] - Report what would be erased without changing anything
+ * @returns {Object} Report: { learnerId, pseudonym, erasedAt, dryRun,
+ *   actions: [{ location, action: 'deleted'|'pseudonymized'|'rewritten', count }],
+ *   skipped: [{ location, reason }], verification: { verified, remaining, mentions } }
+ */
+export function eraseLearnerData(learnerId, { includeLogs = true, logDir = getLogDir(), dryRun = false } = {}) {
+  requireLearnerId(learnerId);
+  const pseudonym = `erased-${randomBytes(8).toString('hex')}`;
+  const actions = [];
+  const skipped = [];
+  const record = (location, action, count) => {
+    if (count > 0) actions.push({ location, action, count });
+  };
+
+  // Recognition store
+  const store = getRecognitionStore();
+  if (dryRun) {
+    const pad = store.getWritingPadByLearner(learnerId);
+    record('recognition.writingPads', 'deleted', pad ? 1 : 0);
+    record('recognition.recognitionMoments', 'deleted', pad ? store.listRecognitionMoments(pad.id).length : 0);
+    record('recognition.learnerEvents', 'deleted', store.countLearnerEvents(learnerId));
+  } else {
+    const counts = store.deleteLearnerData(learnerId);
+    for (const [key, count] of Object.entries(counts)) record(`recognition.${key}`, 'deleted', count);
+  }
+
+  // Learner-keyed tables, in one transaction
+  const { db, reason } = openDb();
+  const present = [];
+  for (const spec of LEARNER_TABLES) {
+    if (!db || !tableExists(db, spec.table)) skipped.push({ location: spec.table, reason: reason || 'table not found' });
+    else present.push(spec);
+  }
+  if (present.length > 0) {
+    const params = { id: learnerId, pseudonym };
+    const run = () => {
+      for (const spec of present) {
+        const action = spec.erase === 'delete' ? 'deleted' : 'pseudonymized';
+        const count = dryRun
+          ? db.prepare(`SELECT COUNT(*) AS count FROM ${spec.table} WHERE ${spec.match}`).get({ id: learnerId }).count
+          : spec.erase === 'delete'
+            ? db.prepare(`DELETE FROM ${spec.table} WHERE ${spec.match}`).run({ id: learnerId }).changes
+            : db.prepare(`UPDATE ${spec.table} SET ${spec.set} WHERE ${spec.match}`).run(params).changes;
+        record(spec.table, action, count);
+      }
+    };
+    if (dryRun) run();
+    else db.transaction(run)();
+  }
+
+  // Monitoring sessions
+  record(
+    'monitoring.sessions',
+    'pseudonymized',
+    dryRun ? monitoringService.getSessionHistory({ userId: learnerId }).length : monitoringService.reassignUser(learnerId, pseudonym),
+  );
+
+  // Log files
+  if (includeLogs) {
+    const logs = findLogs(learnerId, logDir);
+    for (const { file } of [...logs.dialogues, ...logs.debug]) {
+      if (!dryRun) fs.rmSync(file, { force: true });
+      record(path.relative(logDir, file), 'deleted', 1);
+    }
+    for (const { file, kept, entries } of logs.api) {
+      if (!dryRun) {
+        if (kept.length > 0) writeFileAtomic(file, kept.join('\n') + '\n');
+        else fs.rmSync(file, { force: true });
+      }
+      record(path.relative(logDir, file), 'rewritten', entries.length);
+    }
+  } else {
+    skipped.push({ location: 'logs', reason: 'includeLogs is false' });
+  }
+
+  return {
+    learnerId,
+    pseudonym: dryRun ? null : pseudonym,
+    erasedAt: dryRun ? null : new Date().toISOString(),
+    dryRun,
+    actions,
+    skipped,
+    verification: dryRun ? null : verifyErasure(learnerId, logDir, includeLogs),
+  };
+}
+
+export default {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  LEARNER_TABLES,
+  exportLearnerData,
+  eraseLearnerData,
+};
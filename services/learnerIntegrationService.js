@@ -9,13 +9,17 @@
  * - Breakthrough detection (insights, achievements)
  * - Demand detection (autonomy, scaffolding, challenge, validation)
  * - Learner archetype evolution (unconscious layer updates)
+ * - Review scheduling from quiz outcomes (spacedRepetitionService)
+ * - Concept mastery from quiz and activity outcomes (knowledgeTracingService)
  *
  * Based on: RECOGNITION-ENGINE.md Phase 3
  */
 
 import { randomBytes } from 'crypto';
 import * as writingPadService from './writingPadService.js';
-import { getDb } from './dbService.js';
+import * as spacedRepetitionService from './spacedRepetitionService.js';
+import * as knowledgeTracingService from './knowledgeTracingService.js';
+import { getRecognitionStore } from './recognitionStore.js';
 
 /**
  * Detect resistance from learner behavior
@@ -273,8 +277,40 @@ export function detectDemand(options) {
   return null; // No demand detected
 }
 
+function parseOutcomeEvent(triggerEvent) {
+  if (!triggerEvent) return null;
+  let event = triggerEvent;
+  if (typeof triggerEvent === 'string') {
+    try {
+      event = JSON.parse(triggerEvent);
+    } catch {
+      return null;
+    }
+  }
+  return knowledgeTracingService.KNOWLEDGE_EVENT_TYPES.includes(event?.type || event?.event_type) ? event : null;
+}
+
+/**
+ * Whether the active recognition store is the tutor's SQLite database. Review
+ * scheduling and mastery tracking have no store adapter, so hosts on another
+ * store (e.g. the memory store, for running without a native SQLite build)
+ * record events without them.
+ * @private
+ */
+function usesTutorDatabase() {
+  return getRecognitionStore().name === 'sqlite';
+}
+
 /**
  * Record learner recognition event
+ *
+ * An outcome event (quizOutcome, or an activity_submit/quiz_answer/quiz_complete
+ * triggerEvent) also updates the learner's concept mastery, returned as
+ * masteryUpdates; a quiz outcome additionally reschedules the quiz's concepts
+ * for review, returned as reviewUpdates. Both live in the SQLite tables, so
+ * this only happens on the SQLite recognition store (see usesTutorDatabase).
+ * An update that fails leaves the event recorded, with masteryError or
+ * reviewError set.
  */
 export function recordLearnerEvent(options) {
   const {
@@ -291,45 +327,55 @@ export function recordLearnerEvent(options) {
     demandCategory = null,
     demandStrength = null,
     contextSnapshot = null,
+    quizOutcome = null, // Quiz or activity outcome for mastery and review scheduling
   } = options;
 
   const id = `learner-event-${Date.now()}-${randomBytes(4).toString('hex')}`;
 
-  const stmt = getDb().prepare(`
-    INSERT INTO learner_recognition_events (
-      id, learner_id, writing_pad_id, session_id, event_type,
-      tutor_suggestion, learner_response, resistance_interpretation,
-      trigger_event, evidence, recognition_achieved,
-      demand_category, demand_strength, context_snapshot
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  stmt.run(
+  getRecognitionStore().insertLearnerEvent({
     id,
-    learnerId,
-    writingPadId,
-    sessionId,
-    eventType,
-    tutorSuggestion,
-    learnerResponse,
-    resistanceInterpretation,
-    triggerEvent,
+    learner_id: learnerId,
+    writing_pad_id: writingPadId,
+    session_id: sessionId,
+    event_type: eventType,
+    tutor_suggestion: tutorSuggestion,
+    learner_response: learnerResponse,
+    resistance_interpretation: resistanceInterpretation,
+    trigger_event: triggerEvent,
     evidence,
-    recognitionAchieved ? 1 : 0,
-    demandCategory,
-    demandStrength,
-    contextSnapshot
-  );
-
-  return getLearnerEvent(id);
+    recognition_achieved: recognitionAchieved ? 1 : 0,
+    demand_category: demandCategory,
+    demand_strength: demandStrength,
+    context_snapshot: contextSnapshot,
+  });
+
+  const event = getLearnerEvent(id);
+  const outcomeEvent = quizOutcome || parseOutcomeEvent(triggerEvent);
+  if (outcomeEvent && usesTutorDatabase()) {
+    // The event is stored either way; a missing table is reported, not thrown
+    try {
+      event.masteryUpdates = knowledgeTracingService.recordLearnerEvents(learnerId, [outcomeEvent]);
+    } catch (error) {
+      console.warn(`[KnowledgeTracing] Mastery update failed for ${learnerId}:`, error.message);
+      event.masteryError = error.message;
+    }
+    if (spacedRepetitionService.REVIEW_EVENT_TYPES.includes(outcomeEvent.type || outcomeEvent.event_type)) {
+      try {
+        event.reviewUpdates = spacedRepetitionService.recordQuizOutcome(learnerId, outcomeEvent, { writingPadId });
+      } catch (error) {
+        console.warn(`[SpacedRepetition] Review scheduling failed for ${learnerId}:`, error.message);
+        event.reviewError = error.message;
+      }
+    }
+  }
+  return event;
 }
 
 /**
  * Get learner recognition event by ID
  */
 export function getLearnerEvent(eventId) {
-  const stmt = getDb().prepare('SELECT * FROM learner_recognition_events WHERE id = ?');
-  const row = stmt.get(eventId);
+  const row = getRecognitionStore().getLearnerEvent(eventId);
 
   if (!row) return null;
 
@@ -362,24 +408,7 @@ export function getLearnerEvents(learnerId, options = {}) {
     since = null, // timestamp
   } = options;
 
-  let query = 'SELECT * FROM learner_recognition_events WHERE learner_id = ?';
-  const params = [learnerId];
-
-  if (eventType) {
-    query += ' AND event_type = ?';
-    params.push(eventType);
-  }
-
-  if (since) {
-    query += ' AND created_at > ?';
-    params.push(since);
-  }
-
-  query += ' ORDER BY created_at DESC LIMIT ?';
-  params.push(limit);
-
-  const stmt = getDb().prepare(query);
-  const rows = stmt.all(...params);
+  const rows = getRecognitionStore().listLearnerEvents(learnerId, { eventType, since, order: 'desc', limit });
 
   return rows.map(row => ({
     id: row.id,
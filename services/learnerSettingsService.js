@@ -0,0 +1,205 @@
+/**
+ * Learner Settings Service
+ *
+ * Applies a learner's AI preferences (ai_user_settings, read through
+ * aiConfigService.getEffectiveSettings) to a dialogue:
+ *
+ * - hintVerbosity      → outputSize (minimal: compact, balanced: normal, detailed: expanded)
+ * - feedbackStyle      → superego strategy and a directive prepended to the ego prompt
+ * - preferredProvider  → ego (and superego) model override, when that provider is configured
+ * - enable* flags      → suggestion types the ego may produce
+ *
+ * Options passed to runDialogue explicitly always win over learner settings.
+ * Configured by `learner_settings` in tutor-agents.yaml.
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import * as aiConfigService from './aiConfigService.js';
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  verbosity: { minimal: 'compact', balanced: 'normal', detailed: 'expanded' },
+  feedbackStyles: {},
+  providerModels: {},
+  gatedTypes: {},
+};
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Get the learner settings configuration with defaults applied
+ * @returns {Object} { enabled, verbosity, feedbackStyles, providerModels, gatedTypes }
+ */
+export function getLearnerSettingsConfig() {
+  let config;
+  try {
+    config = configLoader.getLearnerSettingsConfig() || {};
+  } catch {
+    config = {};
+  }
+
+  return {
+    enabled: config.enabled ?? DEFAULT_CONFIG.enabled,
+    verbosity: config.verbosity || DEFAULT_CONFIG.verbosity,
+    feedbackStyles: config.feedback_styles || DEFAULT_CONFIG.feedbackStyles,
+    providerModels: config.provider_models || DEFAULT_CONFIG.providerModels,
+    gatedTypes: config.gated_types || DEFAULT_CONFIG.gatedTypes,
+  };
+}
+
+/**
+ * Read a learner's effective AI settings
+ * @param {string} learnerId
+ * @returns {Object} getEffectiveSettings() result
+ */
+export function getLearnerSettings(learnerId) {
+  return aiConfigService.getEffectiveSettings(learnerId);
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+function superegoWouldRun(profile, { disableSuperego = false, superegoModel = null } = {}) {
+  return !disableSuperego && (!!superegoModel || (profile?.dialogue?.enabled === true && profile?.superego != null));
+}
+
+function resolveProviderModel(settings, config, profileName, options) {
+  const provider = settings.preferredProvider;
+  // getEffectiveSettings falls back to another provider when the preferred one is disabled
+  if (!provider || (settings.effectiveProvider && settings.effectiveProvider !== provider)) return {};
+
+  const ref = config.providerModels[provider];
+  if (!ref) return { skipped: { setting: 'preferredProvider', reason: `no model configured for ${provider}` } };
+
+  let resolved;
+  try {
+    resolved = configLoader.resolveModel(ref);
+  } catch (error) {
+    return { skipped: { setting: 'preferredProvider', reason: error.message } };
+  }
+  if (!resolved.isConfigured) {
+    return { skipped: { setting: 'preferredProvider', reason: `${resolved.provider} is not configured` } };
+  }
+
+  const profile = configLoader.getActiveProfile(profileName);
+  if (profile?.ego?.provider === resolved.provider) return {};
+  return {
+    egoModel: ref,
+    ...(superegoWouldRun(profile, options) && { superegoModel: ref }),
+  };
+}
+
+/**
+ * Work out the dialogue options a learner's settings imply
+ *
+ * @param {Object} settings - getEffectiveSettings() result, or any subset of it
+ * @param {Object} [options]
+ * @param {string} [options.profileName] - Profile the dialogue runs on
+ * @param {boolean} [options.disableSuperego]
+ * @param {string} [options.superegoModel]
+ * @returns {Object} { outputSize?, superegoStrategy?, egoDirective?, egoModel?, superegoModel?, blockedTypes, skipped }
+ */
+export function resolveLearnerSettings(settings, options = {}) {
+  const config = getLearnerSettingsConfig();
+  const resolved = { blockedTypes: [], skipped: [] };
+
+  const outputSize = config.verbosity[settings.hintVerbosity];
+  if (outputSize) resolved.outputSize = outputSize;
+
+  const style = config.feedbackStyles[settings.feedbackStyle];
+  if (style?.superego_strategy) resolved.superegoStrategy = style.superego_strategy;
+  if (style?.ego_directive) resolved.egoDirective = style.ego_directive.trim();
+
+  const { skipped, ...models } = resolveProviderModel(settings, config, options.profileName ?? null, options);
+  Object.assign(resolved, models);
+  if (skipped) resolved.skipped.push(skipped);
+
+  for (const [flag, types] of Object.entries(config.gatedTypes)) {
+    if (settings[flag] === false) resolved.blockedTypes.push(...types);
+  }
+  resolved.blockedTypes = [...new Set(resolved.blockedTypes)];
+
+  return resolved;
+}
+
+// ============================================================================
+// Dialogue Integration
+// ============================================================================
+
+/**
+ * Fill in the runDialogue options a learner's settings imply
+ *
+ * Only options the caller left unset (null or undefined) are filled in; the
+ * ego directives are prepended to any systemPromptExtension. The returned
+ * options carry `_learnerSettings`: { learnerId, applied, skipped }, or
+ * { learnerId, error } when the settings could not be read.
+ *
+ * @param {Object} options - runDialogue options; `learnerSettings: false` skips,
+ *   an object supplies the settings instead of reading ai_user_settings
+ * @returns {Object} Options to run the dialogue with
+ */
+export function applyLearnerSettings(options = {}) {
+  const { learnerId = null, learnerSettings: override, profileName = null } = options;
+  const supplied = override && typeof override === 'object' ? override : null;
+  if (override === false || (!learnerId && !supplied)) return options;
+  if (!supplied && !getLearnerSettingsConfig().enabled) return options;
+
+  let settings = supplied;
+  if (!settings) {
+    try {
+      settings = getLearnerSettings(learnerId);
+    } catch (error) {
+      return { ...options, _learnerSettings: { learnerId, error: error.message } };
+    }
+  }
+
+  const resolved = resolveLearnerSettings(settings, {
+    profileName,
+    disableSuperego: options.disableSuperego,
+    superegoModel: options.superegoModel,
+  });
+  const next = { ...options };
+  const applied = {};
+
+  for (const key of ['outputSize', 'superegoStrategy', 'egoModel', 'superegoModel']) {
+    if (options[key] == null && resolved[key]) next[key] = applied[key] = resolved[key];
+  }
+
+  const directives = [resolved.egoDirective];
+  if (resolved.blockedTypes.length > 0) {
+    directives.push(`LEARNER PREFERENCE: The learner has switched off these suggestion types; do not suggest them: ${resolved.blockedTypes.join(', ')}.`);
+    applied.blockedTypes = resolved.blockedTypes;
+  }
+  if (directives.some(Boolean)) {
+    next.systemPromptExtension = [...directives, options.systemPromptExtension].filter(Boolean).join('\n\n');
+    applied.egoDirective = true;
+  }
+
+  next._learnerSettings = { learnerId, applied, skipped: resolved.skipped };
+  return next;
+}
+
+/**
+ * Remove suggestions whose type the learner has switched off
+ *
+ * @param {Array} suggestions
+ * @param {Array<string>} blockedTypes
+ * @returns {Object} { suggestions, removed: [{ type, title }] }
+ */
+export function filterBlockedSuggestions(suggestions, blockedTypes = []) {
+  if (!blockedTypes.length || !Array.isArray(suggestions)) return { suggestions, removed: [] };
+  const blocked = new Set(blockedTypes);
+  const removed = suggestions.filter((s) => blocked.has(s?.type)).map((s) => ({ type: s.type, title: s.title }));
+  return { suggestions: suggestions.filter((s) => !blocked.has(s?.type)), removed };
+}
+
+export default {
+  getLearnerSettingsConfig,
+  getLearnerSettings,
+  resolveLearnerSettings,
+  applyLearnerSettings,
+  filterBlockedSuggestions,
+};
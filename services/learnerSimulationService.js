@@ -0,0 +1,428 @@
+/**
+ * Learner Simulation Service
+ *
+ * Runs a simulated learner against the tutor so that tutor-learner sessions
+ * can be played out end-to-end without a human. The learner side is driven
+ * by the learner-*.md prompts and calls models through the same
+ * callAI/_fetchProvider stack as the tutor's Ego and Superego.
+ *
+ * Architectures:
+ * - unified:      one call using learner-unified.md
+ * - ego_superego: learner Ego reacts, learner Superego reflects, synthesis speaks
+ *                 (profiles call this `learner_architecture: psychodynamic`)
+ * - dialectical:  thesis → antithesis → dialectical synthesis
+ *
+ * Personas (novice, practitioner, expert) are layered onto every voice's
+ * system prompt and also shape the behavioural actions the learner takes.
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import * as dialogueEngine from './tutorDialogueEngine.js';
+import { createLearnerContext } from './tutorContext.js';
+
+// ============================================================================
+// Architectures and Personas
+// ============================================================================
+
+/**
+ * Internal voice pipelines. Each voice sees the tutor's message plus every
+ * earlier voice's output; `speaker` produces what the learner says aloud.
+ */
+export const LEARNER_ARCHITECTURES = {
+  unified: {
+    description: 'Single learner agent',
+    voices: [],
+    speaker: { role: 'learner', prompt_file: 'learner-unified.md' },
+  },
+  ego_superego: {
+    description: 'Learner Ego reacts, Superego reflects, synthesis speaks',
+    voices: [
+      { role: 'learner_ego', label: 'EGO', prompt_file: 'learner-ego.md' },
+      { role: 'learner_superego', label: 'SUPEREGO', prompt_file: 'learner-superego.md' },
+    ],
+    speaker: { role: 'learner_synthesis', prompt_file: 'learner-synthesis.md' },
+  },
+  dialectical: {
+    description: 'Thesis, antithesis and dialectical synthesis',
+    voices: [
+      { role: 'learner_thesis', label: 'THESIS', prompt_file: 'learner-thesis.md' },
+      { role: 'learner_antithesis', label: 'ANTITHESIS', prompt_file: 'learner-antithesis.md' },
+      { role: 'learner_dialectical', label: 'SYNTHESIS', prompt_file: 'learner-synthesis-dialectical.md' },
+    ],
+    speaker: { role: 'learner_synthesis', prompt_file: 'learner-synthesis.md' },
+  },
+};
+
+// Names used by `learner_architecture` in tutor-agents.yaml
+const ARCHITECTURE_ALIASES = {
+  psychodynamic: 'ego_superego',
+  multi_agent: 'ego_superego',
+};
+
+/**
+ * Learner personas.
+ * - compliance: probability of following the tutor's top suggestion
+ * - helpSeeking: probability of asking for help when the reply signals confusion
+ */
+export const LEARNER_PERSONAS = {
+  novice: { prompt_file: 'learner-novice.md', compliance: 0.75, helpSeeking: 0.7 },
+  practitioner: { prompt_file: 'learner-practitioner.md', compliance: 0.6, helpSeeking: 0.4 },
+  expert: { prompt_file: 'learner-expert.md', compliance: 0.4, helpSeeking: 0.15 },
+};
+
+const DEFAULT_LEARNER_MODEL = 'openrouter.nemotron';
+const DEFAULT_LEARNER_HYPERPARAMETERS = { temperature: 0.8, max_tokens: 400 };
+
+// Matches replies where the learner is visibly lost
+const CONFUSION_PATTERN = /\b(confus\w*|lost|don'?t (get|understand|follow)|not sure|what (even )?is|makes no sense)\b/i;
+
+// Suggestion type -> behavioural action (matches learnerIntegrationService.checkIfSuggestionFollowed)
+const SUGGESTION_ACTIONS = {
+  lecture: 'navigate',
+  review: 'navigate',
+  quiz: 'start_quiz',
+  simulation: 'simulation',
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Normalize an architecture name, accepting profile aliases
+ * @param {string} name - Architecture name (e.g. 'unified', 'psychodynamic')
+ * @returns {string} Canonical architecture key
+ */
+export function resolveArchitecture(name = 'unified') {
+  const key = ARCHITECTURE_ALIASES[name] || name;
+  if (!LEARNER_ARCHITECTURES[key]) {
+    throw new Error(
+      `Unknown learner architecture "${name}". Available: ${Object.keys(LEARNER_ARCHITECTURES).join(', ')}`
+    );
+  }
+  return key;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) so simulated sessions are reproducible
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Render tutor suggestions as the message the learner reads
+ */
+export function formatTutorTurn(suggestions = []) {
+  if (!suggestions.length) {
+    return 'The tutor has nothing to say right now.';
+  }
+  return suggestions
+    .map((s, i) => {
+      const target = s.actionTarget ? ` [${s.actionType || 'navigate'} → ${s.actionTarget}]` : '';
+      return `${i + 1}. ${s.title || s.type}: ${s.message || ''}${target}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Strip reasoning artefacts some models emit despite the prompt contract
+ */
+function cleanUtterance(text = '') {
+  return text
+    .replace(/<think>[\s\S]*?<\/think>/gi, '')
+    .replace(/^\s*\[(INTERNAL|EXTERNAL)\]:?\s*/gim, '')
+    .trim()
+    .replace(/^"([\s\S]*)"$/, '$1');
+}
+
+// ============================================================================
+// Simulated Learner
+// ============================================================================
+
+/**
+ * Create a simulated learner
+ *
+ * @param {Object} options
+ * @param {string} options.architecture - unified | ego_superego | dialectical (or profile alias)
+ * @param {string} options.persona - novice | practitioner | expert | null
+ * @param {string} options.model - Model reference (e.g. "openrouter.haiku")
+ * @param {Object} options.agentConfig - Pre-built agent config (overrides model)
+ * @param {Object} options.hyperparameters - Hyperparameter overrides
+ * @param {string} options.learnerProfile - Free-text description of who the learner is
+ * @param {number} options.seed - Seed for behavioural action sampling
+ * @returns {Object} Learner with respond(), getHistory() and reset()
+ */
+export function createSimulatedLearner(options = {}) {
+  const {
+    architecture = 'unified',
+    persona = null,
+    model = DEFAULT_LEARNER_MODEL,
+    agentConfig = null,
+    hyperparameters = {},
+    learnerProfile = '',
+    seed = 1,
+  } = options;
+
+  const architectureKey = resolveArchitecture(architecture);
+  const pipeline = LEARNER_ARCHITECTURES[architectureKey];
+
+  if (persona && !LEARNER_PERSONAS[persona]) {
+    throw new Error(`Unknown learner persona "${persona}". Available: ${Object.keys(LEARNER_PERSONAS).join(', ')}`);
+  }
+  const personaConfig = persona ? LEARNER_PERSONAS[persona] : null;
+
+  const baseAgentConfig = agentConfig
+    ? { ...agentConfig, hyperparameters: { ...DEFAULT_LEARNER_HYPERPARAMETERS, ...agentConfig.hyperparameters, ...hyperparameters } }
+    : configLoader.getModelAgentConfig(model, { ...DEFAULT_LEARNER_HYPERPARAMETERS, ...hyperparameters });
+
+  const rng = createRng(seed);
+  const history = [];
+
+  const buildSystemPrompt = (promptFile) => {
+    let prompt = configLoader.loadPrompt(promptFile);
+    if (personaConfig) {
+      prompt += `\n\n## Persona\n\n${configLoader.loadPrompt(personaConfig.prompt_file)}`;
+    }
+    if (learnerProfile) {
+      prompt += `\n\n## Who You Are\n\n${learnerProfile}`;
+    }
+    return prompt;
+  };
+
+  const buildUserPrompt = (tutorMessage, deliberation) => {
+    const parts = [];
+    if (history.length) {
+      parts.push('## Conversation So Far');
+      for (const turn of history.slice(-6)) {
+        parts.push(`Tutor: ${turn.tutorMessage}`);
+        parts.push(`You: ${turn.utterance}`);
+      }
+      parts.push('');
+    }
+    parts.push('## The Tutor Just Said');
+    parts.push(tutorMessage);
+    if (deliberation.length) {
+      parts.push('');
+      parts.push('## Internal Voices');
+      for (const d of deliberation) {
+        parts.push(`- ${d.label}: "${d.text}"`);
+      }
+    }
+    return parts.join('\n');
+  };
+
+  /**
+   * Choose a behavioural action in response to the tutor's suggestions.
+   * Shapes match learnerIntegrationService (navigate/start_quiz/simulation/request_help/idle).
+   */
+  const chooseAction = (suggestions, utterance) => {
+    const compliance = personaConfig?.compliance ?? 0.6;
+    const helpSeeking = personaConfig?.helpSeeking ?? 0.4;
+    const top = suggestions[0];
+
+    if (CONFUSION_PATTERN.test(utterance) && rng() < helpSeeking) {
+      return { type: 'request_help', target: top?.actionTarget || null, followed: false };
+    }
+
+    if (!top) {
+      return { type: 'idle', target: null, followed: false };
+    }
+
+    const actionType = SUGGESTION_ACTIONS[top.type] || 'navigate';
+    if (rng() < compliance) {
+      return { type: actionType, target: top.actionTarget || null, followed: true };
+    }
+
+    // Resistance: pick an alternative suggestion if there is one, otherwise drift away
+    const alternative = suggestions.slice(1).find((s) => s.actionTarget && s.actionTarget !== top.actionTarget);
+    if (alternative) {
+      return { type: SUGGESTION_ACTIONS[alternative.type] || 'navigate', target: alternative.actionTarget, followed: false };
+    }
+    return { type: 'idle', target: null, followed: false };
+  };
+
+  /**
+   * Produce the learner's next turn in response to tutor suggestions
+   *
+   * @param {Object[]} suggestions - Suggestions returned by runDialogue
+   * @param {Object} callOptions - Passed through to callAI (e.g. onToken)
+   * @returns {Promise<Object>} { utterance, action, deliberation, metrics }
+   */
+  const respond = async (suggestions = [], callOptions = {}) => {
+    const tutorMessage = formatTutorTurn(suggestions);
+    const deliberation = [];
+    const metrics = { inputTokens: 0, outputTokens: 0, latencyMs: 0, apiCalls: 0 };
+
+    const track = (result) => {
+      metrics.inputTokens += result.inputTokens || 0;
+      metrics.outputTokens += result.outputTokens || 0;
+      metrics.latencyMs += result.latencyMs || 0;
+      metrics.apiCalls += 1;
+    };
+
+    for (const voice of pipeline.voices) {
+      const result = await dialogueEngine.callAI(
+        baseAgentConfig,
+        buildSystemPrompt(voice.prompt_file),
+        buildUserPrompt(tutorMessage, deliberation),
+        voice.role,
+      );
+      track(result);
+      deliberation.push({ role: voice.role, label: voice.label, text: cleanUtterance(result.text) });
+    }
+
+    const spoken = await dialogueEngine.callAI(
+      baseAgentConfig,
+      buildSystemPrompt(pipeline.speaker.prompt_file),
+      buildUserPrompt(tutorMessage, deliberation),
+      pipeline.speaker.role,
+      callOptions,
+    );
+    track(spoken);
+
+    const utterance = cleanUtterance(spoken.text);
+    const action = chooseAction(suggestions, utterance);
+
+    const turn = { tutorMessage, utterance, action, deliberation, metrics };
+    history.push(turn);
+    return turn;
+  };
+
+  return {
+    architecture: architectureKey,
+    persona,
+    model: baseAgentConfig.model,
+    provider: baseAgentConfig.provider,
+    respond,
+    getHistory: () => [...history],
+    reset: () => {
+      history.length = 0;
+    },
+  };
+}
+
+// ============================================================================
+// Closed-Loop Sessions
+// ============================================================================
+
+/**
+ * Append the learner's latest reply and action to a learner context string
+ * using the section headers extractStructuredSummary preserves. Typed learner
+ * contexts (see tutorContext) get learnerResponse/learnerAction set instead.
+ */
+export function appendLearnerTurn(learnerContext, turn) {
+  if (learnerContext && typeof learnerContext === 'object') {
+    return createLearnerContext({
+      ...learnerContext,
+      learnerResponse: turn.utterance,
+      learnerAction: turn.action?.type ? turn.action : null,
+    });
+  }
+
+  const sections = [learnerContext || ''];
+  sections.push(`\n### Learner Response\n"${turn.utterance}"`);
+  if (turn.action) {
+    const target = turn.action.target ? ` → ${turn.action.target}` : '';
+    sections.push(`\n### Learner Action\n${turn.action.type}${target}`);
+  }
+  return sections.join('\n');
+}
+
+/**
+ * Run a closed-loop session: tutor suggests, simulated learner replies and acts,
+ * the reply is fed back into the next tutor turn.
+ *
+ * @param {Object} options
+ * @param {Object} options.learner - Learner from createSimulatedLearner (or options to create one)
+ * @param {Object} options.context - { learnerContext, curriculumContext, simulationsContext }
+ * @param {number} options.turns - Number of tutor/learner exchanges
+ * @param {Object} options.tutorOptions - Passed to runDialogue (profileName, maxRounds, ...)
+ * @param {Function} options.onTurn - Called with each completed turn
+ * @returns {Promise<Object>} { turns, messageHistory, metrics }
+ */
+export async function runClosedLoopSession(options = {}) {
+  const {
+    context,
+    turns = 3,
+    tutorOptions = {},
+    onTurn = null,
+  } = options;
+
+  const learner = typeof options.learner?.respond === 'function'
+    ? options.learner
+    : createSimulatedLearner(options.learner || {});
+
+  const sessionTurns = [];
+  const messageHistory = [];
+  const metrics = {
+    tutorInputTokens: 0,
+    tutorOutputTokens: 0,
+    tutorCost: 0,
+    learnerInputTokens: 0,
+    learnerOutputTokens: 0,
+    apiCalls: 0,
+  };
+
+  let learnerContext = context?.learnerContext || '';
+
+  for (let i = 0; i < turns; i++) {
+    const tutorResult = await dialogueEngine.runDialogue(
+      { ...context, learnerContext },
+      {
+        ...tutorOptions,
+        messageHistory: messageHistory.length ? [...messageHistory] : null,
+      },
+    );
+
+    const suggestions = tutorResult.suggestions || [];
+    const learnerTurn = await learner.respond(suggestions);
+
+    messageHistory.push({ role: 'assistant', content: learnerTurn.tutorMessage });
+    messageHistory.push({ role: 'user', content: learnerTurn.utterance });
+    learnerContext = appendLearnerTurn(context?.learnerContext || '', learnerTurn);
+
+    metrics.tutorInputTokens += tutorResult.metrics?.totalInputTokens || 0;
+    metrics.tutorOutputTokens += tutorResult.metrics?.totalOutputTokens || 0;
+    metrics.tutorCost += tutorResult.metrics?.totalCost || 0;
+    metrics.learnerInputTokens += learnerTurn.metrics.inputTokens;
+    metrics.learnerOutputTokens += learnerTurn.metrics.outputTokens;
+    metrics.apiCalls += (tutorResult.metrics?.apiCalls || 0) + learnerTurn.metrics.apiCalls;
+
+    const turn = {
+      turn: i + 1,
+      dialogueId: tutorResult.dialogueId,
+      suggestions,
+      converged: tutorResult.converged,
+      rounds: tutorResult.rounds,
+      learner: learnerTurn,
+    };
+    sessionTurns.push(turn);
+    if (onTurn) onTurn(turn);
+  }
+
+  return {
+    architecture: learner.architecture,
+    persona: learner.persona,
+    turns: sessionTurns,
+    messageHistory,
+    metrics,
+  };
+}
+
+export default {
+  LEARNER_ARCHITECTURES,
+  LEARNER_PERSONAS,
+  resolveArchitecture,
+  formatTutorTurn,
+  createSimulatedLearner,
+  appendLearnerTurn,
+  runClosedLoopSession,
+};
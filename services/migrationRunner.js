@@ -0,0 +1,279 @@
+/**
+ * Migration Runner
+ *
+ * Versioned schema migrations with a schema_migrations ledger. dbService runs
+ * the core migrations/ directory through it, plus any directories or in-code
+ * migrations a host application registers.
+ *
+ * Migration sources:
+ * - SQL directories: NNN_name.sql (up) with an optional NNN_name.down.sql
+ * - In-code: { version, name, up(db), down?(db) } for changes SQL alone cannot
+ *   express (e.g. adding a column only when it is missing)
+ *
+ * Each migration is identified by (source, version). Applied migrations are
+ * recorded with a SHA-256 checksum of their up step; editing an applied
+ * migration is reported as 'changed' and blocks further migration until the
+ * file is restored. Each migration runs in its own transaction.
+ *
+ * Errors carry a code: MIGRATION_DUPLICATE, MIGRATION_CHECKSUM_MISMATCH,
+ * MIGRATION_IRREVERSIBLE, MIGRATION_FAILED.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import path from 'path';
+
+const UP_FILE = /^(\d+)_(.+)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+
+function migrationError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function checksum(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function label(migration) {
+  return `${migration.source}:${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+function assertUniqueVersions(source, migrations) {
+  const seen = new Set();
+  for (const migration of migrations) {
+    if (seen.has(migration.version)) {
+      throw migrationError('MIGRATION_DUPLICATE', `Duplicate migration version ${migration.version} in ${source}`);
+    }
+    seen.add(migration.version);
+  }
+}
+
+/**
+ * Load the SQL migrations in a directory
+ *
+ * @param {string} dir - Directory of NNN_name.sql / NNN_name.down.sql files
+ * @param {string} source - Source name recorded in schema_migrations
+ * @returns {Array} Migrations sorted by version
+ */
+export function loadMigrationDirectory(dir, source) {
+  if (!existsSync(dir)) return [];
+
+  const migrations = [];
+  for (const file of readdirSync(dir)) {
+    if (file.endsWith(DOWN_SUFFIX)) continue;
+    const match = file.match(UP_FILE);
+    if (!match) continue;
+
+    const up = readFileSync(path.join(dir, file), 'utf-8');
+    const downPath = path.join(dir, file.replace(/\.sql$/, DOWN_SUFFIX));
+    const down = existsSync(downPath) ? readFileSync(downPath, 'utf-8') : null;
+    migrations.push({ source, version: Number(match[1]), name: match[2], file, up, down, checksum: checksum(up) });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  assertUniqueVersions(source, migrations);
+  return migrations;
+}
+
+/**
+ * Normalize in-code migrations
+ *
+ * @param {string} source - Source name recorded in schema_migrations
+ * @param {Array} migrations - [{ version, name, up(db), down?(db) }]
+ * @returns {Array} Migrations sorted by version
+ */
+export function defineMigrations(source, migrations) {
+  const normalized = migrations
+    .map((m) => ({ source, version: Number(m.version), name: m.name, file: null, up: m.up, down: m.down || null, checksum: checksum(m.up.toString()) }))
+    .sort((a, b) => a.version - b.version);
+  assertUniqueVersions(source, normalized);
+  return normalized;
+}
+
+// ============================================================================
+// Ledger
+// ============================================================================
+
+/**
+ * Create the schema_migrations table if needed
+ * @param {Database} db
+ */
+export function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT NOT NULL,
+      duration_ms INTEGER,
+      UNIQUE (source, version)
+    )
+  `);
+}
+
+function appliedRows(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT * FROM schema_migrations ORDER BY id').all();
+}
+
+const key = (source, version) => `${source}\u0000${version}`;
+
+/**
+ * Compare known migrations with the ledger
+ *
+ * @param {Database} db
+ * @param {Array} migrations - Known migrations, in run order
+ * @returns {Array} [{ source, version, name, status, appliedAt }] where status is
+ *   'applied', 'pending', 'changed' (checksum differs) or 'missing' (recorded but
+ *   no longer known)
+ */
+export function getMigrationStatus(db, migrations) {
+  const applied = new Map(appliedRows(db).map((row) => [key(row.source, row.version), row]));
+  const known = new Set();
+
+  const status = migrations.map((migration) => {
+    const k = key(migration.source, migration.version);
+    known.add(k);
+    const row = applied.get(k);
+    let state = 'pending';
+    if (row) state = row.checksum === migration.checksum ? 'applied' : 'changed';
+    return { source: migration.source, version: migration.version, name: migration.name, status: state, appliedAt: row?.applied_at || null };
+  });
+
+  for (const [k, row] of applied) {
+    if (!known.has(k)) {
+      status.push({ source: row.source, version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+    }
+  }
+  return status;
+}
+
+function runStep(db, step) {
+  if (typeof step === 'function') step(db);
+  else db.exec(step);
+}
+
+// ============================================================================
+// Migrate / Rollback
+// ============================================================================
+
+/**
+ * Apply pending migrations in order
+ *
+ * @param {Database} db
+ * @param {Array} migrations - Known migrations, in run order
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would run without applying it
+ * @param {boolean} [options.verifyChecksums=true] - Refuse to run when an applied migration changed
+ * @returns {Object} { applied: [{ source, version, name, durationMs }], pending: [...], dryRun }
+ * @throws {Error} MIGRATION_CHECKSUM_MISMATCH, or MIGRATION_FAILED (with err.migration and err.cause)
+ */
+export function migrate(db, migrations, { dryRun = false, verifyChecksums = true } = {}) {
+  const status = getMigrationStatus(db, migrations);
+
+  if (verifyChecksums) {
+    const changed = status.filter((s) => s.status === 'changed');
+    if (changed.length > 0) {
+      throw migrationError(
+        'MIGRATION_CHECKSUM_MISMATCH',
+        `Applied migrations changed on disk: ${changed.map(label).join(', ')}`,
+        { migrations: changed },
+      );
+    }
+  }
+
+  const pendingKeys = new Set(status.filter((s) => s.status === 'pending').map((s) => key(s.source, s.version)));
+  const pending = migrations.filter((m) => pendingKeys.has(key(m.source, m.version)));
+  const describe = (m) => ({ source: m.source, version: m.version, name: m.name });
+
+  if (dryRun) return { applied: [], pending: pending.map(describe), dryRun: true };
+
+  const record = db.prepare(`
+    INSERT INTO schema_migrations (source, version, name, checksum, applied_at, duration_ms)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const applied = [];
+  for (const migration of pending) {
+    const start = Date.now();
+    try {
+      db.transaction(() => {
+        runStep(db, migration.up);
+        record.run(migration.source, migration.version, migration.name, migration.checksum, new Date().toISOString(), Date.now() - start);
+      })();
+    } catch (error) {
+      throw migrationError('MIGRATION_FAILED', `Migration ${label(migration)} failed: ${error.message}`, {
+        migration: describe(migration),
+        cause: error,
+        applied,
+      });
+    }
+    applied.push({ ...describe(migration), durationMs: Date.now() - start });
+  }
+  return { applied, pending: [], dryRun: false };
+}
+
+/**
+ * Revert the most recently applied migrations
+ *
+ * @param {Database} db
+ * @param {Array} migrations - Known migrations (for their down steps)
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert
+ * @param {string} [options.source] - Only revert migrations from this source
+ * @param {boolean} [options.dryRun=false] - Report what would be reverted without reverting it
+ * @returns {Object} { reverted: [{ source, version, name }], dryRun }
+ * @throws {Error} MIGRATION_IRREVERSIBLE when a migration to revert has no down step
+ *   (nothing is reverted), or MIGRATION_FAILED
+ */
+export function rollback(db, migrations, { steps = 1, source = null, dryRun = false } = {}) {
+  const byKey = new Map(migrations.map((m) => [key(m.source, m.version), m]));
+  const targets = appliedRows(db)
+    .filter((row) => !source || row.source === source)
+    .reverse()
+    .slice(0, steps);
+
+  const plan = targets.map((row) => ({ row, migration: byKey.get(key(row.source, row.version)) }));
+  const irreversible = plan.filter((p) => !p.migration?.down);
+  if (irreversible.length > 0) {
+    const names = irreversible.map((p) => label({ source: p.row.source, version: p.row.version, name: p.row.name }));
+    throw migrationError('MIGRATION_IRREVERSIBLE', `No down migration for ${names.join(', ')}`);
+  }
+
+  const reverted = plan.map(({ row }) => ({ source: row.source, version: row.version, name: row.name }));
+  if (dryRun) return { reverted, dryRun: true };
+
+  const remove = db.prepare('DELETE FROM schema_migrations WHERE id = ?');
+  for (const { row, migration } of plan) {
+    try {
+      db.transaction(() => {
+        runStep(db, migration.down);
+        remove.run(row.id);
+      })();
+    } catch (error) {
+      throw migrationError('MIGRATION_FAILED', `Rollback of ${label(migration)} failed: ${error.message}`, {
+        migration: { source: row.source, version: row.version, name: row.name },
+        cause: error,
+      });
+    }
+  }
+  return { reverted, dryRun: false };
+}
+
+export default {
+  loadMigrationDirectory,
+  defineMigrations,
+  ensureMigrationsTable,
+  getMigrationStatus,
+  migrate,
+  rollback,
+};
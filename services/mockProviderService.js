@@ -0,0 +1,451 @@
+/**
+ * Mock Provider Service
+ *
+ * Deterministic, network-free LLM provider. Selected like any other provider
+ * (`provider: mock` in a profile, or `mock.<alias>` model references) and
+ * dispatched from tutorDialogueEngine._fetchProvider and
+ * unifiedAIProviderService (call + callStream).
+ *
+ * Each request is answered, in order of precedence, by:
+ * 1. A handler installed with setMockHandler(fn)
+ * 2. The first queued response whose `match` fits the request
+ *    (queued via enqueueMockResponses or loaded from a fixture file)
+ * 3. A canned default chosen from the prompt: judge scores, superego
+ *    reinterpretation, superego verdict, ego suggestions, or plain text
+ *
+ * Response spec (string shorthand = { text }):
+ *   {
+ *     text | json,              // Content (json is stringified)
+ *     chunks: ['a', 'b'],       // Explicit streaming token boundaries
+ *     inputTokens, outputTokens, cost, finishReason,
+ *     empty: true,              // HTTP 200 with no content (exercises empty-content retry)
+ *     contextOverflow: true,    // Context-window overflow (exercises truncation retry)
+ *     error: 'message', status, // Provider error
+ *     match: { model, contains }, // Only answer matching requests
+ *     times: 2 | repeat: true,  // Reuse the entry (default: once)
+ *   }
+ *
+ * Fixture files (YAML or JSON, `{ responses: [...] }`) are loaded from the
+ * provider's `fixture_file` in providers.yaml or MOCK_PROVIDER_FIXTURES.
+ *
+ * Embeddings (unifiedAIProviderService.embed) are not scripted: embedMock
+ * returns hashed bag-of-words vectors, so texts sharing words score as similar.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'yaml';
+import { parseSSEStream } from './sseStreamParser.js';
+
+const DEFAULT_MODEL = 'mock-tutor';
+
+const CONTEXT_OVERFLOW_MESSAGE = 'Mock context overflow: the context length of the model was exceeded';
+
+// The call log keeps the most recent requests only, so a long-running offline
+// process (e.g. `provider: mock` in a dev server) does not grow without bound
+const MAX_RECORDED_CALLS = 1000;
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// ============================================================================
+// Script State
+// ============================================================================
+
+let queue = [];
+let handler = null;
+let calls = [];
+let callCount = 0;
+const loadedFixtureFiles = new Set();
+
+/**
+ * Queue scripted responses (consumed in order, subject to `match`)
+ * @param {Array|Object|string} responses - Response spec(s)
+ */
+export function enqueueMockResponses(responses) {
+  const list = Array.isArray(responses) ? responses : [responses];
+  for (const spec of list) {
+    const entry = typeof spec === 'string' ? { text: spec } : { ...spec };
+    entry.remaining = entry.repeat ? Infinity : (entry.times ?? 1);
+    queue.push(entry);
+  }
+}
+
+/**
+ * Install a handler that answers requests before the queue
+ * @param {Function|null} fn - ({ model, systemPrompt, messages, promptText, hyperparameters, callIndex }) => spec | undefined
+ */
+export function setMockHandler(fn) {
+  handler = fn;
+}
+
+/**
+ * Load a fixture file into the queue
+ * @param {string} filePath - YAML or JSON file with a `responses` array
+ * @returns {number} Number of responses loaded
+ */
+export function loadMockFixtures(filePath) {
+  const resolved = path.resolve(filePath);
+  const content = fs.readFileSync(resolved, 'utf-8');
+  const parsed = resolved.endsWith('.json') ? JSON.parse(content) : yaml.parse(content);
+  const responses = Array.isArray(parsed) ? parsed : (parsed?.responses || []);
+  enqueueMockResponses(responses);
+  loadedFixtureFiles.add(resolved);
+  return responses.length;
+}
+
+/**
+ * Get the requests the mock provider has received (for assertions), oldest
+ * first; only the last MAX_RECORDED_CALLS (1000) are kept
+ * @returns {Array<{ model, promptText, messages, hyperparameters, stream, responseFormat }>}
+ */
+export function getMockCalls() {
+  return calls;
+}
+
+/**
+ * Clear queued responses, handler, call log and loaded fixtures
+ */
+export function resetMockProvider() {
+  queue = [];
+  handler = null;
+  calls = [];
+  callCount = 0;
+  loadedFixtureFiles.clear();
+}
+
+function ensureFixturesLoaded(providerConfig) {
+  const files = [providerConfig?.fixture_file, process.env.MOCK_PROVIDER_FIXTURES].filter(Boolean);
+  for (const file of files) {
+    if (!loadedFixtureFiles.has(path.resolve(file))) {
+      loadMockFixtures(file);
+    }
+  }
+}
+
+// ============================================================================
+// Response Resolution
+// ============================================================================
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map((p) => (typeof p === 'string' ? p : p?.text || '')).join('\n');
+  return content?.text || '';
+}
+
+function matches(entry, request) {
+  const { match } = entry;
+  if (!match) return true;
+  if (match.model && match.model !== request.model) return false;
+  if (match.contains) {
+    const needles = Array.isArray(match.contains) ? match.contains : [match.contains];
+    if (!needles.every((needle) => request.promptText.includes(needle))) return false;
+  }
+  return true;
+}
+
+/**
+ * Canned response shaped for whichever agent sent the prompt
+ */
+function defaultResponse(request) {
+  const { systemText, promptText } = request;
+
+  if (promptText.includes('"transformative_potential"')) {
+    const dimension = (score) => ({ score, reasoning: 'Mock judgment' });
+    return {
+      json: {
+        scores: {
+          mutual_recognition: dimension(3),
+          dialectical_responsiveness: dimension(3),
+          memory_integration: dimension(null),
+          transformative_potential: dimension(3),
+        },
+        overall_reasoning: 'Mock judgment',
+      },
+    };
+  }
+
+  if (promptText.includes('"reinterpretations"')) {
+    return { json: { reinterpretations: [], overallCaution: 'None (mock provider)' } };
+  }
+
+  if (systemText.includes('"approved"')) {
+    return {
+      json: {
+        approved: true,
+        interventionType: 'none',
+        confidence: 0.9,
+        feedback: 'Approved by mock superego.',
+        learnerInsight: 'Mock learner insight.',
+        pedagogicalPrinciple: 'Mock principle.',
+      },
+    };
+  }
+
+  if (systemText.includes('actionTarget')) {
+    const target = promptText.match(/\b(\d+-lecture-\d+)\b/)?.[1] || 'lecture-1';
+    return {
+      json: [{
+        type: 'lecture',
+        priority: 'medium',
+        title: `Continue: ${target}`,
+        message: 'Mock suggestion: pick up where you left off.',
+        actionType: 'navigate',
+        actionTarget: target,
+        reasoning: 'Deterministic mock provider response',
+      }],
+    };
+  }
+
+  return { text: 'Mock response.' };
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function recordCall(entry) {
+  calls.push(entry);
+  if (calls.length > MAX_RECORDED_CALLS) calls.shift();
+}
+
+/**
+ * Resolve the scripted response for a request
+ * @private
+ */
+function resolveResponse({ model, messages = [], systemPrompt = '', hyperparameters = {}, providerConfig, stream, responseFormat = null }) {
+  ensureFixturesLoaded(providerConfig);
+
+  const systemMessages = messages.filter((m) => m.role === 'system').map((m) => messageText(m.content));
+  const systemText = [systemPrompt, ...systemMessages].filter(Boolean).join('\n\n');
+  const promptText = [systemPrompt, ...messages.map((m) => messageText(m.content ?? m.parts))].filter(Boolean).join('\n\n');
+  const request = { model, systemText, promptText, messages, hyperparameters, callIndex: callCount++ };
+
+  recordCall({ model, promptText, messages, hyperparameters, stream, responseFormat });
+
+  let spec = handler ? handler(request) : undefined;
+  if (spec === undefined || spec === null) {
+    const index = queue.findIndex((entry) => matches(entry, request));
+    if (index >= 0) {
+      spec = queue[index];
+      spec.remaining -= 1;
+      if (spec.remaining <= 0) queue.splice(index, 1);
+    }
+  }
+  if (spec === undefined || spec === null) spec = defaultResponse(request);
+  if (typeof spec === 'string') spec = { text: spec };
+
+  let text = spec.json !== undefined ? JSON.stringify(spec.json, null, 2) : (spec.text ?? '');
+  if (spec.empty) text = '';
+
+  return {
+    text,
+    chunks: spec.chunks || null,
+    inputTokens: spec.inputTokens ?? estimateTokens(promptText),
+    outputTokens: spec.outputTokens ?? (spec.empty ? 0 : estimateTokens(text)),
+    cost: spec.cost ?? 0,
+    finishReason: spec.finishReason ?? 'stop',
+    contextOverflow: Boolean(spec.contextOverflow),
+    error: spec.error ? { status: spec.status ?? 500, message: spec.error } : null,
+  };
+}
+
+// ============================================================================
+// SSE Rendering
+// ============================================================================
+
+function tokenize(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+/**
+ * Build a fetch Response streaming `text` as OpenAI-format SSE chunks
+ * @param {string} text - Full content
+ * @param {Object} options - { chunks, inputTokens, outputTokens, model, finishReason }
+ * @returns {Response}
+ */
+export function createMockSSEResponse(text, options = {}) {
+  const { chunks = null, inputTokens = 0, outputTokens = 0, model = DEFAULT_MODEL, finishReason = 'stop' } = options;
+  const tokens = chunks || tokenize(text);
+
+  const events = tokens.map((token) =>
+    `data: ${JSON.stringify({ model, choices: [{ index: 0, delta: { content: token } }] })}\n\n`);
+  events.push(`data: ${JSON.stringify({
+    model,
+    choices: [{ index: 0, delta: {}, finish_reason: finishReason }],
+    usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens },
+  })}\n\n`);
+  events.push('data: [DONE]\n\n');
+
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const event of events) controller.enqueue(encoder.encode(event));
+      controller.close();
+    },
+  });
+
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+function errorResponse(status, message) {
+  return new Response(JSON.stringify({ error: { message } }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// ============================================================================
+// Provider Entry Points
+// ============================================================================
+
+/**
+ * Answer a tutorDialogueEngine._fetchProvider request
+ *
+ * @param {Object} opts - Same options as _fetchProvider, plus the OpenAI-style
+ *   responseFormat the engine would send (recorded in getMockCalls, not enforced)
+ * @returns {Promise<{text, inputTokens, outputTokens, finishReason, cost, latencyMs, contextOverflow?, errorMessage?}>}
+ */
+export async function fetchMock({ providerConfig, model, messages, systemPrompt = '', hyperparameters = {}, onToken = null, responseFormat = null }) {
+  const startTime = Date.now();
+  const effectiveModel = model || providerConfig?.default_model || DEFAULT_MODEL;
+  const response = resolveResponse({
+    model: effectiveModel, messages, systemPrompt, hyperparameters, providerConfig, stream: Boolean(onToken), responseFormat,
+  });
+
+  if (response.contextOverflow) {
+    return {
+      text: '',
+      contextOverflow: true,
+      errorMessage: CONTEXT_OVERFLOW_MESSAGE,
+      inputTokens: 0,
+      outputTokens: 0,
+      latencyMs: Date.now() - startTime,
+    };
+  }
+
+  if (response.error) {
+    throw new Error(`Mock provider error: ${response.error.status} - ${response.error.message}`);
+  }
+
+  let { text, inputTokens, outputTokens } = response;
+  if (onToken) {
+    const parsed = await parseSSEStream(createMockSSEResponse(text, { ...response, model: effectiveModel }), { onToken, format: 'openai' });
+    text = parsed.text;
+    inputTokens = parsed.inputTokens;
+    outputTokens = parsed.outputTokens;
+  }
+
+  return {
+    text: text.trim(),
+    inputTokens,
+    outputTokens,
+    finishReason: response.finishReason,
+    cost: response.cost,
+    latencyMs: Date.now() - startTime,
+  };
+}
+
+/**
+ * Answer a unifiedAIProviderService.call request
+ *
+ * @param {string} model - Model ID
+ * @param {string} systemPrompt - System prompt
+ * @param {Array} messages - Conversation messages
+ * @param {Object} config - { temperature, maxTokens, topP, onToken }
+ * @returns {Promise<Object>} AIResponse
+ */
+export async function callMock(model, systemPrompt, messages, config = {}) {
+  const raw = await fetchMock({
+    model,
+    messages,
+    systemPrompt,
+    hyperparameters: { temperature: config.temperature, max_tokens: config.maxTokens, top_p: config.topP },
+    onToken: config.onToken || null,
+  });
+
+  if (raw.contextOverflow) {
+    throw new Error(`Mock provider error: 400 - ${raw.errorMessage}`);
+  }
+
+  return {
+    content: raw.text,
+    model: model || DEFAULT_MODEL,
+    usage: {
+      inputTokens: raw.inputTokens,
+      outputTokens: raw.outputTokens,
+      totalTokens: raw.inputTokens + raw.outputTokens,
+    },
+    latencyMs: raw.latencyMs,
+    provider: 'mock',
+  };
+}
+
+/**
+ * Build a streaming response for unifiedAIProviderService.callStream
+ *
+ * Errors and overflows are returned as non-OK Responses so callStream's own
+ * error handling runs.
+ *
+ * @returns {{ response: Response, format: 'openai', model: string, provider: 'mock' }}
+ */
+export function buildMockStreamRequest(model, systemPrompt, messages, config = {}) {
+  const effectiveModel = model || DEFAULT_MODEL;
+  const response = resolveResponse({
+    model: effectiveModel,
+    messages,
+    systemPrompt,
+    hyperparameters: { temperature: config.temperature, max_tokens: config.maxTokens, top_p: config.topP },
+    providerConfig: config.providerConfig,
+    stream: true,
+  });
+
+  let httpResponse;
+  if (response.contextOverflow) {
+    httpResponse = errorResponse(400, CONTEXT_OVERFLOW_MESSAGE);
+  } else if (response.error) {
+    httpResponse = errorResponse(response.error.status, response.error.message);
+  } else {
+    httpResponse = createMockSSEResponse(response.text, { ...response, model: effectiveModel });
+  }
+
+  return { response: httpResponse, format: 'openai', model: effectiveModel, provider: 'mock' };
+}
+
+/**
+ * Answer a unifiedAIProviderService.embed request
+ *
+ * Each word is hashed into one of EMBEDDING_DIMENSIONS buckets, so the result
+ * is deterministic and texts with words in common have a positive cosine.
+ *
+ * @param {string} model - Model ID (recorded only)
+ * @param {Array<string>} input - Texts to embed
+ * @returns {Promise<{vectors: Array<Array<number>>, usage: {inputTokens}}>}
+ */
+export async function embedMock(model, input) {
+  const texts = input.map((text) => String(text ?? ''));
+  recordCall({ model: model || DEFAULT_MODEL, promptText: texts.join('\n\n'), messages: [], hyperparameters: {}, stream: false, responseFormat: null, embedding: true });
+
+  const vectors = texts.map((text) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+      vector[hash % EMBEDDING_DIMENSIONS] += 1;
+    }
+    return vector;
+  });
+  return { vectors, usage: { inputTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0) } };
+}
+
+export default {
+  enqueueMockResponses,
+  setMockHandler,
+  loadMockFixtures,
+  getMockCalls,
+  resetMockProvider,
+  createMockSSEResponse,
+  fetchMock,
+  callMock,
+  embedMock,
+  buildMockStreamRequest,
+};
@@ -3,14 +3,28 @@
  *
  * Tracks active tutor sessions, metrics, and provides alerting.
  * Part of Phase 8: Real-Time Monitoring Dashboard
+ *
+ * Sessions and alerts are persisted through a pluggable store
+ * (see monitoringStore.js), selected by `logging.monitoring.store` in
+ * tutor-agents.yaml or setMonitoringStore(). Completed sessions older than
+ * `retention_days` are rolled up into daily aggregates.
  */
 
-import { MODEL_PRICING } from './pricingConfig.js';
+import { calculateCost } from './pricingConfig.js';
+import * as configLoader from './tutorConfigLoader.js';
+import { createMemoryMonitoringStore, createSqliteMonitoringStore } from './monitoringStore.js';
 
-// In-memory session store (would be Redis/DB in production)
+// Working set of in-flight sessions (mutated per event, persisted to the store)
 const activeSessions = new Map();
-const sessionMetrics = new Map();
-const alerts = [];
+
+// Persistent store for sessions and alerts (resolved lazily from config)
+let store = null;
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Retention runs opportunistically on endSession, at most this often
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+let lastRetentionRun = 0;
 
 // Alert thresholds
 const ALERT_THRESHOLDS = {
@@ -22,9 +36,53 @@ const ALERT_THRESHOLDS = {
   maxRoundsWithoutApproval: 5
 };
 
-// Error tracking for rate calculation
+// Error tracking for rate calculation (sliding window, in-process only)
 const errorLog = [];
 
+// ============================================================================
+// Store Selection
+// ============================================================================
+
+function getMonitoringConfig() {
+  try {
+    return configLoader.getLoggingConfig()?.monitoring || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the active monitoring store, creating it from config on first use
+ * @returns {Object} Monitoring store
+ */
+export function getMonitoringStore() {
+  if (!store) {
+    const { store: storeName = 'memory' } = getMonitoringConfig();
+    store = storeName === 'sqlite' ? createSqliteMonitoringStore() : createMemoryMonitoringStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the monitoring store (e.g. a host-provided backend)
+ * @param {Object|null} newStore - Store implementing the monitoringStore interface (null = resolve from config)
+ */
+export function setMonitoringStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Run a store write without letting storage failures break dialogues
+ */
+function persist(action, fn) {
+  try {
+    return fn(getMonitoringStore());
+  } catch (error) {
+    console.warn(`[Monitoring] Store ${action} failed: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Start tracking a new tutor session
  */
@@ -32,7 +90,8 @@ export function startSession(sessionId, options = {}) {
   const {
     userId = 'anonymous',
     profileName = 'default',
-    modelId = 'unknown'
+    modelId = 'unknown',
+    provider = null
   } = options;
 
   const session = {
@@ -40,6 +99,7 @@ export function startSession(sessionId, options = {}) {
     userId,
     profileName,
     modelId,
+    provider,
     status: 'active',
     startTime: new Date().toISOString(),
     lastActivity: new Date().toISOString(),
@@ -56,6 +116,7 @@ export function startSession(sessionId, options = {}) {
   };
 
   activeSessions.set(sessionId, session);
+  persist('saveSession', (s) => s.saveSession(session));
   return session;
 }
 
@@ -69,9 +130,14 @@ export function endSession(sessionId) {
     session.endTime = new Date().toISOString();
 
     // Move to metrics history
-    sessionMetrics.set(sessionId, { ...session });
+    persist('saveSession', (s) => s.saveSession({ ...session }));
     activeSessions.delete(sessionId);
 
+    if (Date.now() - lastRetentionRun > RETENTION_INTERVAL_MS) {
+      lastRetentionRun = Date.now();
+      applyRetention();
+    }
+
     return session;
   }
   return null;
@@ -94,6 +160,8 @@ export function recordEvent(sessionId, event) {
     outputTokens = 0,
     latencyMs = 0,
     round = 0,
+    cachedInputTokens = 0,
+    reasoningTokens = 0,
     approved = null,
     error = null
   } = event;
@@ -106,11 +174,15 @@ export function recordEvent(sessionId, event) {
   session.metrics.rounds = Math.max(session.metrics.rounds, round);
   session.lastActivity = new Date().toISOString();
 
-  // Calculate cost
-  const pricing = MODEL_PRICING[session.modelId] || { input: 0, output: 0 };
-  const inputCost = (inputTokens / 1000000) * pricing.input;
-  const outputCost = (outputTokens / 1000000) * pricing.output;
-  session.metrics.estimatedCost += inputCost + outputCost;
+  // Calculate cost (events may name their own model, e.g. a superego on a different provider)
+  if (inputTokens || outputTokens) {
+    const { totalCost } = calculateCost(event.modelId || session.modelId, inputTokens, outputTokens, {
+      provider: event.provider || session.provider,
+      cachedInputTokens,
+      reasoningTokens,
+    });
+    session.metrics.estimatedCost += totalCost;
+  }
 
   // Track dialogue trace
   session.dialogueTrace.push({
@@ -133,6 +205,8 @@ export function recordEvent(sessionId, event) {
   // Check for alerts
   checkAlerts(session, event);
 
+  persist('saveSession', (s) => s.saveSession(session));
+
   return session;
 }
 
@@ -226,12 +300,6 @@ function checkErrorRate() {
  * Add an alert
  */
 function addAlert(alert) {
-  const existingIndex = alerts.findIndex(a =>
-    a.type === alert.type &&
-    a.sessionId === alert.sessionId &&
-    a.severity === alert.severity
-  );
-
   const fullAlert = {
     ...alert,
     id: `alert-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
@@ -239,17 +307,8 @@ function addAlert(alert) {
     acknowledged: false
   };
 
-  if (existingIndex >= 0) {
-    // Update existing alert
-    alerts[existingIndex] = fullAlert;
-  } else {
-    alerts.push(fullAlert);
-  }
-
-  // Keep only last 100 alerts
-  while (alerts.length > 100) {
-    alerts.shift();
-  }
+  // Store replaces any existing alert with the same type/session/severity
+  persist('upsertAlert', (s) => s.upsertAlert(fullAlert));
 
   return fullAlert;
 }
@@ -265,7 +324,7 @@ export function getActiveSessions() {
  * Get a specific session
  */
 export function getSession(sessionId) {
-  return activeSessions.get(sessionId) || sessionMetrics.get(sessionId);
+  return activeSessions.get(sessionId) || persist('getSession', (s) => s.getSession(sessionId)) || undefined;
 }
 
 /**
@@ -317,42 +376,22 @@ export function getAggregateMetrics() {
  * Get all alerts
  */
 export function getAlerts(options = {}) {
-  const { severity, acknowledged, limit = 50 } = options;
-
-  let filtered = [...alerts];
-
-  if (severity) {
-    filtered = filtered.filter(a => a.severity === severity);
-  }
-
-  if (acknowledged !== undefined) {
-    filtered = filtered.filter(a => a.acknowledged === acknowledged);
-  }
-
   // Most recent first
-  filtered.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-  return filtered.slice(0, limit);
+  return persist('listAlerts', (s) => s.listAlerts(options)) || [];
 }
 
 /**
  * Acknowledge an alert
  */
 export function acknowledgeAlert(alertId) {
-  const alert = alerts.find(a => a.id === alertId);
-  if (alert) {
-    alert.acknowledged = true;
-    alert.acknowledgedAt = new Date().toISOString();
-    return alert;
-  }
-  return null;
+  return persist('acknowledgeAlert', (s) => s.acknowledgeAlert(alertId, new Date().toISOString()));
 }
 
 /**
  * Clear all alerts (for testing)
  */
 export function clearAlerts() {
-  alerts.length = 0;
+  persist('clearAlerts', (s) => s.clearAlerts());
 }
 
 /**
@@ -360,7 +399,69 @@ export function clearAlerts() {
  */
 export function clearSessions() {
   activeSessions.clear();
-  sessionMetrics.clear();
+  persist('clearSessions', (s) => s.clearSessions());
+}
+
+// ============================================================================
+// History & Retention
+// ============================================================================
+
+/**
+ * List stored sessions (active and completed), most recent first
+ * @param {Object} filters - { status, profileName, modelId, userId, since, until, limit }
+ * @returns {Array} Sessions
+ */
+export function getSessionHistory(filters = {}) {
+  return persist('listSessions', (s) => s.listSessions(filters)) || [];
+}
+
+/**
+ * Replace a user ID on active and stored sessions (learner erasure)
+ * @param {string} userId - User ID to replace
+ * @param {string} newUserId - Replacement (e.g. a pseudonym)
+ * @returns {number} Sessions updated
+ */
+export function reassignUser(userId, newUserId) {
+  // Active sessions are saved to the store on start, so its count covers them
+  const count = getMonitoringStore().reassignUser(userId, newUserId);
+  for (const session of activeSessions.values()) {
+    if (session.userId === userId) session.userId = newUserId;
+  }
+  return count;
+}
+
+/**
+ * Historical aggregates from stored sessions plus daily rollups
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.groupBy - Any of 'profile', 'model', 'day' (default all three)
+ * @param {string} options.since - ISO timestamp lower bound (inclusive)
+ * @param {string} options.until - ISO timestamp upper bound (exclusive)
+ * @param {string} options.profileName - Filter by profile
+ * @param {string} options.modelId - Filter by model
+ * @returns {Array<Object>} Rows: { profileName?, modelId?, day?, sessions, totalRounds, avgRounds, messages,
+ *   inputTokens, outputTokens, avgLatencyMs, estimatedCost, errors, errorRate }
+ */
+export function getHistoricalMetrics(options = {}) {
+  return getMonitoringStore().aggregate(options);
+}
+
+/**
+ * Roll completed sessions older than the retention window into daily
+ * aggregates and prune old alerts
+ *
+ * @param {Object} options - { retentionDays (default logging.monitoring.retention_days or 30), now }
+ * @returns {Object|null} { sessionsRolledUp, alertsPruned, before }
+ */
+export function applyRetention(options = {}) {
+  const {
+    retentionDays = getMonitoringConfig().retention_days ?? DEFAULT_RETENTION_DAYS,
+    now = Date.now(),
+  } = options;
+
+  const before = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const result = persist('rollup', (s) => s.rollup({ before }));
+  return result ? { ...result, before } : null;
 }
 
 /**
@@ -398,5 +499,11 @@ export default {
   clearAlerts,
   clearSessions,
   getMonitoringSummary,
+  getMonitoringStore,
+  setMonitoringStore,
+  getSessionHistory,
+  reassignUser,
+  getHistoricalMetrics,
+  applyRetention,
   ALERT_THRESHOLDS
 };
@@ -0,0 +1,496 @@
+/**
+ * Monitoring Store
+ *
+ * Storage backends for monitoringService. Both implement the same interface:
+ *
+ *   saveSession(session)            Upsert a session's metrics
+ *   getSession(sessionId)           Session or null
+ *   listSessions(filters)           { status, profileName, modelId, userId, since, until, limit }
+ *   clearSessions()
+ *   reassignUser(userId, newUserId) Move a user's sessions to another ID; returns the count
+ *   upsertAlert(alert)              Replaces any alert with the same type/sessionId/severity
+ *   listAlerts(filters)             { severity, acknowledged, limit } — most recent first
+ *   acknowledgeAlert(id, at)        Updated alert or null
+ *   clearAlerts()
+ *   aggregate(options)              Historical metrics grouped by profile/model/day
+ *   rollup({ before })              Fold completed sessions started before `before`
+ *                                   into daily rollups and prune old alerts
+ *
+ * - createMemoryMonitoringStore(): in-process (default); completed sessions
+ *   are capped so long-running hosts don't grow without bound
+ * - createSqliteMonitoringStore(): persistent, via dbService (migration 012)
+ *
+ * The SQLite store keeps session metrics only; per-message dialogue traces
+ * live in the dialogue logs and are not persisted here.
+ */
+
+import { getDb } from './dbService.js';
+
+const GROUP_BY_FIELDS = ['profile', 'model', 'day'];
+
+const MAX_ALERTS = 100;
+
+const DEFAULT_MAX_SESSIONS = 1000;
+
+// ============================================================================
+// Shared Helpers
+// ============================================================================
+
+function validateGroupBy(groupBy) {
+  const fields = Array.isArray(groupBy) ? groupBy : [groupBy];
+  for (const field of fields) {
+    if (!GROUP_BY_FIELDS.includes(field)) {
+      throw new Error(`Unknown groupBy field: ${field} (expected ${GROUP_BY_FIELDS.join(', ')})`);
+    }
+  }
+  return fields;
+}
+
+function dayOf(isoTime) {
+  return (isoTime || '').slice(0, 10);
+}
+
+/**
+ * Build an aggregate row from summed totals
+ */
+function toAggregateRow(keys, totals) {
+  return {
+    ...keys,
+    sessions: totals.sessions,
+    totalRounds: totals.rounds,
+    avgRounds: totals.sessions > 0 ? totals.rounds / totals.sessions : 0,
+    messages: totals.messages,
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    avgLatencyMs: totals.messages > 0 ? Math.round(totals.latencyMs / totals.messages) : 0,
+    estimatedCost: totals.cost,
+    errors: totals.errors,
+    errorRate: totals.messages > 0 ? totals.errors / totals.messages : 0,
+  };
+}
+
+function emptyTotals() {
+  return { sessions: 0, rounds: 0, messages: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, cost: 0, errors: 0 };
+}
+
+function addSessionTotals(totals, session) {
+  totals.sessions += 1;
+  totals.rounds += session.metrics.rounds;
+  totals.messages += session.metrics.messageCount;
+  totals.inputTokens += session.metrics.inputTokens;
+  totals.outputTokens += session.metrics.outputTokens;
+  totals.latencyMs += session.metrics.totalLatencyMs;
+  totals.cost += session.metrics.estimatedCost;
+  totals.errors += session.metrics.errors;
+}
+
+function addTotals(target, source) {
+  for (const key of Object.keys(target)) target[key] += source[key];
+}
+
+function matchesAlertFilters(alert, { severity, acknowledged }) {
+  if (severity && alert.severity !== severity) return false;
+  if (acknowledged !== undefined && alert.acknowledged !== acknowledged) return false;
+  return true;
+}
+
+// ============================================================================
+// Memory Store
+// ============================================================================
+
+/**
+ * Create an in-process monitoring store
+ * @param {Object} options - { maxSessions } cap on stored sessions (oldest completed evicted first)
+ * @returns {Object} Monitoring store
+ */
+export function createMemoryMonitoringStore(options = {}) {
+  const { maxSessions = DEFAULT_MAX_SESSIONS } = options;
+  const sessions = new Map();
+  const alerts = [];
+  const rollups = new Map();
+
+  function evict() {
+    if (sessions.size <= maxSessions) return;
+    for (const [id, session] of sessions) {
+      if (session.status === 'completed') {
+        sessions.delete(id);
+        if (sessions.size <= maxSessions) return;
+      }
+    }
+  }
+
+  function filterSessions({ status, profileName, modelId, userId, since, until } = {}) {
+    return Array.from(sessions.values()).filter((s) =>
+      (!status || s.status === status) &&
+      (!profileName || s.profileName === profileName) &&
+      (!modelId || s.modelId === modelId) &&
+      (!userId || s.userId === userId) &&
+      (!since || s.startTime >= since) &&
+      (!until || s.startTime < until));
+  }
+
+  return {
+    name: 'memory',
+
+    saveSession(session) {
+      sessions.delete(session.sessionId); // re-insert to keep Map in recency order
+      sessions.set(session.sessionId, session);
+      evict();
+    },
+
+    getSession(sessionId) {
+      return sessions.get(sessionId) || null;
+    },
+
+    listSessions(filters = {}) {
+      const list = filterSessions(filters).sort((a, b) => b.startTime.localeCompare(a.startTime));
+      return filters.limit ? list.slice(0, filters.limit) : list;
+    },
+
+    clearSessions() {
+      sessions.clear();
+      rollups.clear();
+    },
+
+    reassignUser(userId, newUserId) {
+      let count = 0;
+      for (const session of sessions.values()) {
+        if (session.userId !== userId) continue;
+        session.userId = newUserId;
+        count++;
+      }
+      return count;
+    },
+
+    upsertAlert(alert) {
+      const index = alerts.findIndex((a) =>
+        a.type === alert.type && a.sessionId === alert.sessionId && a.severity === alert.severity);
+      if (index >= 0) {
+        alerts[index] = alert;
+      } else {
+        alerts.push(alert);
+      }
+      while (alerts.length > MAX_ALERTS) alerts.shift();
+      return alert;
+    },
+
+    listAlerts(filters = {}) {
+      const { limit = 50 } = filters;
+      return alerts
+        .filter((a) => matchesAlertFilters(a, filters))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, limit);
+    },
+
+    acknowledgeAlert(alertId, acknowledgedAt) {
+      const alert = alerts.find((a) => a.id === alertId);
+      if (!alert) return null;
+      alert.acknowledged = true;
+      alert.acknowledgedAt = acknowledgedAt;
+      return alert;
+    },
+
+    clearAlerts() {
+      alerts.length = 0;
+    },
+
+    aggregate(options = {}) {
+      const fields = validateGroupBy(options.groupBy || ['profile', 'model', 'day']);
+      const groups = new Map();
+
+      const addToGroup = (keys, totals) => {
+        const groupKeys = {};
+        if (fields.includes('profile')) groupKeys.profileName = keys.profileName;
+        if (fields.includes('model')) groupKeys.modelId = keys.modelId;
+        if (fields.includes('day')) groupKeys.day = keys.day;
+        const id = JSON.stringify(groupKeys);
+        if (!groups.has(id)) groups.set(id, { keys: groupKeys, totals: emptyTotals() });
+        addTotals(groups.get(id).totals, totals);
+      };
+
+      for (const session of filterSessions(options)) {
+        const totals = emptyTotals();
+        addSessionTotals(totals, session);
+        addToGroup({ profileName: session.profileName, modelId: session.modelId, day: dayOf(session.startTime) }, totals);
+      }
+      for (const rollup of rollups.values()) {
+        if (options.profileName && rollup.profileName !== options.profileName) continue;
+        if (options.modelId && rollup.modelId !== options.modelId) continue;
+        if (options.since && rollup.day < dayOf(options.since)) continue;
+        if (options.until && rollup.day >= dayOf(options.until)) continue;
+        addToGroup(rollup, rollup.totals);
+      }
+
+      return Array.from(groups.values())
+        .map(({ keys, totals }) => toAggregateRow(keys, totals))
+        .sort((a, b) => JSON.stringify([a.day, a.profileName, a.modelId]).localeCompare(JSON.stringify([b.day, b.profileName, b.modelId])));
+    },
+
+    rollup({ before }) {
+      let sessionsRolledUp = 0;
+      for (const [id, session] of sessions) {
+        if (session.status !== 'completed' || session.startTime >= before) continue;
+        const keys = { day: dayOf(session.startTime), profileName: session.profileName, modelId: session.modelId };
+        const rollupId = JSON.stringify(keys);
+        if (!rollups.has(rollupId)) rollups.set(rollupId, { ...keys, totals: emptyTotals() });
+        addSessionTotals(rollups.get(rollupId).totals, session);
+        sessions.delete(id);
+        sessionsRolledUp++;
+      }
+
+      const alertCount = alerts.length;
+      const kept = alerts.filter((a) => a.timestamp >= before);
+      alerts.length = 0;
+      alerts.push(...kept);
+
+      return { sessionsRolledUp, alertsPruned: alertCount - kept.length };
+    },
+  };
+}
+
+// ============================================================================
+// SQLite Store
+// ============================================================================
+
+function rowToSession(row) {
+  return {
+    sessionId: row.session_id,
+    userId: row.user_id,
+    profileName: row.profile_name,
+    modelId: row.model_id,
+    status: row.status,
+    startTime: row.start_time,
+    lastActivity: row.last_activity,
+    ...(row.end_time && { endTime: row.end_time }),
+    metrics: {
+      rounds: row.rounds,
+      inputTokens: row.input_tokens,
+      outputTokens: row.output_tokens,
+      totalLatencyMs: row.total_latency_ms,
+      messageCount: row.message_count,
+      estimatedCost: row.estimated_cost,
+      errors: row.errors,
+    },
+    dialogueTrace: [],
+  };
+}
+
+function rowToAlert(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    severity: row.severity,
+    sessionId: row.session_id,
+    message: row.message,
+    value: row.value,
+    threshold: row.threshold,
+    timestamp: row.timestamp,
+    acknowledged: row.acknowledged === 1,
+    ...(row.acknowledged_at && { acknowledgedAt: row.acknowledged_at }),
+  };
+}
+
+function sessionFilterClause({ status, profileName, modelId, userId, since, until } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) { conditions.push('status = ?'); params.push(status); }
+  if (profileName) { conditions.push('profile_name = ?'); params.push(profileName); }
+  if (modelId) { conditions.push('model_id = ?'); params.push(modelId); }
+  if (userId) { conditions.push('user_id = ?'); params.push(userId); }
+  if (since) { conditions.push('start_time >= ?'); params.push(since); }
+  if (until) { conditions.push('start_time < ?'); params.push(until); }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Create a SQLite-backed monitoring store (tables from migration 012)
+ * @param {Object} options - { db } optional database handle (defaults to dbService.getDb())
+ * @returns {Object} Monitoring store
+ */
+export function createSqliteMonitoringStore(options = {}) {
+  const db = () => options.db || getDb();
+
+  return {
+    name: 'sqlite',
+
+    saveSession(session) {
+      const m = session.metrics;
+      db().prepare(`
+        INSERT INTO monitoring_sessions (
+          session_id, user_id, profile_name, model_id, status, start_time, last_activity, end_time,
+          rounds, input_tokens, output_tokens, total_latency_ms, message_count, estimated_cost, errors
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(session_id) DO UPDATE SET
+          status = excluded.status,
+          last_activity = excluded.last_activity,
+          end_time = excluded.end_time,
+          rounds = excluded.rounds,
+          input_tokens = excluded.input_tokens,
+          output_tokens = excluded.output_tokens,
+          total_latency_ms = excluded.total_latency_ms,
+          message_count = excluded.message_count,
+          estimated_cost = excluded.estimated_cost,
+          errors = excluded.errors
+      `).run(
+        session.sessionId, session.userId, session.profileName, session.modelId, session.status,
+        session.startTime, session.lastActivity, session.endTime || null,
+        m.rounds, m.inputTokens, m.outputTokens, m.totalLatencyMs, m.messageCount, m.estimatedCost, m.errors,
+      );
+    },
+
+    getSession(sessionId) {
+      const row = db().prepare('SELECT * FROM monitoring_sessions WHERE session_id = ?').get(sessionId);
+      return row ? rowToSession(row) : null;
+    },
+
+    listSessions(filters = {}) {
+      const { where, params } = sessionFilterClause(filters);
+      let query = `SELECT * FROM monitoring_sessions ${where} ORDER BY start_time DESC`;
+      if (filters.limit) {
+        query += ' LIMIT ?';
+        params.push(filters.limit);
+      }
+      return db().prepare(query).all(...params).map(rowToSession);
+    },
+
+    clearSessions() {
+      db().exec('DELETE FROM monitoring_sessions; DELETE FROM monitoring_daily_rollups;');
+    },
+
+    reassignUser(userId, newUserId) {
+      return db().prepare('UPDATE monitoring_sessions SET user_id = ? WHERE user_id = ?').run(newUserId, userId).changes;
+    },
+
+    upsertAlert(alert) {
+      const database = db();
+      database.transaction(() => {
+        database.prepare('DELETE FROM monitoring_alerts WHERE type = ? AND session_id IS ? AND severity = ?')
+          .run(alert.type, alert.sessionId, alert.severity);
+        database.prepare(`
+          INSERT INTO monitoring_alerts (id, type, severity, session_id, message, value, threshold, timestamp, acknowledged)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(alert.id, alert.type, alert.severity, alert.sessionId, alert.message, alert.value, alert.threshold,
+          alert.timestamp, alert.acknowledged ? 1 : 0);
+      })();
+      return alert;
+    },
+
+    listAlerts(filters = {}) {
+      const { severity, acknowledged, limit = 50 } = filters;
+      const conditions = [];
+      const params = [];
+      if (severity) { conditions.push('severity = ?'); params.push(severity); }
+      if (acknowledged !== undefined) { conditions.push('acknowledged = ?'); params.push(acknowledged ? 1 : 0); }
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      return db().prepare(`SELECT * FROM monitoring_alerts ${where} ORDER BY timestamp DESC LIMIT ?`)
+        .all(...params, limit)
+        .map(rowToAlert);
+    },
+
+    acknowledgeAlert(alertId, acknowledgedAt) {
+      const result = db().prepare('UPDATE monitoring_alerts SET acknowledged = 1, acknowledged_at = ? WHERE id = ?')
+        .run(acknowledgedAt, alertId);
+      if (result.changes === 0) return null;
+      return rowToAlert(db().prepare('SELECT * FROM monitoring_alerts WHERE id = ?').get(alertId));
+    },
+
+    clearAlerts() {
+      db().exec('DELETE FROM monitoring_alerts');
+    },
+
+    aggregate(options = {}) {
+      const fields = validateGroupBy(options.groupBy || ['profile', 'model', 'day']);
+      const columns = [];
+      if (fields.includes('day')) columns.push('day');
+      if (fields.includes('profile')) columns.push('profile_name');
+      if (fields.includes('model')) columns.push('model_id');
+
+      const { where, params } = sessionFilterClause({ ...options, status: null });
+      const rollupConditions = [];
+      const rollupParams = [];
+      if (options.profileName) { rollupConditions.push('profile_name = ?'); rollupParams.push(options.profileName); }
+      if (options.modelId) { rollupConditions.push('model_id = ?'); rollupParams.push(options.modelId); }
+      if (options.since) { rollupConditions.push('day >= ?'); rollupParams.push(dayOf(options.since)); }
+      if (options.until) { rollupConditions.push('day < ?'); rollupParams.push(dayOf(options.until)); }
+      const rollupWhere = rollupConditions.length ? `WHERE ${rollupConditions.join(' AND ')}` : '';
+
+      const select = columns.length ? `${columns.join(', ')},` : '';
+      const groupBy = columns.length ? `GROUP BY ${columns.join(', ')} ORDER BY ${columns.join(', ')}` : '';
+
+      const rows = db().prepare(`
+        SELECT ${select}
+          SUM(sessions) AS sessions, SUM(rounds) AS rounds, SUM(message_count) AS messages,
+          SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens,
+          SUM(total_latency_ms) AS latency_ms, SUM(estimated_cost) AS cost, SUM(errors) AS errors
+        FROM (
+          SELECT substr(start_time, 1, 10) AS day, profile_name, model_id, 1 AS sessions, rounds, message_count,
+            input_tokens, output_tokens, total_latency_ms, estimated_cost, errors
+          FROM monitoring_sessions ${where}
+          UNION ALL
+          SELECT day, profile_name, model_id, sessions, rounds, message_count,
+            input_tokens, output_tokens, total_latency_ms, estimated_cost, errors
+          FROM monitoring_daily_rollups ${rollupWhere}
+        )
+        ${groupBy}
+      `).all(...params, ...rollupParams);
+
+      return rows
+        .filter((row) => row.sessions > 0)
+        .map((row) => {
+          const keys = {};
+          if (fields.includes('profile')) keys.profileName = row.profile_name;
+          if (fields.includes('model')) keys.modelId = row.model_id;
+          if (fields.includes('day')) keys.day = row.day;
+          return toAggregateRow(keys, {
+            sessions: row.sessions,
+            rounds: row.rounds,
+            messages: row.messages,
+            inputTokens: row.input_tokens,
+            outputTokens: row.output_tokens,
+            latencyMs: row.latency_ms,
+            cost: row.cost,
+            errors: row.errors,
+          });
+        });
+    },
+
+    rollup({ before }) {
+      const database = db();
+      return database.transaction(() => {
+        database.prepare(`
+          INSERT INTO monitoring_daily_rollups (
+            day, profile_name, model_id, sessions, rounds, input_tokens, output_tokens,
+            total_latency_ms, message_count, estimated_cost, errors
+          )
+          SELECT substr(start_time, 1, 10), COALESCE(profile_name, 'unknown'), COALESCE(model_id, 'unknown'),
+            COUNT(*), SUM(rounds), SUM(input_tokens), SUM(output_tokens),
+            SUM(total_latency_ms), SUM(message_count), SUM(estimated_cost), SUM(errors)
+          FROM monitoring_sessions
+          WHERE status = 'completed' AND start_time < ?
+          GROUP BY substr(start_time, 1, 10), COALESCE(profile_name, 'unknown'), COALESCE(model_id, 'unknown')
+          ON CONFLICT(day, profile_name, model_id) DO UPDATE SET
+            sessions = sessions + excluded.sessions,
+            rounds = rounds + excluded.rounds,
+            input_tokens = input_tokens + excluded.input_tokens,
+            output_tokens = output_tokens + excluded.output_tokens,
+            total_latency_ms = total_latency_ms + excluded.total_latency_ms,
+            message_count = message_count + excluded.message_count,
+            estimated_cost = estimated_cost + excluded.estimated_cost,
+            errors = errors + excluded.errors
+        `).run(before);
+
+        const sessionsRolledUp = database.prepare(
+          "DELETE FROM monitoring_sessions WHERE status = 'completed' AND start_time < ?",
+        ).run(before).changes;
+        const alertsPruned = database.prepare('DELETE FROM monitoring_alerts WHERE timestamp < ?').run(before).changes;
+
+        return { sessionsRolledUp, alertsPruned };
+      })();
+    },
+  };
+}
+
+export default {
+  createMemoryMonitoringStore,
+  createSqliteMonitoringStore,
+};
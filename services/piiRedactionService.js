@@ -0,0 +1,251 @@
+/**
+ * PII Redaction Service
+ *
+ * Replaces personal data with placeholders before prompts reach a provider or
+ * a log file, and restores it in responses locally. Detectors, applied in
+ * this order:
+ *
+ * - Custom patterns     { name: 'STUDENT_ID', pattern: 'S\\d{7}' } → [STUDENT_ID_1]
+ * - Email addresses     → [EMAIL_1]
+ * - Phone numbers       → [PHONE_1] (7-15 digits in separated groups, e.g.
+ *                         +44 20 7946 0958, (555) 123-4567; ISO dates are left alone)
+ * - Roster names        → [NAME_1] (whole words, case-insensitive; list each
+ *                         form to catch, e.g. 'Ada Lovelace' and 'Ada')
+ *
+ * A redactor keeps one mapping for its lifetime: the same value always gets
+ * the same placeholder, so agents in one dialogue refer to a person
+ * consistently and restore() can put the original back.
+ *
+ * Configured by `pii_redaction` in tutor-agents.yaml; runDialogue and
+ * quickGenerate accept a `redaction` option (false, or { roster, patterns }).
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  emails: true,
+  phones: true,
+  roster: [],
+  patterns: [],
+  restoreResponses: true,
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[ -]?)?(?:\(\d{1,4}\)[ -]?)?\d{2,4}(?:[ -]\d{2,4}){1,4}(?![\w-])/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+
+// Longest plausible placeholder; stream restoration stops buffering beyond it
+const MAX_PLACEHOLDER_LENGTH = 48;
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Get the PII redaction configuration with defaults applied
+ * @returns {Object} { enabled, emails, phones, roster, patterns, restoreResponses }
+ */
+export function getPiiRedactionConfig() {
+  let config;
+  try {
+    config = configLoader.getPiiRedactionConfig() || {};
+  } catch {
+    config = {};
+  }
+
+  return {
+    enabled: config.enabled ?? DEFAULT_CONFIG.enabled,
+    emails: config.emails ?? DEFAULT_CONFIG.emails,
+    phones: config.phones ?? DEFAULT_CONFIG.phones,
+    roster: config.roster || DEFAULT_CONFIG.roster,
+    patterns: config.patterns || DEFAULT_CONFIG.patterns,
+    restoreResponses: config.restore_responses ?? DEFAULT_CONFIG.restoreResponses,
+  };
+}
+
+// ============================================================================
+// Detectors
+// ============================================================================
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function labelFor(name) {
+  return String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'PII';
+}
+
+function compilePattern({ name, pattern, flags = 'g' }) {
+  try {
+    return { label: labelFor(name), regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`) };
+  } catch (error) {
+    const err = new Error(`Invalid redaction pattern ${name}: ${error.message}`);
+    err.code = 'INVALID_REDACTION_PATTERN';
+    throw err;
+  }
+}
+
+function isPhoneNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return false;
+  if (ISO_DATE.test(match)) return false;
+  // Runs of two-digit groups are more often scores or counts than phone numbers
+  return match.startsWith('+') || match.includes('(') || /\d{3}/.test(match);
+}
+
+function buildDetectors({ emails, phones, roster, patterns }) {
+  const detectors = patterns.map(compilePattern);
+  if (emails) detectors.push({ label: 'EMAIL', regex: EMAIL_PATTERN });
+  if (phones) detectors.push({ label: 'PHONE', regex: PHONE_PATTERN, accept: isPhoneNumber });
+
+  const names = [...new Set(roster.map((name) => String(name).trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length); // longest first, so 'Ada Lovelace' wins over 'Ada'
+  if (names.length > 0) {
+    detectors.push({ label: 'NAME', regex: new RegExp(`(?<![\\w])(?:${names.map(escapeRegExp).join('|')})(?![\\w])`, 'gi') });
+  }
+  return detectors;
+}
+
+// ============================================================================
+// Redactor
+// ============================================================================
+
+/**
+ * Create a redactor with its own placeholder mapping
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.emails=true]
+ * @param {boolean} [options.phones=true]
+ * @param {Array<string>} [options.roster] - Names to redact
+ * @param {Array<Object>} [options.patterns] - [{ name, pattern, flags? }] custom regexes
+ * @returns {Object} { redact, redactMessages, redactValue, restore, restoreValue, createStreamRestorer, getMapping, summary }
+ * @throws {Error} INVALID_REDACTION_PATTERN
+ */
+export function createRedactor(options = {}) {
+  const detectors = buildDetectors({ ...DEFAULT_CONFIG, ...options });
+  const byValue = new Map(); // `${label}\u0000${value}` -> placeholder
+  const byPlaceholder = new Map(); // placeholder -> original value
+  const counts = {};
+
+  function placeholderFor(label, value) {
+    // Names match case-insensitively, so 'ada' and 'Ada' share a placeholder
+    const key = `${label}\u0000${label === 'NAME' ? value.toLowerCase() : value}`;
+    if (!byValue.has(key)) {
+      counts[label] = (counts[label] || 0) + 1;
+      const placeholder = `[${label}_${counts[label]}]`;
+      byValue.set(key, placeholder);
+      byPlaceholder.set(placeholder, value);
+    }
+    return byValue.get(key);
+  }
+
+  function redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+    for (const { label, regex, accept } of detectors) {
+      result = result.replace(regex, (match) => (accept && !accept(match) ? match : placeholderFor(label, match)));
+    }
+    return result;
+  }
+
+  function restore(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (match) => byPlaceholder.get(match) ?? match);
+  }
+
+  function mapValue(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map((item) => mapValue(item, fn));
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapValue(v, fn)]));
+    }
+    return value;
+  }
+
+  return {
+    redact,
+    restore,
+
+    /** Redact the content of [{ role, content }] messages */
+    redactMessages(messages) {
+      return messages?.map((message) => ({ ...message, content: mapValue(message.content, redact) }));
+    },
+
+    /** Redact every string in a JSON-like value */
+    redactValue(value) {
+      return mapValue(value, redact);
+    },
+
+    /** Restore every string in a JSON-like value */
+    restoreValue(value) {
+      return mapValue(value, restore);
+    },
+
+    /**
+     * Wrap a streaming token callback so placeholders split across tokens are restored whole
+     * @param {Function} onToken
+     * @returns {Object} { push(token), flush() }
+     */
+    createStreamRestorer(onToken) {
+      let pending = '';
+      return {
+        push(token) {
+          pending += token;
+          const open = pending.lastIndexOf('[');
+          let ready = pending;
+          if (open !== -1 && !pending.includes(']', open) && pending.length - open <= MAX_PLACEHOLDER_LENGTH) {
+            ready = pending.slice(0, open);
+          }
+          pending = pending.slice(ready.length);
+          if (ready) onToken(restore(ready));
+        },
+        flush() {
+          if (pending) onToken(restore(pending));
+          pending = '';
+        },
+      };
+    },
+
+    /** Placeholder → original value */
+    getMapping() {
+      return Object.fromEntries(byPlaceholder);
+    },
+
+    /** Placeholder counts by label, safe to log */
+    summary() {
+      return { placeholders: byPlaceholder.size, counts: { ...counts } };
+    },
+  };
+}
+
+/**
+ * Create the redactor for one dialogue, or null when redaction is off
+ *
+ * @param {boolean|Object} [override] - false disables; an object ({ roster, patterns, emails,
+ *   phones, restoreResponses }) enables redaction for this dialogue and extends the config
+ * @returns {Object|null} Redactor with a restoreResponses flag
+ */
+export function createDialogueRedactor(override) {
+  if (override === false) return null;
+  const config = getPiiRedactionConfig();
+  const extra = override && typeof override === 'object' ? override : null;
+  if (!config.enabled && !extra) return null;
+
+  const options = {
+    ...config,
+    ...extra,
+    roster: [...config.roster, ...(extra?.roster || [])],
+    patterns: [...config.patterns, ...(extra?.patterns || [])],
+  };
+  const redactor = createRedactor(options);
+  redactor.restoreResponses = options.restoreResponses ?? true;
+  return redactor;
+}
+
+export default {
+  getPiiRedactionConfig,
+  createRedactor,
+  createDialogueRedactor,
+};
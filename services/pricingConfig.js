@@ -1,47 +1,140 @@
 /**
  * AI Model Pricing Configuration
  * Per 1M tokens pricing for various providers and models
+ *
+ * Prices are declared next to the models in providers.yaml:
+ *
+ *   openrouter:
+ *     models:
+ *       haiku: anthropic/claude-haiku-4.5
+ *     pricing:
+ *       haiku: { input: 0.80, output: 4.00, cached_input: 0.08, tier: budget }
+ *
+ * A model can be looked up by alias reference ("openrouter.haiku",
+ * { provider, model }) or by the concrete model ID that providers return
+ * ("anthropic/claude-haiku-4.5"), optionally scoped to a provider. Models
+ * that are looked up without a price are remembered so they can be reported
+ * with getUnpricedModels().
+ *
+ * Providers are read through tutorConfigLoader.loadConfig(), so a dialogue
+ * pinned with withConfigSnapshot() is priced by the configuration it started
+ * with, and a hot reload only changes prices once it has passed validation.
  */
 
-export const MODEL_PRICING = {
-  // Free tier
-  'openrouter.nemotron': { input: 0, output: 0, tier: 'free' },
-
-  // Budget tier ($0-2 per 1M tokens)
-  'openrouter.haiku': { input: 0.80, output: 4.00, tier: 'budget' },
-  'openrouter.gpt-mini': { input: 0.15, output: 0.60, tier: 'budget' },
-  'openrouter.gemini-flash': { input: 0.075, output: 0.30, tier: 'budget' },
-
-  // Mid tier ($2-10 per 1M tokens)
-  'openrouter.sonnet': { input: 3.00, output: 15.00, tier: 'mid' },
-  'openrouter.deepseek': { input: 0.27, output: 1.10, tier: 'mid' },
-  'openrouter.gpt': { input: 5.00, output: 15.00, tier: 'mid' },
-
-  // Premium tier ($10+ per 1M tokens)
-  'openrouter.opus': { input: 15.00, output: 75.00, tier: 'premium' },
-  'openrouter.gemini-pro': { input: 1.25, output: 5.00, tier: 'mid' },
-
-  // Direct API pricing
-  'anthropic.haiku': { input: 0.80, output: 4.00, tier: 'budget' },
-  'anthropic.sonnet': { input: 3.00, output: 15.00, tier: 'mid' },
-  'anthropic.opus': { input: 15.00, output: 75.00, tier: 'premium' },
-  'openai.mini': { input: 0.15, output: 0.60, tier: 'budget' },
-  'openai.standard': { input: 5.00, output: 15.00, tier: 'mid' },
-  'gemini.flash': { input: 0.075, output: 0.30, tier: 'budget' },
-  'gemini.pro': { input: 1.25, output: 5.00, tier: 'mid' },
-};
+import { resolveProviderConfig } from './configLoaderBase.js';
+import { loadConfig } from './tutorConfigLoader.js';
+import { resolveModel } from './modelResolver.js';
+
+// Unpriced models seen at runtime, keyed by "provider|model"
+const unpricedModels = new Map();
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+function normalizeRates(provider, alias, model, rates) {
+  return {
+    provider,
+    alias,
+    model,
+    input: rates.input ?? 0,
+    output: rates.output ?? 0,
+    cachedInput: rates.cached_input ?? rates.input ?? 0,
+    reasoning: rates.reasoning ?? rates.output ?? 0,
+    tier: rates.tier || 'unknown',
+  };
+}
+
+/**
+ * Find pricing for a model key (alias or concrete ID) within one provider
+ */
+function findInProvider(providerName, providerConfig, key) {
+  const pricing = providerConfig?.pricing || {};
+  const models = providerConfig?.models || {};
+
+  if (pricing[key]) {
+    return normalizeRates(providerName, models[key] ? key : null, models[key] || key, pricing[key]);
+  }
+  const alias = Object.keys(models).find((name) => models[name] === key && pricing[name]);
+  return alias ? normalizeRates(providerName, alias, key, pricing[alias]) : null;
+}
+
+/**
+ * Split a model reference into a provider (if known) and a model key
+ */
+function parseRef(modelRef, provider, providers) {
+  if (typeof modelRef === 'object' && modelRef !== null) {
+    return { provider: modelRef.provider, key: modelRef.model };
+  }
+
+  const dotIndex = modelRef.indexOf('.');
+  const prefix = dotIndex > 0 ? modelRef.slice(0, dotIndex) : null;
+  if (prefix && providers[prefix] && (!provider || provider === prefix)) {
+    // "provider.alias" - resolve the alias through modelResolver so concrete
+    // IDs written as "provider.vendor/model" work too
+    const resolved = resolveModel(modelRef, (name) => resolveProviderConfig(providers, name));
+    const alias = modelRef.slice(dotIndex + 1);
+    return { provider: prefix, key: providers[prefix].pricing?.[alias] ? alias : resolved.model };
+  }
+
+  // Concrete model ID (which may itself contain dots, e.g. "gpt-5.2")
+  return { provider: provider || null, key: modelRef };
+}
+
+/**
+ * Get pricing for a model
+ *
+ * @param {string|Object} modelRef - Alias reference ("openrouter.haiku"),
+ *   { provider, model }, or concrete model ID ("anthropic/claude-haiku-4.5")
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider to search for a concrete ID (all providers if omitted)
+ * @returns {Object|null} { provider, alias, model, input, output, cachedInput, reasoning, tier } in USD per 1M tokens
+ */
+export function getModelPricing(modelRef, { provider = null } = {}) {
+  if (!modelRef) return null;
+
+  const providers = loadConfig().providers || {};
+  const parsed = parseRef(modelRef, provider, providers);
+
+  const candidates = parsed.provider ? [parsed.provider] : Object.keys(providers);
+  for (const name of candidates) {
+    const pricing = findInProvider(name, providers[name], parsed.key);
+    if (pricing) return pricing;
+  }
+
+  noteUnpriced(parsed.provider, parsed.key);
+  return null;
+}
+
+// ============================================================================
+// Cost Calculation
+// ============================================================================
 
 /**
  * Calculate cost for a given token usage
+ *
+ * cachedInputTokens and reasoningTokens are the parts of inputTokens and
+ * outputTokens billed at the cached-input and reasoning rates.
+ *
+ * @param {string|Object} modelRef - Alias reference or concrete model ID (see getModelPricing)
+ * @param {number} inputTokens - Total input tokens
+ * @param {number} outputTokens - Total output tokens
+ * @param {Object} [options] - { provider, cachedInputTokens, reasoningTokens }
+ * @returns {Object} { inputCost, outputCost, totalCost, tier, estimated } or
+ *   { cost: 0, totalCost: 0, tier: 'unknown', estimated: true } for unpriced models
  */
-export function calculateCost(modelRef, inputTokens, outputTokens) {
-  const pricing = MODEL_PRICING[modelRef];
+export function calculateCost(modelRef, inputTokens, outputTokens, options = {}) {
+  const { provider = null, cachedInputTokens = 0, reasoningTokens = 0 } = options;
+  const pricing = getModelPricing(modelRef, { provider });
   if (!pricing) {
-    return { cost: 0, tier: 'unknown', estimated: true };
+    return { cost: 0, totalCost: 0, tier: 'unknown', estimated: true };
   }
 
-  const inputCost = (inputTokens / 1_000_000) * pricing.input;
-  const outputCost = (outputTokens / 1_000_000) * pricing.output;
+  const cached = Math.min(cachedInputTokens, inputTokens);
+  const reasoning = Math.min(reasoningTokens, outputTokens);
+
+  const inputCost = ((inputTokens - cached) / 1_000_000) * pricing.input + (cached / 1_000_000) * pricing.cachedInput;
+  const outputCost = ((outputTokens - reasoning) / 1_000_000) * pricing.output + (reasoning / 1_000_000) * pricing.reasoning;
 
   return {
     inputCost,
@@ -51,3 +144,59 @@ export function calculateCost(modelRef, inputTokens, outputTokens) {
     estimated: false,
   };
 }
+
+/**
+ * List every priced model declared in providers.yaml
+ * @returns {Array} Pricing entries (see getModelPricing)
+ */
+export function getPricingTable() {
+  const providers = loadConfig().providers || {};
+  const table = [];
+  for (const [name, config] of Object.entries(providers)) {
+    for (const key of Object.keys(config?.pricing || {})) {
+      table.push(findInProvider(name, config, key));
+    }
+  }
+  return table;
+}
+
+// ============================================================================
+// Unpriced Model Reporting
+// ============================================================================
+
+function noteUnpriced(provider, model) {
+  const id = `${provider || ''}|${model}`;
+  const now = new Date().toISOString();
+  const entry = unpricedModels.get(id);
+  if (entry) {
+    entry.lookups++;
+    entry.lastSeen = now;
+  } else {
+    unpricedModels.set(id, { provider, model, lookups: 1, firstSeen: now, lastSeen: now });
+  }
+}
+
+/**
+ * List models that were looked up at runtime but have no price
+ * @returns {Array} { provider, model, lookups, firstSeen, lastSeen }, most looked-up first
+ */
+export function getUnpricedModels() {
+  return [...unpricedModels.values()]
+    .map((entry) => ({ ...entry }))
+    .sort((a, b) => b.lookups - a.lookups);
+}
+
+/**
+ * Forget the unpriced models seen so far
+ */
+export function clearUnpricedModels() {
+  unpricedModels.clear();
+}
+
+export default {
+  getModelPricing,
+  calculateCost,
+  getPricingTable,
+  getUnpricedModels,
+  clearUnpricedModels,
+};
@@ -0,0 +1,201 @@
+/**
+ * Profile Resolver
+ *
+ * Resolves `extends:` in tutor-agents.yaml profiles. A profile or fragment
+ * may extend one name or a list of names; each base is resolved first, the
+ * bases are deep-merged left to right, and the profile's own keys last:
+ *
+ *   fragments:
+ *     nemotron_ego:
+ *       ego: { provider: openrouter, model: nemotron }
+ *   profiles:
+ *     cheap:
+ *       extends: [default, nemotron_ego]
+ *       superego:
+ *         hyperparameters: { top_p: null }   # null removes an inherited key
+ *
+ * Objects merge key by key; arrays and scalars replace. A null removes the
+ * inherited key, except at the top level of a profile, where it is kept:
+ * `superego: null` means the profile runs without a superego.
+ *
+ * Fragments are partial profiles that are only ever extended; they are not
+ * listed or runnable as profiles. A name may not be both.
+ */
+
+// ============================================================================
+// Merge
+// ============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(prefix, key) {
+  return prefix ? `${prefix}.${key}` : key;
+}
+
+function clearOrigins(origins, path) {
+  for (const key of Object.keys(origins)) {
+    if (key === path || key.startsWith(`${path}.`)) delete origins[key];
+  }
+}
+
+function recordOrigins(origins, path, value, originOf) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) recordOrigins(origins, joinPath(path, key), child, originOf);
+  } else {
+    origins[path] = originOf(path);
+  }
+}
+
+/**
+ * Merge source into target (mutating target), tracking where each leaf came from
+ * @private
+ */
+function mergeInto(target, source, originOf, origins, prefix = '') {
+  for (const [key, value] of Object.entries(source)) {
+    const path = joinPath(prefix, key);
+    if (value === null && prefix) {
+      delete target[key];
+      clearOrigins(origins, path);
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value, originOf, origins, path);
+    } else {
+      target[key] = structuredClone(value);
+      clearOrigins(origins, path);
+      recordOrigins(origins, path, value, originOf);
+    }
+  }
+  return target;
+}
+
+/**
+ * Deep-merge profile-shaped objects left to right
+ *
+ * @param {...Object} layers - Objects to merge; later layers win
+ * @returns {Object} Merged copy (nested nulls remove keys, top-level nulls are kept)
+ */
+export function mergeProfiles(...layers) {
+  const origins = {};
+  return layers.filter(Boolean).reduce((merged, layer) => mergeInto(merged, layer, () => null, origins), {});
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+function resolverError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, details);
+  return err;
+}
+
+/**
+ * Resolve every profile's `extends` chain
+ *
+ * Errors are per profile: a profile with a missing base or a cycle is left out
+ * of `profiles` and reported in `errors`, and the others still resolve.
+ *
+ * @param {Object} [profiles] - Raw profiles by name
+ * @param {Object} [fragments] - Raw fragments by name
+ * @returns {Object} {
+ *   profiles: { name: resolvedProfile },
+ *   details: { name: { extends, lineage, origins } },
+ *   errors: [{ profile, code, message }]
+ * }
+ */
+export function resolveProfiles(profiles = {}, fragments = {}) {
+  const cache = new Map();
+
+  function lookup(name, from) {
+    const inProfiles = Object.hasOwn(profiles || {}, name);
+    const inFragments = Object.hasOwn(fragments || {}, name);
+    if (inProfiles && inFragments) {
+      throw resolverError('PROFILE_NAME_CONFLICT', `"${name}" is both a profile and a fragment`, { name });
+    }
+    if (!inProfiles && !inFragments) {
+      throw resolverError('UNKNOWN_PROFILE_BASE', `"${from}" extends unknown profile or fragment "${name}"`, { name });
+    }
+    const entry = inProfiles ? profiles[name] : fragments[name];
+    if (!isPlainObject(entry)) {
+      throw resolverError('INVALID_PROFILE', `"${name}" must be a mapping`, { name });
+    }
+    return entry;
+  }
+
+  function resolveEntry(name, stack, from) {
+    if (cache.has(name)) return cache.get(name);
+    if (stack.includes(name)) {
+      throw resolverError('PROFILE_INHERITANCE_CYCLE', `Inheritance cycle: ${[...stack, name].join(' -> ')}`, { name });
+    }
+
+    const { extends: bases = [], ...body } = lookup(name, from);
+    const baseNames = Array.isArray(bases) ? bases : [bases];
+    const value = {};
+    const origins = {};
+    const lineage = [];
+
+    for (const base of baseNames) {
+      if (typeof base !== 'string' || !base) {
+        throw resolverError('INVALID_PROFILE', `"${name}" has an invalid extends entry: ${JSON.stringify(base)}`, { name });
+      }
+      const resolved = resolveEntry(base, [...stack, name], name);
+      mergeInto(value, resolved.value, (path) => resolved.origins[path], origins);
+      for (const ancestor of resolved.lineage) if (!lineage.includes(ancestor)) lineage.push(ancestor);
+    }
+    mergeInto(value, body, () => name, origins);
+    lineage.push(name);
+
+    const result = { value, origins, lineage, extends: baseNames };
+    cache.set(name, result);
+    return result;
+  }
+
+  const resolved = {};
+  const details = {};
+  const errors = [];
+  for (const name of Object.keys(profiles || {})) {
+    try {
+      const entry = resolveEntry(name, [], name);
+      resolved[name] = entry.value;
+      details[name] = { extends: entry.extends, lineage: entry.lineage, origins: entry.origins };
+    } catch (error) {
+      errors.push({ profile: name, code: error.code, message: error.message });
+    }
+  }
+
+  return { profiles: resolved, details, errors };
+}
+
+/**
+ * List the leaf values that differ between two resolved profiles
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Array<Object>} [{ path, a, b }] sorted by path; a missing value is undefined
+ */
+export function diffProfiles(a = {}, b = {}) {
+  const diffs = [];
+  const walk = (x, y, prefix) => {
+    const keys = new Set([...Object.keys(x ?? {}), ...Object.keys(y ?? {})]);
+    for (const key of keys) {
+      const path = joinPath(prefix, key);
+      const left = x?.[key];
+      const right = y?.[key];
+      if (isPlainObject(left) && isPlainObject(right)) {
+        walk(left, right, path);
+      } else if (JSON.stringify(left) !== JSON.stringify(right)) {
+        diffs.push({ path, a: left, b: right });
+      }
+    }
+  };
+  walk(a, b, '');
+  return diffs.sort((x, y) => x.path.localeCompare(y.path));
+}
+
+export default {
+  mergeProfiles,
+  resolveProfiles,
+  diffProfiles,
+};
@@ -0,0 +1,211 @@
+/**
+ * Provider Fallback Chains
+ *
+ * Lets a profile agent declare an ordered list of models to hop to when its
+ * primary model fails, so a dialogue degrades to another provider instead of
+ * failing the learner's request:
+ *
+ *   ego:
+ *     provider: openrouter
+ *     model: nemotron
+ *     fallback:
+ *       chain: [anthropic.haiku, local.default]
+ *       on: [rate_limit, server_error, timeout, network, empty_content]
+ *
+ * `fallback` may also be a bare list of model references, which uses the
+ * default triggers. Triggers:
+ *
+ *   rate_limit     HTTP 429
+ *   server_error   HTTP 5xx
+ *   timeout        request timed out / aborted
+ *   network        connection refused, reset or DNS failure
+ *   empty_content  no text after callAI's own empty-content retries
+ *   parse_failure  response failed the caller's validator (opt-in: a different
+ *                  model answering changes the output, not just its transport)
+ *
+ * Chain entries whose provider is not configured, or whose circuit breaker
+ * is open (providerHealthService), are skipped. Each hop (including skips) is
+ * reported through onHop and attached to the final result as fallbackHops.
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import { isAvailable } from './providerHealthService.js';
+
+export const FALLBACK_TRIGGERS = ['rate_limit', 'server_error', 'timeout', 'network', 'empty_content', 'parse_failure'];
+
+const DEFAULT_TRIGGERS = ['rate_limit', 'server_error', 'timeout', 'network', 'empty_content'];
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE'];
+
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'];
+
+// ============================================================================
+// Policy
+// ============================================================================
+
+/**
+ * Normalize an agent's `fallback` setting
+ *
+ * @param {Array|Object|null} fallback - List of model refs, or { chain, on }
+ * @returns {Object|null} { chain: Array, on: Array } or null when no chain is declared
+ */
+export function normalizeFallbackPolicy(fallback) {
+  if (!fallback) return null;
+
+  const { chain = [], on = DEFAULT_TRIGGERS } = Array.isArray(fallback) ? { chain: fallback } : fallback;
+  if (!Array.isArray(chain) || chain.length === 0) return null;
+
+  const triggers = Array.isArray(on) ? on : [on];
+  const unknown = triggers.filter((t) => !FALLBACK_TRIGGERS.includes(t));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fallback trigger(s): ${unknown.join(', ')} (expected ${FALLBACK_TRIGGERS.join(', ')})`);
+  }
+
+  return { chain, on: triggers };
+}
+
+// ============================================================================
+// Failure Classification
+// ============================================================================
+
+/**
+ * Classify a thrown provider error as a fallback trigger
+ *
+ * Reads the HTTP status from error.status or from the "... error: <status> - ..."
+ * messages thrown by the provider clients.
+ *
+ * @param {Error} error
+ * @returns {string|null} Trigger name, or null if the error should not cause a hop
+ */
+export function classifyError(error) {
+  if (!error) return null;
+
+  const status = error.status ?? Number(error.message?.match(/\berror: (\d{3})\b/)?.[1]);
+  if (status === 429) return 'rate_limit';
+  if (status >= 500 && status <= 599) return 'server_error';
+
+  // Wrapped errors (e.g. "Local LLM fetch failed ...") keep the fetch error, and its code, as a cause
+  const causes = [];
+  for (let e = error; e && causes.length < 5; e = e.cause) causes.push(e);
+  const codes = causes.map((e) => e.code).filter(Boolean);
+  if (causes.some((e) => e.name === 'AbortError' || e.name === 'TimeoutError') || codes.some((c) => TIMEOUT_ERROR_CODES.includes(c))) {
+    return 'timeout';
+  }
+  if (codes.some((c) => NETWORK_ERROR_CODES.includes(c)) || causes.some((e) => e.message === 'fetch failed')) return 'network';
+  if (/\btimed? ?out\b/i.test(error.message || '')) return 'timeout';
+
+  return null;
+}
+
+/**
+ * Classify a successful callAI result as a fallback trigger
+ * @param {Object} result - callAI result
+ * @param {Function|null} validate - (result) => boolean, false means unparseable
+ * @returns {string|null} 'empty_content', 'parse_failure' or null
+ */
+export function classifyResult(result, validate = null) {
+  if (!result?.text) return 'empty_content';
+  if (validate && !validate(result)) return 'parse_failure';
+  return null;
+}
+
+// ============================================================================
+// Execution
+// ============================================================================
+
+const describe = (config) => `${config.provider}/${config.model}`;
+
+function hopReason(error, result, validate) {
+  if (error) return error.code === 'CIRCUIT_OPEN' ? 'circuit_open' : classifyError(error);
+  return classifyResult(result, validate);
+}
+
+/**
+ * Run a call through a fallback chain
+ *
+ * @param {Object} primaryConfig - Agent config for the first attempt
+ * @param {Object} policy - Normalized policy from normalizeFallbackPolicy()
+ * @param {Function} callFn - (agentConfig) => Promise<result>
+ * @param {Object} [options]
+ * @param {Function} [options.validate] - (result) => boolean, used for parse_failure
+ * @param {Function} [options.onHop] - Called with each hop record
+ * @returns {Promise<Object>} Result of the first attempt that succeeds, with
+ *   fallbackHops attached when any hop occurred. When every attempt fails on a
+ *   result trigger the last result is returned; on an error trigger the last
+ *   error is thrown (with fallbackHops attached).
+ */
+export async function callWithFallback(primaryConfig, policy, callFn, options = {}) {
+  const { validate = null, onHop = null } = options;
+  const hops = [];
+  const hop = (record) => {
+    const entry = { ...record, at: new Date().toISOString() };
+    hops.push(entry);
+    onHop?.(entry);
+  };
+
+  const attempts = [primaryConfig, ...policy.chain];
+  let current = primaryConfig;
+  let lastResult = null;
+  let lastError = null;
+
+  for (let i = 0; i < attempts.length; i++) {
+    const isLast = i === attempts.length - 1;
+
+    // Skip an open circuit while there is somewhere else to go
+    if (i === 0 && !isLast && !isAvailable(current.provider, current.model)) {
+      lastError = Object.assign(new Error(`Circuit open for ${describe(current)}`), { code: 'CIRCUIT_OPEN', status: 503 });
+      continue;
+    }
+
+    if (i > 0) {
+      const next = configLoader.getModelAgentConfig(attempts[i], primaryConfig.hyperparameters);
+      if (!next.providerConfig?.isConfigured) {
+        hop({ from: describe(current), to: describe(next), reason: 'not_configured', skipped: true });
+        continue;
+      }
+      if (!isLast && !isAvailable(next.provider, next.model)) {
+        hop({ from: describe(current), to: describe(next), reason: 'circuit_open', skipped: true });
+        continue;
+      }
+      hop({
+        from: describe(current),
+        to: describe(next),
+        reason: hopReason(lastError, lastResult, validate),
+        ...(lastError && { error: lastError.message }),
+      });
+      current = next;
+    }
+
+    try {
+      const result = await callFn(current);
+      const trigger = classifyResult(result, validate);
+      lastError = null;
+      lastResult = result;
+      if (!trigger || !policy.on.includes(trigger) || isLast) {
+        return hops.length > 0 ? { ...result, fallbackHops: hops } : result;
+      }
+    } catch (error) {
+      const trigger = classifyError(error);
+      if (!trigger || !policy.on.includes(trigger) || isLast) {
+        if (hops.length > 0) error.fallbackHops = hops;
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  // Only reached when the remaining chain entries were all skipped
+  if (lastError) {
+    lastError.fallbackHops = hops;
+    throw lastError;
+  }
+  return { ...lastResult, fallbackHops: hops };
+}
+
+export default {
+  FALLBACK_TRIGGERS,
+  normalizeFallbackPolicy,
+  classifyError,
+  classifyResult,
+  callWithFallback,
+};
@@ -0,0 +1,397 @@
+/**
+ * Provider Health Service
+ *
+ * Runtime health registry and circuit breaker for AI providers. Every live
+ * provider call (tutorDialogueEngine._fetchProvider, unifiedAIProviderService
+ * call/callStream) reports its outcome here, tracked both per provider and
+ * per provider/model:
+ *
+ * - rolling success rate and latency percentiles over the last `window_size` calls
+ * - consecutive failures
+ * - a circuit breaker: closed → open (after `consecutive_failures` in a row, or
+ *   a window failure rate of `failure_rate` once `min_calls` are recorded) →
+ *   half_open after `cooldown_ms` (exactly one trial call is let through) →
+ *   closed on success, open again on failure
+ *
+ * While a circuit is open, or half_open with its trial call in flight, calls
+ * fail fast with an Error (code 'CIRCUIT_OPEN', status 503), which fallback
+ * chains record as a circuit_open hop. getAvailableProvider() and
+ * fallback-chain resolution skip open circuits.
+ *
+ * Only provider-side failures count: 429, 5xx, 401/403, timeouts and network
+ * errors. Other 4xx responses are request errors and leave health untouched.
+ * A model's circuit trips on any of them, but the provider-level circuit only
+ * trips on provider-wide ones (401/403 and network errors), so one failing
+ * model does not take the provider's other models down with it.
+ *
+ * Configured by `provider_health` in tutor-agents.yaml. State is in-process.
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import { classifyError } from './providerFallback.js';
+
+const DEFAULT_CONFIG = {
+  windowSize: 50,
+  enabled: true,
+  consecutiveFailures: 5,
+  failureRate: 0.5,
+  minCalls: 10,
+  cooldownMs: 60000,
+};
+
+const CIRCUIT_STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+// Health entries keyed by "provider" and "provider/model"
+const registry = new Map();
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Get the health/circuit breaker configuration with defaults applied
+ * @returns {Object} { windowSize, enabled, consecutiveFailures, failureRate, minCalls, cooldownMs }
+ */
+export function getHealthConfig() {
+  let health;
+  try {
+    health = configLoader.getProviderHealthConfig() || {};
+  } catch {
+    health = {};
+  }
+  const breaker = health.circuit_breaker || {};
+
+  return {
+    windowSize: health.window_size ?? DEFAULT_CONFIG.windowSize,
+    enabled: breaker.enabled ?? DEFAULT_CONFIG.enabled,
+    consecutiveFailures: breaker.consecutive_failures ?? DEFAULT_CONFIG.consecutiveFailures,
+    failureRate: breaker.failure_rate ?? DEFAULT_CONFIG.failureRate,
+    minCalls: breaker.min_calls ?? DEFAULT_CONFIG.minCalls,
+    cooldownMs: breaker.cooldown_ms ?? DEFAULT_CONFIG.cooldownMs,
+  };
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+const entryKey = (provider, model) => (model ? `${provider}/${model}` : provider);
+
+function getEntry(provider, model = null) {
+  const key = entryKey(provider, model);
+  if (!registry.has(key)) {
+    registry.set(key, {
+      provider,
+      model,
+      outcomes: [],
+      totalCalls: 0,
+      totalFailures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      tripStreak: 0,
+      circuit: { state: CIRCUIT_STATES.CLOSED, openedAt: null, opens: 0, trialInFlight: false },
+    });
+  }
+  return registry.get(key);
+}
+
+/**
+ * Whether an error reflects the provider's health (vs. a bad request)
+ */
+function isHealthFailure(error) {
+  if (classifyError(error)) return true;
+  return isAuthFailure(error);
+}
+
+function isAuthFailure(error) {
+  const status = error?.status ?? Number(error?.message?.match(/\berror: (\d{3})\b/)?.[1]);
+  return status === 401 || status === 403;
+}
+
+/**
+ * Whether a failure affects every model of the provider (bad key, unreachable host)
+ */
+function isProviderWideFailure(error) {
+  return isAuthFailure(error) || classifyError(error) === 'network';
+}
+
+function openCircuit(entry, now) {
+  entry.circuit = { state: CIRCUIT_STATES.OPEN, openedAt: now, opens: entry.circuit.opens + 1, trialInFlight: false };
+}
+
+/**
+ * Fold an outcome into an entry's stats and circuit
+ * @param {boolean} [trips=true] - Whether a failure counts towards opening this
+ *   entry's circuit (stats are updated either way)
+ */
+function updateEntry(entry, outcome, config, trips = true) {
+  entry.outcomes.push(outcome);
+  if (entry.outcomes.length > config.windowSize) entry.outcomes.shift();
+  entry.totalCalls++;
+
+  if (outcome.ok) {
+    entry.consecutiveFailures = 0;
+    entry.tripStreak = 0;
+    entry.lastSuccessAt = outcome.at;
+    if (entry.circuit.state !== CIRCUIT_STATES.CLOSED) {
+      entry.circuit = { ...entry.circuit, state: CIRCUIT_STATES.CLOSED, openedAt: null, trialInFlight: false };
+    }
+    return;
+  }
+
+  entry.totalFailures++;
+  entry.consecutiveFailures++;
+  entry.lastFailureAt = outcome.at;
+  entry.lastError = outcome.error;
+
+  if (!config.enabled || !trips) return;
+  entry.tripStreak++;
+  if (entry.circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+    openCircuit(entry, outcome.at);
+    return;
+  }
+
+  const failures = entry.outcomes.filter((o) => !o.ok && (entry.model || o.providerWide)).length;
+  const rateTripped = entry.outcomes.length >= config.minCalls && failures / entry.outcomes.length >= config.failureRate;
+  if (entry.circuit.state === CIRCUIT_STATES.CLOSED && (entry.tripStreak >= config.consecutiveFailures || rateTripped)) {
+    openCircuit(entry, outcome.at);
+  }
+}
+
+/**
+ * Record the outcome of a provider call
+ *
+ * @param {Object} outcome
+ * @param {string} outcome.provider
+ * @param {string} [outcome.model] - Omit to record at provider level only
+ * @param {boolean} outcome.ok
+ * @param {number} [outcome.latencyMs]
+ * @param {Error} [outcome.error] - Failed calls only; request errors are ignored
+ */
+export function recordCallOutcome({ provider, model = null, ok, latencyMs = 0, error = null }) {
+  if (!provider) return;
+  if (!ok && !isHealthFailure(error)) return;
+
+  const config = getHealthConfig();
+  const now = Date.now();
+  // Without a model there is nothing narrower to blame, so every failure is provider-wide
+  const providerWide = !ok && (!model || isProviderWideFailure(error));
+  const outcome = { ok, latencyMs, at: now, ...(!ok && { error: error?.message || String(error), providerWide }) };
+
+  updateEntry(getEntry(provider), outcome, config, providerWide);
+  if (model) updateEntry(getEntry(provider, model), outcome, config);
+}
+
+// ============================================================================
+// Circuit Breaker
+// ============================================================================
+
+/**
+ * Get the circuit state, moving open circuits to half_open once cooled down
+ * @param {string} provider
+ * @param {string} [model]
+ * @returns {string} 'closed' | 'open' | 'half_open'
+ */
+export function getCircuitState(provider, model = null) {
+  const entry = registry.get(entryKey(provider, model));
+  if (!entry) return CIRCUIT_STATES.CLOSED;
+
+  const { circuit } = entry;
+  if (circuit.state === CIRCUIT_STATES.OPEN && Date.now() - circuit.openedAt >= getHealthConfig().cooldownMs) {
+    entry.circuit = { ...circuit, state: CIRCUIT_STATES.HALF_OPEN };
+  }
+  return entry.circuit.state;
+}
+
+/**
+ * Whether a circuit refuses calls: open, or half_open with its trial call in flight
+ */
+function isBlocked(provider, model = null) {
+  const state = getCircuitState(provider, model);
+  if (state === CIRCUIT_STATES.OPEN) return true;
+  return state === CIRCUIT_STATES.HALF_OPEN && registry.get(entryKey(provider, model)).circuit.trialInFlight;
+}
+
+/**
+ * Check whether calls to a provider (and optionally a specific model) are allowed
+ * @param {string} provider
+ * @param {string} [model]
+ * @returns {boolean} False while the provider's or the model's circuit is open,
+ *   or half_open with its trial call already in flight
+ */
+export function isAvailable(provider, model = null) {
+  if (!getHealthConfig().enabled) return true;
+  if (isBlocked(provider)) return false;
+  return !model || !isBlocked(provider, model);
+}
+
+/**
+ * Admit a call through the breaker, claiming the trial slot of any half_open
+ * circuit it passes
+ * @returns {Array<Object>} Claimed entries, to be released once the call settles
+ * @throws {Error} code 'CIRCUIT_OPEN' when the call is not allowed
+ */
+function admitCall(provider, model) {
+  if (!isAvailable(provider, model)) throw circuitOpenError(provider, model);
+  const claimed = [];
+  for (const key of model ? [entryKey(provider), entryKey(provider, model)] : [entryKey(provider)]) {
+    const entry = registry.get(key);
+    if (entry?.circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+      entry.circuit.trialInFlight = true;
+      claimed.push(entry);
+    }
+  }
+  return claimed;
+}
+
+/**
+ * Free trial slots a call claimed. The outcome normally settles the circuit
+ * first; this covers calls that ended without one (e.g. a 400 request error).
+ */
+function releaseTrials(claimed) {
+  for (const entry of claimed) entry.circuit.trialInFlight = false;
+}
+
+function circuitOpenError(provider, model) {
+  const providerBlocked = isBlocked(provider);
+  const entry = registry.get(providerBlocked ? entryKey(provider) : entryKey(provider, model));
+  const target = providerBlocked ? provider : `${provider}/${model}`;
+  const failures = entry.outcomes.filter((o) => !o.ok).length;
+  const err = new Error(entry.circuit.state === CIRCUIT_STATES.HALF_OPEN
+    ? `Circuit half-open for ${target}: a trial call is already in flight`
+    : `Circuit open for ${target}: ${failures}/${entry.outcomes.length} recent calls failed (last: ${entry.lastError}); ` +
+      `retry after ${new Date(entry.circuit.openedAt + getHealthConfig().cooldownMs).toISOString()}`);
+  err.code = 'CIRCUIT_OPEN';
+  err.status = 503;
+  return err;
+}
+
+/**
+ * Run a live provider call through the circuit breaker, recording its outcome
+ *
+ * @param {string} provider
+ * @param {string|null} model
+ * @param {Function} fn - () => Promise<result>
+ * @returns {Promise<*>} fn's result
+ * @throws {Error} code 'CIRCUIT_OPEN' without calling fn while the circuit is open
+ */
+export async function trackCall(provider, model, fn) {
+  const claimed = admitCall(provider, model);
+
+  const startTime = Date.now();
+  try {
+    const result = await fn();
+    recordCallOutcome({ provider, model, ok: true, latencyMs: Date.now() - startTime });
+    return result;
+  } catch (error) {
+    recordCallOutcome({ provider, model, ok: false, latencyMs: Date.now() - startTime, error });
+    throw error;
+  } finally {
+    releaseTrials(claimed);
+  }
+}
+
+/**
+ * Streaming counterpart of trackCall: the call succeeds once the stream completes
+ *
+ * @param {string} provider
+ * @param {string|null} model
+ * @param {Function} fn - () => AsyncGenerator
+ * @yields {*} fn's chunks
+ */
+export async function* trackStream(provider, model, fn) {
+  const claimed = admitCall(provider, model);
+
+  const startTime = Date.now();
+  try {
+    yield* fn();
+    recordCallOutcome({ provider, model, ok: true, latencyMs: Date.now() - startTime });
+  } catch (error) {
+    recordCallOutcome({ provider, model, ok: false, latencyMs: Date.now() - startTime, error });
+    throw error;
+  } finally {
+    releaseTrials(claimed);
+  }
+}
+
+// ============================================================================
+// Reporting
+// ============================================================================
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function snapshot(entry) {
+  const window = entry.outcomes;
+  const successes = window.filter((o) => o.ok);
+  const latencies = successes.map((o) => o.latencyMs).sort((a, b) => a - b);
+
+  return {
+    provider: entry.provider,
+    model: entry.model,
+    windowCalls: window.length,
+    successRate: window.length ? successes.length / window.length : null,
+    latency: { p50: percentile(latencies, 50), p95: percentile(latencies, 95), p99: percentile(latencies, 99) },
+    consecutiveFailures: entry.consecutiveFailures,
+    totalCalls: entry.totalCalls,
+    totalFailures: entry.totalFailures,
+    lastError: entry.lastError,
+    lastSuccessAt: entry.lastSuccessAt ? new Date(entry.lastSuccessAt).toISOString() : null,
+    lastFailureAt: entry.lastFailureAt ? new Date(entry.lastFailureAt).toISOString() : null,
+    circuit: {
+      state: getCircuitState(entry.provider, entry.model),
+      openedAt: entry.circuit.openedAt ? new Date(entry.circuit.openedAt).toISOString() : null,
+      opens: entry.circuit.opens,
+    },
+  };
+}
+
+/**
+ * Get the health snapshot for a provider or provider/model
+ * @param {string} provider
+ * @param {string} [model]
+ * @returns {Object|null} Snapshot, or null if no calls have been recorded
+ */
+export function getProviderHealth(provider, model = null) {
+  const entry = registry.get(entryKey(provider, model));
+  return entry ? snapshot(entry) : null;
+}
+
+/**
+ * List health snapshots for every provider and provider/model seen
+ * @returns {Array} Snapshots (provider-level entries have model: null)
+ */
+export function listProviderHealth() {
+  return [...registry.values()].map(snapshot);
+}
+
+/**
+ * Clear recorded health (all providers, or one provider and its models)
+ * @param {string} [provider]
+ */
+export function resetProviderHealth(provider = null) {
+  if (!provider) {
+    registry.clear();
+    return;
+  }
+  for (const [key, entry] of registry) {
+    if (entry.provider === provider) registry.delete(key);
+  }
+}
+
+export default {
+  getHealthConfig,
+  recordCallOutcome,
+  getCircuitState,
+  isAvailable,
+  trackCall,
+  trackStream,
+  getProviderHealth,
+  listProviderHealth,
+  resetProviderHealth,
+};
@@ -2,8 +2,8 @@
  * Recognition Gamification Service
  *
  * Pure computation service that reads from existing recognition tables
- * (writing_pads, recognition_moments, learner_recognition_events)
- * and returns gamification-relevant state.
+ * (writing_pads, recognition_moments, learner_recognition_events), through
+ * recognitionStore, and returns gamification-relevant state.
  *
  * This service does NOT write to any tables — consumers do that.
  * Gamification primitives emerge from recognition theory rather than
@@ -13,7 +13,7 @@
  */
 
 import * as writingPadService from './writingPadService.js';
-import { getDb } from './dbService.js';
+import { getRecognitionStore } from './recognitionStore.js';
 
 // ============================================================================
 // Recognition Milestone Definitions
@@ -92,18 +92,12 @@ export function computeRecognitionDepth(learnerId) {
   const { dialecticalDepth, mutualTransformationScore, pedagogicalAttunement } = pad.metrics;
 
   // Compute breakthrough density from learner events
-  const breakthroughEvents = getDb().prepare(
-    `SELECT COUNT(*) as count FROM learner_recognition_events
-     WHERE learner_id = ? AND event_type = 'breakthrough'`
-  ).get(learnerId);
-
-  const totalEvents = getDb().prepare(
-    `SELECT COUNT(*) as count FROM learner_recognition_events
-     WHERE learner_id = ?`
-  ).get(learnerId);
-
-  const breakthroughDensity = totalEvents.count > 0
-    ? breakthroughEvents.count / totalEvents.count
+  const store = getRecognitionStore();
+  const breakthroughEvents = store.countLearnerEvents(learnerId, { eventType: 'breakthrough' });
+  const totalEvents = store.countLearnerEvents(learnerId);
+
+  const breakthroughDensity = totalEvents > 0
+    ? breakthroughEvents / totalEvents
     : 0;
 
   // Composite depth formula
@@ -133,19 +127,9 @@ export function computeRecognitionDepth(learnerId) {
  * @returns {'rising'|'falling'|'stable'|'none'}
  */
 function computeDepthTrend(learnerId, writingPadId) {
-  const recentMoments = getDb().prepare(
-    `SELECT struggle_depth, mutual_acknowledgment, transformative
-     FROM recognition_moments
-     WHERE writing_pad_id = ?
-     ORDER BY created_at DESC LIMIT 5`
-  ).all(writingPadId);
-
-  const olderMoments = getDb().prepare(
-    `SELECT struggle_depth, mutual_acknowledgment, transformative
-     FROM recognition_moments
-     WHERE writing_pad_id = ?
-     ORDER BY created_at DESC LIMIT 5 OFFSET 5`
-  ).all(writingPadId);
+  const store = getRecognitionStore();
+  const recentMoments = store.listRecognitionMoments(writingPadId, { order: 'desc', limit: 5 });
+  const olderMoments = store.listRecognitionMoments(writingPadId, { order: 'desc', limit: 5, offset: 5 });
 
   if (recentMoments.length < 2) return 'none';
   if (olderMoments.length < 2) return 'rising'; // Still early, assume rising
@@ -177,13 +161,12 @@ export function checkRecognitionMilestones(learnerId) {
   }
 
   const results = [];
+  const store = getRecognitionStore();
+  const firstMoment = (filters, orderBy = 'created_at') =>
+    store.listRecognitionMoments(pad.id, { ...filters, orderBy, order: 'asc', limit: 1 })[0];
 
   // first_negation: First recognition_type = 'existential' moment
-  const firstExistential = getDb().prepare(
-    `SELECT created_at FROM recognition_moments
-     WHERE writing_pad_id = ? AND recognition_type = 'existential'
-     ORDER BY created_at ASC LIMIT 1`
-  ).get(pad.id);
+  const firstExistential = firstMoment({ recognitionType: 'existential' });
   results.push({
     ...MILESTONE_DEFINITIONS.first_negation,
     achieved: !!firstExistential,
@@ -192,11 +175,7 @@ export function checkRecognitionMilestones(learnerId) {
   });
 
   // productive_resistance: First resistance_interpretation = 'productive' event
-  const firstProductive = getDb().prepare(
-    `SELECT created_at FROM learner_recognition_events
-     WHERE learner_id = ? AND resistance_interpretation = 'productive'
-     ORDER BY created_at ASC LIMIT 1`
-  ).get(learnerId);
+  const firstProductive = store.listLearnerEvents(learnerId, { resistanceInterpretation: 'productive', order: 'asc', limit: 1 })[0];
   results.push({
     ...MILESTONE_DEFINITIONS.productive_resistance,
     achieved: !!firstProductive,
@@ -205,11 +184,7 @@ export function checkRecognitionMilestones(learnerId) {
   });
 
   // mutual_transformation: First mutual_acknowledgment = TRUE moment
-  const firstMutual = getDb().prepare(
-    `SELECT created_at FROM recognition_moments
-     WHERE writing_pad_id = ? AND mutual_acknowledgment = 1
-     ORDER BY created_at ASC LIMIT 1`
-  ).get(pad.id);
+  const firstMutual = firstMoment({ mutualAcknowledgment: true });
   results.push({
     ...MILESTONE_DEFINITIONS.mutual_transformation,
     achieved: !!firstMutual,
@@ -218,11 +193,7 @@ export function checkRecognitionMilestones(learnerId) {
   });
 
   // memory_consolidation: First persistence_layer = 'unconscious' moment
-  const firstUnconscious = getDb().prepare(
-    `SELECT created_at, consolidated_at FROM recognition_moments
-     WHERE writing_pad_id = ? AND persistence_layer = 'unconscious'
-     ORDER BY consolidated_at ASC LIMIT 1`
-  ).get(pad.id);
+  const firstUnconscious = firstMoment({ persistenceLayer: 'unconscious' }, 'consolidated_at');
   results.push({
     ...MILESTONE_DEFINITIONS.memory_consolidation,
     achieved: !!firstUnconscious,
@@ -243,41 +214,31 @@ export function checkRecognitionMilestones(learnerId) {
   });
 
   // dialectical_mastery: dialectical_depth > 0.7 across 5+ sessions
-  const highDepthSessions = getDb().prepare(
-    `SELECT COUNT(DISTINCT session_id) as count FROM recognition_moments
-     WHERE writing_pad_id = ? AND session_id IS NOT NULL`
-  ).get(pad.id);
-  const dialecticalMastery = pad.metrics.dialecticalDepth > 0.7 && (highDepthSessions?.count || 0) >= 5;
+  const highDepthSessions = new Set(store.listRecognitionMoments(pad.id, { hasSession: true }).map(m => m.session_id)).size;
+  const dialecticalMastery = pad.metrics.dialecticalDepth > 0.7 && highDepthSessions >= 5;
   results.push({
     ...MILESTONE_DEFINITIONS.dialectical_mastery,
     achieved: dialecticalMastery,
     achievedAt: dialecticalMastery ? pad.updatedAt : null,
     evidence: dialecticalMastery
-      ? `Dialectical depth ${pad.metrics.dialecticalDepth.toFixed(2)} across ${highDepthSessions.count} sessions`
+      ? `Dialectical depth ${pad.metrics.dialecticalDepth.toFixed(2)} across ${highDepthSessions} sessions`
       : null,
   });
 
   // metacognitive_awakening: 3+ recognition_type = 'metacognitive' moments
-  const metacognitiveCount = getDb().prepare(
-    `SELECT COUNT(*) as count FROM recognition_moments
-     WHERE writing_pad_id = ? AND recognition_type = 'metacognitive'`
-  ).get(pad.id);
-  const metacognitiveAchieved = (metacognitiveCount?.count || 0) >= 3;
+  const metacognitiveCount = store.listRecognitionMoments(pad.id, { recognitionType: 'metacognitive' }).length;
+  const metacognitiveAchieved = metacognitiveCount >= 3;
   results.push({
     ...MILESTONE_DEFINITIONS.metacognitive_awakening,
     achieved: metacognitiveAchieved,
     achievedAt: metacognitiveAchieved ? pad.updatedAt : null,
     evidence: metacognitiveAchieved
-      ? `${metacognitiveCount.count} metacognitive recognition moments`
+      ? `${metacognitiveCount} metacognitive recognition moments`
       : null,
   });
 
   // synthesis_achieved: First synthesis_strategy = 'dialectical_synthesis'
-  const firstSynthesis = getDb().prepare(
-    `SELECT created_at FROM recognition_moments
-     WHERE writing_pad_id = ? AND synthesis_strategy = 'dialectical_synthesis'
-     ORDER BY created_at ASC LIMIT 1`
-  ).get(pad.id);
+  const firstSynthesis = firstMoment({ synthesisStrategy: 'dialectical_synthesis' });
   results.push({
     ...MILESTONE_DEFINITIONS.synthesis_achieved,
     achieved: !!firstSynthesis,
@@ -367,12 +328,12 @@ export function getMemoryLayerProgression(learnerId) {
  */
 function getRecentTransitions(writingPadId) {
   // Find moments that have been consolidated (transitioned to unconscious)
-  const consolidated = getDb().prepare(
-    `SELECT id, created_at, consolidated_at, persistence_layer, synthesis_resolution
-     FROM recognition_moments
-     WHERE writing_pad_id = ? AND consolidated_at IS NOT NULL
-     ORDER BY consolidated_at DESC LIMIT 10`
-  ).all(writingPadId);
+  const consolidated = getRecognitionStore().listRecognitionMoments(writingPadId, {
+    consolidated: true,
+    orderBy: 'consolidated_at',
+    order: 'desc',
+    limit: 10,
+  });
 
   return consolidated.map(m => ({
     momentId: m.id,
@@ -407,29 +368,11 @@ export function computeRecognitionFlow(learnerId, sessionId) {
     };
   }
 
-  // Get session moments
-  let query = `SELECT * FROM recognition_moments WHERE writing_pad_id = ?`;
-  const params = [pad.id];
-
-  if (sessionId) {
-    query += ' AND session_id = ?';
-    params.push(sessionId);
-  } else {
-    // Get the most recent session
-    const latestSession = getDb().prepare(
-      `SELECT session_id FROM recognition_moments
-       WHERE writing_pad_id = ? AND session_id IS NOT NULL
-       ORDER BY created_at DESC LIMIT 1`
-    ).get(pad.id);
-
-    if (latestSession) {
-      query += ' AND session_id = ?';
-      params.push(latestSession.session_id);
-    }
-  }
-
-  query += ' ORDER BY created_at ASC';
-  const moments = getDb().prepare(query).all(...params);
+  // Get session moments (the most recent session if none given)
+  const store = getRecognitionStore();
+  const momentSessionId = sessionId
+    || store.listRecognitionMoments(pad.id, { hasSession: true, order: 'desc', limit: 1 })[0]?.session_id;
+  const moments = store.listRecognitionMoments(pad.id, { sessionId: momentSessionId, order: 'asc' });
 
   if (moments.length === 0) {
     return {
@@ -450,12 +393,7 @@ export function computeRecognitionFlow(learnerId, sessionId) {
   const synthesisBalance = moments.length > 0 ? synthesisMoments / moments.length : 0;
 
   // Resistance productivity from session events
-  const sessionEvents = getDb().prepare(
-    `SELECT * FROM learner_recognition_events
-     WHERE learner_id = ? AND event_type = 'resistance'
-     ${sessionId ? 'AND session_id = ?' : ''}
-     ORDER BY created_at DESC LIMIT 20`
-  ).all(sessionId ? [learnerId, sessionId] : [learnerId]);
+  const sessionEvents = store.listLearnerEvents(learnerId, { eventType: 'resistance', sessionId, order: 'desc', limit: 20 });
 
   const productiveResistance = sessionEvents.filter(
     e => e.resistance_interpretation === 'productive'
@@ -511,25 +449,24 @@ export function getDialecticalContinuity(learnerId) {
     };
   }
 
-  // Get all sessions and whether they had recognition moments
-  const sessions = getDb().prepare(
-    `SELECT session_id, COUNT(*) as moment_count, MIN(created_at) as first_moment
-     FROM recognition_moments
-     WHERE writing_pad_id = ? AND session_id IS NOT NULL
-     GROUP BY session_id
-     ORDER BY first_moment ASC`
-  ).all(pad.id);
+  // Get all sessions and whether they had recognition moments (moments come oldest first)
+  const store = getRecognitionStore();
+  const sessionMoments = new Map();
+  for (const moment of store.listRecognitionMoments(pad.id, { hasSession: true, order: 'asc' })) {
+    if (!sessionMoments.has(moment.session_id)) {
+      sessionMoments.set(moment.session_id, { session_id: moment.session_id, moment_count: 0, first_moment: moment.created_at });
+    }
+    sessionMoments.get(moment.session_id).moment_count++;
+  }
+  const sessions = Array.from(sessionMoments.values());
 
   const sessionsWithRecognition = sessions.length;
 
   // For sessionsWithout, we need total sessions. Estimate from events.
-  const allSessionIds = getDb().prepare(
-    `SELECT DISTINCT session_id FROM learner_recognition_events
-     WHERE learner_id = ? AND session_id IS NOT NULL
-     UNION
-     SELECT DISTINCT session_id FROM recognition_moments
-     WHERE writing_pad_id = ? AND session_id IS NOT NULL`
-  ).all(learnerId, pad.id);
+  const allSessionIds = [...new Set([
+    ...store.listLearnerEvents(learnerId, { hasSession: true }).map(e => e.session_id),
+    ...sessions.map(s => s.session_id),
+  ])].sort().map(session_id => ({ session_id }));
 
   const totalSessions = allSessionIds.length;
   const sessionsWithout = totalSessions - sessionsWithRecognition;
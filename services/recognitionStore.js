@@ -0,0 +1,413 @@
+/**
+ * Recognition Store
+ *
+ * Storage backends for the recognition data used by writingPadService,
+ * learnerIntegrationService and recognitionGamificationService. Both
+ * implement the same interface; records keep the column names of the
+ * migration 008 tables (writing_pads, recognition_moments,
+ * learner_recognition_events), with JSON columns stored as strings and
+ * booleans as 0/1:
+ *
+ *   insertWritingPad(row)                      Throws if the learner already has a pad
+ *   getWritingPadByLearner(learnerId)          Row or null
+ *   updateWritingPad(learnerId, changes, opts) Set columns (bumps updated_at);
+ *                                              opts.incrementMoments adds to total_recognition_moments
+ *
+ *   insertRecognitionMoment(row)               created_at defaults to now
+ *   getRecognitionMoment(id)                   Row or null
+ *   consolidateRecognitionMoment(id)           persistence_layer = 'unconscious', consolidated_at = now
+ *   listRecognitionMoments(padId, filters)     { sessionId, hasSession, recognitionType, persistenceLayer,
+ *                                                synthesisStrategy, transformativeOnly, mutualAcknowledgment,
+ *                                                consolidated, orderBy, order, limit, offset }
+ *
+ *   insertLearnerEvent(row)                    created_at defaults to now
+ *   getLearnerEvent(id)                        Row or null
+ *   listLearnerEvents(learnerId, filters)      { eventType, sessionId, hasSession, resistanceInterpretation,
+ *                                                since, order, limit, offset }
+ *   countLearnerEvents(learnerId, filters)     Same filters, ignoring order/limit/offset
+ *
+ *   deleteLearnerData(learnerId)               Remove the learner's pad, its moments and their events;
+ *                                              returns { writingPads, recognitionMoments, learnerEvents }
+ *
+ * - createSqliteRecognitionStore(): via dbService (default)
+ * - createMemoryRecognitionStore(): in-process, for hosts without native
+ *   modules and for tests that don't need a database
+ *
+ * Timestamps use SQLite's CURRENT_TIMESTAMP format (YYYY-MM-DD HH:MM:SS, UTC)
+ * in both stores so ordering and comparisons behave the same.
+ */
+
+import { getDb } from './dbService.js';
+
+const PAD_COLUMNS = [
+  'id', 'learner_id', 'created_at', 'updated_at',
+  'total_recognition_moments', 'dialectical_depth', 'mutual_transformation_score', 'pedagogical_attunement',
+  'conscious_state', 'preconscious_state', 'unconscious_state',
+];
+
+const MOMENT_COLUMNS = [
+  'id', 'writing_pad_id', 'session_id', 'created_at',
+  'thesis_agent', 'thesis_position', 'thesis_reasoning',
+  'antithesis_agent', 'antithesis_position', 'antithesis_reasoning',
+  'synthesis_resolution', 'ego_transformation', 'superego_transformation', 'learner_insight',
+  'mutual_acknowledgment', 'recognition_type', 'struggle_depth', 'persistence_layer', 'consolidated_at',
+  'learner_context', 'dialogue_trace', 'ghost_demand', 'learner_need', 'synthesis_strategy', 'transformative', 'parameters',
+];
+
+const EVENT_COLUMNS = [
+  'id', 'learner_id', 'writing_pad_id', 'session_id', 'created_at', 'event_type',
+  'tutor_suggestion', 'learner_response', 'resistance_interpretation',
+  'trigger_event', 'evidence', 'recognition_achieved',
+  'demand_category', 'demand_strength', 'context_snapshot',
+];
+
+const PAD_UPDATABLE = PAD_COLUMNS.filter((c) => !['id', 'learner_id', 'created_at', 'updated_at'].includes(c));
+
+const MOMENT_ORDER_COLUMNS = ['created_at', 'consolidated_at'];
+
+// ============================================================================
+// Shared Helpers
+// ============================================================================
+
+/**
+ * Current time in SQLite CURRENT_TIMESTAMP format
+ * @returns {string}
+ */
+export function currentTimestamp() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.filter((c) => row[c] !== undefined).map((c) => [c, row[c]]));
+}
+
+function assertColumns(changes, allowed, table) {
+  for (const column of Object.keys(changes)) {
+    if (!allowed.includes(column)) throw new Error(`Cannot update ${table}.${column}`);
+  }
+}
+
+function orderDirection(order) {
+  return order === 'asc' ? 'ASC' : 'DESC';
+}
+
+// ============================================================================
+// Memory Store
+// ============================================================================
+
+function compareValues(a, b) {
+  // Matches SQLite: NULLs sort before any value
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+function sortAndPage(rows, column, { order = 'desc', limit = null, offset = 0 } = {}) {
+  const sorted = [...rows].sort((a, b) => (order === 'asc' ? 1 : -1) * compareValues(a[column], b[column]));
+  const paged = sorted.slice(offset || 0, limit ? (offset || 0) + limit : undefined);
+  return paged.map((row) => ({ ...row }));
+}
+
+/**
+ * Create an in-process recognition store
+ * @returns {Object} Recognition store
+ */
+export function createMemoryRecognitionStore() {
+  const pads = new Map(); // learner_id -> row
+  const moments = new Map(); // id -> row
+  const events = new Map(); // id -> row
+
+  function momentMatches(row, padId, filters) {
+    const { sessionId, hasSession, recognitionType, persistenceLayer, synthesisStrategy, transformativeOnly, mutualAcknowledgment, consolidated } = filters;
+    return row.writing_pad_id === padId &&
+      (sessionId === undefined || sessionId === null || row.session_id === sessionId) &&
+      (!hasSession || row.session_id !== null) &&
+      (!recognitionType || row.recognition_type === recognitionType) &&
+      (!persistenceLayer || row.persistence_layer === persistenceLayer) &&
+      (!synthesisStrategy || row.synthesis_strategy === synthesisStrategy) &&
+      (!transformativeOnly || row.transformative === 1) &&
+      (mutualAcknowledgment === undefined || row.mutual_acknowledgment === (mutualAcknowledgment ? 1 : 0)) &&
+      (consolidated === undefined || (row.consolidated_at !== null) === consolidated);
+  }
+
+  function eventMatches(row, learnerId, filters) {
+    const { eventType, sessionId, hasSession, resistanceInterpretation, since } = filters;
+    return row.learner_id === learnerId &&
+      (!eventType || row.event_type === eventType) &&
+      (sessionId === undefined || sessionId === null || row.session_id === sessionId) &&
+      (!hasSession || row.session_id !== null) &&
+      (!resistanceInterpretation || row.resistance_interpretation === resistanceInterpretation) &&
+      (!since || row.created_at > since);
+  }
+
+  const toFlag = (value) => (value === null || value === undefined ? null : value ? 1 : 0);
+
+  return {
+    name: 'memory',
+
+    insertWritingPad(row) {
+      if (pads.has(row.learner_id)) throw new Error(`Writing pad already exists for learner ${row.learner_id}`);
+      const now = currentTimestamp();
+      pads.set(row.learner_id, {
+        created_at: now,
+        updated_at: now,
+        total_recognition_moments: 0,
+        dialectical_depth: 0.0,
+        mutual_transformation_score: 0.0,
+        pedagogical_attunement: 0.5,
+        conscious_state: '{}',
+        preconscious_state: '{}',
+        unconscious_state: '{}',
+        ...pick(row, PAD_COLUMNS),
+      });
+    },
+
+    getWritingPadByLearner(learnerId) {
+      const row = pads.get(learnerId);
+      return row ? { ...row } : null;
+    },
+
+    updateWritingPad(learnerId, changes, { incrementMoments = 0 } = {}) {
+      assertColumns(changes, PAD_UPDATABLE, 'writing_pads');
+      const row = pads.get(learnerId);
+      if (!row) return;
+      Object.assign(row, changes, { updated_at: currentTimestamp() });
+      row.total_recognition_moments += incrementMoments;
+    },
+
+    insertRecognitionMoment(row) {
+      const full = Object.fromEntries(MOMENT_COLUMNS.map((c) => [c, null]));
+      moments.set(row.id, {
+        ...full,
+        created_at: currentTimestamp(),
+        mutual_acknowledgment: 0,
+        struggle_depth: 0.0,
+        transformative: 0,
+        ...pick(row, MOMENT_COLUMNS),
+      });
+    },
+
+    getRecognitionMoment(id) {
+      const row = moments.get(id);
+      return row ? { ...row } : null;
+    },
+
+    consolidateRecognitionMoment(id) {
+      const row = moments.get(id);
+      if (!row) return;
+      row.persistence_layer = 'unconscious';
+      row.consolidated_at = currentTimestamp();
+    },
+
+    listRecognitionMoments(writingPadId, filters = {}) {
+      const column = MOMENT_ORDER_COLUMNS.includes(filters.orderBy) ? filters.orderBy : 'created_at';
+      const rows = Array.from(moments.values()).filter((row) => momentMatches(row, writingPadId, filters));
+      return sortAndPage(rows, column, filters);
+    },
+
+    insertLearnerEvent(row) {
+      const full = Object.fromEntries(EVENT_COLUMNS.map((c) => [c, null]));
+      const event = { ...full, created_at: currentTimestamp(), ...pick(row, EVENT_COLUMNS) };
+      event.recognition_achieved = toFlag(event.recognition_achieved);
+      events.set(row.id, event);
+    },
+
+    getLearnerEvent(id) {
+      const row = events.get(id);
+      return row ? { ...row } : null;
+    },
+
+    listLearnerEvents(learnerId, filters = {}) {
+      const rows = Array.from(events.values()).filter((row) => eventMatches(row, learnerId, filters));
+      return sortAndPage(rows, 'created_at', filters);
+    },
+
+    countLearnerEvents(learnerId, filters = {}) {
+      return Array.from(events.values()).filter((row) => eventMatches(row, learnerId, filters)).length;
+    },
+
+    deleteLearnerData(learnerId) {
+      const counts = { writingPads: 0, recognitionMoments: 0, learnerEvents: 0 };
+      const pad = pads.get(learnerId);
+      if (pad) {
+        pads.delete(learnerId);
+        counts.writingPads = 1;
+        for (const [id, row] of moments) {
+          if (row.writing_pad_id === pad.id) {
+            moments.delete(id);
+            counts.recognitionMoments++;
+          }
+        }
+      }
+      for (const [id, row] of events) {
+        if (row.learner_id === learnerId || (pad && row.writing_pad_id === pad.id)) {
+          events.delete(id);
+          counts.learnerEvents++;
+        }
+      }
+      return counts;
+    },
+  };
+}
+
+// ============================================================================
+// SQLite Store
+// ============================================================================
+
+function insertRow(db, table, columns, row) {
+  const data = pick(row, columns);
+  const names = Object.keys(data);
+  db.prepare(`INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`).run(...Object.values(data));
+}
+
+function pageClause({ limit = null, offset = 0 } = {}, params) {
+  if (!limit && !offset) return '';
+  params.push(limit ?? -1, offset || 0);
+  return ' LIMIT ? OFFSET ?';
+}
+
+function momentFilterClause(writingPadId, filters) {
+  const { sessionId, hasSession, recognitionType, persistenceLayer, synthesisStrategy, transformativeOnly, mutualAcknowledgment, consolidated } = filters;
+  const clauses = ['writing_pad_id = ?'];
+  const params = [writingPadId];
+  if (sessionId !== undefined && sessionId !== null) { clauses.push('session_id = ?'); params.push(sessionId); }
+  if (hasSession) clauses.push('session_id IS NOT NULL');
+  if (recognitionType) { clauses.push('recognition_type = ?'); params.push(recognitionType); }
+  if (persistenceLayer) { clauses.push('persistence_layer = ?'); params.push(persistenceLayer); }
+  if (synthesisStrategy) { clauses.push('synthesis_strategy = ?'); params.push(synthesisStrategy); }
+  if (transformativeOnly) clauses.push('transformative = 1');
+  if (mutualAcknowledgment !== undefined) { clauses.push('mutual_acknowledgment = ?'); params.push(mutualAcknowledgment ? 1 : 0); }
+  if (consolidated !== undefined) clauses.push(consolidated ? 'consolidated_at IS NOT NULL' : 'consolidated_at IS NULL');
+  return { where: clauses.join(' AND '), params };
+}
+
+function eventFilterClause(learnerId, filters) {
+  const { eventType, sessionId, hasSession, resistanceInterpretation, since } = filters;
+  const clauses = ['learner_id = ?'];
+  const params = [learnerId];
+  if (eventType) { clauses.push('event_type = ?'); params.push(eventType); }
+  if (sessionId !== undefined && sessionId !== null) { clauses.push('session_id = ?'); params.push(sessionId); }
+  if (hasSession) clauses.push('session_id IS NOT NULL');
+  if (resistanceInterpretation) { clauses.push('resistance_interpretation = ?'); params.push(resistanceInterpretation); }
+  if (since) { clauses.push('created_at > ?'); params.push(since); }
+  return { where: clauses.join(' AND '), params };
+}
+
+/**
+ * Create a SQLite-backed recognition store (tables from migration 008)
+ * @param {Object} options - { db } optional database handle (defaults to dbService.getDb())
+ * @returns {Object} Recognition store
+ */
+export function createSqliteRecognitionStore(options = {}) {
+  const db = () => options.db || getDb();
+
+  return {
+    name: 'sqlite',
+
+    insertWritingPad(row) {
+      insertRow(db(), 'writing_pads', PAD_COLUMNS, row);
+    },
+
+    getWritingPadByLearner(learnerId) {
+      return db().prepare('SELECT * FROM writing_pads WHERE learner_id = ?').get(learnerId) || null;
+    },
+
+    updateWritingPad(learnerId, changes, { incrementMoments = 0 } = {}) {
+      assertColumns(changes, PAD_UPDATABLE, 'writing_pads');
+      const sets = Object.keys(changes).map((c) => `${c} = ?`);
+      if (incrementMoments) sets.push(`total_recognition_moments = total_recognition_moments + ${Number(incrementMoments)}`);
+      sets.push('updated_at = CURRENT_TIMESTAMP');
+      db().prepare(`UPDATE writing_pads SET ${sets.join(', ')} WHERE learner_id = ?`).run(...Object.values(changes), learnerId);
+    },
+
+    insertRecognitionMoment(row) {
+      insertRow(db(), 'recognition_moments', MOMENT_COLUMNS, row);
+    },
+
+    getRecognitionMoment(id) {
+      return db().prepare('SELECT * FROM recognition_moments WHERE id = ?').get(id) || null;
+    },
+
+    consolidateRecognitionMoment(id) {
+      db().prepare(`
+        UPDATE recognition_moments
+        SET persistence_layer = 'unconscious', consolidated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(id);
+    },
+
+    listRecognitionMoments(writingPadId, filters = {}) {
+      const column = MOMENT_ORDER_COLUMNS.includes(filters.orderBy) ? filters.orderBy : 'created_at';
+      const { where, params } = momentFilterClause(writingPadId, filters);
+      const query = `SELECT * FROM recognition_moments WHERE ${where} ORDER BY ${column} ${orderDirection(filters.order)}`;
+      return db().prepare(query + pageClause(filters, params)).all(...params);
+    },
+
+    insertLearnerEvent(row) {
+      const data = { ...row };
+      if (data.recognition_achieved !== undefined && data.recognition_achieved !== null) {
+        data.recognition_achieved = data.recognition_achieved ? 1 : 0;
+      }
+      insertRow(db(), 'learner_recognition_events', EVENT_COLUMNS, data);
+    },
+
+    getLearnerEvent(id) {
+      return db().prepare('SELECT * FROM learner_recognition_events WHERE id = ?').get(id) || null;
+    },
+
+    listLearnerEvents(learnerId, filters = {}) {
+      const { where, params } = eventFilterClause(learnerId, filters);
+      const query = `SELECT * FROM learner_recognition_events WHERE ${where} ORDER BY created_at ${orderDirection(filters.order)}`;
+      return db().prepare(query + pageClause(filters, params)).all(...params);
+    },
+
+    countLearnerEvents(learnerId, filters = {}) {
+      const { where, params } = eventFilterClause(learnerId, filters);
+      return db().prepare(`SELECT COUNT(*) as count FROM learner_recognition_events WHERE ${where}`).get(...params).count;
+    },
+
+    deleteLearnerData(learnerId) {
+      const database = db();
+      // Moments are deleted explicitly: ON DELETE CASCADE needs PRAGMA foreign_keys
+      const padIds = "(SELECT id FROM writing_pads WHERE learner_id = ?)";
+      return database.transaction(() => ({
+        recognitionMoments: database.prepare(`DELETE FROM recognition_moments WHERE writing_pad_id IN ${padIds}`).run(learnerId).changes,
+        learnerEvents: database.prepare(`DELETE FROM learner_recognition_events WHERE learner_id = ? OR writing_pad_id IN ${padIds}`)
+          .run(learnerId, learnerId).changes,
+        writingPads: database.prepare('DELETE FROM writing_pads WHERE learner_id = ?').run(learnerId).changes,
+      }))();
+    },
+  };
+}
+
+// ============================================================================
+// Active Store
+// ============================================================================
+
+let activeStore = null;
+
+/**
+ * Get the recognition store used by the recognition services (SQLite unless replaced)
+ * @returns {Object} Recognition store
+ */
+export function getRecognitionStore() {
+  if (!activeStore) activeStore = createSqliteRecognitionStore();
+  return activeStore;
+}
+
+/**
+ * Replace the recognition store (e.g. the memory store, or a host-provided backend)
+ * @param {Object|null} store - Store implementing the recognitionStore interface (null = SQLite)
+ */
+export function setRecognitionStore(store) {
+  activeStore = store;
+}
+
+export default {
+  currentTimestamp,
+  createMemoryRecognitionStore,
+  createSqliteRecognitionStore,
+  getRecognitionStore,
+  setRecognitionStore,
+};
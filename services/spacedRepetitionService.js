@@ -0,0 +1,304 @@
+/**
+ * Spaced Repetition Service
+ *
+ * Models the learner's forgetting of content with an SM-2 review schedule per
+ * learner and concept. The Writing Pad's preconscious layer fades the tutor's
+ * own patterns (writingPadService.forgetStalePatterns); this schedule tracks
+ * when the learner should see a concept again.
+ *
+ * Each quiz outcome is a review with an SM-2 quality (0-5):
+ *
+ *   EF' = max(minEase, EF + 0.1 - (5 - q)(0.08 + (5 - q) 0.02))
+ *   q >= 3: interval 1, then 6, then round(interval * EF'); repetitions + 1
+ *   q <  3: interval 1; repetitions reset, lapses + 1
+ *
+ * Outcomes come from quiz events (recordQuizOutcome), usually via
+ * learnerIntegrationService.recordLearnerEvent:
+ * - quiz_answer       { conceptId | concepts | target, correct | score | quality }
+ * - quiz_complete     { target | quizId, passed | score | quality, answers?: [{ conceptId, correct }] }
+ * Concepts are resolved as in knowledgeTracingService.observationsFromEvent.
+ *
+ * Items whose due date has passed are listed by getDueReviews(); runDialogue
+ * appends them to the learner context when a learnerId is given.
+ *
+ * Configured by `spaced_repetition` in tutor-agents.yaml. Items are stored in
+ * learner_review_items (migration 015).
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import { getDb } from './dbService.js';
+import { getKnowledgeTracingConfig, observationsFromEvent } from './knowledgeTracingService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  initialEase: 2.5,
+  minEase: 1.3,
+  maxIntervalDays: 365,
+  correctQuality: 4,
+  incorrectQuality: 1,
+  dueLimit: 5,
+};
+
+export const REVIEW_EVENT_TYPES = ['quiz_answer', 'quiz_complete'];
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Get the spaced repetition configuration with defaults applied
+ * @returns {Object} { enabled, initialEase, minEase, maxIntervalDays, correctQuality, incorrectQuality, dueLimit }
+ */
+export function getSpacedRepetitionConfig() {
+  let config;
+  try {
+    config = configLoader.getSpacedRepetitionConfig() || {};
+  } catch {
+    config = {};
+  }
+
+  return {
+    enabled: config.enabled ?? DEFAULT_CONFIG.enabled,
+    initialEase: config.initial_ease ?? DEFAULT_CONFIG.initialEase,
+    minEase: config.min_ease ?? DEFAULT_CONFIG.minEase,
+    maxIntervalDays: config.max_interval_days ?? DEFAULT_CONFIG.maxIntervalDays,
+    correctQuality: config.correct_quality ?? DEFAULT_CONFIG.correctQuality,
+    incorrectQuality: config.incorrect_quality ?? DEFAULT_CONFIG.incorrectQuality,
+    dueLimit: config.due_limit ?? DEFAULT_CONFIG.dueLimit,
+  };
+}
+
+// ============================================================================
+// SM-2 Scheduling
+// ============================================================================
+
+/**
+ * Apply one SM-2 review
+ *
+ * @param {Object|null} item - { easeFactor, intervalDays, repetitions, lapses }, or null for a new item
+ * @param {number} quality - 0 (blackout) to 5 (perfect recall)
+ * @param {Object} [options] - { initialEase, minEase, maxIntervalDays }
+ * @returns {Object} { easeFactor, intervalDays, repetitions, lapses }
+ */
+export function scheduleReview(item, quality, options = {}) {
+  const { initialEase = DEFAULT_CONFIG.initialEase, minEase = DEFAULT_CONFIG.minEase, maxIntervalDays = DEFAULT_CONFIG.maxIntervalDays } =
+    options;
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+  const easeFactor = item?.easeFactor ?? initialEase;
+  const repetitions = item?.repetitions ?? 0;
+  const lapses = item?.lapses ?? 0;
+
+  const nextEase = Math.max(minEase, easeFactor + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+
+  if (q < 3) {
+    return { easeFactor: nextEase, intervalDays: 1, repetitions: 0, lapses: lapses + 1 };
+  }
+
+  let intervalDays;
+  if (repetitions === 0) intervalDays = 1;
+  else if (repetitions === 1) intervalDays = 6;
+  else intervalDays = Math.round(item.intervalDays * nextEase);
+
+  return { easeFactor: nextEase, intervalDays: Math.min(intervalDays, maxIntervalDays), repetitions: repetitions + 1, lapses };
+}
+
+/**
+ * Map a quiz outcome to an SM-2 quality
+ *
+ * An explicit quality wins, then a 0-1 score (scaled to 0-5), then correctness.
+ *
+ * @param {Object} outcome - { quality?, score?, correct? }
+ * @param {Object} [config] - From getSpacedRepetitionConfig()
+ * @returns {number|null} Quality 0-5, or null when the outcome is unknown
+ */
+export function qualityFromOutcome(outcome, config = DEFAULT_CONFIG) {
+  if (typeof outcome.quality === 'number') return Math.max(0, Math.min(5, Math.round(outcome.quality)));
+  if (typeof outcome.score === 'number') return Math.round(Math.max(0, Math.min(1, outcome.score)) * 5);
+  if (typeof outcome.correct === 'boolean') return outcome.correct ? config.correctQuality : config.incorrectQuality;
+  return null;
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+function rowToItem(row) {
+  return {
+    learnerId: row.learner_id,
+    conceptId: row.concept_id,
+    writingPadId: row.writing_pad_id,
+    lectureId: row.lecture_id,
+    easeFactor: row.ease_factor,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    lastQuality: row.last_quality,
+    lastReviewedAt: row.last_reviewed_at,
+    dueAt: row.due_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Get a learner's review item for a concept
+ * @param {string} learnerId
+ * @param {string} conceptId
+ * @returns {Object|null}
+ */
+export function getReviewItem(learnerId, conceptId) {
+  const row = getDb().prepare('SELECT * FROM learner_review_items WHERE learner_id = ? AND concept_id = ?').get(learnerId, conceptId);
+  return row ? rowToItem(row) : null;
+}
+
+/**
+ * Record one review of a learner's concept and reschedule it
+ *
+ * @param {Object} review
+ * @param {string} review.learnerId
+ * @param {string} review.conceptId
+ * @param {number} review.quality - SM-2 quality 0-5
+ * @param {string} [review.lectureId]
+ * @param {string} [review.writingPadId]
+ * @param {Date} [review.reviewedAt] - Defaults to now
+ * @returns {Object} The updated review item
+ */
+export function recordReview({ learnerId, conceptId, quality, lectureId = null, writingPadId = null, reviewedAt = new Date() }) {
+  const config = getSpacedRepetitionConfig();
+  const existing = getReviewItem(learnerId, conceptId);
+  const next = scheduleReview(existing, quality, config);
+
+  const reviewedIso = reviewedAt.toISOString();
+  const dueAt = new Date(reviewedAt.getTime() + next.intervalDays * DAY_MS).toISOString();
+
+  getDb().prepare(`
+    INSERT INTO learner_review_items (
+      learner_id, concept_id, writing_pad_id, lecture_id, ease_factor, interval_days,
+      repetitions, lapses, last_quality, last_reviewed_at, due_at, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(learner_id, concept_id) DO UPDATE SET
+      writing_pad_id = COALESCE(excluded.writing_pad_id, writing_pad_id),
+      lecture_id = COALESCE(excluded.lecture_id, lecture_id),
+      ease_factor = excluded.ease_factor,
+      interval_days = excluded.interval_days,
+      repetitions = excluded.repetitions,
+      lapses = excluded.lapses,
+      last_quality = excluded.last_quality,
+      last_reviewed_at = excluded.last_reviewed_at,
+      due_at = excluded.due_at
+  `).run(
+    learnerId,
+    conceptId,
+    writingPadId,
+    lectureId,
+    next.easeFactor,
+    next.intervalDays,
+    next.repetitions,
+    next.lapses,
+    Math.round(quality),
+    reviewedIso,
+    dueAt,
+    reviewedIso
+  );
+
+  return getReviewItem(learnerId, conceptId);
+}
+
+/**
+ * Reschedule the concepts covered by a quiz outcome
+ *
+ * Non-quiz events and events without an outcome are ignored.
+ *
+ * @param {string} learnerId
+ * @param {Object} event - Quiz event (type or event_type; see module doc)
+ * @param {Object} [options] - { graph, writingPadId, reviewedAt }
+ * @returns {Array} Updated review items
+ */
+export function recordQuizOutcome(learnerId, event, { graph = null, writingPadId = null, reviewedAt = new Date() } = {}) {
+  const config = getSpacedRepetitionConfig();
+  const eventType = event?.event_type || event?.type;
+  if (!config.enabled || !REVIEW_EVENT_TYPES.includes(eventType)) return [];
+
+  // A quiz-level quality/score applies to every concept unless per-question answers are given
+  const hasAnswers = Array.isArray(event.answers) && event.answers.length > 0;
+  const lectureId = event.lectureId || event.target || event.quizId || null;
+
+  // An explicit quality is an outcome on its own
+  const outcomeEvent = typeof event.quality === 'number' ? { correct: event.quality >= 3, ...event } : event;
+  const { passScore } = getKnowledgeTracingConfig();
+
+  const items = [];
+  getDb().transaction(() => {
+    for (const { conceptId, correct } of observationsFromEvent(outcomeEvent, { graph, passScore })) {
+      const quality = qualityFromOutcome(hasAnswers ? { correct } : { quality: event.quality, score: event.score, correct }, config);
+      items.push(recordReview({ learnerId, conceptId, quality, lectureId, writingPadId, reviewedAt }));
+    }
+  })();
+  return items;
+}
+
+// ============================================================================
+// Due Reviews
+// ============================================================================
+
+/**
+ * List a learner's reviews that are due
+ *
+ * @param {string} learnerId
+ * @param {Object} [options] - { now, limit }
+ * @returns {Array} Review items (most overdue first), each with overdueDays
+ */
+export function getDueReviews(learnerId, { now = new Date(), limit = null } = {}) {
+  const config = getSpacedRepetitionConfig();
+  const rows = getDb()
+    .prepare('SELECT * FROM learner_review_items WHERE learner_id = ? AND due_at <= ? ORDER BY due_at, concept_id LIMIT ?')
+    .all(learnerId, now.toISOString(), limit ?? config.dueLimit);
+
+  return rows.map((row) => {
+    const item = rowToItem(row);
+    return { ...item, overdueDays: Math.floor((now.getTime() - new Date(item.dueAt).getTime()) / DAY_MS) };
+  });
+}
+
+/**
+ * Render due reviews as a learner context section
+ * @param {Array} dueReviews - From getDueReviews()
+ * @returns {string|null}
+ */
+export function renderDueReviews(dueReviews) {
+  if (!dueReviews?.length) return null;
+
+  const lines = dueReviews.map((item) => {
+    const where = item.lectureId && item.lectureId !== item.conceptId ? ` (${item.lectureId})` : '';
+    const when = item.overdueDays > 0 ? `overdue by ${item.overdueDays} day${item.overdueDays === 1 ? '' : 's'}` : 'due today';
+    const lapses = item.lapses > 0 ? `, forgotten ${item.lapses}x` : '';
+    return `- ${item.conceptId}${where}: ${when}${lapses}`;
+  });
+  return `### Due for Review\n${lines.join('\n')}`;
+}
+
+/**
+ * Append the due-review section to a rendered learner context
+ * @param {string} learnerContext
+ * @param {Array} dueReviews - From getDueReviews()
+ * @returns {string}
+ */
+export function appendDueReviews(learnerContext, dueReviews) {
+  const section = renderDueReviews(dueReviews);
+  if (!section) return learnerContext;
+  return learnerContext ? `${learnerContext}\n\n${section}` : section;
+}
+
+export default {
+  REVIEW_EVENT_TYPES,
+  getSpacedRepetitionConfig,
+  scheduleReview,
+  qualityFromOutcome,
+  getReviewItem,
+  recordReview,
+  recordQuizOutcome,
+  getDueReviews,
+  renderDueReviews,
+  appendDueReviews,
+};
@@ -0,0 +1,356 @@
+/**
+ * Suggestion Similarity Service
+ *
+ * Scores how similar two suggestion sets are (0-1). The dialogue engine uses
+ * the score to decide whether the ego's revision has converged. Measures:
+ *
+ * - field       Suggestions are paired by best match and compared field by
+ *               field: type, priority, actionType and actionTarget must match
+ *               exactly, title and message are compared as text. Weights are
+ *               configurable. The default.
+ * - token       Jaccard overlap of the word sets of both suggestion sets
+ * - lexical     Cosine over word and word-pair counts
+ * - embedding   field, with text compared by embedding cosine. Needs an
+ *               embedding backend and falls back (to field) without one.
+ * - character   Legacy: position-by-position match of the JSON
+ *
+ * More measures can be added with registerSimilarityMeasure(). Configured by
+ * `similarity` in tutor-agents.yaml and per profile by dialogue.similarity.
+ */
+
+import * as configLoader from './tutorConfigLoader.js';
+import { embed } from './unifiedAIProviderService.js';
+
+const DEFAULT_CONFIG = {
+  measure: 'field',
+  textMeasure: 'lexical',
+  weights: { type: 0.15, actionTarget: 0.25, title: 0.2, message: 0.4 },
+  embedding: { provider: null, model: null },
+  fallback: 'field',
+};
+
+// Fields compared by exact (case-insensitive) match; all others are text
+const EXACT_FIELDS = new Set(['type', 'priority', 'actionType', 'actionTarget']);
+
+// Fields that make up a suggestion's text for the token and lexical measures
+const TEXT_FIELDS = ['type', 'actionTarget', 'title', 'message'];
+
+const measures = new Map();
+let embeddingBackend = null;
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Get the similarity configuration for a profile with defaults applied
+ * @param {string} [profileName] - Profile whose dialogue.similarity overrides the global block
+ * @returns {Object} { measure, textMeasure, weights, embedding, fallback }
+ */
+export function getSimilarityConfig(profileName = null) {
+  let config;
+  let profileConfig;
+  try {
+    config = configLoader.getSimilarityConfig() || {};
+  } catch {
+    config = {};
+  }
+  try {
+    profileConfig = configLoader.getDialogueConfig(profileName)?.similarity || {};
+  } catch {
+    profileConfig = {};
+  }
+
+  const pick = (key) => profileConfig[key] ?? config[key];
+  return {
+    measure: pick('measure') || DEFAULT_CONFIG.measure,
+    textMeasure: pick('text_measure') || DEFAULT_CONFIG.textMeasure,
+    weights: { ...(config.weights || DEFAULT_CONFIG.weights), ...profileConfig.weights },
+    embedding: { ...DEFAULT_CONFIG.embedding, ...config.embedding, ...profileConfig.embedding },
+    fallback: pick('fallback') || DEFAULT_CONFIG.fallback,
+  };
+}
+
+// ============================================================================
+// Text Helpers
+// ============================================================================
+
+function tokenize(text) {
+  return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+  tokens.forEach((token, i) => {
+    add(token);
+    if (i > 0) add(`${tokens[i - 1]} ${token}`);
+  });
+  return counts;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * (b[i] || 0);
+    normA += a[i] * a[i];
+  }
+  for (const value of b) normB += value * value;
+  if (!normA || !normB) return 0;
+  return Math.max(0, Math.min(1, dot / Math.sqrt(normA * normB)));
+}
+
+/**
+ * Jaccard overlap of the word sets of two texts
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1 (1 when both are empty)
+ */
+export function tokenSimilarity(a, b) {
+  const setA = new Set(tokenize(a));
+  const setB = new Set(tokenize(b));
+  if (!setA.size && !setB.size) return 1;
+  let shared = 0;
+  for (const token of setA) if (setB.has(token)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Cosine similarity of word and word-pair counts, so word order counts a little
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1 (1 when both are empty)
+ */
+export function lexicalSimilarity(a, b) {
+  const countsA = countTerms(tokenize(a));
+  const countsB = countTerms(tokenize(b));
+  if (!countsA.size && !countsB.size) return 1;
+  const terms = [...new Set([...countsA.keys(), ...countsB.keys()])];
+  return cosine(terms.map((t) => countsA.get(t) || 0), terms.map((t) => countsB.get(t) || 0));
+}
+
+const TEXT_MEASURES = { token: tokenSimilarity, lexical: lexicalSimilarity };
+
+function asList(suggestions) {
+  if (Array.isArray(suggestions)) return suggestions;
+  return suggestions ? [suggestions] : [];
+}
+
+function suggestionText(suggestion) {
+  return TEXT_FIELDS.map((field) => suggestion?.[field] ?? '').join(' ');
+}
+
+// ============================================================================
+// Field-Aware Comparison
+// ============================================================================
+
+function normalizeValue(value) {
+  return value == null ? '' : String(value).trim().toLowerCase();
+}
+
+function compareSuggestions(a, b, weights, compareText) {
+  let total = 0;
+  let weightSum = 0;
+  for (const [field, weight] of Object.entries(weights)) {
+    if (!weight) continue;
+    const x = normalizeValue(a?.[field]);
+    const y = normalizeValue(b?.[field]);
+    let score;
+    if (x === y) score = 1;
+    else if (EXACT_FIELDS.has(field) || !x || !y) score = 0;
+    else score = compareText(String(a[field]), String(b[field]));
+    total += weight * score;
+    weightSum += weight;
+  }
+  return weightSum ? total / weightSum : 0;
+}
+
+/**
+ * Pair each suggestion with its best unused match and average over the larger
+ * set, so added or dropped suggestions count as misses and reordering does not
+ * @private
+ */
+function alignSets(setA, setB, scorePair) {
+  if (!setA.length && !setB.length) return 1;
+  const pairs = [];
+  setA.forEach((a, i) => setB.forEach((b, j) => pairs.push({ i, j, score: scorePair(a, b) })));
+  pairs.sort((x, y) => y.score - x.score);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  let total = 0;
+  for (const { i, j, score } of pairs) {
+    if (usedA.has(i) || usedB.has(j)) continue;
+    usedA.add(i);
+    usedB.add(j);
+    total += score;
+  }
+  return total / Math.max(setA.length, setB.length);
+}
+
+function fieldSimilarity(previous, current, options, compareText) {
+  const weights = options.weights || DEFAULT_CONFIG.weights;
+  return alignSets(asList(previous), asList(current), (a, b) => compareSuggestions(a, b, weights, compareText));
+}
+
+// ============================================================================
+// Measures
+// ============================================================================
+
+/**
+ * Register a similarity measure
+ *
+ * @param {string} name - Measure name, as used in `similarity.measure`
+ * @param {Function} fn - (previous, current, options) => number | Promise<number>, 0-1;
+ *   options carries the resolved config plus embed(texts) when a backend is set
+ */
+export function registerSimilarityMeasure(name, fn) {
+  measures.set(name, fn);
+}
+
+/**
+ * List registered measure names
+ * @returns {Array<string>}
+ */
+export function listSimilarityMeasures() {
+  return [...measures.keys()];
+}
+
+registerSimilarityMeasure('character', (previous, current) => {
+  const strA = JSON.stringify(previous);
+  const strB = JSON.stringify(current);
+  if (strA === strB) return 1.0;
+  if (!strA.length || !strB.length) return 0.0;
+  const minLen = Math.min(strA.length, strB.length);
+  const maxLen = Math.max(strA.length, strB.length);
+  let matches = 0;
+  for (let i = 0; i < minLen; i++) {
+    if (strA[i] === strB[i]) matches++;
+  }
+  return matches / maxLen;
+});
+
+registerSimilarityMeasure('token', (previous, current) =>
+  tokenSimilarity(asList(previous).map(suggestionText).join(' '), asList(current).map(suggestionText).join(' ')));
+
+registerSimilarityMeasure('lexical', (previous, current) =>
+  lexicalSimilarity(asList(previous).map(suggestionText).join('\n'), asList(current).map(suggestionText).join('\n')));
+
+registerSimilarityMeasure('field', (previous, current, options) => {
+  if (options.textMeasure === 'embedding') return measures.get('embedding')(previous, current, options);
+  const compareText = TEXT_MEASURES[options.textMeasure] || TEXT_MEASURES[DEFAULT_CONFIG.textMeasure];
+  return fieldSimilarity(previous, current, options, compareText);
+});
+
+registerSimilarityMeasure('embedding', async (previous, current, options) => {
+  if (!options.embed) {
+    const err = new Error('No embedding backend configured');
+    err.code = 'EMBEDDING_UNAVAILABLE';
+    throw err;
+  }
+
+  const textFields = Object.keys(options.weights || DEFAULT_CONFIG.weights).filter((f) => !EXACT_FIELDS.has(f));
+  const texts = [...new Set(
+    [...asList(previous), ...asList(current)]
+      .flatMap((s) => textFields.map((f) => s?.[f]))
+      .filter((text) => typeof text === 'string' && text.trim()),
+  )];
+  if (texts.length === 0) return fieldSimilarity(previous, current, options, tokenSimilarity);
+
+  const vectors = await options.embed(texts);
+  const byText = new Map(texts.map((text, i) => [text, vectors[i]]));
+  return fieldSimilarity(previous, current, options, (a, b) =>
+    (byText.get(a) && byText.get(b) ? cosine(byText.get(a), byText.get(b)) : tokenSimilarity(a, b)));
+});
+
+// ============================================================================
+// Embedding Backend
+// ============================================================================
+
+/**
+ * Set the embedding backend used by the embedding measure
+ *
+ * Takes precedence over `similarity.embedding` in the config.
+ * @param {Function|null} fn - async (texts) => Array<Array<number>>, one vector per text
+ */
+export function setEmbeddingBackend(fn) {
+  embeddingBackend = fn || null;
+}
+
+function resolveEmbeddingBackend(config) {
+  if (embeddingBackend) return embeddingBackend;
+  if (!config.embedding?.provider) return null;
+  const { provider, model } = config.embedding;
+  return (texts) => embed({ provider, model, input: texts });
+}
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+/**
+ * Score the similarity of two suggestion sets
+ *
+ * When embedding comparison fails (no backend, or the backend errors), the
+ * configured fallback measure is used and `fallbackFrom` names the measure
+ * that failed.
+ *
+ * @param {Array|Object} previous - Previous suggestions
+ * @param {Array|Object} current - Current suggestions
+ * @param {Object} [options]
+ * @param {string} [options.profileName] - Profile whose config applies
+ * @param {string} [options.measure] - Overrides the configured measure
+ * @param {string} [options.textMeasure] - Overrides the configured text measure
+ * @param {Object} [options.weights] - Field weights, merged over the configured ones
+ * @param {Function} [options.redact] - Applied to texts before they go to the embedding backend
+ * @returns {Promise<Object>} { measure, score, fallbackFrom?, error? }
+ * @throws {Error} UNKNOWN_SIMILARITY_MEASURE
+ */
+export async function computeSimilarity(previous, current, options = {}) {
+  const config = getSimilarityConfig(options.profileName);
+  const measure = options.measure || config.measure;
+  const resolved = {
+    ...config,
+    measure,
+    textMeasure: options.textMeasure || config.textMeasure,
+    weights: { ...config.weights, ...options.weights },
+  };
+
+  const backend = resolveEmbeddingBackend(config);
+  if (backend) {
+    resolved.embed = (texts) => backend(options.redact ? texts.map(options.redact) : texts);
+  }
+
+  const run = async (name) => {
+    const fn = measures.get(name);
+    if (!fn) {
+      const err = new Error(`Unknown similarity measure: ${name}`);
+      err.code = 'UNKNOWN_SIMILARITY_MEASURE';
+      throw err;
+    }
+    const score = await fn(previous, current, resolved);
+    return Math.max(0, Math.min(1, Number(score) || 0));
+  };
+
+  try {
+    return { measure, score: await run(measure) };
+  } catch (error) {
+    const usesEmbedding = measure === 'embedding' || resolved.textMeasure === 'embedding';
+    if (error.code === 'UNKNOWN_SIMILARITY_MEASURE' || !usesEmbedding || !measures.has(config.fallback)) throw error;
+    if (resolved.textMeasure === 'embedding') resolved.textMeasure = DEFAULT_CONFIG.textMeasure;
+    delete resolved.embed;
+    return { measure: config.fallback, score: await run(config.fallback), fallbackFrom: measure, error: error.message };
+  }
+}
+
+export default {
+  getSimilarityConfig,
+  tokenSimilarity,
+  lexicalSimilarity,
+  registerSimilarityMeasure,
+  listSimilarityMeasures,
+  setEmbeddingBackend,
+  computeSimilarity,
+};
@@ -10,16 +10,19 @@
 
 import * as dialogueEngine from './tutorDialogueEngine.js';
 import * as configLoader from './tutorConfigLoader.js';
+import * as abTestingService from './abTestingService.js';
 
 /**
- * Build context strings for the tutor API
- * Returns a formatted context object ready for dialogue engine
+ * Build context for the tutor API
+ * Returns a formatted context object ready for dialogue engine. Each part may
+ * be a prompt string or a typed context object (see tutorContext); objects
+ * are rendered by the dialogue engine.
  */
-export function buildContext(learnerContextStr, curriculumContextStr, simulationsContextStr, messageHistory = null) {
+export function buildContext(learnerContext, curriculumContext, simulationsContext, messageHistory = null) {
   return {
-    learnerContext: learnerContextStr || '',
-    curriculumContext: curriculumContextStr || getSampleCurriculum(),
-    simulationsContext: simulationsContextStr || getSampleSimulations(),
+    learnerContext: learnerContext || '',
+    curriculumContext: curriculumContext || getSampleCurriculum(),
+    simulationsContext: simulationsContext || getSampleSimulations(),
     messageHistory: messageHistory || null,
   };
 }
@@ -91,10 +94,11 @@ export async function generateSuggestions(context, config = {}) {
     maxRounds = null,
     trace = true,
     superegoStrategy = null, // Superego intervention strategy (e.g., 'socratic_challenge')
-    outputSize = 'normal', // compact, normal, expanded - affects response verbosity
+    outputSize, // compact, normal, expanded - affects response verbosity (default: learner's hintVerbosity, else normal)
     systemPromptExtension = null, // Dynamic directives prepended to ego system prompt (prompt rewriting)
     superegoPromptExtension = null, // Dynamic disposition adjustments prepended to superego system prompt
     learnerId = null, // For Writing Pad memory persistence between turns
+    learnerSettings = undefined, // false to ignore the learner's ai_user_settings, or an object to supply them
     dialecticalNegotiation = false, // Phase 2: AI-powered dialectical struggle
     onStream = null, // Streaming callback for token-by-token progress
     conversationMode = 'single-prompt', // 'messages' for multi-turn message chains
@@ -115,6 +119,17 @@ export async function generateSuggestions(context, config = {}) {
     console.log(`[TutorAPI] Using explicit config: ${provider}/${model}`);
   }
 
+  // A/B testing: with no explicit profile, serve the learner's assigned arm
+  let abAssignment = null;
+  if (!effectiveProfileName && learnerId && abTestingService.isAbTestingEnabled()) {
+    try {
+      abAssignment = abTestingService.assignLearner(learnerId);
+      effectiveProfileName = abAssignment?.profileName || null;
+    } catch (error) {
+      console.warn(`[TutorAPI] A/B assignment failed, using active profile: ${error.message}`);
+    }
+  }
+
   // Determine dialogue settings from profile config
   const dialogueConfig = configLoader.getDialogueConfig(effectiveProfileName);
   const effectiveUseDialogue = useDialogue ?? dialogueConfig?.enabled ?? true;
@@ -127,6 +142,7 @@ export async function generateSuggestions(context, config = {}) {
         learnerContext: context.learnerContext,
         curriculumContext: context.curriculumContext,
         simulationsContext: context.simulationsContext,
+        curriculum: context.curriculum, // Structured curriculum for actionTarget verification (optional)
       },
       {
         isNewUser: context.isNewUser ?? false,
@@ -141,6 +157,7 @@ export async function generateSuggestions(context, config = {}) {
         systemPromptExtension, // Dynamic directives prepended to ego system prompt
         superegoPromptExtension, // Dynamic disposition adjustments prepended to superego prompt
         learnerId, // Writing Pad memory persistence (Phase 1)
+        learnerSettings, // Learner AI preferences (ai_user_settings)
         dialecticalNegotiation, // Phase 2: AI-powered dialectical struggle
         onStream, // Streaming callback for token-by-token progress
         conversationMode, // 'messages' for multi-turn message chains
@@ -173,6 +190,9 @@ export async function generateSuggestions(context, config = {}) {
         apiCalls: result.metrics?.apiCalls || 0,
         totalCost: result.metrics?.totalCost || 0, // OpenRouter API cost aggregated from all dialogue rounds
         dialogueId: result.dialogueId, // For linking to logs
+        ...(result.targetVerification && { targetVerification: result.targetVerification }),
+        ...(abAssignment && { abTest: { experimentId: abAssignment.experimentId, arm: abAssignment.arm } }),
+        ...(result.learnerSettings && { learnerSettings: result.learnerSettings }),
       },
       dialogueTrace: trace ? result.dialogueTrace : undefined,
     };
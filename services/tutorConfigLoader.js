@@ -2,17 +2,34 @@
  * Tutor Configuration Loader
  *
  * Loads and manages multiagent tutor configuration from YAML files.
- * Supports environment variable overrides and multiple profiles.
+ * Supports environment variable overrides and multiple profiles. Profiles may
+ * `extends:` other profiles and named `fragments` (see profileResolver.js);
+ * everything read through this loader sees the resolved profiles.
+ *
+ * Hot reload: watchConfig() watches tutor-agents.yaml and providers.yaml (and
+ * the client overlay) and swaps in a changed configuration only once it passes
+ * configValidator; onConfigReload() subscribers hear about each swap. Dialogues
+ * run inside withConfigSnapshot(), so one in flight keeps the configuration it
+ * started with.
  *
  * Uses shared configLoaderBase.js for common loading patterns.
  */
 
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
 import {
   loadProviders,
   createConfigLoader,
   createPromptLoader,
+  resolveProviderConfig,
+  getConfigDir,
+  getClientConfigDir,
 } from './configLoaderBase.js';
-import { createBoundResolver } from './modelResolver.js';
+import { resolveModel as resolveModelRef } from './modelResolver.js';
+import { resolveProfiles, diffProfiles as diffResolvedProfiles } from './profileResolver.js';
+import { validateConfig, formatConfigErrors } from './configValidator.js';
+// Namespace import: providerHealthService imports this module back
+import * as providerHealth from './providerHealthService.js';
 
 // ============================================================================
 // Default Configurations
@@ -89,9 +106,65 @@ function getDefaultPrompt(filename) {
 const configLoader = createConfigLoader('tutor-agents.yaml', getDefaultConfig);
 const promptLoader = createPromptLoader(getDefaultPrompt);
 
-// Re-export loadConfig and getProviderConfig from the base loader
-export const loadConfig = configLoader.loadConfig;
-export const getProviderConfig = configLoader.getProviderConfig;
+// Profile resolution per parsed config object (the base loader caches by mtime)
+const profileResolutions = new WeakMap();
+// Resolution behind each config object loadConfig() hands out
+const servedResolutions = new WeakMap();
+
+function getProfileResolution(config) {
+  if (!profileResolutions.has(config)) {
+    const resolution = resolveProfiles(config.profiles, config.fragments);
+    for (const { profile, message } of resolution.errors) {
+      console.error(`[Config] Profile "${profile}" skipped: ${message}`);
+    }
+    const served = { ...config, profiles: resolution.profiles };
+    profileResolutions.set(config, { resolution, config: served });
+    servedResolutions.set(served, resolution);
+  }
+  return profileResolutions.get(config);
+}
+
+// Config snapshots: the configuration currently served, and the one pinned
+// for the async context of an in-flight dialogue (withConfigSnapshot)
+const snapshotStorage = new AsyncLocalStorage();
+const configReloadCallbacks = [];
+const CONFIG_FILES = ['tutor-agents.yaml', 'providers.yaml'];
+let currentConfig = null;
+let configVersion = 0;
+let configWatchers = [];
+let reloadTimer = null;
+
+/**
+ * Load the configuration with profile inheritance resolved
+ *
+ * Inside withConfigSnapshot() this is the pinned snapshot. While watchConfig()
+ * runs it is the last configuration that passed validation; otherwise the
+ * files are re-read when their mtime changes.
+ *
+ * @param {boolean} forceReload - Force reload from disk (validated while watching)
+ * @returns {Object} Configuration object
+ */
+export function loadConfig(forceReload = false) {
+  const pinned = snapshotStorage.getStore();
+  if (pinned && !forceReload) return pinned;
+
+  if (configWatchers.length > 0 && currentConfig) {
+    if (forceReload) reloadConfig();
+    return currentConfig;
+  }
+
+  currentConfig = getProfileResolution(configLoader.loadConfig(forceReload)).config;
+  return currentConfig;
+}
+
+/**
+ * Get provider configuration with environment variable resolution
+ * @param {string} providerName - Provider name
+ * @returns {Object} Provider configuration with resolved API key
+ */
+export function getProviderConfig(providerName) {
+  return resolveProviderConfig(loadConfig().providers, providerName);
+}
 
 // Re-export loadProviders from base
 export { loadProviders };
@@ -179,6 +252,22 @@ export function getAgentConfig(role, profileName = null, options = {}) {
     hyperparameters: agentConfig.hyperparameters || {},
     isConfigured: providerConfig.isConfigured,
     strategy: strategyName, // Track which strategy is active
+    fallback: agentConfig.fallback || null, // Fallback chain (providerFallback.js)
+    health: getModelHealth(agentConfig.provider, modelFullId),
+  };
+}
+
+/**
+ * Runtime health of a resolved model, from providerHealthService
+ * @private
+ * @returns {Object} { available, circuit } - available is false while the
+ *   provider's or model's circuit refuses calls; providerFallback then skips
+ *   straight to the next chain entry
+ */
+function getModelHealth(provider, model) {
+  return {
+    available: providerHealth.isAvailable(provider, model),
+    circuit: providerHealth.getCircuitState(provider, model),
   };
 }
 
@@ -277,6 +366,130 @@ export function onPromptsReload(callback) {
   promptReloadCallbacks.push(callback);
 }
 
+// ============================================================================
+// Config Hot Reload
+// ============================================================================
+
+function changedKeys(previous = {}, next = {}) {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  return [...keys].filter((key) => JSON.stringify(previous?.[key]) !== JSON.stringify(next?.[key])).sort();
+}
+
+/**
+ * Validate the config files and, if they pass, swap them in
+ *
+ * The files are read once: the document that passed validation is the one
+ * served, so an edit landing mid-reload cannot slip in unvalidated. A
+ * configuration that fails validation is logged and not served; the previous
+ * one stays current. Dialogues already running keep their snapshot.
+ *
+ * @returns {Object} { reloaded, version, changedProfiles, changedSections, errors }
+ */
+export function reloadConfig() {
+  const validation = validateConfig({ configDir: getConfigDir() });
+  if (!validation.valid) {
+    console.error(`[Hot Reload] Config reload rejected, keeping the current configuration:\n${formatConfigErrors(validation.errors)}`);
+    return { reloaded: false, version: configVersion, changedProfiles: [], changedSections: [], errors: validation.errors };
+  }
+
+  const previous = currentConfig;
+  currentConfig = getProfileResolution(validation.config).config;
+  configVersion += 1;
+
+  const changedProfiles = changedKeys(previous?.profiles, currentConfig.profiles);
+  const changedSections = changedKeys(previous, currentConfig).filter((key) => key !== 'profiles' && key !== 'fragments');
+  const event = { version: configVersion, changedProfiles, changedSections };
+  console.log(`[Hot Reload] Config reloaded (version ${configVersion})`);
+
+  // Notify callbacks
+  for (const callback of configReloadCallbacks) {
+    try {
+      callback(event);
+    } catch (err) {
+      console.warn('Config reload callback error:', err.message);
+    }
+  }
+
+  return { reloaded: true, ...event, errors: [] };
+}
+
+/**
+ * Register a callback to be notified when the configuration is reloaded
+ * @param {Function} callback - Callback function({ version, changedProfiles, changedSections })
+ * @returns {Function} Unsubscribe
+ */
+export function onConfigReload(callback) {
+  configReloadCallbacks.push(callback);
+  return () => {
+    const index = configReloadCallbacks.indexOf(callback);
+    if (index !== -1) configReloadCallbacks.splice(index, 1);
+  };
+}
+
+/**
+ * Watch tutor-agents.yaml and providers.yaml (and the client providers.yaml)
+ * and reload on change, through reloadConfig()
+ *
+ * Directories are watched rather than files, so editors that save by
+ * renaming are picked up. The watchers do not keep the process alive.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=100] - Wait for writes to settle before reloading
+ * @returns {Function} Stop watching (same as unwatchConfig)
+ */
+export function watchConfig({ debounceMs = 100 } = {}) {
+  if (configWatchers.length > 0) return unwatchConfig;
+  loadConfig();
+
+  for (const dir of new Set([getConfigDir(), getClientConfigDir()].filter(Boolean))) {
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (!CONFIG_FILES.includes(filename)) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(reloadConfig, debounceMs);
+      });
+      watcher.unref();
+      configWatchers.push(watcher);
+    } catch (err) {
+      console.warn(`[Hot Reload] Cannot watch ${dir}:`, err.message);
+    }
+  }
+  return unwatchConfig;
+}
+
+/**
+ * Stop watching the config files
+ */
+export function unwatchConfig() {
+  clearTimeout(reloadTimer);
+  reloadTimer = null;
+  for (const watcher of configWatchers) watcher.close();
+  configWatchers = [];
+}
+
+/**
+ * Run a function with the current configuration pinned
+ *
+ * Every loader call inside fn, including after awaits, sees the same
+ * configuration even if a reload swaps it in the meantime. Nested calls keep
+ * the outer snapshot.
+ *
+ * @param {Function} fn - Sync or async function
+ * @returns {*} fn's return value
+ */
+export function withConfigSnapshot(fn) {
+  if (snapshotStorage.getStore()) return fn();
+  return snapshotStorage.run(loadConfig(), fn);
+}
+
+/**
+ * Get the number of successful reloads since the process started
+ * @returns {number} Config version (0 until the first reload)
+ */
+export function getConfigVersion() {
+  return configVersion;
+}
+
 /**
  * Get dialogue configuration
  * @param {string} profileName - Optional profile name
@@ -325,6 +538,78 @@ export function getLoggingConfig() {
   };
 }
 
+/**
+ * Get budget (spend cap) configuration
+ * @returns {Object} Budget settings
+ */
+export function getBudgetConfig() {
+  const config = loadConfig();
+  return config.budgets || { enabled: false };
+}
+
+/**
+ * Get provider health / circuit breaker configuration
+ * @returns {Object} Provider health settings
+ */
+export function getProviderHealthConfig() {
+  const config = loadConfig();
+  return config.provider_health || {};
+}
+
+/**
+ * Get curriculum actionTarget verification configuration
+ * @returns {Object} Verification settings
+ */
+export function getCurriculumVerificationConfig() {
+  const config = loadConfig();
+  return config.curriculum_verification || {};
+}
+
+/**
+ * Get knowledge tracing configuration
+ * @returns {Object} Knowledge tracing settings
+ */
+export function getKnowledgeTracingConfig() {
+  const config = loadConfig();
+  return config.knowledge_tracing || {};
+}
+
+/**
+ * Get spaced repetition configuration
+ * @returns {Object} Spaced repetition settings
+ */
+export function getSpacedRepetitionConfig() {
+  const config = loadConfig();
+  return config.spaced_repetition || {};
+}
+
+/**
+ * Get PII redaction configuration
+ * @returns {Object} PII redaction settings
+ */
+export function getPiiRedactionConfig() {
+  const config = loadConfig();
+  return config.pii_redaction || {};
+}
+
+/**
+ * Get suggestion similarity configuration
+ * @returns {Object} Similarity settings (profiles override via dialogue.similarity)
+ */
+export function getSimilarityConfig() {
+  const config = loadConfig();
+  return config.similarity || {};
+}
+
+/**
+ * Get learner settings configuration
+ * @returns {Object} How ai_user_settings map onto dialogue options
+ */
+export function getLearnerSettingsConfig() {
+  const config = loadConfig();
+  return config.learner_settings || {};
+}
+
 /**
  * List all available profiles
  * @returns {Array} Array of profile names and descriptions
@@ -345,14 +630,84 @@ export function listProfiles() {
   }));
 }
 
+/**
+ * Show how a profile resolves: its bases, the full inheritance order, the
+ * merged result and which profile or fragment each value came from
+ *
+ * @param {string} profileName
+ * @returns {Object|null} { name, extends, lineage, profile, origins } (origins maps
+ *   dotted leaf paths, e.g. 'ego.hyperparameters.temperature', to a profile or fragment name),
+ *   or null when no such profile exists
+ * @throws {Error} The resolution error (code PROFILE_INHERITANCE_CYCLE, UNKNOWN_PROFILE_BASE,
+ *   PROFILE_NAME_CONFLICT or INVALID_PROFILE) when the profile cannot be resolved
+ */
+export function inspectProfile(profileName) {
+  const resolution = servedResolutions.get(loadConfig());
+  const failure = resolution.errors.find((e) => e.profile === profileName);
+  if (failure) {
+    const err = new Error(failure.message);
+    err.code = failure.code;
+    throw err;
+  }
+  const details = resolution.details[profileName];
+  if (!details) return null;
+  return { name: profileName, ...details, profile: resolution.profiles[profileName] };
+}
+
+/**
+ * List the resolved values that differ between two profiles
+ *
+ * @param {string} profileA
+ * @param {string} profileB
+ * @returns {Array<Object>} [{ path, a, b }] sorted by dotted path
+ * @throws {Error} PROFILE_NOT_FOUND
+ */
+export function diffProfiles(profileA, profileB) {
+  const { profiles } = loadConfig();
+  for (const name of [profileA, profileB]) {
+    if (!profiles?.[name]) {
+      const err = new Error(`Profile "${name}" not found`);
+      err.code = 'PROFILE_NOT_FOUND';
+      throw err;
+    }
+  }
+  return diffResolvedProfiles(profiles[profileA], profiles[profileB]);
+}
+
 /**
  * Resolve a model reference to full provider config and model ID
- * Delegates to shared modelResolver.js
+ * Delegates to shared modelResolver.js, then adds the model's runtime health
  *
  * @param {string|Object} ref - Model reference string or object
- * @returns {Object} { provider, model, apiKey, isConfigured, baseUrl }
+ * @returns {Object} { provider, model, apiKey, isConfigured, baseUrl, health: { available, circuit } }
  */
-export const resolveModel = createBoundResolver(getProviderConfig);
+export function resolveModel(ref) {
+  const resolved = resolveModelRef(ref, getProviderConfig);
+  return { ...resolved, health: getModelHealth(resolved.provider, resolved.model) };
+}
+
+/**
+ * Build a callAI-compatible agent config from a model reference
+ * Used by agents that are not part of a profile (simulated learner, judge)
+ *
+ * @param {string|Object} ref - Model reference (e.g. "openrouter.haiku")
+ * @param {Object} hyperparameters - Hyperparameters for the agent
+ * @returns {Object} { provider, providerConfig, model, modelName, hyperparameters, isConfigured, health }
+ */
+export function getModelAgentConfig(ref, hyperparameters = {}) {
+  const resolved = resolveModel(ref);
+  const providerConfig = getProviderConfig(resolved.provider);
+
+  return {
+    provider: resolved.provider,
+    providerConfig,
+    model: resolved.model,
+    modelName: typeof ref === 'string' ? ref.slice(ref.indexOf('.') + 1) : ref.model,
+    hyperparameters,
+    isConfigured: providerConfig.isConfigured,
+    health: resolved.health,
+  };
+}
 
 export default {
   loadConfig,
@@ -366,11 +721,28 @@ export default {
   getPromptMetadata,
   reloadAllPrompts,
   onPromptsReload,
+  reloadConfig,
+  onConfigReload,
+  watchConfig,
+  unwatchConfig,
+  withConfigSnapshot,
+  getConfigVersion,
   getPromptCacheStatus,
   getDialogueConfig,
   getInterventionThresholds,
   getEvaluationConfig,
   getLoggingConfig,
+  getBudgetConfig,
+  getProviderHealthConfig,
+  getCurriculumVerificationConfig,
+  getKnowledgeTracingConfig,
+  getSpacedRepetitionConfig,
+  getPiiRedactionConfig,
+  getSimilarityConfig,
+  getLearnerSettingsConfig,
   listProfiles,
+  inspectProfile,
+  diffProfiles,
   resolveModel,
+  getModelAgentConfig,
 };
@@ -0,0 +1,415 @@
+/**
+ * Tutor Context Objects
+ *
+ * Typed alternatives to the free-form learner/curriculum/simulations context
+ * strings. Callers that hold real data pass objects; runDialogue renders them
+ * to the prompt format the agents already read, and keeps the objects so the
+ * engine can reason over them (prerequisite checks, summaries) without
+ * regex-parsing text back out.
+ *
+ * - Learner:     { profile, progress, recentEvents, chatHistory, learnerResponse, learnerAction }
+ * - Curriculum:  { courses: [{ id, title, description, tags, lectures: [{ id, title, topics, concepts, prerequisites }] }] }
+ * - Simulations: [{ id, title, concepts }]
+ *
+ * Strings are still accepted everywhere and pass through unchanged.
+ * Invalid objects throw an Error with code 'INVALID_CONTEXT'.
+ */
+
+import { buildCurriculumGraph, getPrerequisites as getGraphPrerequisites } from './curriculumGraph.js';
+
+// Recent events kept in the condensed (review) rendering
+const SUMMARY_EVENT_LIMIT = 5;
+
+function invalid(message) {
+  const err = new Error(`Invalid context: ${message}`);
+  err.code = 'INVALID_CONTEXT';
+  return err;
+}
+
+const asArray = (value) => (Array.isArray(value) ? value : value == null ? [] : [value]);
+
+// ============================================================================
+// Factories
+// ============================================================================
+
+/**
+ * Create a learner context object
+ *
+ * @param {Object} [data]
+ * @param {Object} [data.profile] - { learnerId, isNewUser, sessions, activitiesCompleted,
+ *   strugglesCount, currentPage: { id, title } | string }
+ * @param {Object} [data.progress] - { completedLectures: [id], quizScores: { [lectureId]: 0-1 } }
+ * @param {Array} [data.recentEvents] - [{ type, target, description, timestamp }], oldest first
+ * @param {Array} [data.chatHistory] - [{ role: 'learner' | 'tutor', content }]
+ * @param {string} [data.learnerResponse] - The learner's latest reply
+ * @param {Object} [data.learnerAction] - { type, target }
+ * @returns {Object} Normalized learner context
+ */
+export function createLearnerContext(data = {}) {
+  if (typeof data !== 'object' || data === null) throw invalid('learner context must be an object');
+
+  const profile = data.profile || {};
+  const currentPage = typeof profile.currentPage === 'string'
+    ? { id: profile.currentPage, title: null }
+    : profile.currentPage ? { id: profile.currentPage.id, title: profile.currentPage.title || null } : null;
+
+  const recentEvents = asArray(data.recentEvents).map((event, i) => {
+    if (!event?.type && !event?.description) throw invalid(`recentEvents[${i}] needs a type or description`);
+    return {
+      type: event.type || null,
+      target: event.target || null,
+      description: event.description || null,
+      timestamp: event.timestamp || null,
+    };
+  });
+
+  const chatHistory = asArray(data.chatHistory).map((message, i) => {
+    if (!['learner', 'tutor'].includes(message?.role)) throw invalid(`chatHistory[${i}].role must be "learner" or "tutor"`);
+    return { role: message.role, content: String(message.content ?? '') };
+  });
+
+  return {
+    profile: {
+      learnerId: profile.learnerId ?? null,
+      isNewUser: profile.isNewUser === true,
+      sessions: profile.sessions ?? null,
+      activitiesCompleted: profile.activitiesCompleted ?? null,
+      strugglesCount: profile.strugglesCount ?? null,
+      currentPage,
+    },
+    progress: {
+      completedLectures: [...(data.progress?.completedLectures || [])],
+      quizScores: { ...(data.progress?.quizScores || {}) },
+    },
+    recentEvents,
+    chatHistory,
+    learnerResponse: data.learnerResponse ?? null,
+    learnerAction: data.learnerAction ? { type: data.learnerAction.type, target: data.learnerAction.target ?? null } : null,
+  };
+}
+
+/**
+ * Create a curriculum object
+ *
+ * Lecture IDs must be unique across courses, and prerequisites must name
+ * lectures in the curriculum without forming a cycle. `concepts` are the
+ * knowledge-tracing concept IDs a lecture covers.
+ *
+ * @param {Object} data - { courses: [{ id, title, description, tags, lectures: [{ id, title, topics, concepts, prerequisites }] }] }
+ * @returns {Object} Normalized curriculum
+ */
+export function createCurriculum(data = {}) {
+  if (!Array.isArray(data?.courses)) throw invalid('curriculum.courses must be an array');
+
+  const seen = new Set();
+  const courses = data.courses.map((course, c) => {
+    if (!course?.id) throw invalid(`courses[${c}].id is required`);
+    const lectures = asArray(course.lectures).map((lecture, l) => {
+      if (!lecture?.id) throw invalid(`courses[${c}].lectures[${l}].id is required`);
+      if (seen.has(lecture.id)) throw invalid(`duplicate lecture id "${lecture.id}"`);
+      seen.add(lecture.id);
+      return {
+        id: lecture.id,
+        title: lecture.title || lecture.id,
+        topics: [...asArray(lecture.topics)],
+        concepts: [...asArray(lecture.concepts)],
+        prerequisites: [...asArray(lecture.prerequisites)],
+      };
+    });
+    return {
+      id: String(course.id),
+      title: course.title || String(course.id),
+      description: course.description || null,
+      tags: [...asArray(course.tags)],
+      lectures,
+    };
+  });
+
+  for (const course of courses) {
+    for (const lecture of course.lectures) {
+      const unknown = lecture.prerequisites.find((id) => !seen.has(id));
+      if (unknown) throw invalid(`lecture "${lecture.id}" has unknown prerequisite "${unknown}"`);
+    }
+  }
+
+  try {
+    buildCurriculumGraph({ courses });
+  } catch (err) {
+    if (err.code === 'CURRICULUM_CYCLE') throw invalid(err.message);
+    throw err;
+  }
+
+  return { courses };
+}
+
+/**
+ * Create a simulations list
+ * @param {Array} data - [{ id, title, concepts }]
+ * @returns {Array} Normalized simulations
+ */
+export function createSimulations(data = []) {
+  if (!Array.isArray(data)) throw invalid('simulations must be an array');
+  return data.map((simulation, i) => {
+    if (!simulation?.id) throw invalid(`simulations[${i}].id is required`);
+    return { id: simulation.id, title: simulation.title || simulation.id, concepts: [...asArray(simulation.concepts)] };
+  });
+}
+
+// ============================================================================
+// Renderers
+// ============================================================================
+
+function renderEvent(event) {
+  const text = event.description || [event.type, event.target].filter(Boolean).join(' ');
+  return `- ${text}`;
+}
+
+function renderPercent(score) {
+  return `${Math.round(score * 100)}%`;
+}
+
+function renderLearnerSections(learner, { eventLimit = null } = {}) {
+  const { profile, progress } = learner;
+  const sections = [];
+
+  const profileLines = ['### Learner Profile'];
+  if (profile.isNewUser) profileLines.push('New user: first visit');
+  if (profile.sessions != null) profileLines.push(`Sessions: ${profile.sessions} sessions`);
+  if (profile.activitiesCompleted != null) profileLines.push(`Activities completed: ${profile.activitiesCompleted}`);
+  if (profile.currentPage) {
+    const title = profile.currentPage.title ? ` (${profile.currentPage.title})` : '';
+    profileLines.push(`Currently viewing: ${profile.currentPage.id}${title}`);
+  }
+  if (profile.strugglesCount != null) profileLines.push(`Struggle signals: ${profile.strugglesCount}`);
+  sections.push(profileLines.join('\n'));
+
+  const scores = Object.entries(progress.quizScores);
+  if (progress.completedLectures.length > 0 || scores.length > 0) {
+    const lines = ['### Progress'];
+    if (progress.completedLectures.length > 0) lines.push(`Completed lectures: ${progress.completedLectures.join(', ')}`);
+    if (scores.length > 0) lines.push(`Quiz scores: ${scores.map(([id, score]) => `${id} ${renderPercent(score)}`).join(', ')}`);
+    sections.push(lines.join('\n'));
+  }
+
+  const events = eventLimit ? learner.recentEvents.slice(-eventLimit) : learner.recentEvents;
+  if (events.length > 0) {
+    sections.push(['### Recent Activity', ...events.map(renderEvent)].join('\n'));
+  }
+
+  if (learner.chatHistory.length > 0) {
+    const lines = learner.chatHistory.map((m) => `- ${m.role === 'learner' ? 'Learner' : 'Tutor'}: "${m.content}"`);
+    sections.push(['### Recent Chat History', ...lines].join('\n'));
+  }
+
+  if (learner.learnerResponse) {
+    sections.push(`### Learner Response\n"${learner.learnerResponse}"`);
+  }
+  if (learner.learnerAction) {
+    const target = learner.learnerAction.target ? ` → ${learner.learnerAction.target}` : '';
+    sections.push(`### Learner Action\n${learner.learnerAction.type}${target}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Render a learner context object to the prompt format
+ *
+ * Uses the section headers of hand-written contexts ("### Learner Profile",
+ * "### Recent Chat History", ...), so prompts read the same either way.
+ *
+ * @param {Object} learner - From createLearnerContext()
+ * @returns {string}
+ */
+export function renderLearnerContext(learner) {
+  return renderLearnerSections(learner);
+}
+
+/**
+ * Render the condensed learner context used by superego review and ego revision
+ *
+ * The typed counterpart of extractStructuredSummary(): everything but the
+ * older recent events.
+ *
+ * @param {Object} learner - From createLearnerContext()
+ * @returns {string}
+ */
+export function renderLearnerSummary(learner) {
+  return renderLearnerSections(learner, { eventLimit: SUMMARY_EVENT_LIMIT });
+}
+
+/**
+ * Render a curriculum object to the prompt format
+ * @param {Object} curriculum - From createCurriculum()
+ * @returns {string} "### Title (id)" sections with numbered "**Title** (lecture-id)" entries
+ */
+export function renderCurriculum(curriculum) {
+  return curriculum.courses
+    .map((course) => {
+      const lines = [`### ${course.title} (${course.id})`];
+      if (course.description) lines.push(`*${course.description}*`);
+      if (course.tags.length > 0) lines.push(`Tags: ${course.tags.join(', ')}`);
+      lines.push('', 'Lectures:');
+      course.lectures.forEach((lecture, i) => {
+        lines.push(`  ${i + 1}. **${lecture.title}** (${lecture.id})`);
+        if (lecture.topics.length > 0) lines.push(`      Topics: ${lecture.topics.join('; ')}`);
+        if (lecture.concepts.length > 0) lines.push(`      Concepts: ${lecture.concepts.join(', ')}`);
+        if (lecture.prerequisites.length > 0) lines.push(`      Prerequisites: ${lecture.prerequisites.join(', ')}`);
+      });
+      return lines.join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * Render a simulations list to the prompt format
+ * @param {Array} simulations - From createSimulations()
+ * @returns {string} "- id: Title (concepts: ...)" lines
+ */
+export function renderSimulations(simulations) {
+  return simulations
+    .map((s) => `- ${s.id}: ${s.title}${s.concepts.length > 0 ? ` (concepts: ${s.concepts.join(', ')})` : ''}`)
+    .join('\n');
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Resolve a dialogue context whose parts may be strings or typed objects
+ *
+ * @param {Object} context - { learnerContext, curriculumContext, simulationsContext }
+ * @returns {Object} { learnerContext, curriculumContext, simulationsContext } as prompt strings, plus
+ *   the normalized { learner, curriculum, simulations } (null for parts given as strings)
+ */
+export function resolveDialogueContext(context = {}) {
+  const { learnerContext, curriculumContext, simulationsContext } = context;
+
+  const learner = learnerContext && typeof learnerContext === 'object' ? createLearnerContext(learnerContext) : null;
+  const curriculum = curriculumContext && typeof curriculumContext === 'object' ? createCurriculum(curriculumContext) : null;
+  const simulations = Array.isArray(simulationsContext) ? createSimulations(simulationsContext) : null;
+
+  return {
+    learnerContext: learner ? renderLearnerContext(learner) : learnerContext,
+    curriculumContext: curriculum ? renderCurriculum(curriculum) : curriculumContext,
+    simulationsContext: simulations ? renderSimulations(simulations) : simulationsContext,
+    learner,
+    curriculum,
+    simulations,
+  };
+}
+
+/**
+ * Summarize a learner context object for transcripts and traces
+ *
+ * The typed counterpart of the engine's parseContextSummary().
+ *
+ * @param {Object} learner - From createLearnerContext()
+ * @returns {Object|null} { currentPage, sessions, strugglesCount, activitiesCompleted, isNewUser }
+ */
+export function summarizeLearner(learner) {
+  const { profile } = learner;
+  const summary = {};
+  if (profile.currentPage) {
+    const title = profile.currentPage.title ? ` (${profile.currentPage.title})` : '';
+    summary.currentPage = `${profile.currentPage.id}${title}`;
+  }
+  if (profile.sessions != null) summary.sessions = profile.sessions;
+  if (profile.strugglesCount != null) summary.strugglesCount = profile.strugglesCount;
+  if (profile.activitiesCompleted != null) summary.activitiesCompleted = profile.activitiesCompleted;
+  if (profile.isNewUser) summary.isNewUser = true;
+  return Object.keys(summary).length > 0 ? summary : null;
+}
+
+// ============================================================================
+// Prerequisites
+// ============================================================================
+
+/**
+ * Find a lecture by ID
+ * @param {Object} curriculum - From createCurriculum()
+ * @param {string} lectureId
+ * @returns {Object|null} The lecture, with courseId
+ */
+export function getLecture(curriculum, lectureId) {
+  for (const course of curriculum.courses) {
+    const lecture = course.lectures.find((l) => l.id === lectureId);
+    if (lecture) return { ...lecture, courseId: course.id };
+  }
+  return null;
+}
+
+/**
+ * List a lecture's prerequisites, including indirect ones
+ *
+ * @param {Object} curriculum - From createCurriculum()
+ * @param {string} lectureId
+ * @returns {string[]} Prerequisite IDs, nearest first
+ */
+export function getPrerequisites(curriculum, lectureId) {
+  return getGraphPrerequisites(buildCurriculumGraph(curriculum), lectureId);
+}
+
+/**
+ * Check whether a learner has completed a lecture's prerequisites
+ *
+ * @param {Object} curriculum - From createCurriculum()
+ * @param {string} lectureId
+ * @param {string[]} completedLectures
+ * @returns {{ met: boolean, missing: string[] }}
+ */
+export function checkPrerequisites(curriculum, lectureId, completedLectures = []) {
+  const completed = new Set(completedLectures);
+  const missing = getPrerequisites(curriculum, lectureId).filter((id) => !completed.has(id));
+  return { met: missing.length === 0, missing };
+}
+
+/**
+ * Find suggestions that send the learner to lectures they are not ready for
+ *
+ * @param {Array} suggestions - Ego suggestions
+ * @param {Object} curriculum - From createCurriculum()
+ * @param {Object} learner - From createLearnerContext()
+ * @returns {Array} [{ index, actionTarget, missing }]
+ */
+export function checkSuggestionPrerequisites(suggestions, curriculum, learner) {
+  const issues = [];
+  (suggestions || []).forEach((suggestion, index) => {
+    if (!suggestion?.actionTarget || suggestion.actionType === 'none') return;
+    if (!getLecture(curriculum, suggestion.actionTarget)) return;
+    if (learner.progress.completedLectures.includes(suggestion.actionTarget)) return;
+
+    const { met, missing } = checkPrerequisites(curriculum, suggestion.actionTarget, learner.progress.completedLectures);
+    if (!met) issues.push({ index, actionTarget: suggestion.actionTarget, missing });
+  });
+  return issues;
+}
+
+/**
+ * Describe prerequisite issues as bullet lines (for superego prompts)
+ * @param {Array} issues - From checkSuggestionPrerequisites()
+ * @returns {string}
+ */
+export function formatPrerequisiteIssues(issues) {
+  return issues
+    .map((issue) => `- Suggestion ${issue.index + 1}: ${issue.actionTarget} requires ${issue.missing.join(', ')} (not completed)`)
+    .join('\n');
+}
+
+export default {
+  createLearnerContext,
+  createCurriculum,
+  createSimulations,
+  renderLearnerContext,
+  renderLearnerSummary,
+  renderCurriculum,
+  renderSimulations,
+  resolveDialogueContext,
+  summarizeLearner,
+  getLecture,
+  getPrerequisites,
+  checkPrerequisites,
+  checkSuggestionPrerequisites,
+  formatPrerequisiteIssues,
+};
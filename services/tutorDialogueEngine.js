@@ -21,9 +21,24 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import * as configLoader from './tutorConfigLoader.js';
 import * as monitoringService from './monitoringService.js';
 import { parseSSEStream } from './sseStreamParser.js';
+import * as mockProvider from './mockProviderService.js';
+import * as cassette from './cassetteService.js';
+import * as budgetService from './budgetService.js';
+import * as providerFallback from './providerFallback.js';
+import * as providerHealth from './providerHealthService.js';
+import * as agentOutputSchemas from './agentOutputSchemas.js';
+import * as curriculumIndex from './curriculumIndex.js';
+import * as tutorContext from './tutorContext.js';
+import * as knowledgeTracing from './knowledgeTracingService.js';
+import * as spacedRepetition from './spacedRepetitionService.js';
+import * as piiRedaction from './piiRedactionService.js';
+import * as suggestionSimilarity from './suggestionSimilarityService.js';
+import * as learnerSettingsService from './learnerSettingsService.js';
+import { buildCurriculumGraph } from './curriculumGraph.js';
 import { jsonrepair } from 'jsonrepair';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -57,6 +72,14 @@ export function setLogDir(logRoot) {
   }
 }
 
+/**
+ * Get the root directory for tutor-core logs (see setLogDir)
+ * @returns {string}
+ */
+export function getLogDir() {
+  return _logRoot;
+}
+
 // JSDoc type definitions for dialogue system
 /**
  * @typedef {'user' | 'ego' | 'superego'} AgentRole
@@ -112,6 +135,10 @@ function trimMetricsForTrace(metrics) {
   return trimmed;
 }
 
+// Response validators for the parse_failure fallback trigger
+const hasJsonArray = (result) => !!extractJsonArray(result.text);
+const hasJsonObject = (result) => /\{[\s\S]*\}/.test(result.text || '');
+
 /**
  * Extract just the structured context summary from the full learner context.
  * Returns the <structured_context_summary> block plus the warning header and
@@ -169,13 +196,32 @@ const _dialogueStates = new Map();
 // Fallback "last active" dialogue ID for backward-compat with external callers
 let currentDialogueId = null;
 
+// Dialogue ID per async context: runDialogue/quickGenerate each run in their own
+// scope, so a dialogue started while another awaits a provider does not move the
+// first one's state (redactor, learner, budget scope) out from under it
+const dialogueScope = new AsyncLocalStorage();
+
+/**
+ * ID of the dialogue running in this async context (else the last one started)
+ * @returns {string|null}
+ */
+function _activeDialogueId() {
+  return dialogueScope.getStore()?.dialogueId || currentDialogueId;
+}
+
+function _setActiveDialogueId(id) {
+  const scope = dialogueScope.getStore();
+  if (scope) scope.dialogueId = id;
+  currentDialogueId = id;
+}
+
 /**
  * Get or create the per-dialogue state object for a given dialogue ID.
- * @param {string} [dialogueId] - Dialogue ID (falls back to currentDialogueId)
+ * @param {string} [dialogueId] - Dialogue ID (falls back to the active dialogue)
  * @returns {{ profileName: string|null, transcriptStep: number, stepCounter: number }}
  */
 function _getState(dialogueId) {
-  const id = dialogueId || currentDialogueId;
+  const id = dialogueId || _activeDialogueId();
   if (!id) return { profileName: null, transcriptStep: 0, stepCounter: 0 };
   if (!_dialogueStates.has(id)) {
     _dialogueStates.set(id, { profileName: null, transcriptStep: 0, stepCounter: 0 });
@@ -198,21 +244,21 @@ function _initDialogueState(dialogueId, profileName) {
     }
   }
   _dialogueStates.set(dialogueId, { profileName: profileName || null, transcriptStep: 0, stepCounter: 0 });
-  currentDialogueId = dialogueId;
+  _setActiveDialogueId(dialogueId);
 }
 
 /**
  * Set the current dialogue ID for log correlation
  */
 export function setCurrentDialogueId(id) {
-  currentDialogueId = id;
+  _setActiveDialogueId(id);
 }
 
 /**
  * Get the current dialogue ID
  */
 export function getCurrentDialogueId() {
-  return currentDialogueId;
+  return _activeDialogueId();
 }
 
 /**
@@ -750,7 +796,7 @@ function logApiCall(agentRole, action, data, options = {}) {
   const agent = getAgentName(agentRole);
 
   // Get current dialogue ID and profile from per-dialogue state
-  const dialogueId = currentDialogueId;
+  const dialogueId = _activeDialogueId();
   const state = _getState(dialogueId);
 
   // Show prompts in console if trace_prompts is enabled (config or env var)
@@ -781,6 +827,7 @@ function logApiCall(agentRole, action, data, options = {}) {
   const logEntry = {
     timestamp,
     dialogueId,
+    ...(state.learnerId && { learnerId: state.learnerId }),
     agent,
     agentRole,
     action,
@@ -845,13 +892,16 @@ function logFlowEntry(agent, action, data = {}) {
   if (!loggingConfig.log_api_calls) return;
 
   const step = data.forceStep ?? nextStep();
-  const dialogueId = currentDialogueId;
+  const dialogueId = _activeDialogueId();
   const timestamp = new Date().toISOString();
-  // Note: dialogueId comes from module-level currentDialogueId (set by runDialogue/quickGenerate)
+
+  const { learnerId, redactor } = _getState(dialogueId);
+  const redacted = (value) => (redactor ? redactor.redactValue(value) : value);
 
   const logEntry = {
     timestamp,
     dialogueId,
+    ...(learnerId && { learnerId }),
     agent,
     agentRole: agent,
     action,
@@ -860,12 +910,12 @@ function logFlowEntry(agent, action, data = {}) {
     from: data.from,
     to: data.to,
     suggestionCount: data.suggestionCount,
-    contextSummary: data.contextSummary,
+    contextSummary: redacted(data.contextSummary),
     // Extended context data for expandable view
-    contextData: data.contextData,
-    rawContext: data.rawContext,
+    contextData: redacted(data.contextData),
+    rawContext: redacted(data.rawContext),
     // Final output data
-    suggestions: data.suggestions,
+    suggestions: redacted(data.suggestions),
     converged: data.converged,
   };
 
@@ -1005,20 +1055,61 @@ const EMPTY_CONTENT_RETRY_DELAYS = [1000, 2000];
 // own shapes (tutor: logApiCall; learner: apiPayload capture).
 // ============================================================================
 
+/**
+ * Native structured-output request parameters for a provider
+ *
+ * Providers opt in with `structured_output` in providers.yaml:
+ *   json_schema - the schema itself (OpenAI-compatible response_format, Gemini responseJsonSchema)
+ *   json_object - JSON mode only; the schema is still enforced by validation and re-asks
+ * Anthropic has no response-format parameter and relies on the prompt.
+ *
+ * @param {Object} providerConfig
+ * @param {Object|null} responseSchema - { name, schema }
+ * @returns {Object|null} { responseFormat, geminiConfig } or null
+ */
+function structuredOutputParams(providerConfig, responseSchema) {
+  const mode = providerConfig?.structured_output;
+  if (!responseSchema || !mode) return null;
+
+  if (mode === 'json_object') {
+    return { responseFormat: { type: 'json_object' }, geminiConfig: { responseMimeType: 'application/json' } };
+  }
+  return {
+    responseFormat: { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: false } },
+    geminiConfig: { responseMimeType: 'application/json', responseJsonSchema: responseSchema.schema },
+  };
+}
+
 /**
  * Low-level provider fetch: sends a request and parses the response.
  *
  * @param {Object} opts
- * @param {string} opts.provider - Provider name (anthropic, openai, openrouter, gemini, local, lmstudio)
+ * @param {string} opts.provider - Provider name (anthropic, openai, openrouter, gemini, local, lmstudio, mock)
  * @param {Object} opts.providerConfig - { base_url, apiKey, isConfigured, ... }
  * @param {string} opts.model - Model ID
  * @param {Array}  opts.messages - Pre-built message array (caller is responsible for assembly)
  * @param {string} [opts.systemPrompt] - Separate system prompt for Anthropic (top-level `system`) and Gemini (`systemInstruction`)
  * @param {Object} [opts.hyperparameters] - { temperature, max_tokens, top_p, reasoning_effort }
  * @param {Function} [opts.onToken] - Streaming callback (null for learner)
+ * @param {Object} [opts.responseSchema] - { name, schema } sent as a native structured-output
+ *   request when the provider declares `structured_output` (see structuredOutputParams)
  * @returns {Promise<{text: string, inputTokens: number, outputTokens: number, finishReason?: string, rawResponse?: Object, cost?: number, generationId?: string, contextOverflow?: boolean, errorMessage?: string}>}
  */
-async function _fetchProvider({
+async function _fetchProvider(opts) {
+  const { provider, model, messages, systemPrompt = '', hyperparameters = {}, onToken = null } = opts;
+
+  // Record/replay cassette (no-op unless a cassette session is active)
+  return cassette.interceptCall(
+    { kind: 'engine', provider, model, systemPrompt, messages, hyperparameters, onToken },
+    (tokenCallback) => providerHealth.trackCall(provider, model, () => _fetchProviderLive({ ...opts, onToken: tokenCallback })),
+  );
+}
+
+/**
+ * Live provider fetch behind _fetchProvider's cassette layer
+ * @private
+ */
+async function _fetchProviderLive({
   provider,
   providerConfig,
   model,
@@ -1026,8 +1117,10 @@ async function _fetchProvider({
   systemPrompt = '',
   hyperparameters = {},
   onToken = null,
+  responseSchema = null,
 }) {
   const { temperature = 0.5, max_tokens = 1500, top_p, reasoning_effort = 'low' } = hyperparameters;
+  const structured = structuredOutputParams(providerConfig, responseSchema);
 
   if (!providerConfig?.isConfigured) {
     throw new Error(`Provider ${provider} not configured (missing API key)`);
@@ -1035,6 +1128,13 @@ async function _fetchProvider({
 
   const startTime = Date.now();
 
+  // --- Mock (deterministic, no network) ---
+  if (provider === 'mock') {
+    return mockProvider.fetchMock({
+      providerConfig, model, messages, systemPrompt, hyperparameters, onToken, responseFormat: structured?.responseFormat,
+    });
+  }
+
   // --- Anthropic ---
   if (provider === 'anthropic') {
     const bodyParams = {
@@ -1090,6 +1190,7 @@ async function _fetchProvider({
       top_p,
       messages,
     };
+    if (structured) openaiBody.response_format = structured.responseFormat;
     if (onToken) openaiBody.stream = true;
 
     const res = await fetch(providerConfig.base_url, {
@@ -1134,6 +1235,7 @@ async function _fetchProvider({
     if (reasoning_effort) {
       orBody.reasoning = { effort: reasoning_effort };
     }
+    if (structured) orBody.response_format = structured.responseFormat;
     if (onToken) orBody.stream = true;
 
     const res = await fetch(providerConfig.base_url, {
@@ -1187,7 +1289,7 @@ async function _fetchProvider({
       model,
       systemInstruction: systemPrompt,
       contents: messages, // Caller must provide Gemini-format contents
-      config: { temperature, maxOutputTokens: max_tokens, topP: top_p },
+      config: { temperature, maxOutputTokens: max_tokens, topP: top_p, ...structured?.geminiConfig },
     });
 
     const text = result?.text?.() || result?.response?.text?.() || '';
@@ -1208,6 +1310,7 @@ async function _fetchProvider({
       max_tokens,
       messages,
     };
+    if (structured) localBody.response_format = structured.responseFormat;
     if (onToken) localBody.stream = true;
 
     const localHeaders = { 'Content-Type': 'application/json' };
@@ -1228,6 +1331,7 @@ async function _fetchProvider({
       throw new Error(
         `Local LLM fetch failed for ${model} at ${providerConfig.base_url}: ${errorDetail}` +
           (diagText ? ` [${diagText}]` : ''),
+        { cause: error }, // keeps the network code visible to providerFallback and health tracking
       );
     }
 
@@ -1410,9 +1514,131 @@ function truncateForContextOverflow(systemPrompt, userPrompt, level = 1) {
   return { systemPrompt: truncatedSystem, userPrompt: truncatedUser };
 }
 
+/**
+ * Budget scope (learner/profile) of the active dialogue, for spend caps
+ */
+function _budgetScope() {
+  const state = _getState();
+  return { learnerId: state.learnerId || null, profileName: state.budgetProfileName || state.profileName || null };
+}
+
+/**
+ * Redaction details returned with a dialogue result: placeholder counts plus
+ * the placeholder mapping, for re-personalising unrestored text locally.
+ * logDialogue() writes the counts only.
+ */
+function _redactionResult(redactor) {
+  return { ...redactor.summary(), mapping: redactor.getMapping() };
+}
+
+/**
+ * Record a fallback hop in the active dialogue's metrics and the console
+ */
+function _recordFallbackHop(agentRole, hop) {
+  const state = _getState();
+  state.fallbackHops?.push({ role: agentRole, ...hop });
+  if (!isQuietOrTranscript()) {
+    const action = hop.skipped ? 'skipping' : 'falling back to';
+    console.warn(`[${agentRole}] ${hop.reason}${hop.error ? ` (${hop.error})` : ''} on ${hop.from}, ${action} ${hop.to}`);
+  }
+}
+
+/**
+ * Call an agent's model, hopping along its fallback chain on failure
+ *
+ * @param {Object} agentConfig - Agent config; its `fallback` declares the chain
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {string} agentRole - Role label for logging
+ * @param {Object} options - onToken, messageHistory, plus:
+ *   validate: (result) => boolean, checked for the parse_failure trigger
+ *   fallback: chain override for agents outside a profile
+ * @returns {Promise<Object>} callAI result (with fallbackHops when a hop occurred)
+ */
 async function callAI(agentConfig, systemPrompt, userPrompt, agentRole = 'unknown', options = {}) {
+  const { validate = null, fallback = agentConfig.fallback, ...callOptions } = options;
+  const policy = providerFallback.normalizeFallbackPolicy(fallback);
+
+  if (!policy) {
+    return _callAIWithRetries(agentConfig, systemPrompt, userPrompt, agentRole, callOptions);
+  }
+  return providerFallback.callWithFallback(
+    agentConfig,
+    policy,
+    (config) => _callAIWithRetries(config, systemPrompt, userPrompt, agentRole, callOptions),
+    { validate, onHop: (hop) => _recordFallbackHop(agentRole, hop) },
+  );
+}
+
+/**
+ * Sum the usage of an agent call and its re-ask into one metrics object
+ */
+function combineCallMetrics(first, second) {
+  return {
+    ...second,
+    latencyMs: (first.latencyMs || 0) + (second.latencyMs || 0),
+    inputTokens: (first.inputTokens || 0) + (second.inputTokens || 0),
+    outputTokens: (first.outputTokens || 0) + (second.outputTokens || 0),
+    ...((first.cost != null || second.cost != null) && { cost: (first.cost || 0) + (second.cost || 0) }),
+  };
+}
+
+/**
+ * Call an agent for a structured output (see agentOutputSchemas)
+ *
+ * Requests the schema natively from providers that support it, validates the
+ * parse, and re-asks once with the validation errors quoted back.
+ *
+ * @param {Object} agentConfig
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {string} agentRole - Role label; the re-ask is logged as `${agentRole}-retry`
+ * @param {string} schemaName - ego_suggestions | superego_verdict | pre_analysis
+ * @param {Function} parse - async (text) => parsed value, or null when no JSON was found
+ * @param {Object} options - callAI options
+ * @returns {Promise<Object>} { response, rawResponse, parsed, valid, schemaRepair }.
+ *   response carries the combined usage of both calls when a re-ask was made;
+ *   schemaRepair ({ errors, repaired, remainingErrors }) is null when the
+ *   first response was valid
+ */
+async function _callAIForSchema(agentConfig, systemPrompt, userPrompt, agentRole, schemaName, parse, options = {}) {
+  const responseSchema = agentOutputSchemas.getNativeResponseSchema(schemaName);
+  const first = await callAI(agentConfig, systemPrompt, userPrompt, agentRole, { ...options, responseSchema });
+  const firstParsed = await parse(first.text);
+  const firstValidation = agentOutputSchemas.validateAgentOutput(schemaName, firstParsed);
+  if (firstValidation.valid) {
+    return { response: first, rawResponse: first.text, parsed: firstParsed, valid: true, schemaRepair: null };
+  }
+
+  const describeErrors = (errors) => errors.map((e) => `${e.path} ${e.message}`).join('; ');
+  console.warn(`[${agentRole}] Output failed ${schemaName} validation (${describeErrors(firstValidation.errors)}), re-asking...`);
+
+  const repairPrompt = agentOutputSchemas.buildRepairPrompt(schemaName, userPrompt, firstValidation.errors);
+  const retry = await callAI(agentConfig, systemPrompt, repairPrompt, `${agentRole}-retry`, { ...options, responseSchema });
+  const retryParsed = await parse(retry.text);
+  const retryValidation = agentOutputSchemas.validateAgentOutput(schemaName, retryParsed);
+  if (!retryValidation.valid) {
+    console.warn(`[${agentRole}] Re-ask still failed ${schemaName} validation (${describeErrors(retryValidation.errors)})`);
+  }
+
+  // Keep the first parse when the re-ask produced no JSON at all
+  const useRetry = retryParsed !== null && retryParsed !== undefined;
+  const final = useRetry ? retryValidation : firstValidation;
+  return {
+    response: combineCallMetrics(first, retry),
+    rawResponse: useRetry ? retry.text : first.text,
+    parsed: useRetry ? retryParsed : firstParsed,
+    valid: final.valid,
+    schemaRepair: { errors: firstValidation.errors, repaired: retryValidation.valid, remainingErrors: final.valid ? [] : final.errors },
+  };
+}
+
+async function _callAIWithRetries(agentConfig, systemPrompt, userPrompt, agentRole, options) {
   const isStreaming = !!options.onToken;
 
+  // Spend caps (no-op unless budgets.enabled): may downgrade the model or refuse the call
+  agentConfig = budgetService.enforceCallBudget(agentConfig, agentRole, _budgetScope());
+
   // Phase 0: Context overflow retry (local/lmstudio only — progressive truncation)
   let effectiveSystemPrompt = systemPrompt;
   let effectiveUserPrompt = userPrompt;
@@ -1486,8 +1712,21 @@ async function callAI(agentConfig, systemPrompt, userPrompt, agentRole = 'unknow
 }
 
 async function _callAIOnce(agentConfig, systemPrompt, userPrompt, agentRole = 'unknown', options = {}) {
-  const { onToken, messageHistory = null, ...logOptions } = options;
+  let { onToken, messageHistory = null, responseSchema = null, ...logOptions } = options;
   const { provider, providerConfig, model, hyperparameters } = agentConfig;
+
+  // PII redaction: providers and logs only see placeholders
+  const redactor = _getState().redactor || null;
+  let streamRestorer = null;
+  if (redactor) {
+    systemPrompt = redactor.redact(systemPrompt);
+    userPrompt = redactor.redact(userPrompt);
+    messageHistory = redactor.redactMessages(messageHistory);
+    if (onToken && redactor.restoreResponses) {
+      streamRestorer = redactor.createStreamRestorer(onToken);
+      onToken = streamRestorer.push;
+    }
+  }
   let { temperature = 0.5, max_tokens = 1500, top_p, reasoning_effort = 'low' } = hyperparameters;
 
   // Thinking/reasoning models (kimi-k2-thinking, deepseek-r1) use internal
@@ -1527,7 +1766,7 @@ async function _callAIOnce(agentConfig, systemPrompt, userPrompt, agentRole = 'u
       messages = [{ role: 'user', parts: [{ text: userPrompt }] }];
     }
   } else {
-    // OpenAI, OpenRouter, local, lmstudio: standard {role, content} messages with system role
+    // OpenAI, OpenRouter, local, lmstudio, mock: standard {role, content} messages with system role
     messages = messageHistory?.length
       ? [{ role: 'system', content: `${systemPrompt}\n\n${userPrompt}` }, ...messageHistory]
       : [{ role: 'system', content: systemPrompt }, { role: 'user', content: userPrompt }];
@@ -1543,11 +1782,13 @@ async function _callAIOnce(agentConfig, systemPrompt, userPrompt, agentRole = 'u
     systemPrompt: effectiveSystem,
     hyperparameters: { temperature, max_tokens, top_p, reasoning_effort },
     onToken,
+    responseSchema,
   });
+  streamRestorer?.flush();
 
   // Wrap into tutor result shape
   const result = {
-    text: raw.text,
+    text: redactor?.restoreResponses ? redactor.restore(raw.text) : raw.text,
     model,
     provider,
     latencyMs: raw.latencyMs,
@@ -1559,6 +1800,11 @@ async function _callAIOnce(agentConfig, systemPrompt, userPrompt, agentRole = 'u
     ...(raw.contextOverflow && { contextOverflow: true, errorMessage: raw.errorMessage }),
   };
 
+  budgetService.recordSpend({
+    ..._budgetScope(), agentRole, provider, model,
+    inputTokens: result.inputTokens, outputTokens: result.outputTokens, cost: result.cost,
+  });
+
   // Log the API call (tutor-only concern)
   const actionLabel = provider === 'local' || provider === 'lmstudio' ? 'local_call' : `${provider}_call`;
   logApiCall(agentRole, actionLabel, { prompt, response: raw.text, ...result }, logOptions);
@@ -1636,12 +1882,18 @@ Format your response as:
 Be specific and incisive. The Ego needs to hear the harder truth.`;
 
   try {
-    const response = await callAI(superegoConfig, superegoConfig.prompt, userPrompt, 'superego-reinterpret');
-    const parsed = extractJsonObject(response.text);
+    const { response, parsed, valid, schemaRepair } = await _callAIForSchema(
+      superegoConfig,
+      superegoConfig.prompt,
+      userPrompt,
+      'superego-reinterpret',
+      'pre_analysis',
+      async (text) => extractJsonObject(text),
+    );
 
-    if (parsed) {
+    if (valid) {
       // Note: callAI already logs via logApiCall with 'superego-reinterpret' role
-      return { reinterpretation: parsed, metrics: response };
+      return { reinterpretation: parsed, metrics: response, ...(schemaRepair && { schemaRepair }) };
     }
   } catch (e) {
     console.warn('[Superego reinterpret] Failed:', e.message);
@@ -1672,6 +1924,7 @@ async function egoGenerateSuggestions(learnerContext, curriculumContext, simulat
     behavioralOverrides = null, // Quantitative params from superego self-reflection
     onToken = null, // Streaming callback for token-by-token output
     messageHistory = null, // Multi-turn message chain (array of {role, content})
+    masteryContext = null, // Rendered knowledge-tracing summary (knowledgeTracingService)
   } = options;
 
   let egoConfig = configLoader.getAgentConfig('ego', profileName);
@@ -1735,7 +1988,13 @@ ${outputSizeInstructions[outputSize] || ''}
 ## Current Learner Context
 
 ${learnerContext}
+${masteryContext ? `
+## Knowledge State (from quiz and activity results)
 
+${masteryContext}
+
+Target review suggestions at the gaps above, and only suggest a new lecture the learner is ready for.
+` : ''}
 ## Available Curriculum
 
 ${curriculumContext}
@@ -1768,29 +2027,23 @@ Respond with ONLY a JSON array containing exactly one suggestion object.`;
     ? `${systemPromptExtension}\n\n${egoConfig.prompt}`
     : egoConfig.prompt;
 
-  const response = await callAI(egoConfig, effectiveSystemPrompt, userPrompt, 'ego', { onToken, messageHistory });
-
-  // Extract JSON from response (handles markdown code blocks)
-  let suggestions = extractJsonArray(response.text);
-  if (!suggestions) {
-    // Retry once — re-send original prompt with format reminder prepended.
-    // The original prompt contains all learner context and curriculum; sending
-    // a context-free retry causes hallucinated/generic suggestions.
-    console.warn('[Ego] No JSON array found, retrying with format reminder + full context...');
-    const retryUserPrompt = `IMPORTANT: Your previous response could not be parsed as JSON. This time, respond with ONLY a valid JSON array — no markdown fences, no explanation, no preamble.
-
-Example format:
-[{"type":"lecture","priority":"high","title":"Review: Topic","message":"Specific message referencing learner data","actionTarget":"479-lecture-3","reasoning":"Why this suggestion"}]
-
-${userPrompt}`;
-
-    const retryResponse = await callAI(egoConfig, egoConfig.prompt, retryUserPrompt, 'ego-retry', { onToken });
-    suggestions = extractJsonArray(retryResponse.text);
+  // Extract JSON from response (handles markdown code blocks), validate it
+  // against the suggestion schema and re-ask once with the errors on failure
+  const { response, rawResponse, parsed, valid, schemaRepair } = await _callAIForSchema(
+    egoConfig,
+    effectiveSystemPrompt,
+    userPrompt,
+    'ego',
+    'ego_suggestions',
+    async (text) => extractJsonArray(text),
+    { onToken, messageHistory, validate: hasJsonArray },
+  );
 
-    if (!suggestions) {
-      console.warn('[Ego] Retry also failed. Raw response:', retryResponse.text.slice(0, 300));
-      return { suggestions: [], rawPrompt: userPrompt, rawResponse: response.text, metrics: response };
-    }
+  // Still invalid after the re-ask: keep only the suggestions that validate
+  const suggestions = valid ? parsed : agentOutputSchemas.filterValidSuggestions(parsed);
+  if (suggestions.length === 0) {
+    console.warn('[Ego] No valid suggestions after re-ask. Raw response:', rawResponse.slice(0, 300));
+    return { suggestions: [], rawPrompt: userPrompt, rawResponse, metrics: response, schemaRepair };
   }
 
   // ============================================================================
@@ -1903,7 +2156,7 @@ ${userPrompt}`;
     }
   }
 
-  return { suggestions, rawPrompt: userPrompt, rawResponse: response.text, metrics: response };
+  return { suggestions, rawPrompt: userPrompt, rawResponse, metrics: response, schemaRepair };
 }
 
 /**
@@ -1984,34 +2237,11 @@ async function parseJsonWithFallback(text, pattern, retryFn, context) {
   }
 }
 
-/**
- * Get a fallback config that uses a stronger model (sonnet instead of haiku)
- */
-function getFallbackConfig(originalConfig) {
-  // If already using sonnet or opus, no fallback available
-  const modelName = originalConfig.modelName || '';
-  if (modelName === 'sonnet' || modelName === 'opus') {
-    return null;
-  }
-
-  // Try to get sonnet config for the same provider
-  const fallbackConfig = configLoader.getAgentConfig('ego'); // Ego typically uses stronger model
-  if (fallbackConfig && fallbackConfig.model !== originalConfig.model) {
-    return {
-      ...originalConfig,
-      model: fallbackConfig.model,
-      modelName: 'sonnet',
-    };
-  }
-
-  return null;
-}
-
 /**
  * Superego reviews and critiques Ego's suggestions
  */
 async function superegoReview(egoSuggestions, learnerContext, options = {}) {
-  const { previousFeedback = null, profileName = null, strategy = null, superegoModel = null, superegoPromptExtension = null, onToken = null, messageHistory = null } = options;
+  const { previousFeedback = null, profileName = null, strategy = null, superegoModel = null, superegoPromptExtension = null, onToken = null, messageHistory = null, targetIssues = null, prerequisiteIssues = null, learnerSummary = null } = options;
 
   let superegoConfig = configLoader.getAgentConfig('superego', profileName, { strategy });
   if (!superegoConfig && !superegoModel) {
@@ -2066,12 +2296,22 @@ async function superegoReview(egoSuggestions, learnerContext, options = {}) {
   // The superego checks specificity, evidence, appropriateness, and tone against
   // learner signals — the structured summary contains all the key data points.
   // Full raw context (event timelines, markdown profile) is unnecessary for review.
-  const reviewContext = extractStructuredSummary(learnerContext) || learnerContext;
+  const reviewContext = learnerSummary || extractStructuredSummary(learnerContext) || learnerContext;
+
+  // Unknown actionTargets found by curriculum verification (runDialogue rejects these regardless)
+  const targetContext = targetIssues
+    ? `\n## Curriculum Verification (automatic)\nThese actionTargets do not exist in the curriculum. This is a hard failure: set approved: false.\n${targetIssues}\n`
+    : '';
+
+  // Lectures the learner is not ready for, from typed curriculum/learner context
+  const prerequisiteContext = prerequisiteIssues
+    ? `\n## Prerequisite Check (automatic)\nThese suggestions send the learner to lectures whose prerequisites they have not completed. Reject unless the reasoning justifies skipping ahead.\n${prerequisiteIssues}\n`
+    : '';
 
   const userPrompt = `## Learner Context
 
 ${reviewContext}
-${feedbackContext}
+${feedbackContext}${targetContext}${prerequisiteContext}
 ## Ego's Suggestions to Review
 
 \`\`\`json
@@ -2097,21 +2337,21 @@ Respond with ONLY a JSON object in the format specified.`;
     ? `${superegoPromptExtension}\n\n${superegoConfig.prompt}`
     : superegoConfig.prompt;
 
-  const response = await callAI(superegoConfig, effectiveSuperegoPrompt, userPrompt, 'superego', { onToken, messageHistory });
-
-  // No model-swapping fallback: parse failures auto-approve rather than
-  // silently switching to a different model (which compromises test integrity)
-  const retryFn = null;
-
-  // Parse without fallback
-  const { parsed, rawResponse } = await parseJsonWithFallback(
-    response.text,
-    /\{[\s\S]*\}/,
-    retryFn,
-    'Superego'
+  // No model-swapping fallback: the re-ask goes to the same model, and parse
+  // failures auto-approve rather than silently switching to a different model
+  // (which compromises test integrity)
+  const { response, rawResponse, parsed, schemaRepair } = await _callAIForSchema(
+    superegoConfig,
+    effectiveSuperegoPrompt,
+    userPrompt,
+    'superego',
+    'superego_verdict',
+    async (text) => (await parseJsonWithFallback(text, /\{[\s\S]*\}/, null, 'Superego')).parsed,
+    { onToken, messageHistory, validate: hasJsonObject },
   );
 
-  if (!parsed) {
+  // A verdict without a boolean `approved` can't be acted on
+  if (!parsed || typeof parsed.approved !== 'boolean') {
     return {
       approved: true,  // Don't reject ego for superego's parse failure
       interventionType: 'none',
@@ -2120,6 +2360,7 @@ Respond with ONLY a JSON object in the format specified.`;
       metrics: response,
       usedFallback: false,
       parseFailure: true,  // Flag for trace analysis
+      schemaRepair,
     };
   }
 
@@ -2128,6 +2369,7 @@ Respond with ONLY a JSON object in the format specified.`;
     rawResponse,
     metrics: response,
     usedFallback: false,
+    ...(schemaRepair && { schemaRepair }),
   };
 }
 
@@ -2135,7 +2377,7 @@ Respond with ONLY a JSON object in the format specified.`;
  * Ego revises suggestions based on Superego feedback
  */
 async function egoRevise(originalSuggestions, superegoFeedback, learnerContext, curriculumContext, options = {}) {
-  const { profileName = null, from = null, to = null, direction = null, egoModel = null, systemPromptExtension = null, onToken = null, messageHistory = null } = options;
+  const { profileName = null, from = null, to = null, direction = null, egoModel = null, systemPromptExtension = null, onToken = null, messageHistory = null, learnerSummary = null } = options;
 
   let egoConfig = configLoader.getAgentConfig('ego', profileName);
   if (!egoConfig) {
@@ -2164,7 +2406,7 @@ async function egoRevise(originalSuggestions, superegoFeedback, learnerContext,
   // the full learner context + curriculum on round 0. For revision it only needs
   // the superego feedback, its own suggestions, and the learner signals for grounding.
   // Curriculum is omitted — the ego already chose an actionTarget.
-  const condensedLearnerContext = extractStructuredSummary(learnerContext) || learnerContext;
+  const condensedLearnerContext = learnerSummary || extractStructuredSummary(learnerContext) || learnerContext;
 
   const userPrompt = `## Internal Feedback (from quality review)
 
@@ -2208,16 +2450,23 @@ Respond with ONLY a JSON array of revised suggestions.`;
     ? `${systemPromptExtension}\n\n${egoConfig.prompt}`
     : egoConfig.prompt;
 
-  const response = await callAI(egoConfig, effectiveSystemPrompt, userPrompt, 'ego-revise', { ...callOptions, onToken, messageHistory });
+  const { response, rawResponse, parsed, valid, schemaRepair } = await _callAIForSchema(
+    egoConfig,
+    effectiveSystemPrompt,
+    userPrompt,
+    'ego-revise',
+    'ego_suggestions',
+    async (text) => extractJsonArray(text),
+    { ...callOptions, onToken, messageHistory, validate: hasJsonArray },
+  );
 
-  // Extract JSON from response (handles markdown code blocks)
-  const suggestions = extractJsonArray(response.text);
-  if (!suggestions) {
-    console.warn('[Ego revision] No JSON array found in response:', response.text.slice(0, 500));
-    return { suggestions: originalSuggestions, rawResponse: response.text, metrics: response };
+  const suggestions = valid ? parsed : agentOutputSchemas.filterValidSuggestions(parsed);
+  if (suggestions.length === 0) {
+    console.warn('[Ego revision] No valid suggestions in response, keeping originals:', rawResponse.slice(0, 500));
+    return { suggestions: originalSuggestions, rawResponse, metrics: response, schemaRepair };
   }
 
-  return { suggestions, rawResponse: response.text, metrics: response };
+  return { suggestions, rawResponse, metrics: response, schemaRepair };
 }
 
 /**
@@ -2258,39 +2507,49 @@ function logDialogue(dialogueId, data) {
 
   if (!evalConfig.log_dialogues) return;
 
+  // learnerId is recorded so learnerDataService can find a learner's dialogue logs
+  const { learnerId, redactor } = _getState(dialogueId);
+  let entry = learnerId ? { ...data, learnerId } : data;
+  if (redactor) entry = { ...redactor.redactValue(entry), redaction: redactor.summary() };
+
   try {
     const logPath = path.join(LOGS_DIR, `${dialogueId}.json`);
-    fs.writeFileSync(logPath, JSON.stringify(data, null, 2));
+    fs.writeFileSync(logPath, JSON.stringify(entry, null, 2));
   } catch (e) {
     console.warn('Failed to log dialogue:', e.message);
   }
 }
 
-function suggestionSimilarity(sugA, sugB) {
-  const strA = JSON.stringify(sugA);
-  const strB = JSON.stringify(sugB);
-  if (strA === strB) return 1.0;
-  if (!strA.length || !strB.length) return 0.0;
-  const minLen = Math.min(strA.length, strB.length);
-  const maxLen = Math.max(strA.length, strB.length);
-  let matches = 0;
-  for (let i = 0; i < minLen; i++) {
-    if (strA[i] === strB[i]) matches++;
-  }
-  return matches / maxLen;
-}
-
 /**
  * Run the full Ego-Superego dialogue to generate modulated suggestions
  *
  * @param {Object} context - Contains learnerContext, curriculumContext, simulationsContext
+ *   (prompt strings or typed objects, see tutorContext), and optionally curriculum (structured
+ *   lectures/simulations for actionTarget verification when curriculumContext is a string)
  * @param {Object} options - Configuration options
  * @returns {Object} - Final suggestions and dialogue trace
  */
 export async function runDialogue(context, options = {}) {
-  const { learnerContext, curriculumContext, simulationsContext } = context;
+  // A config reload mid-dialogue applies from the next dialogue on
+  return configLoader.withConfigSnapshot(() =>
+    dialogueScope.run({ dialogueId: null }, () => runDialogueOnSnapshot(context, options)));
+}
+
+/**
+ * runDialogue, with the configuration pinned for the whole dialogue
+ * @private
+ */
+async function runDialogueOnSnapshot(context, options = {}) {
+  // Learner preferences (ai_user_settings) fill in options the caller left unset
+  options = learnerSettingsService.applyLearnerSettings(options);
+  // Spend caps (no-op unless budgets.enabled): refuse, drop the superego or downgrade models
+  options = budgetService.applyDialogueBudget(options);
+
+  // Typed context objects are rendered to prompt strings; the objects are kept for checks
+  const { learnerContext: resolvedLearnerContext, curriculumContext, simulationsContext, learner, curriculum, simulations } =
+    tutorContext.resolveDialogueContext(context);
   const {
-    isNewUser = false,
+    isNewUser: isNewUserOption = false,
     maxRounds = null,
     // Enable trace by default in transcript/expand mode for complete logging
     trace = isTranscriptMode() || isExpandMode(),
@@ -2314,7 +2573,27 @@ export async function runDialogue(context, options = {}) {
     onStream = null, // Streaming callback: receives { type, agent, round, token, stage }
     messageHistory = null, // External conversation chain from prior turns (array of {role, content})
     conversationMode = 'single-prompt', // 'messages' for multi-turn message chains, 'single-prompt' for legacy
+    redaction = undefined, // PII redaction: false to disable, or { roster, patterns } to enable/extend pii_redaction
+    _learnerSettings = null, // Internal: set by applyLearnerSettings (learnerSettings: false skips it)
+    _budgetProfileName = null, // Internal: effective profile for spend caps, set by applyDialogueBudget
   } = options;
+  const isNewUser = isNewUserOption || learner?.profile.isNewUser === true;
+  if (_learnerSettings?.error && !isQuietOrTranscript()) {
+    console.warn(`[LearnerSettings] Settings unavailable for ${_learnerSettings.learnerId}:`, _learnerSettings.error);
+  }
+  const learnerSettings = _learnerSettings?.applied ? { ..._learnerSettings, removed: [] } : null;
+
+  // Spaced repetition: concepts the learner is due to review join the learner context
+  let dueReviews = [];
+  if (learnerId && spacedRepetition.getSpacedRepetitionConfig().enabled) {
+    try {
+      dueReviews = spacedRepetition.getDueReviews(learnerId);
+    } catch (error) {
+      if (!isQuietOrTranscript()) console.warn(`[SpacedRepetition] Due reviews unavailable for ${learnerId}:`, error.message);
+    }
+  }
+  const learnerContext = spacedRepetition.appendDueReviews(resolvedLearnerContext, dueReviews);
+  const learnerSummary = learner ? spacedRepetition.appendDueReviews(tutorContext.renderLearnerSummary(learner), dueReviews) : null;
 
   // Helper: create an onToken callback for a specific agent/round that fires
   // through the onStream callback with agent context attached
@@ -2334,7 +2613,7 @@ export async function runDialogue(context, options = {}) {
     _initDialogueState(dialogueId, profileName);
   } else {
     // Continuing an existing dialogue - just update the active pointer
-    currentDialogueId = dialogueId;
+    _setActiveDialogueId(dialogueId);
     const state = _getState(dialogueId);
     state.profileName = profileName;
   }
@@ -2345,7 +2624,11 @@ export async function runDialogue(context, options = {}) {
   if (dialogueState) {
     dialogueState.disableSuperego = disableSuperego;
     dialogueState.superegoModelOverride = superegoModel || null;
+    dialogueState.learnerId = learnerId;
+    dialogueState.budgetProfileName = _budgetProfileName;
+    dialogueState.redactor = piiRedaction.createDialogueRedactor(redaction);
   }
+  const redactor = dialogueState.redactor;
 
   // Start monitoring session for real-time tracking
   const profile = configLoader.getActiveProfile(profileName);
@@ -2379,6 +2662,7 @@ export async function runDialogue(context, options = {}) {
   monitoringService.startSession(dialogueId, {
     profileName: profileName || profile?.name || 'default',
     modelId: egoConfig?.model || 'unknown',
+    provider: egoConfig?.provider || null,
   });
 
   const dialogueTrace = [];
@@ -2390,11 +2674,65 @@ export async function runDialogue(context, options = {}) {
     // OpenRouter cost tracking
     totalCost: 0,
     generationIds: [],
+    // Provider fallback hops (appended by callAI through the dialogue state)
+    fallbackHops: [],
+    // Convergence similarity per revision round
+    similarity: [],
   };
+  dialogueState.fallbackHops = metrics.fallbackHops;
 
   let currentSuggestions = [];
   let previousFeedback = null;
 
+  // actionTargets are checked against the lectures/simulations this dialogue was given
+  const verificationConfig = curriculumIndex.getVerificationConfig();
+  let targetIndex = null;
+  if (verificationConfig.enabled) {
+    const structuredCurriculum = curriculum || context.curriculum || null;
+    const lectureIndex = structuredCurriculum
+      ? curriculumIndex.buildCurriculumIndex(structuredCurriculum)
+      : curriculumIndex.parseCurriculumIndex(curriculumContext);
+    const simulationIndex = simulations
+      ? curriculumIndex.buildCurriculumIndex({ simulations })
+      : structuredCurriculum?.simulations ? lectureIndex : curriculumIndex.parseCurriculumIndex('', simulationsContext);
+    targetIndex = { lectures: lectureIndex.lectures, simulations: simulationIndex.simulations };
+  }
+  const verifyTargets = () => curriculumIndex.verifySuggestionTargets(currentSuggestions, targetIndex, verificationConfig);
+
+  // Final pass on the suggestions about to be returned: repair (or strip)
+  // targets that are still unknown and record the outcome in the trace
+  const finalizeTargets = (round) => {
+    if (!targetIndex) return undefined;
+    const verification = verifyTargets();
+    let repairs = [];
+    let stripped = [];
+    if (!verification.valid && verificationConfig.repair) {
+      ({ suggestions: currentSuggestions, repairs, stripped } = curriculumIndex.repairSuggestionTargets(
+        currentSuggestions, verification, verificationConfig,
+      ));
+      if (!isQuietOrTranscript()) {
+        for (const repair of repairs) console.log(`[Dialogue] Repaired actionTarget ${repair.from} -> ${repair.to} (${repair.method})`);
+        for (const removed of stripped) console.log(`[Dialogue] Removed unknown actionTarget ${removed.from}`);
+      }
+    }
+    const outcome = { checked: verification.checked, issues: verification.issues, repairs, stripped };
+    if (trace && (verification.checked > 0 || !verification.valid)) {
+      dialogueTrace.push({ round, agent: 'system', action: 'verify_targets', output: outcome });
+    }
+    return outcome;
+  };
+
+  // Learner settings: drop suggestion types the learner has switched off
+  const gateSuggestionTypes = (round) => {
+    if (!learnerSettings?.applied.blockedTypes) return;
+    const { suggestions, removed } = learnerSettingsService.filterBlockedSuggestions(currentSuggestions, learnerSettings.applied.blockedTypes);
+    currentSuggestions = suggestions;
+    learnerSettings.removed.push(...removed);
+    if (trace && removed.length > 0) {
+      dialogueTrace.push({ round, agent: 'system', action: 'gate_suggestion_types', output: { removed } });
+    }
+  };
+
   const startTime = Date.now();
 
   // Log dialogue header with learner context (rich formatting)
@@ -2449,8 +2787,9 @@ export async function runDialogue(context, options = {}) {
   }
 
   // Transcript mode: Show learner context (clean numbered view)
+  const contextSummary = learner ? tutorContext.summarizeLearner(learner) : parseContextSummary(learnerContext);
   transcript('LEARNER CONTEXT', learnerContext, {
-    context: parseContextSummary(learnerContext),
+    context: contextSummary,
   });
 
   // Add learner context to dialogue trace (for transcript display)
@@ -2463,7 +2802,7 @@ export async function runDialogue(context, options = {}) {
       from: 'tutor',
       to: 'ego',
       rawContext: learnerContext,
-      contextData: parseContextSummary(learnerContext),
+      contextData: contextSummary,
     });
   }
 
@@ -2491,6 +2830,8 @@ export async function runDialogue(context, options = {}) {
           // Record monitoring event
           monitoringService.recordEvent(dialogueId, {
             type: 'superego_pre_analyze',
+            modelId: reinterpResult.metrics.model,
+            provider: reinterpResult.metrics.provider,
             inputTokens: reinterpResult.metrics.inputTokens || 0,
             outputTokens: reinterpResult.metrics.outputTokens || 0,
             latencyMs: reinterpResult.metrics.latencyMs || 0,
@@ -2510,6 +2851,7 @@ export async function runDialogue(context, options = {}) {
             latencyMs: reinterpResult.metrics?.latencyMs,
             provider: reinterpResult.metrics?.provider || 'unknown',
             metrics: trimMetricsForTrace(reinterpResult.metrics),
+            ...(reinterpResult.schemaRepair && { schemaRepair: reinterpResult.schemaRepair }),
           });
         }
 
@@ -2539,6 +2881,25 @@ export async function runDialogue(context, options = {}) {
     }
   }
 
+  // Knowledge tracing: the learner's mastery summary steers review/lecture targets
+  let masterySummary = null;
+  if (learnerId && knowledgeTracing.getKnowledgeTracingConfig().enabled) {
+    try {
+      const structuredCurriculum = curriculum || (context.curriculum?.courses ? context.curriculum : null);
+      const graph = structuredCurriculum ? buildCurriculumGraph(structuredCurriculum) : null;
+      masterySummary = knowledgeTracing.getMasterySummary(learnerId, { graph });
+    } catch (error) {
+      if (!isQuietOrTranscript()) console.warn(`[KnowledgeTracing] Mastery summary unavailable for ${learnerId}:`, error.message);
+    }
+  }
+  const masteryContext = knowledgeTracing.renderMasterySummary(masterySummary);
+  if (trace && masterySummary) {
+    dialogueTrace.push({ round: 0, agent: 'system', action: 'knowledge_state', output: masterySummary });
+  }
+  if (trace && dueReviews.length > 0) {
+    dialogueTrace.push({ round: 0, agent: 'system', action: 'due_reviews', output: dueReviews });
+  }
+
   // Step 1: Ego generates initial suggestions
   // When using message chains, pass external history so the ego sees prior turns
   // as proper assistant/user messages rather than serialized text.
@@ -2569,6 +2930,7 @@ export async function runDialogue(context, options = {}) {
       learnerId,
       dialecticalNegotiation,
       behavioralOverrides,
+      masteryContext,
       onToken: makeOnToken('ego', 0),
       // Pass external history for message chain mode
       messageHistory: useMessageChains ? messageHistory : null,
@@ -2615,6 +2977,7 @@ export async function runDialogue(context, options = {}) {
       latencyMs: egoInitial.metrics?.latencyMs,
       provider: egoInitial.metrics?.provider || 'unknown',
       metrics: trimMetricsForTrace(egoInitial.metrics),
+      ...(egoInitial.schemaRepair && { schemaRepair: egoInitial.schemaRepair }),
     });
   }
 
@@ -2631,7 +2994,8 @@ export async function runDialogue(context, options = {}) {
     const egoRetry = await egoGenerateSuggestions(
       learnerContext, curriculumContext, simulationsContext,
       { isNewUser, profileName, superegoReinterpretation, outputSize, egoModel, superegoModel, hyperparameters,
-        systemPromptExtension, superegoPromptExtension, superegoCompliance, recognitionSeeking, learnerId, dialecticalNegotiation, behavioralOverrides }
+        systemPromptExtension, superegoPromptExtension, superegoCompliance, recognitionSeeking, learnerId, dialecticalNegotiation, behavioralOverrides,
+        masteryContext }
     );
     currentSuggestions = egoRetry.suggestions || [];
     // Accumulate retry metrics
@@ -2662,6 +3026,8 @@ export async function runDialogue(context, options = {}) {
       metrics,
       dialogueId,
       profileName: profileName || configLoader.getActiveProfile().name,
+      ...(redactor && { redaction: _redactionResult(redactor) }),
+      ...(learnerSettings && { learnerSettings }),
       // Include learner context for complete logging
       learnerContext: trace ? learnerContext : undefined,
     };
@@ -2698,6 +3064,10 @@ export async function runDialogue(context, options = {}) {
     // Superego reviews — skip entirely when superego is disabled (single-agent cells)
     let superegoResult;
     if (hasSuperego) {
+      const targetVerification = targetIndex ? verifyTargets() : null;
+      const prerequisiteIssues = learner && curriculum
+        ? tutorContext.checkSuggestionPrerequisites(currentSuggestions, curriculum, learner)
+        : [];
       onStream?.({ type: 'stage', stage: 'superego_reviewing', round });
       superegoResult = await superegoReview(
         currentSuggestions,
@@ -2706,9 +3076,15 @@ export async function runDialogue(context, options = {}) {
           previousFeedback, profileName, strategy: superegoStrategy, superegoModel, superegoPromptExtension,
           onToken: makeOnToken('superego', round),
           messageHistory: useMessageChains ? (superegoInternalHistory.length > 0 ? superegoInternalHistory : null) : null,
+          targetIssues: targetVerification?.valid === false ? curriculumIndex.formatTargetIssues(targetVerification) : null,
+          prerequisiteIssues: prerequisiteIssues.length > 0 ? tutorContext.formatPrerequisiteIssues(prerequisiteIssues) : null,
+          learnerSummary,
         }
       );
+      if (prerequisiteIssues.length > 0) superegoResult.prerequisiteIssues = prerequisiteIssues;
       onStream?.({ type: 'complete', agent: 'superego', round });
+      // Unknown targets are a hard rejection whatever the superego concluded
+      if (targetVerification) superegoResult = curriculumIndex.rejectForUnknownTargets(superegoResult, targetVerification);
     } else {
       superegoResult = { approved: true, interventionType: 'none', feedback: 'No superego configured', metrics: null };
     }
@@ -2733,6 +3109,8 @@ export async function runDialogue(context, options = {}) {
       // Record monitoring event
       monitoringService.recordEvent(dialogueId, {
         type: 'superego_review',
+        modelId: superegoResult.metrics.model,
+        provider: superegoResult.metrics.provider,
         inputTokens: superegoResult.metrics.inputTokens || 0,
         outputTokens: superegoResult.metrics.outputTokens || 0,
         latencyMs: superegoResult.metrics.latencyMs || 0,
@@ -2762,6 +3140,8 @@ export async function runDialogue(context, options = {}) {
         latencyMs: superegoResult.metrics?.latencyMs,
         provider: superegoResult.metrics?.provider || 'unknown',
         metrics: trimMetricsForTrace(superegoResult.metrics),
+        ...(superegoResult.schemaRepair && { schemaRepair: superegoResult.schemaRepair }),
+        ...(superegoResult.prerequisiteIssues && { prerequisiteIssues: superegoResult.prerequisiteIssues }),
       });
     }
 
@@ -2804,7 +3184,7 @@ export async function runDialogue(context, options = {}) {
         superegoResult,
         learnerContext,
         curriculumContext,
-        { profileName, from: 'ego', to: 'user', direction: 'response', egoModel, systemPromptExtension, onToken: makeOnToken('ego', round), messageHistory: egoRevisionHistory }
+        { profileName, from: 'ego', to: 'user', direction: 'response', egoModel, systemPromptExtension, onToken: makeOnToken('ego', round), messageHistory: egoRevisionHistory, learnerSummary }
       );
       onStream?.({ type: 'complete', agent: 'ego', round });
       currentSuggestions = egoRevision.suggestions;
@@ -2839,6 +3219,7 @@ export async function runDialogue(context, options = {}) {
           latencyMs: egoRevision.metrics?.latencyMs,
           provider: egoRevision.metrics?.provider || 'unknown',
           metrics: trimMetricsForTrace(egoRevision.metrics),
+          ...(egoRevision.schemaRepair && { schemaRepair: egoRevision.schemaRepair }),
           note: 'Ego incorporated superego suggestions before final output',
         });
       }
@@ -2857,15 +3238,20 @@ export async function runDialogue(context, options = {}) {
       // End monitoring session successfully
       monitoringService.endSession(dialogueId);
 
+      gateSuggestionTypes(round);
+      const targetVerification = finalizeTargets(round);
       const result = {
         suggestions: currentSuggestions,
         dialogueTrace,
         converged: true,
         rounds: round,
         finalReview: superegoResult,
+        targetVerification,
         metrics,
         dialogueId,
         profileName: profileName || configLoader.getActiveProfile().name,
+        ...(redactor && { redaction: _redactionResult(redactor) }),
+        ...(learnerSettings && { learnerSettings }),
         learnerContext: trace ? learnerContext : undefined,
         incorporatedFeedback: hasSuggestions,
       };
@@ -2894,7 +3280,7 @@ export async function runDialogue(context, options = {}) {
       superegoResult,
       learnerContext,
       curriculumContext,
-      { profileName, egoModel, systemPromptExtension, onToken: makeOnToken('ego', round), messageHistory: rejectionRevisionHistory }
+      { profileName, egoModel, systemPromptExtension, onToken: makeOnToken('ego', round), messageHistory: rejectionRevisionHistory, learnerSummary }
     );
     onStream?.({ type: 'complete', agent: 'ego', round });
     currentSuggestions = egoRevision.suggestions;
@@ -2909,21 +3295,42 @@ export async function runDialogue(context, options = {}) {
 
     // Convergence threshold: if ego's revision is too similar to previous,
     // further rounds won't help — converge early
-    const similarity = suggestionSimilarity(previousSuggestions, currentSuggestions);
-    if (similarity >= convergenceThreshold) {
-      if (!isQuietOrTranscript()) console.log(`[Dialogue] Round ${round}: similarity ${(similarity * 100).toFixed(0)}% >= threshold ${(convergenceThreshold * 100).toFixed(0)}%, converging`);
+    const similarity = await suggestionSimilarity.computeSimilarity(previousSuggestions, currentSuggestions, {
+      profileName,
+      redact: redactor?.redact,
+    });
+    const similarityConverged = similarity.score >= convergenceThreshold;
+    metrics.similarity.push({ round, ...similarity, threshold: convergenceThreshold, converged: similarityConverged });
+    if (trace) {
+      dialogueTrace.push({
+        round,
+        agent: 'system',
+        action: 'similarity',
+        output: { ...similarity, threshold: convergenceThreshold, converged: similarityConverged },
+      });
+    }
+    if (!isQuietOrTranscript()) {
+      console.log(`[Dialogue] Round ${round}: ${similarity.measure} similarity ${(similarity.score * 100).toFixed(0)}% ${similarityConverged ? '>=' : '<'} threshold ${(convergenceThreshold * 100).toFixed(0)}%${similarityConverged ? ', converging' : ''}`);
+    }
+    if (similarityConverged) {
       metrics.totalLatencyMs = Date.now() - startTime;
       monitoringService.endSession(dialogueId);
+      gateSuggestionTypes(round);
+      const targetVerification = finalizeTargets(round);
       const result = {
         suggestions: currentSuggestions,
         dialogueTrace,
         converged: true,
         convergenceReason: 'threshold',
-        convergenceSimilarity: similarity,
+        convergenceSimilarity: similarity.score,
+        convergenceMeasure: similarity.measure,
         rounds: round,
+        targetVerification,
         metrics,
         dialogueId,
         profileName: profileName || configLoader.getActiveProfile().name,
+        ...(redactor && { redaction: _redactionResult(redactor) }),
+        ...(learnerSettings && { learnerSettings }),
         learnerContext: trace ? learnerContext : undefined,
       };
       if (!_skipLogging) logDialogue(dialogueId, result);
@@ -2960,6 +3367,7 @@ export async function runDialogue(context, options = {}) {
         latencyMs: egoRevision.metrics?.latencyMs,
         provider: egoRevision.metrics?.provider || 'unknown',
         metrics: trimMetricsForTrace(egoRevision.metrics),
+        ...(egoRevision.schemaRepair && { schemaRepair: egoRevision.schemaRepair }),
       });
     }
 
@@ -2976,14 +3384,19 @@ export async function runDialogue(context, options = {}) {
   // End monitoring session (did not converge)
   monitoringService.endSession(dialogueId);
 
+  gateSuggestionTypes(effectiveMaxRounds);
+  const targetVerification = finalizeTargets(effectiveMaxRounds);
   const result = {
     suggestions: currentSuggestions,
     dialogueTrace,
     converged: false,
     rounds: effectiveMaxRounds,
+    targetVerification,
     metrics,
     dialogueId,
     profileName: profileName || configLoader.getActiveProfile().name,
+    ...(redactor && { redaction: _redactionResult(redactor) }),
+    ...(learnerSettings && { learnerSettings }),
     learnerContext: trace ? learnerContext : undefined,
   };
 
@@ -3026,12 +3439,25 @@ export async function runDialogue(context, options = {}) {
  * Use when latency is critical and quality can be slightly lower
  */
 export async function quickGenerate(context, options = {}) {
-  const { learnerContext, curriculumContext, simulationsContext } = context;
-  const { isNewUser = false, profileName = null } = options;
+  return dialogueScope.run({ dialogueId: null }, () => runQuickGenerate(context, options));
+}
+
+/**
+ * quickGenerate, in its own dialogue scope
+ * @private
+ */
+async function runQuickGenerate(context, options = {}) {
+  const { learnerContext, curriculumContext, simulationsContext, learner } = tutorContext.resolveDialogueContext(context);
+  const { profileName = null } = options;
+  const isNewUser = options.isNewUser || learner?.profile.isNewUser === true;
 
   // Generate unique dialogue ID for log correlation (even in quick mode)
   const dialogueId = `dialogue-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
   _initDialogueState(dialogueId, profileName);
+  const dialogueState = _getState(dialogueId);
+  dialogueState.learnerId = options.learnerId || null;
+  if (budgetService.isBudgetEnabled()) dialogueState.budgetProfileName = budgetService.resolveBudgetProfile(profileName);
+  dialogueState.redactor = piiRedaction.createDialogueRedactor(options.redaction);
 
   // Start monitoring session for quick generation
   const profile = configLoader.getActiveProfile(profileName);
@@ -3077,12 +3503,14 @@ export async function quickGenerate(context, options = {}) {
     metrics: result.metrics,
     dialogueId, // For linking to logs
     profileName: profileName || configLoader.getActiveProfile().name,
+    ...(dialogueState.redactor && { redaction: _redactionResult(dialogueState.redactor) }),
   };
 }
 
 /**
  * Analyze learner state to determine intervention intensity
- * Uses configurable thresholds from the active profile
+ * Uses configurable thresholds from the active profile. sessionState.mastery
+ * (a knowledgeTracingService.getMasterySummary() result) adds knowledge gaps.
  */
 export function analyzeInterventionNeeds(sessionState, recentEvents = [], profileName = null) {
   const thresholds = configLoader.getInterventionThresholds(profileName);
@@ -3120,6 +3548,13 @@ export function analyzeInterventionNeeds(sessionState, recentEvents = [], profil
     analysis.context += 'Multiple activity retries - consider review content. ';
   }
 
+  // Check for knowledge gaps (knowledge tracing)
+  const gaps = sessionState?.mastery?.gaps || [];
+  if (gaps.length > 0) {
+    analysis.focus.push('review');
+    analysis.context += `Knowledge gaps: ${gaps.map(g => g.conceptId).join(', ')} - target review at these. `;
+  }
+
   // Check for idle periods (disengagement)
   const idleEvents = recentEvents.filter(e => (e.event_type || e.type) === 'idle_start');
   if (idleEvents.length >= 2) {
@@ -8,6 +8,10 @@
 
 import { getApiKey, getDefaultModel, getDefaultProviderId, logInteraction } from './aiConfigService.js';
 import { parseSSEStream } from './sseStreamParser.js';
+import { callMock, embedMock, buildMockStreamRequest } from './mockProviderService.js';
+import { interceptCall, interceptStream } from './cassetteService.js';
+import { enforceUnifiedBudget, recordSpend } from './budgetService.js';
+import { isAvailable, trackCall, trackStream, getProviderHealth } from './providerHealthService.js';
 
 // ============================================================================
 // Configuration Presets
@@ -89,13 +93,14 @@ function sanitizeMessages(messages) {
 }
 
 /**
- * Get the first available provider based on API key availability
+ * Get the first available provider based on API key availability,
+ * skipping providers whose circuit breaker is open
  * @returns {string} Provider ID
  */
 export function getAvailableProvider() {
   for (const provider of PROVIDER_PREFERENCE) {
     const keyName = provider === 'anthropic' ? 'claude' : provider;
-    if (getApiKey(keyName)) {
+    if (getApiKey(keyName) && isAvailable(provider)) {
       return provider;
     }
   }
@@ -525,6 +530,7 @@ const PROVIDER_MAP = {
   google: callGemini,  // alias
   local: callLocal,
   lmstudio: callLocal,  // alias
+  mock: callMock,  // deterministic, no network (mockProviderService)
 };
 
 /**
@@ -539,7 +545,8 @@ async function dispatch(provider, model, systemPrompt, messages, config) {
     throw new Error(`Unknown provider: ${normalizedProvider}`);
   }
 
-  return callFn(model, systemPrompt, messages, config);
+  // Health registry / circuit breaker (fails fast while the circuit is open)
+  return trackCall(normalizedProvider, model || null, () => callFn(model, systemPrompt, messages, config));
 }
 
 // ============================================================================
@@ -556,7 +563,7 @@ async function dispatch(provider, model, systemPrompt, messages, config) {
  * @param {Array<{role: string, content: string}>} options.messages - Conversation messages
  * @param {string} [options.preset] - Preset name (chat, direct, socratic, codeReview, deliberation)
  * @param {Object} [options.config] - Override preset config {temperature, maxTokens, topP}
- * @param {string} [options.userId] - User ID for logging (optional)
+ * @param {string} [options.userId] - User ID for logging and per-learner spend caps (optional)
  * @param {string} [options.promptCategory] - Category for logging (optional)
  * @returns {Promise<AIResponse>}
  */
@@ -583,8 +590,25 @@ export async function call({
 
   const startTime = Date.now();
 
+  // Spend caps (no-op unless budgets.enabled): may downgrade the model or refuse the call
+  ({ provider, model } = enforceUnifiedBudget({ provider, model, learnerId: userId }));
+
   try {
-    const response = await dispatch(provider, model, systemPrompt, messages, finalConfig);
+    // Record/replay cassette (no-op unless a cassette session is active)
+    const response = await interceptCall(
+      { kind: 'unified', provider, model, systemPrompt, messages, hyperparameters: finalConfig, onToken },
+      (tokenCallback) => dispatch(provider, model, systemPrompt, messages, { ...finalConfig, onToken: tokenCallback }),
+    );
+
+    recordSpend({
+      learnerId: userId,
+      agentRole: promptCategory || preset,
+      provider: response.provider,
+      model: response.model,
+      inputTokens: response.usage.inputTokens,
+      outputTokens: response.usage.outputTokens,
+      cost: response.cost || undefined, // OpenRouter reports 0 when cost is unknown
+    });
 
     // Log successful interaction if userId provided
     if (userId) {
@@ -673,6 +697,89 @@ export async function generateText({
   });
 }
 
+const EMBED_TIMEOUT_MS = 30000;
+
+// Default embedding model per supported provider
+const EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  local: 'local-embedding-model',
+  mock: 'mock-embedding',
+};
+
+/**
+ * Embed texts with an OpenAI-compatible embeddings endpoint
+ *
+ * Goes through the same layers as call(): spend caps (by userId; a downgrade
+ * breach leaves the embedding model alone), the cassette, and the health
+ * registry / circuit breaker. `provider: 'mock'` embeds offline (embedMock).
+ *
+ * @param {Object} options
+ * @param {string} [options.provider='openai'] - 'openai', 'local' (LOCAL_AI_URL) or 'mock'
+ * @param {string} [options.model] - Embedding model
+ * @param {Array<string>} options.input - Texts to embed
+ * @param {string} [options.userId] - User ID for per-learner spend caps (optional)
+ * @param {number} [options.timeoutMs=30000] - Abort the request after this long
+ * @returns {Promise<Array<Array<number>>>} One vector per input, in input order
+ */
+export async function embed({ provider = 'openai', model, input, userId = null, timeoutMs = EMBED_TIMEOUT_MS }) {
+  provider = provider.toLowerCase();
+  model = model || EMBEDDING_MODELS[provider];
+  if (!model) {
+    throw new Error(`Embeddings not supported for provider: ${provider}`);
+  }
+
+  ({ provider, model } = enforceUnifiedBudget({ provider, model, learnerId: userId, downgradable: false }));
+
+  // Record/replay cassette (no-op unless a cassette session is active)
+  const { vectors, usage } = await interceptCall(
+    { kind: 'embed', provider, model, systemPrompt: '', messages: input.map((text) => ({ role: 'user', content: text })), hyperparameters: {} },
+    () => trackCall(provider, model, () =>
+      (provider === 'mock' ? embedMock(model, input) : embedLive(provider, model, input, timeoutMs))),
+  );
+
+  recordSpend({ learnerId: userId, agentRole: 'embedding', provider, model, inputTokens: usage?.inputTokens, outputTokens: 0 });
+  return vectors;
+}
+
+/**
+ * Live embeddings request behind embed()'s cassette and health layers
+ * @private
+ */
+async function embedLive(provider, model, input, timeoutMs) {
+  let endpoint;
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (provider === 'openai') {
+    const apiKey = getApiKey('openai');
+    if (!apiKey) {
+      throw new Error('OpenAI API key missing. Set OPENAI_API_KEY.');
+    }
+    endpoint = 'https://api.openai.com/v1/embeddings';
+    headers.Authorization = `Bearer ${apiKey}`;
+  } else {
+    const baseUrl = process.env.LOCAL_AI_URL || 'http://localhost:1234';
+    endpoint = baseUrl.replace(/\/+$/, '').replace(/\/v1\/chat\/completions$/, '') + '/v1/embeddings';
+  }
+
+  const res = await fetch(endpoint, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, input }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(`Embedding error (${provider}): ${res.status} - ${error.error?.message || 'Unknown'}`);
+  }
+
+  const data = await res.json();
+  const vectors = [...(data.data || [])]
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map((item) => item.embedding);
+  return { vectors, usage: { inputTokens: data.usage?.prompt_tokens ?? 0 } };
+}
+
 /**
  * Check if a provider is available (has API key configured)
  *
@@ -697,6 +804,7 @@ export function getProviderStatus() {
     status[provider] = {
       configured: Boolean(getApiKey(provider)),
       model: getDefaultModel(provider),
+      health: getProviderHealth(provider === 'claude' ? 'anthropic' : provider),
     };
   }
 
@@ -707,6 +815,12 @@ export function getProviderStatus() {
     baseUrl: process.env.LOCAL_AI_URL || 'http://localhost:1234',
   };
 
+  // Mock provider is always available (scripted responses, no network)
+  status.mock = {
+    configured: true,
+    model: 'mock-tutor',
+  };
+
   return status;
 }
 
@@ -916,6 +1030,9 @@ async function buildStreamRequest(provider, model, systemPrompt, messages, confi
       };
     }
 
+    case 'mock':
+      return buildMockStreamRequest(model, systemPrompt, sanitizedMessages, config);
+
     default:
       throw new Error(`Unknown provider for streaming: ${normalizedProvider}`);
   }
@@ -928,7 +1045,7 @@ async function buildStreamRequest(provider, model, systemPrompt, messages, confi
  *   { type: 'text_delta', content: '...' }
  *   { type: 'done', content: 'full text', usage: {...}, latencyMs, provider, model }
  *
- * @param {Object} options - Same as call() options
+ * @param {Object} options - Same as call() options (userId applies per-learner spend caps)
  * @yields {{type: string, content: string, usage?: Object, latencyMs?: number, provider?: string, model?: string}}
  */
 export async function* callStream({
@@ -938,6 +1055,8 @@ export async function* callStream({
   messages,
   preset = 'direct',
   config = {},
+  userId = null,
+  promptCategory = null,
 }) {
   const presetConfig = PRESETS[preset] || PRESETS.direct;
   const finalConfig = {
@@ -946,6 +1065,37 @@ export async function* callStream({
     topP: config.topP ?? presetConfig.topP,
   };
 
+  // Spend caps, as in call(): may downgrade the model or refuse the stream
+  ({ provider, model } = enforceUnifiedBudget({ provider, model, learnerId: userId }));
+
+  // Record/replay cassette (no-op unless a cassette session is active)
+  const stream = interceptStream(
+    { kind: 'stream', provider, model, systemPrompt, messages, hyperparameters: finalConfig },
+    () => trackStream(provider?.toLowerCase() || getAvailableProvider(), model || null, () =>
+      streamLive(provider, model, systemPrompt, messages, finalConfig),
+    ),
+  );
+
+  for await (const chunk of stream) {
+    if (chunk.type === 'done') {
+      recordSpend({
+        learnerId: userId,
+        agentRole: promptCategory || preset,
+        provider: chunk.provider,
+        model: chunk.model,
+        inputTokens: chunk.usage?.inputTokens,
+        outputTokens: chunk.usage?.outputTokens,
+      });
+    }
+    yield chunk;
+  }
+}
+
+/**
+ * Live streaming request behind callStream's cassette layer
+ * @private
+ */
+async function* streamLive(provider, model, systemPrompt, messages, finalConfig) {
   const startTime = Date.now();
   const { response, format, model: effectiveModel, provider: effectiveProvider } =
     await buildStreamRequest(provider, model, systemPrompt, messages, finalConfig);
@@ -1027,6 +1177,7 @@ export default {
   callStream,
   createCallFactory,
   generateText,
+  embed,
   getAvailableProvider,
   isProviderAvailable,
   getProviderStatus,
@@ -13,7 +13,7 @@
  */
 
 import { randomBytes } from 'crypto';
-import { getDb } from './dbService.js';
+import { getRecognitionStore } from './recognitionStore.js';
 import { isQuietOrTranscript } from './tutorDialogueEngine.js';
 
 // ============================================================================
@@ -34,11 +34,6 @@ export function initializeWritingPad(learnerId) {
 
   const id = `pad-${Date.now()}-${randomBytes(4).toString('hex')}`;
 
-  const stmt = getDb().prepare(`
-    INSERT INTO writing_pads (id, learner_id, conscious_state, preconscious_state, unconscious_state)
-    VALUES (?, ?, ?, ?, ?)
-  `);
-
   const initialConscious = {
     workingThoughts: [],
     ephemeralNotes: {},
@@ -62,13 +57,13 @@ export function initializeWritingPad(learnerId) {
     superegoTraces: [], // Internalized pedagogical standards
   };
 
-  stmt.run(
+  getRecognitionStore().insertWritingPad({
     id,
-    learnerId,
-    JSON.stringify(initialConscious),
-    JSON.stringify(initialPreconscious),
-    JSON.stringify(initialUnconscious)
-  );
+    learner_id: learnerId,
+    conscious_state: JSON.stringify(initialConscious),
+    preconscious_state: JSON.stringify(initialPreconscious),
+    unconscious_state: JSON.stringify(initialUnconscious),
+  });
 
   if (!isQuietOrTranscript()) console.log(`[WritingPad] Created pad ${id} for learner ${learnerId}`);
   return getWritingPad(learnerId);
@@ -80,8 +75,7 @@ export function initializeWritingPad(learnerId) {
  * @returns {object|null} - Writing pad object or null
  */
 export function getWritingPad(learnerId) {
-  const stmt = getDb().prepare('SELECT * FROM writing_pads WHERE learner_id = ?');
-  const row = stmt.get(learnerId);
+  const row = getRecognitionStore().getWritingPadByLearner(learnerId);
 
   if (!row) return null;
 
@@ -131,13 +125,7 @@ export function updateConscious(learnerId, updates) {
     lastUpdated: new Date().toISOString(),
   };
 
-  const stmt = getDb().prepare(`
-    UPDATE writing_pads
-    SET conscious_state = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE learner_id = ?
-  `);
-
-  stmt.run(JSON.stringify(newConscious), learnerId);
+  getRecognitionStore().updateWritingPad(learnerId, { conscious_state: JSON.stringify(newConscious) });
 
   return getWritingPad(learnerId);
 }
@@ -171,13 +159,7 @@ export function updateUnconscious(learnerId, updates) {
     lastUpdated: new Date().toISOString(),
   };
 
-  const stmt = getDb().prepare(`
-    UPDATE writing_pads
-    SET unconscious_state = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE learner_id = ?
-  `);
-
-  stmt.run(JSON.stringify(newUnconscious), learnerId);
+  getRecognitionStore().updateWritingPad(learnerId, { unconscious_state: JSON.stringify(newUnconscious) });
 
   return getWritingPad(learnerId);
 }
@@ -230,13 +212,7 @@ export function promoteToPreconscious(learnerId, pattern) {
     recentPatterns: newPatterns,
   };
 
-  const stmt = getDb().prepare(`
-    UPDATE writing_pads
-    SET preconscious_state = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE learner_id = ?
-  `);
-
-  stmt.run(JSON.stringify(newPreconscious), learnerId);
+  getRecognitionStore().updateWritingPad(learnerId, { preconscious_state: JSON.stringify(newPreconscious) });
 
   if (!isQuietOrTranscript()) console.log(`[WritingPad] Promoted pattern to preconscious for learner ${learnerId}`);
   return getWritingPad(learnerId);
@@ -273,22 +249,11 @@ export function settleToUnconscious(learnerId, recognitionMoment) {
     ],
   };
 
-  const stmt = getDb().prepare(`
-    UPDATE writing_pads
-    SET unconscious_state = ?,
-        total_recognition_moments = total_recognition_moments + 1,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE learner_id = ?
-  `);
-
-  stmt.run(JSON.stringify(newUnconscious), learnerId);
+  const store = getRecognitionStore();
+  store.updateWritingPad(learnerId, { unconscious_state: JSON.stringify(newUnconscious) }, { incrementMoments: 1 });
 
   // Mark recognition moment as consolidated to unconscious
-  getDb().prepare(`
-    UPDATE recognition_moments
-    SET persistence_layer = 'unconscious', consolidated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `).run(recognitionMoment.id);
+  store.consolidateRecognitionMoment(recognitionMoment.id);
 
   if (!isQuietOrTranscript()) console.log(`[WritingPad] Settled recognition moment ${recognitionMoment.id} to unconscious`);
   return getWritingPad(learnerId);
@@ -352,13 +317,7 @@ export function forgetStalePatterns(learnerId) {
       recentPatterns: activePatterns,
     };
 
-    const stmt = getDb().prepare(`
-      UPDATE writing_pads
-      SET preconscious_state = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE learner_id = ?
-    `);
-
-    stmt.run(JSON.stringify(newPreconscious), learnerId);
+    getRecognitionStore().updateWritingPad(learnerId, { preconscious_state: JSON.stringify(newPreconscious) });
 
     if (!isQuietOrTranscript()) console.log(`[WritingPad] Forgot ${forgottenCount} stale pattern(s) for learner ${learnerId}`);
   }
@@ -387,35 +346,24 @@ export function createRecognitionMoment(moment) {
 
   const id = `recog-${Date.now()}-${randomBytes(4).toString('hex')}`;
 
-  const stmt = getDb().prepare(`
-    INSERT INTO recognition_moments (
-      id, writing_pad_id, session_id, created_at,
-      thesis_agent, thesis_position, thesis_reasoning,
-      antithesis_agent, antithesis_position, antithesis_reasoning,
-      synthesis_resolution,
-      ghost_demand, learner_need, synthesis_strategy, transformative, parameters,
-      persistence_layer
-    ) VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  stmt.run(
+  getRecognitionStore().insertRecognitionMoment({
     id,
-    writingPadId,
-    sessionId,
-    'superego',                                    // thesis_agent (ghost)
-    ghostDemand.voice || '',                       // thesis_position
-    `Principle: ${ghostDemand.principle}`,         // thesis_reasoning
-    'learner',                                      // antithesis_agent
-    learnerNeed.need || '',                         // antithesis_position
-    `Intensity: ${(learnerNeed.intensity ?? 0).toFixed(2)}`, // antithesis_reasoning
-    synthesis.synthesis || '',                      // synthesis_resolution
-    JSON.stringify(ghostDemand),                    // ghost_demand
-    JSON.stringify(learnerNeed),                    // learner_need
-    synthesis.synthesis,                            // synthesis_strategy
-    synthesis.transformative ? 1 : 0,              // transformative
-    JSON.stringify(parameters),                     // parameters
-    'conscious'                                     // persistence_layer (starts here)
-  );
+    writing_pad_id: writingPadId,
+    session_id: sessionId,
+    thesis_agent: 'superego',                                          // ghost
+    thesis_position: ghostDemand.voice || '',
+    thesis_reasoning: `Principle: ${ghostDemand.principle}`,
+    antithesis_agent: 'learner',
+    antithesis_position: learnerNeed.need || '',
+    antithesis_reasoning: `Intensity: ${(learnerNeed.intensity ?? 0).toFixed(2)}`,
+    synthesis_resolution: synthesis.synthesis || '',
+    ghost_demand: JSON.stringify(ghostDemand),
+    learner_need: JSON.stringify(learnerNeed),
+    synthesis_strategy: synthesis.synthesis,
+    transformative: synthesis.transformative ? 1 : 0,
+    parameters: JSON.stringify(parameters),
+    persistence_layer: 'conscious',                                    // starts here
+  });
 
   if (!isQuietOrTranscript()) console.log(`[WritingPad] Created recognition moment ${id}`);
   return getRecognitionMoment(id);
@@ -427,8 +375,7 @@ export function createRecognitionMoment(moment) {
  * @returns {object|null} - Recognition moment or null
  */
 export function getRecognitionMoment(id) {
-  const stmt = getDb().prepare('SELECT * FROM recognition_moments WHERE id = ?');
-  const row = stmt.get(id);
+  const row = getRecognitionStore().getRecognitionMoment(id);
 
   if (!row) return null;
 
@@ -456,18 +403,7 @@ export function getRecognitionMoment(id) {
 export function getRecognitionMoments(writingPadId, options = {}) {
   const { limit = 10, transformativeOnly = false } = options;
 
-  let query = 'SELECT * FROM recognition_moments WHERE writing_pad_id = ?';
-  const params = [writingPadId];
-
-  if (transformativeOnly) {
-    query += ' AND transformative = 1';
-  }
-
-  query += ' ORDER BY created_at DESC LIMIT ?';
-  params.push(limit);
-
-  const stmt = getDb().prepare(query);
-  const rows = stmt.all(...params);
+  const rows = getRecognitionStore().listRecognitionMoments(writingPadId, { transformativeOnly, order: 'desc', limit });
 
   return rows.map(row => ({
     id: row.id,